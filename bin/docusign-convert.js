@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * docusign-convert - convert DocuSign template JSON exports to fillable PDFs
+ * See node/cli.js for the options.
+ */
+
+const { runCli } = require('../node/cli');
+
+runCli(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        process.stderr.write(`docusign-convert: ${error.message}\n`);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,1025 @@
+/**
+ * DocuSign Anchor Tabs
+ *
+ * Tabs placed with anchorString are positioned relative to text in the documents rather
+ * than at fixed coordinates, and exports often leave their xPosition / yPosition empty.
+ * pdf-lib has no text extraction, so this module reads the text-showing operators of
+ * each page's content stream, works out where every glyph lands, finds the anchor
+ * strings and turns each match into an ordinary positioned tab.
+ */
+
+// Points per anchorUnits unit (DocuSign pixels are 1/72 inch, the same as PDF points)
+const ANCHOR_UNITS = {
+    pixels: 1,
+    points: 1,
+    inches: 72,
+    mms: 72 / 25.4,
+    cms: 72 / 2.54
+};
+
+// Form XObjects nested deeper than this are not searched for text
+const MAX_XOBJECT_DEPTH = 8;
+
+// WinAnsiEncoding characters that differ from Latin-1 (codes 0x80 - 0x9F)
+const WIN_ANSI_SPECIALS = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†',
+    0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ',
+    0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+    0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›',
+    0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+// Glyph names used in font /Differences arrays for ASCII punctuation and digits
+const GLYPH_NAME_CHARACTERS = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+    ampersand: '&', quotesingle: '\'', quoteright: '’', parenleft: '(', parenright: ')',
+    asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/',
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+    eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+    question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+    asciicircum: '^', underscore: '_', grave: '`', quoteleft: '‘', braceleft: '{',
+    bar: '|', braceright: '}', asciitilde: '~'
+};
+
+// Common names of non-embedded fonts whose metrics match a standard PDF font
+const STANDARD_FONT_ALIASES = {
+    Arial: 'Helvetica',
+    ArialMT: 'Helvetica',
+    'Arial-BoldMT': 'Helvetica-Bold',
+    'Arial-ItalicMT': 'Helvetica-Oblique',
+    'Arial-BoldItalicMT': 'Helvetica-BoldOblique',
+    TimesNewRoman: 'Times-Roman',
+    TimesNewRomanPSMT: 'Times-Roman',
+    'TimesNewRomanPS-BoldMT': 'Times-Bold',
+    CourierNew: 'Courier',
+    CourierNewPSMT: 'Courier'
+};
+
+// ============================================================================
+// CONTENT STREAM PARSING
+// ============================================================================
+
+/**
+ * Check whether a byte is PDF whitespace
+ *
+ * @param {number} byte - Byte value
+ * @returns {boolean} - True for whitespace
+ */
+function isPdfWhitespace(byte) {
+    return byte === 0x20 || byte === 0x0A || byte === 0x0D || byte === 0x09 || byte === 0x0C || byte === 0x00;
+}
+
+/**
+ * Check whether a byte is a PDF delimiter
+ *
+ * @param {number} byte - Byte value
+ * @returns {boolean} - True for ( ) < > [ ] { } / %
+ */
+function isPdfDelimiter(byte) {
+    return byte === 0x28 || byte === 0x29 || byte === 0x3C || byte === 0x3E || byte === 0x5B ||
+        byte === 0x5D || byte === 0x7B || byte === 0x7D || byte === 0x2F || byte === 0x25;
+}
+
+/**
+ * Read a literal string such as (Sign \(here\)) starting at its opening parenthesis
+ *
+ * @param {Uint8Array} bytes - Content stream bytes
+ * @param {number} start - Offset of the opening parenthesis
+ * @returns {Object} - { bytes, end } where end is the offset after the closing parenthesis
+ */
+function readLiteralString(bytes, start) {
+    const out = [];
+    let depth = 1;
+    let pos = start + 1;
+    
+    while (pos < bytes.length) {
+        const byte = bytes[pos++];
+        if (byte === 0x5C) { // backslash
+            const next = bytes[pos++];
+            const escapes = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C };
+            if (escapes[next] !== undefined) {
+                out.push(escapes[next]);
+            } else if (next >= 0x30 && next <= 0x37) {
+                // Up to three octal digits
+                let code = next - 0x30;
+                for (let digits = 1; digits < 3 && bytes[pos] >= 0x30 && bytes[pos] <= 0x37; digits++) {
+                    code = code * 8 + (bytes[pos++] - 0x30);
+                }
+                out.push(code & 0xFF);
+            } else if (next === 0x0D || next === 0x0A) {
+                // Line continuation
+                if (next === 0x0D && bytes[pos] === 0x0A) {
+                    pos++;
+                }
+            } else if (next !== undefined) {
+                out.push(next);
+            }
+        } else if (byte === 0x28) {
+            depth++;
+            out.push(byte);
+        } else if (byte === 0x29) {
+            depth--;
+            if (depth === 0) {
+                break;
+            }
+            out.push(byte);
+        } else {
+            out.push(byte);
+        }
+    }
+    
+    return { bytes: Uint8Array.from(out), end: pos };
+}
+
+/**
+ * Read a hex string such as <5C73315C> starting at its opening bracket
+ *
+ * @param {Uint8Array} bytes - Content stream bytes
+ * @param {number} start - Offset of the opening bracket
+ * @returns {Object} - { bytes, end } where end is the offset after the closing bracket
+ */
+function readHexString(bytes, start) {
+    let hex = '';
+    let pos = start + 1;
+    while (pos < bytes.length && bytes[pos] !== 0x3E) {
+        const char = String.fromCharCode(bytes[pos++]);
+        if (/[0-9a-fA-F]/.test(char)) {
+            hex += char;
+        }
+    }
+    if (hex.length % 2 === 1) {
+        hex += '0';
+    }
+    
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) {
+        out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return { bytes: out, end: pos + 1 };
+}
+
+/**
+ * Skip the data of an inline image (BI ... ID <data> EI)
+ *
+ * @param {Uint8Array} bytes - Content stream bytes
+ * @param {number} start - Offset just after the BI operator
+ * @returns {number} - Offset after the EI operator
+ */
+function skipInlineImage(bytes, start) {
+    let pos = start;
+    // Find the ID operator that starts the image data
+    while (pos < bytes.length - 1) {
+        if (bytes[pos] === 0x49 && bytes[pos + 1] === 0x44 && isPdfWhitespace(bytes[pos - 1]) &&
+            (pos + 2 >= bytes.length || isPdfWhitespace(bytes[pos + 2]))) {
+            pos += 3;
+            break;
+        }
+        pos++;
+    }
+    // The data ends at an EI surrounded by whitespace
+    while (pos < bytes.length - 1) {
+        if (bytes[pos] === 0x45 && bytes[pos + 1] === 0x49 && isPdfWhitespace(bytes[pos - 1]) &&
+            (pos + 2 >= bytes.length || isPdfWhitespace(bytes[pos + 2]))) {
+            return pos + 2;
+        }
+        pos++;
+    }
+    return bytes.length;
+}
+
+/**
+ * Split a content stream into operators and their operands
+ * Operands are numbers, booleans, null, { type: 'name', value }, { type: 'string', bytes },
+ * arrays and { type: 'dict', items } (dictionary contents are kept as a flat list).
+ *
+ * @param {Uint8Array} bytes - Decoded content stream
+ * @returns {Array<Object>} - Array of { operator, operands }
+ */
+function parseContentStream(bytes) {
+    const operations = [];
+    let operands = [];
+    // Arrays and dictionaries that are still open
+    const open = [];
+    const pushOperand = (value) => {
+        (open.length > 0 ? open[open.length - 1].items : operands).push(value);
+    };
+    
+    let pos = 0;
+    while (pos < bytes.length) {
+        const byte = bytes[pos];
+        
+        if (isPdfWhitespace(byte)) {
+            pos++;
+        } else if (byte === 0x25) { // % comment
+            while (pos < bytes.length && bytes[pos] !== 0x0A && bytes[pos] !== 0x0D) {
+                pos++;
+            }
+        } else if (byte === 0x28) {
+            const string = readLiteralString(bytes, pos);
+            pushOperand({ type: 'string', bytes: string.bytes });
+            pos = string.end;
+        } else if (byte === 0x3C && bytes[pos + 1] === 0x3C) {
+            open.push({ type: 'dict', items: [] });
+            pos += 2;
+        } else if (byte === 0x3C) {
+            const string = readHexString(bytes, pos);
+            pushOperand({ type: 'string', bytes: string.bytes });
+            pos = string.end;
+        } else if (byte === 0x3E && bytes[pos + 1] === 0x3E) {
+            const dict = open.pop();
+            if (dict) {
+                pushOperand(dict);
+            }
+            pos += 2;
+        } else if (byte === 0x5B) {
+            open.push({ type: 'array', items: [] });
+            pos++;
+        } else if (byte === 0x5D) {
+            const array = open.pop();
+            if (array) {
+                pushOperand(array.items);
+            }
+            pos++;
+        } else if (byte === 0x2F) {
+            let name = '';
+            pos++;
+            while (pos < bytes.length && !isPdfWhitespace(bytes[pos]) && !isPdfDelimiter(bytes[pos])) {
+                if (bytes[pos] === 0x23 && pos + 2 < bytes.length) { // #xx escape
+                    name += String.fromCharCode(parseInt(String.fromCharCode(bytes[pos + 1], bytes[pos + 2]), 16));
+                    pos += 3;
+                } else {
+                    name += String.fromCharCode(bytes[pos++]);
+                }
+            }
+            pushOperand({ type: 'name', value: name });
+        } else if (isPdfDelimiter(byte)) {
+            // Stray delimiter ({ } or an unmatched >) - ignore it
+            pos++;
+        } else {
+            let token = '';
+            while (pos < bytes.length && !isPdfWhitespace(bytes[pos]) && !isPdfDelimiter(bytes[pos])) {
+                token += String.fromCharCode(bytes[pos++]);
+            }
+            
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+                pushOperand(parseFloat(token));
+            } else if (token === 'true' || token === 'false') {
+                pushOperand(token === 'true');
+            } else if (token === 'null') {
+                pushOperand(null);
+            } else {
+                operations.push({ operator: token, operands });
+                operands = [];
+                open.length = 0;
+                if (token === 'BI') {
+                    pos = skipInlineImage(bytes, pos);
+                }
+            }
+        }
+    }
+    
+    return operations;
+}
+
+// ============================================================================
+// FONTS
+// ============================================================================
+
+/**
+ * Decode a UTF-16BE hex string from a ToUnicode CMap
+ *
+ * @param {string} hex - Hex digits
+ * @returns {string} - Decoded text
+ */
+function decodeUtf16Hex(hex) {
+    let text = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+        text += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+    }
+    // Single-byte destinations are seen in the wild
+    if (hex.length < 4 && hex.length > 0) {
+        text = String.fromCharCode(parseInt(hex, 16));
+    }
+    return text;
+}
+
+/**
+ * Read the character code to Unicode mappings of a ToUnicode CMap
+ *
+ * @param {string} cmap - CMap program text
+ * @returns {Map<number, string>} - Character code to text
+ */
+function parseToUnicodeCMap(cmap) {
+    const map = new Map();
+    
+    for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(parseInt(pair[1], 16), decodeUtf16Hex(pair[2]));
+        }
+    }
+    
+    for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        const ranges = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g;
+        for (const range of block[1].matchAll(ranges)) {
+            const low = parseInt(range[1], 16);
+            const high = parseInt(range[2], 16);
+            if (range[3] !== undefined) {
+                // Consecutive codes map to consecutive characters
+                const base = decodeUtf16Hex(range[3]);
+                const last = base.charCodeAt(base.length - 1);
+                for (let code = low; code <= high && code - low < 0x10000; code++) {
+                    map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - low));
+                }
+            } else {
+                const targets = Array.from(range[4].matchAll(/<([0-9a-fA-F]*)>/g), target => decodeUtf16Hex(target[1]));
+                targets.forEach((text, offset) => {
+                    if (low + offset <= high) {
+                        map.set(low + offset, text);
+                    }
+                });
+            }
+        }
+    }
+    
+    return map;
+}
+
+/**
+ * Get the decoded bytes of a stream object
+ *
+ * @param {PDFStream} stream - Stream from a loaded or newly built document
+ * @returns {Uint8Array|null} - Decoded bytes, or null when the stream can't be decoded
+ */
+function getDecodedStreamBytes(stream) {
+    try {
+        if (stream instanceof PDFLib.PDFRawStream) {
+            return PDFLib.decodePDFRawStream(stream).decode();
+        }
+        if (typeof stream.getUnencodedContents === 'function') {
+            return stream.getUnencodedContents();
+        }
+        return stream.getContents();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Turn a glyph name from a /Differences array into text
+ *
+ * @param {string} glyphName - Glyph name, e.g. 'backslash', 'A' or 'uni00E9'
+ * @returns {string|null} - Text, or null for unknown names
+ */
+function glyphNameToText(glyphName) {
+    if (GLYPH_NAME_CHARACTERS[glyphName]) {
+        return GLYPH_NAME_CHARACTERS[glyphName];
+    }
+    if (/^[A-Za-z]$/.test(glyphName)) {
+        return glyphName;
+    }
+    const unicode = /^uni([0-9A-Fa-f]{4})$/.exec(glyphName) || /^u([0-9A-Fa-f]{4,6})$/.exec(glyphName);
+    return unicode ? String.fromCodePoint(parseInt(unicode[1], 16)) : null;
+}
+
+/**
+ * Get the standard PDF font whose metrics apply to a font without a /Widths array
+ *
+ * @param {string} baseFont - BaseFont name
+ * @returns {string|null} - StandardFonts value, or null for other fonts
+ */
+function getStandardFontName(baseFont) {
+    const name = baseFont.replace(/^[A-Z]{6}\+/, '');
+    const standard = STANDARD_FONT_ALIASES[name] || STANDARD_FONT_ALIASES[name.replace(/,.*$/, '')] || name;
+    return Object.values(PDFLib.StandardFonts).includes(standard) ? standard : null;
+}
+
+/**
+ * Build a decoder for the text shown with a font
+ *
+ * @param {PDFContext} context - Document context
+ * @param {PDFDict} fontDict - Font dictionary
+ * @param {Object} metrics - Standard font metrics source from createTextLocator()
+ * @returns {Object} - { decode(bytes) } returning Array of { text, width, isSpace } (width in 1/1000 em)
+ */
+function loadTextFont(context, fontDict, metrics) {
+    const lookupName = (dict, key) => {
+        const value = dict && dict.lookup(PDFLib.PDFName.of(key));
+        return value instanceof PDFLib.PDFName ? value.decodeText() : null;
+    };
+    const lookupNumber = (dict, key, fallback) => {
+        const value = dict && dict.lookup(PDFLib.PDFName.of(key));
+        return value instanceof PDFLib.PDFNumber ? value.asNumber() : fallback;
+    };
+    
+    let toUnicode = new Map();
+    const toUnicodeStream = fontDict.lookup(PDFLib.PDFName.of('ToUnicode'));
+    if (toUnicodeStream instanceof PDFLib.PDFStream) {
+        const cmapBytes = getDecodedStreamBytes(toUnicodeStream);
+        if (cmapBytes) {
+            toUnicode = parseToUnicodeCMap(Array.from(cmapBytes, byte => String.fromCharCode(byte)).join(''));
+        }
+    }
+    
+    // Composite fonts: two-byte codes, widths from the descendant font's /W array
+    if (lookupName(fontDict, 'Subtype') === 'Type0') {
+        const descendants = fontDict.lookup(PDFLib.PDFName.of('DescendantFonts'));
+        const cidFont = descendants instanceof PDFLib.PDFArray ? descendants.lookup(0) : null;
+        const defaultWidth = lookupNumber(cidFont, 'DW', 1000);
+        const widths = new Map();
+        const widthArray = cidFont ? cidFont.lookup(PDFLib.PDFName.of('W')) : null;
+        if (widthArray instanceof PDFLib.PDFArray) {
+            const items = widthArray.asArray().map(item => context.lookup(item));
+            for (let i = 0; i < items.length;) {
+                const first = items[i] instanceof PDFLib.PDFNumber ? items[i].asNumber() : 0;
+                if (items[i + 1] instanceof PDFLib.PDFArray) {
+                    items[i + 1].asArray().forEach((width, offset) => {
+                        const value = context.lookup(width);
+                        widths.set(first + offset, value instanceof PDFLib.PDFNumber ? value.asNumber() : defaultWidth);
+                    });
+                    i += 2;
+                } else {
+                    const last = items[i + 1] instanceof PDFLib.PDFNumber ? items[i + 1].asNumber() : first;
+                    const width = items[i + 2] instanceof PDFLib.PDFNumber ? items[i + 2].asNumber() : defaultWidth;
+                    for (let code = first; code <= last && code - first < 0x10000; code++) {
+                        widths.set(code, width);
+                    }
+                    i += 3;
+                }
+            }
+        }
+        
+        return {
+            decode(bytes) {
+                const glyphs = [];
+                for (let i = 0; i + 1 < bytes.length; i += 2) {
+                    const code = (bytes[i] << 8) | bytes[i + 1];
+                    glyphs.push({
+                        text: toUnicode.has(code) ? toUnicode.get(code) : String.fromCharCode(code),
+                        width: widths.has(code) ? widths.get(code) : defaultWidth,
+                        isSpace: false
+                    });
+                }
+                return glyphs;
+            }
+        };
+    }
+    
+    // Simple fonts: one-byte codes through /Encoding (WinAnsi unless told otherwise)
+    const encoding = {};
+    const encodingObject = fontDict.lookup(PDFLib.PDFName.of('Encoding'));
+    if (encodingObject instanceof PDFLib.PDFDict) {
+        const differences = encodingObject.lookup(PDFLib.PDFName.of('Differences'));
+        if (differences instanceof PDFLib.PDFArray) {
+            let code = 0;
+            for (const item of differences.asArray()) {
+                if (item instanceof PDFLib.PDFNumber) {
+                    code = item.asNumber();
+                } else if (item instanceof PDFLib.PDFName) {
+                    const text = glyphNameToText(item.decodeText());
+                    if (text !== null) {
+                        encoding[code] = text;
+                    }
+                    code++;
+                }
+            }
+        }
+    }
+    
+    const firstChar = lookupNumber(fontDict, 'FirstChar', 0);
+    const widthsObject = fontDict.lookup(PDFLib.PDFName.of('Widths'));
+    const widths = widthsObject instanceof PDFLib.PDFArray
+        ? widthsObject.asArray().map(width => {
+            const value = context.lookup(width);
+            return value instanceof PDFLib.PDFNumber ? value.asNumber() : null;
+        })
+        : null;
+    const descriptor = fontDict.lookup(PDFLib.PDFName.of('FontDescriptor'));
+    const missingWidth = lookupNumber(descriptor instanceof PDFLib.PDFDict ? descriptor : null, 'MissingWidth', 0);
+    const standardFont = widths ? null : getStandardFontName(lookupName(fontDict, 'BaseFont') || '');
+    // Type3 glyph widths are in glyph space, scaled by the font matrix
+    const fontMatrix = fontDict.lookup(PDFLib.PDFName.of('FontMatrix'));
+    const widthScale = fontMatrix instanceof PDFLib.PDFArray && fontMatrix.lookup(0) instanceof PDFLib.PDFNumber
+        ? fontMatrix.lookup(0).asNumber() * 1000
+        : 1;
+    
+    return {
+        decode(bytes) {
+            return Array.from(bytes, code => {
+                let text = toUnicode.get(code);
+                if (text === undefined) {
+                    text = encoding[code] !== undefined
+                        ? encoding[code]
+                        : (WIN_ANSI_SPECIALS[code] || String.fromCharCode(code));
+                }
+                
+                let width = widths && widths[code - firstChar] !== undefined && widths[code - firstChar] !== null
+                    ? widths[code - firstChar] * widthScale
+                    : null;
+                if (width === null) {
+                    width = (standardFont && metrics.widthOf(standardFont, text)) || missingWidth || 500;
+                }
+                
+                return { text, width, isSpace: code === 0x20 };
+            });
+        }
+    };
+}
+
+// ============================================================================
+// TEXT POSITIONS
+// ============================================================================
+
+/**
+ * Multiply two PDF matrices [a b c d e f] (m applied first, then n)
+ *
+ * @param {Array<number>} m - First matrix
+ * @param {Array<number>} n - Second matrix
+ * @returns {Array<number>} - Product
+ */
+function multiplyMatrices(m, n) {
+    return [
+        m[0] * n[0] + m[1] * n[2],
+        m[0] * n[1] + m[1] * n[3],
+        m[2] * n[0] + m[3] * n[2],
+        m[2] * n[1] + m[3] * n[3],
+        m[4] * n[0] + m[5] * n[2] + n[4],
+        m[4] * n[1] + m[5] * n[3] + n[5]
+    ];
+}
+
+/**
+ * Apply a PDF matrix to a point
+ *
+ * @param {Array<number>} m - Matrix
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Object} - { x, y }
+ */
+function transformPoint(m, x, y) {
+    return { x: x * m[0] + y * m[2] + m[4], y: x * m[1] + y * m[3] + m[5] };
+}
+
+/**
+ * Create a text locator that lists the glyphs shown on a document's pages
+ * Fonts are decoded once per document and shared between pages.
+ *
+ * @param {PDFDocument} pdfDoc - The document to read
+ * @returns {Promise<Object>} - { getPageGlyphs(page) } returning Array of { text, x, y, endX, endY, topX, topY, size }
+ */
+async function createTextLocator(pdfDoc) {
+    const context = pdfDoc.context;
+    const fonts = new Map();
+    
+    // Widths of the standard fonts, for fonts that don't carry a /Widths array
+    const metricsDoc = await PDFLib.PDFDocument.create();
+    const standardFonts = new Map();
+    const metrics = {
+        widthOf(fontName, text) {
+            try {
+                if (!standardFonts.has(fontName)) {
+                    standardFonts.set(fontName, metricsDoc.embedStandardFont(fontName));
+                }
+                return standardFonts.get(fontName).widthOfTextAtSize(text, 1000);
+            } catch (error) {
+                // Character not in the font's encoding
+                return null;
+            }
+        }
+    };
+    
+    const getFont = (resources, name) => {
+        const fontResources = resources ? resources.lookup(PDFLib.PDFName.of('Font')) : null;
+        if (!(fontResources instanceof PDFLib.PDFDict)) {
+            return null;
+        }
+        const fontRef = fontResources.get(PDFLib.PDFName.of(name));
+        const fontDict = context.lookup(fontRef);
+        if (!(fontDict instanceof PDFLib.PDFDict)) {
+            return null;
+        }
+        if (!fonts.has(fontDict)) {
+            fonts.set(fontDict, loadTextFont(context, fontDict, metrics));
+        }
+        return fonts.get(fontDict);
+    };
+    
+    /**
+     * Run the text operators of a content stream, collecting glyph positions
+     */
+    const runContent = (bytes, resources, initialMatrix, glyphs, depth) => {
+        let state = { ctm: initialMatrix, font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+        const saved = [];
+        let textMatrix = [1, 0, 0, 1, 0, 0];
+        let lineMatrix = [1, 0, 0, 1, 0, 0];
+        
+        const moveLine = (tx, ty) => {
+            lineMatrix = multiplyMatrices([1, 0, 0, 1, tx, ty], lineMatrix);
+            textMatrix = lineMatrix;
+        };
+        
+        const showText = (string) => {
+            if (!state.font || !string || string.type !== 'string') {
+                return;
+            }
+            for (const glyph of state.font.decode(string.bytes)) {
+                const renderMatrix = multiplyMatrices(textMatrix, state.ctm);
+                const advance = glyph.width / 1000 * state.fontSize * state.scale;
+                const start = transformPoint(renderMatrix, 0, state.rise);
+                const end = transformPoint(renderMatrix, advance, state.rise);
+                const top = transformPoint(renderMatrix, 0, state.rise + state.fontSize);
+                glyphs.push({
+                    text: glyph.text,
+                    x: start.x,
+                    y: start.y,
+                    endX: end.x,
+                    endY: end.y,
+                    topX: top.x,
+                    topY: top.y,
+                    size: Math.hypot(top.x - start.x, top.y - start.y)
+                });
+                
+                const spacing = state.charSpacing + (glyph.isSpace ? state.wordSpacing : 0);
+                const tx = (glyph.width / 1000 * state.fontSize + spacing) * state.scale;
+                textMatrix = multiplyMatrices([1, 0, 0, 1, tx, 0], textMatrix);
+            }
+        };
+        
+        for (const { operator, operands } of parseContentStream(bytes)) {
+            const numbers = operands.map(operand => (typeof operand === 'number' ? operand : 0));
+            
+            switch (operator) {
+                case 'q':
+                    saved.push({ ...state });
+                    break;
+                case 'Q':
+                    if (saved.length > 0) {
+                        state = saved.pop();
+                    }
+                    break;
+                case 'cm':
+                    if (operands.length === 6) {
+                        state.ctm = multiplyMatrices(numbers, state.ctm);
+                    }
+                    break;
+                case 'BT':
+                    textMatrix = [1, 0, 0, 1, 0, 0];
+                    lineMatrix = [1, 0, 0, 1, 0, 0];
+                    break;
+                case 'Tf':
+                    state.font = operands[0] && operands[0].type === 'name' ? getFont(resources, operands[0].value) : null;
+                    state.fontSize = numbers[1] || 0;
+                    break;
+                case 'Tc':
+                    state.charSpacing = numbers[0] || 0;
+                    break;
+                case 'Tw':
+                    state.wordSpacing = numbers[0] || 0;
+                    break;
+                case 'Tz':
+                    state.scale = (numbers[0] === undefined ? 100 : numbers[0]) / 100;
+                    break;
+                case 'TL':
+                    state.leading = numbers[0] || 0;
+                    break;
+                case 'Ts':
+                    state.rise = numbers[0] || 0;
+                    break;
+                case 'Td':
+                    moveLine(numbers[0] || 0, numbers[1] || 0);
+                    break;
+                case 'TD':
+                    state.leading = -(numbers[1] || 0);
+                    moveLine(numbers[0] || 0, numbers[1] || 0);
+                    break;
+                case 'Tm':
+                    if (operands.length === 6) {
+                        lineMatrix = numbers;
+                        textMatrix = numbers;
+                    }
+                    break;
+                case 'T*':
+                    moveLine(0, -state.leading);
+                    break;
+                case 'Tj':
+                    showText(operands[0]);
+                    break;
+                case '\'':
+                    moveLine(0, -state.leading);
+                    showText(operands[0]);
+                    break;
+                case '"':
+                    state.wordSpacing = numbers[0] || 0;
+                    state.charSpacing = numbers[1] || 0;
+                    moveLine(0, -state.leading);
+                    showText(operands[2]);
+                    break;
+                case 'TJ':
+                    for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+                        if (typeof item === 'number') {
+                            const tx = -item / 1000 * state.fontSize * state.scale;
+                            textMatrix = multiplyMatrices([1, 0, 0, 1, tx, 0], textMatrix);
+                        } else {
+                            showText(item);
+                        }
+                    }
+                    break;
+                case 'Do':
+                    if (depth < MAX_XOBJECT_DEPTH && operands[0] && operands[0].type === 'name') {
+                        runFormXObject(resources, operands[0].value, state.ctm, glyphs, depth);
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+    };
+    
+    /**
+     * Follow a Do operator into a form XObject
+     */
+    const runFormXObject = (resources, name, ctm, glyphs, depth) => {
+        const xObjects = resources ? resources.lookup(PDFLib.PDFName.of('XObject')) : null;
+        const xObject = xObjects instanceof PDFLib.PDFDict ? xObjects.lookup(PDFLib.PDFName.of(name)) : null;
+        if (!(xObject instanceof PDFLib.PDFStream)) {
+            return;
+        }
+        const subtype = xObject.dict.lookup(PDFLib.PDFName.of('Subtype'));
+        if (!(subtype instanceof PDFLib.PDFName) || subtype.decodeText() !== 'Form') {
+            return;
+        }
+        
+        const matrixObject = xObject.dict.lookup(PDFLib.PDFName.of('Matrix'));
+        const matrix = matrixObject instanceof PDFLib.PDFArray && matrixObject.size() === 6
+            ? matrixObject.asArray().map(value => {
+                const number = context.lookup(value);
+                return number instanceof PDFLib.PDFNumber ? number.asNumber() : 0;
+            })
+            : [1, 0, 0, 1, 0, 0];
+        const ownResources = xObject.dict.lookup(PDFLib.PDFName.of('Resources'));
+        const bytes = getDecodedStreamBytes(xObject);
+        if (bytes) {
+            runContent(bytes, ownResources instanceof PDFLib.PDFDict ? ownResources : resources,
+                multiplyMatrices(matrix, ctm), glyphs, depth + 1);
+        }
+    };
+    
+    return {
+        getPageGlyphs(page) {
+            const glyphs = [];
+            const contents = page.node.Contents();
+            const streams = contents instanceof PDFLib.PDFArray
+                ? contents.asArray().map(ref => context.lookup(ref))
+                : [contents];
+            
+            // A page's content streams are one stream split into parts
+            const parts = streams
+                .filter(stream => stream instanceof PDFLib.PDFStream)
+                .map(getDecodedStreamBytes)
+                .filter(Boolean);
+            const length = parts.reduce((total, part) => total + part.length + 1, 0);
+            const bytes = new Uint8Array(length);
+            let offset = 0;
+            for (const part of parts) {
+                bytes.set(part, offset);
+                bytes[offset + part.length] = 0x0A;
+                offset += part.length + 1;
+            }
+            
+            runContent(bytes, page.node.Resources(), [1, 0, 0, 1, 0, 0], glyphs, 0);
+            return glyphs;
+        }
+    };
+}
+
+/**
+ * Join glyphs into searchable text
+ * A space is inserted where glyphs are visibly apart and a line break where the
+ * baseline changes, so words drawn by separate operators still match.
+ *
+ * @param {Array<Object>} glyphs - Glyphs from getPageGlyphs()
+ * @returns {Object} - { text, glyphIndexes } where glyphIndexes[i] is the glyph of text[i] (-1 for inserted breaks)
+ */
+function buildPageText(glyphs) {
+    let text = '';
+    const glyphIndexes = [];
+    
+    glyphs.forEach((glyph, index) => {
+        const previous = index > 0 ? glyphs[index - 1] : null;
+        if (previous && glyph.text.trim() && previous.text.trim()) {
+            const size = Math.max(previous.size, glyph.size, 1);
+            // Measure the gap along and across the previous glyph's baseline
+            const length = Math.hypot(previous.endX - previous.x, previous.endY - previous.y);
+            const direction = length > 0
+                ? { x: (previous.endX - previous.x) / length, y: (previous.endY - previous.y) / length }
+                : { x: 1, y: 0 };
+            const dx = glyph.x - previous.endX;
+            const dy = glyph.y - previous.endY;
+            const along = dx * direction.x + dy * direction.y;
+            const across = dy * direction.x - dx * direction.y;
+            
+            if (Math.abs(across) > size * 0.5) {
+                text += '\n';
+                glyphIndexes.push(-1);
+            } else if (along > size * 0.2 || along < -size * 0.5) {
+                text += ' ';
+                glyphIndexes.push(-1);
+            }
+        }
+        
+        for (let i = 0; i < glyph.text.length; i++) {
+            glyphIndexes.push(index);
+        }
+        text += glyph.text;
+    });
+    
+    return { text, glyphIndexes };
+}
+
+/**
+ * Find the occurrences of an anchor string in page text
+ *
+ * @param {string} text - Page text from buildPageText()
+ * @param {string} anchor - Anchor string
+ * @param {Object} [options] - { caseSensitive, wholeWord }
+ * @returns {Array<Object>} - Array of { start, end } character ranges
+ */
+function findAnchorMatches(text, anchor, options = {}) {
+    if (!anchor) {
+        return [];
+    }
+    
+    const haystack = options.caseSensitive ? text : text.toLowerCase();
+    const needle = options.caseSensitive ? anchor : anchor.toLowerCase();
+    const isWordCharacter = (char) => char !== undefined && /[\p{L}\p{N}_]/u.test(char);
+    const matches = [];
+    
+    let start = haystack.indexOf(needle);
+    while (start !== -1) {
+        const end = start + needle.length;
+        if (!options.wholeWord || (!isWordCharacter(haystack[start - 1]) && !isWordCharacter(haystack[end]))) {
+            matches.push({ start, end });
+            start = haystack.indexOf(needle, end);
+        } else {
+            start = haystack.indexOf(needle, start + 1);
+        }
+    }
+    
+    return matches;
+}
+
+// ============================================================================
+// ANCHOR RESOLUTION
+// ============================================================================
+
+/**
+ * Check whether a tab is positioned by an anchor string
+ *
+ * @param {Object} tab - DocuSign tab
+ * @returns {boolean} - True when the tab has an anchorString
+ */
+function isAnchorTab(tab) {
+    return !!(tab && typeof tab === 'object' && typeof tab.anchorString === 'string' && tab.anchorString.length > 0);
+}
+
+/**
+ * Convert an anchor offset to points
+ *
+ * @param {*} value - anchorXOffset / anchorYOffset
+ * @param {string} [units] - anchorUnits (pixels, mms, cms or inches; default pixels)
+ * @returns {number} - Offset in points
+ */
+function getAnchorOffset(value, units) {
+    const offset = parseFloat(value);
+    if (isNaN(offset)) {
+        return 0;
+    }
+    const scale = ANCHOR_UNITS[String(units || 'pixels').toLowerCase()] || 1;
+    return offset * scale;
+}
+
+/**
+ * Check whether a tab already has a usable position of its own
+ *
+ * @param {Object} tab - DocuSign tab
+ * @returns {boolean} - True when the tab names a document and a non-origin position
+ */
+function hasExplicitPosition(tab) {
+    const x = parseFloat(tab.xPosition || tab.xPositionString || 0);
+    const y = parseFloat(tab.yPosition || tab.yPositionString || 0);
+    return !!tab.documentId && (x > 0 || y > 0);
+}
+
+/**
+ * Replace anchor tabs with one positioned tab per anchor match
+ * Every included document is searched, as DocuSign does. The tab's top-left corner is
+ * placed at the top-left of the matched text (top-right with anchorHorizontalAlignment
+ * 'right'), then moved by anchorXOffset / anchorYOffset (positive Y is down the page).
+ * Tabs whose anchor is missing keep their own position when they have one, unless
+ * anchorIgnoreIfNotPresent is set; otherwise they are marked anchorNotFound.
+ *
+ * @param {Array<Object>} tabs - Tabs from getAllRecipientTabs()
+ * @param {PDFDocument} pdfDoc - The merged document
+ * @param {Array<Object>} pageMapping - Array of { docId, startPage, endPage, docuSignPages } for the merged pages
+ * @returns {Promise<Array<Object>>} - Tabs with anchor tabs expanded (other tabs are returned unchanged)
+ */
+async function resolveAnchorTabs(tabs, pdfDoc, pageMapping) {
+    if (!tabs.some(isAnchorTab)) {
+        return tabs;
+    }
+    
+    // Page text is only extracted once, however many anchors there are
+    const locator = await createTextLocator(pdfDoc);
+    const pageTexts = new Map();
+    const getPageText = (pageIndex) => {
+        if (!pageTexts.has(pageIndex)) {
+            const glyphs = locator.getPageGlyphs(pdfDoc.getPage(pageIndex));
+            pageTexts.set(pageIndex, { glyphs, ...buildPageText(glyphs) });
+        }
+        return pageTexts.get(pageIndex);
+    };
+    
+    const resolved = [];
+    for (const tab of tabs) {
+        if (!isAnchorTab(tab)) {
+            resolved.push(tab);
+            continue;
+        }
+        
+        const matchOptions = {
+            caseSensitive: isDocuSignFlagSet(tab.anchorCaseSensitive),
+            wholeWord: isDocuSignFlagSet(tab.anchorMatchWholeWord)
+        };
+        const alignRight = String(tab.anchorHorizontalAlignment || '').toLowerCase() === 'right';
+        const offsetX = getAnchorOffset(tab.anchorXOffset, tab.anchorUnits);
+        const offsetY = getAnchorOffset(tab.anchorYOffset, tab.anchorUnits);
+        
+        const placed = [];
+        for (const mapping of pageMapping) {
+            for (let pageIndex = mapping.startPage; pageIndex <= mapping.endPage; pageIndex++) {
+                const pageText = getPageText(pageIndex);
+                const pageNumber = pageIndex - mapping.startPage + 1;
+                const geometry = getPageGeometry(pdfDoc.getPage(pageIndex), getDocuSignPageInfo(mapping, pageNumber));
+                
+                for (const match of findAnchorMatches(pageText.text, tab.anchorString, matchOptions)) {
+                    const matched = pageText.glyphIndexes
+                        .slice(match.start, match.end)
+                        .filter(index => index >= 0)
+                        .map(index => pageText.glyphs[index]);
+                    if (matched.length === 0) {
+                        continue;
+                    }
+                    
+                    // Measure in DocuSign coordinates, so rotated and cropped pages work too
+                    const first = matched[0];
+                    const last = matched[matched.length - 1];
+                    const corner = alignRight
+                        ? pdfPointToDocuSign(geometry, last.endX + (first.topX - first.x), last.endY + (first.topY - first.y))
+                        : pdfPointToDocuSign(geometry, first.topX, first.topY);
+                    const top = Math.min(...matched.map(glyph => pdfPointToDocuSign(geometry, glyph.topX, glyph.topY).y));
+                    
+                    const positioned = {
+                        ...tab,
+                        documentId: mapping.docId,
+                        pageNumber: String(pageNumber),
+                        xPosition: String(corner.x + offsetX),
+                        yPosition: String(top + offsetY),
+                        anchorMatchIndex: placed.length
+                    };
+                    delete positioned.xPositionString;
+                    delete positioned.yPositionString;
+                    placed.push(positioned);
+                }
+            }
+        }
+        
+        if (placed.length > 0) {
+            resolved.push(...placed);
+        } else if (!isDocuSignFlagSet(tab.anchorIgnoreIfNotPresent) && hasExplicitPosition(tab)) {
+            resolved.push(tab);
+        } else {
+            resolved.push({ ...tab, anchorNotFound: true });
+        }
+    }
+    
+    return resolved;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.resolveAnchorTabs = resolveAnchorTabs;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        resolveAnchorTabs,
+        createTextLocator,
+        parseContentStream,
+        parseToUnicodeCMap,
+        buildPageText,
+        findAnchorMatches,
+        getAnchorOffset
+    };
+}
@@ -0,0 +1,315 @@
+/**
+ * DocuSign Conditional Field Logic
+ *
+ * DocuSign tabs can carry conditionalParentLabel / conditionalParentValue, which makes
+ * them visible only while another tab (the parent) holds a given value. This module
+ * turns those rules into Acrobat JavaScript actions on the parent field that show,
+ * hide and clear the dependent fields, and hides dependents whose parent default
+ * does not match when the PDF is first opened.
+ */
+
+// Parent field types that can drive conditional logic, and how their value is read
+const CONDITIONAL_PARENT_TYPES = {
+    checkboxTabs: 'checkbox',
+    radioGroupTabs: 'radio',
+    listTabs: 'list',
+    textTabs: 'text',
+    numericalTabs: 'text',
+    emailAddressTabs: 'text'
+};
+
+/**
+ * Check whether a tab is conditional on another tab
+ *
+ * @param {Object} tab - DocuSign tab
+ * @returns {boolean} - True when the tab names a conditional parent
+ */
+function isConditionalTab(tab) {
+    return !!(tab && typeof tab === 'object' && tab.conditionalParentLabel);
+}
+
+/**
+ * Get the label other tabs use to refer to this tab as their conditional parent
+ * Radio groups are referenced by group name, everything else by tab label.
+ *
+ * @param {Object} tab - DocuSign tab
+ * @returns {string|null} - Parent label
+ */
+function getConditionalParentKey(tab) {
+    return tab.groupName || tab.tabLabel || null;
+}
+
+/**
+ * Normalize a checkbox parent value the way DocuSign writes it ("on" / "off")
+ *
+ * @param {*} value - Raw conditionalParentValue or selected flag
+ * @returns {string} - 'on' or 'off'
+ */
+function normalizeCheckboxState(value) {
+    const text = String(value).toLowerCase();
+    return (text === 'on' || text === 'true' || text === 'checked' || text === 'x') ? 'on' : 'off';
+}
+
+/**
+ * Work out the value a parent tab starts with
+ *
+ * @param {Object} parent - Created-field record for the parent tab
+ * @returns {string} - Initial value in the same terms as conditionalParentValue
+ */
+function getConditionalParentDefault(parent) {
+    const tab = parent.tab;
+    switch (CONDITIONAL_PARENT_TYPES[parent.fieldType]) {
+        case 'checkbox':
+            return normalizeCheckboxState(tab.selected);
+        case 'radio': {
+            const selected = (tab.radios || []).find(radio => radio.selected === true || radio.selected === 'true');
+            return selected ? String(selected.value || selected.text || '') : '';
+        }
+        case 'list':
+            // List fields hold the text of the chosen option (see translateListField())
+            return getSelectedListOptions(tab)[0] || '';
+        default:
+            return String(tab.value || '');
+    }
+}
+
+/**
+ * Check whether a parent value satisfies a dependent's conditionalParentValue
+ * Text parents with no expected value show their dependents whenever they are filled in.
+ *
+ * @param {string} kind - Parent kind ('checkbox', 'radio', 'list', 'text')
+ * @param {string} expected - The dependent's conditionalParentValue
+ * @param {string} actual - The parent's value
+ * @returns {boolean} - Whether the dependent should be visible
+ */
+function conditionalValueMatches(kind, expected, actual) {
+    if (kind === 'checkbox') {
+        return normalizeCheckboxState(expected) === normalizeCheckboxState(actual);
+    }
+    if (kind === 'text' && expected === '') {
+        return actual !== '';
+    }
+    return expected === actual;
+}
+
+/**
+ * Group conditional tabs under the parents they depend on
+ *
+ * @param {Array<Object>} createdFields - Records of { tab, fieldType, fieldNames } for every converted tab
+ * @returns {Array<Object>} - Rules: { parent, kind, dependents: [{ record, value }] }
+ */
+function collectConditionalRules(createdFields) {
+    const rulesByParent = new Map();
+    
+    for (const record of createdFields) {
+        if (!isConditionalTab(record.tab) || record.fieldNames.length === 0) {
+            continue;
+        }
+        
+        const parentLabel = record.tab.conditionalParentLabel;
+        const recipientId = record.tab.sourceRecipient ? record.tab.sourceRecipient.recipientId : null;
+        
+        // Prefer a parent owned by the same recipient, since labels are only unique per recipient
+        const candidates = createdFields.filter(candidate =>
+            candidate !== record &&
+            candidate.fieldNames.length > 0 &&
+            CONDITIONAL_PARENT_TYPES[candidate.fieldType] &&
+            getConditionalParentKey(candidate.tab) === parentLabel
+        );
+        const parent = candidates.find(candidate =>
+            candidate.tab.sourceRecipient && candidate.tab.sourceRecipient.recipientId === recipientId
+        ) || candidates[0];
+        
+        if (!parent) {
+            continue;
+        }
+        
+        if (!rulesByParent.has(parent)) {
+            rulesByParent.set(parent, {
+                parent,
+                kind: CONDITIONAL_PARENT_TYPES[parent.fieldType],
+                dependents: []
+            });
+        }
+        // DocuSign names list options by value; the PDF field holds the option text
+        let value = String(record.tab.conditionalParentValue === undefined ? '' : record.tab.conditionalParentValue);
+        if (CONDITIONAL_PARENT_TYPES[parent.fieldType] === 'list' && value !== '') {
+            value = findListOption(parent.tab.listItems, value);
+        }
+        rulesByParent.get(parent).dependents.push({ record, value });
+    }
+    
+    return Array.from(rulesByParent.values());
+}
+
+/**
+ * Collect every field that sits below a record in the conditional tree
+ * Hiding a dependent must also hide the fields that depend on it.
+ *
+ * @param {Object} record - Created-field record
+ * @param {Array<Object>} rules - Rules from collectConditionalRules()
+ * @param {Set<Object>} visited - Records already walked (guards against cycles)
+ * @returns {Array<string>} - Field names of all descendants
+ */
+function getConditionalDescendantNames(record, rules, visited = new Set()) {
+    if (visited.has(record)) {
+        return [];
+    }
+    visited.add(record);
+    
+    const rule = rules.find(candidate => candidate.parent === record);
+    if (!rule) {
+        return [];
+    }
+    
+    const names = [];
+    for (const dependent of rule.dependents) {
+        names.push(...dependent.record.fieldNames);
+        names.push(...getConditionalDescendantNames(dependent.record, rules, visited));
+    }
+    return names;
+}
+
+/**
+ * Build the Acrobat JavaScript that shows/hides a parent's dependents
+ *
+ * @param {Object} rule - Rule from collectConditionalRules()
+ * @param {Array<Object>} rules - All rules (for nested dependents)
+ * @returns {string} - JavaScript source
+ */
+function buildConditionalScript(rule, rules) {
+    const entries = rule.dependents.map(dependent => ({
+        value: dependent.value,
+        fields: dependent.record.fieldNames,
+        nested: getConditionalDescendantNames(dependent.record, rules)
+    }));
+    
+    // How the parent's current value is read depends on the event that runs the script
+    let currentValueExpression;
+    switch (rule.kind) {
+        case 'checkbox':
+            currentValueExpression = 'event.target.value !== "Off" ? "on" : "off"';
+            break;
+        case 'radio':
+            currentValueExpression = 'event.target.value === "Off" ? "" : String(event.target.value)';
+            break;
+        default:
+            currentValueExpression = 'String(event.value)';
+            break;
+    }
+    
+    return [
+        `var dsCurrent = ${currentValueExpression};`,
+        `var dsRules = ${JSON.stringify(entries)};`,
+        `var dsKind = ${JSON.stringify(rule.kind)};`,
+        '// Leave dependents alone when an earlier validation rejected the value',
+        'for (var i = 0; event.rc !== false && i < dsRules.length; i++) {',
+        '    var dsRule = dsRules[i];',
+        '    var dsShow = dsKind === "text" && dsRule.value === "" ? dsCurrent !== "" : dsRule.value === dsCurrent;',
+        '    var dsNames = dsShow ? dsRule.fields : dsRule.fields.concat(dsRule.nested);',
+        '    for (var j = 0; j < dsNames.length; j++) {',
+        '        var dsField = this.getField(dsNames[j]);',
+        '        if (!dsField) continue;',
+        '        dsField.display = dsShow ? display.visible : display.hidden;',
+        '        if (!dsShow) this.resetForm([dsNames[j]]);',
+        '    }',
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Show or hide every widget of a field
+ *
+ * @param {PDFField} field - The pdf-lib field
+ * @param {boolean} hidden - Whether the widgets should be hidden
+ */
+function setFieldHidden(field, hidden) {
+    for (const widget of field.acroField.getWidgets()) {
+        widget.setFlagTo(PDFLib.AnnotationFlags.Hidden, hidden);
+    }
+}
+
+/**
+ * Wire DocuSign conditional logic into the converted PDF
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Array<Object>} createdFields - Records of { tab, fieldType, fieldNames } for every converted tab
+ * @returns {number} - Number of dependent tabs wired to a parent
+ */
+function applyConditionalLogic(pdfDoc, createdFields) {
+    const rules = collectConditionalRules(createdFields);
+    if (rules.length === 0) {
+        return 0;
+    }
+    
+    const form = pdfDoc.getForm();
+    const getField = (name) => {
+        try {
+            return form.getField(name);
+        } catch (error) {
+            return null;
+        }
+    };
+    
+    let wired = 0;
+    
+    for (const rule of rules) {
+        const actionRef = createJavaScriptAction(pdfDoc, buildConditionalScript(rule, rules));
+        
+        for (const parentName of rule.parent.fieldNames) {
+            const parentField = getField(parentName);
+            if (!parentField) {
+                continue;
+            }
+            
+            if (rule.kind === 'checkbox' || rule.kind === 'radio') {
+                // Buttons change value on click, so run on mouse up of each widget
+                for (const widget of parentField.acroField.getWidgets()) {
+                    setAdditionalAction(pdfDoc, widget.dict, 'U', actionRef);
+                }
+            } else {
+                // Text and choice fields run once the new value is committed
+                setAdditionalAction(pdfDoc, parentField.acroField.dict, 'V', actionRef);
+                if (parentField instanceof PDFLib.PDFDropdown) {
+                    parentField.enableSelectOnClick();
+                }
+            }
+        }
+        
+        // Hide dependents whose parent starts with a non-matching value
+        const parentDefault = getConditionalParentDefault(rule.parent);
+        for (const dependent of rule.dependents) {
+            const visible = conditionalValueMatches(rule.kind, dependent.value, parentDefault);
+            if (!visible) {
+                const hiddenNames = dependent.record.fieldNames
+                    .concat(getConditionalDescendantNames(dependent.record, rules));
+                for (const name of hiddenNames) {
+                    const field = getField(name);
+                    if (field) {
+                        setFieldHidden(field, true);
+                    }
+                }
+            }
+            wired++;
+        }
+    }
+    
+    return wired;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.applyConditionalLogic = applyConditionalLogic;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        applyConditionalLogic,
+        collectConditionalRules,
+        buildConditionalScript,
+        isConditionalTab
+    };
+}
@@ -0,0 +1,160 @@
+/**
+ * Conversion Report
+ * 
+ * This module records what happened to every DocuSign tab during conversion
+ * (created, fallback or skipped) so the result can be reviewed in the UI or
+ * exported as JSON/CSV for QA.
+ */
+
+// Outcome values used in report entries
+const REPORT_OUTCOMES = {
+    created: 'created',
+    fallback: 'fallback',
+    skipped: 'skipped'
+};
+
+// Column order used for CSV export
+const REPORT_CSV_COLUMNS = [
+    'index',
+    'recipientType',
+    'roleName',
+    'recipientId',
+    'routingOrder',
+    'recipientName',
+    'tabLabel',
+    'tabId',
+    'documentId',
+    'pageNumber',
+    'detectedType',
+    'fieldName',
+    'pdfFieldType',
+    'outcome',
+    'reason'
+];
+
+/**
+ * Create an empty conversion report
+ * 
+ * @returns {Object} - Report with summary counters and an entries list
+ */
+function createConversionReport() {
+    return {
+        generatedAt: new Date().toISOString(),
+        summary: {
+            totalTabs: 0,
+            created: 0,
+            fallback: 0,
+            skipped: 0,
+            byType: {},
+            skipReasons: {}
+        },
+        excludedDocuments: [],
+        formulaIssues: [],
+        entries: []
+    };
+}
+
+/**
+ * Record the outcome for a single tab
+ * 
+ * @param {Object} report - Report created by createConversionReport()
+ * @param {Object} tab - The DocuSign tab
+ * @param {Object} details - { index, detectedType, fieldName, pdfFieldType, outcome, reason }
+ * @returns {Object} - The recorded entry
+ */
+function recordReportEntry(report, tab, details) {
+    const source = (tab && tab.sourceRecipient) || {};
+    const safeTab = (tab && typeof tab === 'object') ? tab : {};
+    const pageNumber = parseInt(safeTab.pageNumber || safeTab.page, 10);
+    
+    const entry = {
+        index: details.index,
+        recipientType: source.type || null,
+        roleName: source.roleName || null,
+        recipientId: source.recipientId || (safeTab.recipientId ? String(safeTab.recipientId) : null),
+        routingOrder: source.routingOrder !== undefined ? source.routingOrder : null,
+        recipientName: source.name || null,
+        tabLabel: safeTab.tabLabel || safeTab.name || null,
+        tabId: safeTab.tabId || null,
+        documentId: safeTab.documentId ? String(safeTab.documentId) : null,
+        pageNumber: isNaN(pageNumber) ? null : pageNumber,
+        detectedType: details.detectedType || null,
+        fieldName: details.fieldName || null,
+        pdfFieldType: details.pdfFieldType || null,
+        outcome: details.outcome,
+        reason: details.reason || null
+    };
+    
+    report.entries.push(entry);
+    
+    // Keep the summary in step with the entries
+    const summary = report.summary;
+    summary.totalTabs++;
+    summary[entry.outcome] = (summary[entry.outcome] || 0) + 1;
+    
+    const typeKey = entry.detectedType || 'unknown';
+    if (!summary.byType[typeKey]) {
+        summary.byType[typeKey] = { created: 0, fallback: 0, skipped: 0 };
+    }
+    summary.byType[typeKey][entry.outcome]++;
+    
+    if (entry.outcome === REPORT_OUTCOMES.skipped && entry.reason) {
+        summary.skipReasons[entry.reason] = (summary.skipReasons[entry.reason] || 0) + 1;
+    }
+    
+    return entry;
+}
+
+/**
+ * Serialize a conversion report to pretty-printed JSON
+ * 
+ * @param {Object} report - The conversion report
+ * @returns {string} - JSON text
+ */
+function conversionReportToJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Serialize the report entries to CSV (one row per tab)
+ * 
+ * @param {Object} report - The conversion report
+ * @returns {string} - CSV text with a header row
+ */
+function conversionReportToCSV(report) {
+    const escapeCell = (value) => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const rows = [REPORT_CSV_COLUMNS.join(',')];
+    for (const entry of report.entries) {
+        rows.push(REPORT_CSV_COLUMNS.map(column => escapeCell(entry[column])).join(','));
+    }
+    
+    return rows.join('\r\n');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.createConversionReport = createConversionReport;
+    window.recordReportEntry = recordReportEntry;
+    window.conversionReportToJSON = conversionReportToJSON;
+    window.conversionReportToCSV = conversionReportToCSV;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createConversionReport,
+        recordReportEntry,
+        conversionReportToJSON,
+        conversionReportToCSV,
+        REPORT_OUTCOMES
+    };
+}
@@ -10,6 +10,7 @@ const CONVERSION_CONFIG = {
     fieldDimensions: {
         text: { width: 120, height: 20 },
         checkbox: { width: 12, height: 12 },
+        radio: { width: 12, height: 12 },
         signature: { width: 120, height: 20 },
         initials: { width: 100, height: 25 },
         date: { width: 120, height: 20 }
@@ -30,6 +31,21 @@ const CONVERSION_CONFIG = {
         maxFieldNameLength: 60
     },
     
+    // Recipient collections in the DocuSign recipients object, in the order their tabs are read
+    recipientTypes: [
+        'signers',
+        'agents',
+        'editors',
+        'intermediaries',
+        'carbonCopies',
+        'certifiedDeliveries',
+        'inPersonSigners',
+        'seals',
+        'witnesses',
+        'notaries',
+        'participants'
+    ],
+    
     // System tab filtering
     systemTabPatterns: [
         /^\d+_\d+$/, // Pattern for system-generated tabs (e.g., "123456_789")
@@ -38,6 +54,23 @@ const CONVERSION_CONFIG = {
     ]
 };
 
+// tabType values that map to exactly one field type
+const EXACT_TAB_TYPES = {
+    note: 'noteTabs',
+    ssn: 'ssnTabs',
+    zip: 'zipTabs',
+    firstname: 'firstNameTabs',
+    lastname: 'lastNameTabs',
+    envelopeid: 'envelopeIdTabs',
+    approve: 'approveTabs',
+    decline: 'declineTabs',
+    view: 'viewTabs',
+    draw: 'drawTabs',
+    polylineoverlay: 'polyLineOverlayTabs',
+    commentthread: 'commentThreadTabs',
+    smartsection: 'smartSectionTabs'
+};
+
 /**
  * Determine DocuSign field type from tab data
  * 
@@ -66,11 +99,17 @@ function determineFieldType(tab) {
     // This prevents "signerattachment" from being caught by the "sign" check below
     if (tabType === 'signerattachment' || tabType.includes('attachment')) {
         return 'signerAttachmentTabs';
+    } else if (EXACT_TAB_TYPES[tabType]) {
+        // Names like "firstname" or "commentthread" would otherwise match a broader check below
+        return EXACT_TAB_TYPES[tabType];
     } else if (tabType === 'signhere' || tabType.includes('signhere')) {
         return 'signHereTabs';
     } else if (tabType === 'initialhere' || tabType.includes('initialhere')) {
         return 'initialHereTabs';
-    } else if (tabType === 'text' || tabType.includes('text')) {
+    } else if (tabType === 'formula' || tabType.includes('formula')) {
+        return 'formulaTabs';
+    } else if (tabType === 'text' || tabType.includes('text') || tabType === 'phonenumber') {
+        // Phone tabs are text fields with a built-in validation mask
         return 'textTabs';
     } else if (tabType === 'checkbox' || tabType.includes('checkbox')) {
         return 'checkboxTabs';
@@ -100,6 +139,11 @@ function determineFieldType(tab) {
         return 'signHereTabs';
     }
     
+    // Radio groups exported without a tabType are recognised by their radios
+    if (Array.isArray(tab.radios)) {
+        return 'radioGroupTabs';
+    }
+    
     return null;
 }
 
@@ -112,10 +156,13 @@ function determineFieldType(tab) {
 function updateFieldTypeCount(fieldType, counters) {
     switch (fieldType) {
         case 'textTabs':
+        case 'ssnTabs':
+        case 'zipTabs':
             counters.text++;
             break;
         case 'signHereTabs':
         case 'initialHereTabs':
+        case 'drawTabs':
             counters.signature++;
             break;
         case 'checkboxTabs':
@@ -133,6 +180,9 @@ function updateFieldTypeCount(fieldType, counters) {
         case 'signerAttachmentTabs':
             counters.attachment++;
             break;
+        case 'formulaTabs':
+            counters.formula++;
+            break;
         default:
             counters.other++;
             break;
@@ -186,7 +236,7 @@ function validateDocuSignJSON(templateData) {
  */
 function sanitizeFieldName(name) {
     if (!name || typeof name !== 'string') {
-        return 'field_' + Date.now();
+        return 'field';
     }
     
     // Remove potentially dangerous characters and limit length
@@ -196,6 +246,22 @@ function sanitizeFieldName(name) {
         .substring(0, 40); // Limit length
 }
 
+/**
+ * Normalize the excluded document IDs option into a Set of strings
+ * Accepts an array or a comma-separated string (as typed into the web form)
+ * @param {Array|string} excludeDocIds - Document IDs to exclude
+ * @returns {Set<string>} - Normalized set of document IDs
+ */
+function normalizeExcludedDocIds(excludeDocIds) {
+    const ids = Array.isArray(excludeDocIds)
+        ? excludeDocIds
+        : String(excludeDocIds || '').split(',');
+    
+    return new Set(
+        ids.map(id => String(id).trim()).filter(id => id.length > 0)
+    );
+}
+
 /**
  * Main conversion function that takes DocuSign JSON data and converts it to a PDF
  * @param {Object} templateData - The parsed DocuSign template JSON
@@ -203,6 +269,46 @@ function sanitizeFieldName(name) {
  * @returns {Promise<Uint8Array>} - The converted PDF as bytes
  */
 async function convertDocuSignToPDF(templateData, options = {}) {
+    const result = await convertDocuSignTemplate(templateData, options);
+    return result.pdfBytes;
+}
+
+/**
+ * Convert DocuSign JSON data to a PDF and report what was done along the way
+ * @param {Object} templateData - The parsed DocuSign template JSON
+ * @param {Object} options - Conversion options
+ * @param {Array<string>|string} [options.excludeDocIds] - Document IDs to leave out of the output
+ * @param {boolean} [options.report] - Build a per-tab conversion report (see conversion-report.js)
+ * @param {Object} [options.fieldOverrides] - Field editor edits keyed by getTabKey(): { deleted, rect, fieldType, fieldName }
+ * @param {boolean} [options.hierarchicalFieldNames] - Use dotted field names (Role.Label.Part), see createFieldNamer()
+ * @param {boolean} [options.linkSharedFields] - Let repeated labels share one PDF field
+ * @param {boolean} [options.roleFieldNamePrefix] - Start field names with the recipient role (Buyer_Address)
+ * @param {Array<string>|string} [options.roles] - Only convert tabs of these role names or recipient IDs
+ * @param {string} [options.otherRoleFields] - With roles set: 'omit' other roles' fields (default),
+ *   make them 'readOnly' or 'flatten' them into the page with their default values
+ * @param {boolean} [options.colorByRecipient] - Color field borders and backgrounds per recipient
+ * @param {string} [options.listStyle] - List tabs as a 'dropdown' (default), scrolling 'listbox' or 'multiselect' list box
+ * @param {boolean} [options.editableLists] - Let dropdown lists take typed-in values
+ * @param {boolean} [options.sortListOptions] - Sort list options alphabetically
+ * @param {string} [options.dateFormat] - Date format: a locale preset (en-GB, de-DE, iso, ...) or a
+ *   pattern such as dd/MM/yyyy; defaults to the template's signDateFormat, then month/day/year
+ * @param {boolean} [options.prefillDates] - Fill empty date fields with the conversion date
+ * @param {boolean} [options.dateOnSign] - Fill Date Signed fields when the signer's signature is applied
+ * @param {string} [options.signatureLocks] - Fields a signature locks once signed: its recipient's
+ *   ('recipient', default), also those of earlier routing orders ('routing') or none ('none')
+ * @param {Object} [options.signatureSeedValue] - Seed values written into every signature field,
+ *   e.g. { subFilters: ['ETSI.CAdES.detached'], required: true } (see createSeedValue())
+ * @param {Uint8Array|ArrayBuffer} [options.certificate] - PKCS#12 (.p12/.pfx) file to certify the PDF with;
+ *   the certification allows form filling and signing but no other changes
+ * @param {string} [options.certificatePassword] - Password of the PKCS#12 file
+ * @param {string} [options.certificationReason] - Reason recorded in the certifying signature
+ * @param {Object} [options.prefillData] - Values to fill in, keyed by tab label or "Role.Label" (one
+ *   row from parsePrefillData()); blank values keep the template's defaults
+ * @returns {Promise<Object>} - { pdfBytes, excludedDocuments, report, placements, pageSizes }
+ *   (report is null unless requested; placements are the computed field rectangles per page,
+ *   each with the recipient the tab belongs to)
+ */
+async function convertDocuSignTemplate(templateData, options = {}) {
     try {
         // Input validation and sanitization
         validateDocuSignJSON(templateData);
@@ -217,12 +323,24 @@ async function convertDocuSignToPDF(templateData, options = {}) {
 
         // Note: Signature fields are now created directly during conversion using direct PDF manipulation
 
+        // Documents the user asked to leave out (e.g. DocuSign cover sheets and disclosures)
+        const excludedDocIds = normalizeExcludedDocIds(options.excludeDocIds);
+        const excludedDocuments = [];
+
         // Decode and process each document
         const pdfDocs = [];
         for (const doc of documents) {
             const docId = String(doc.documentId); // Ensure consistent string type for document IDs
             const base64Data = doc.documentBase64 || doc.documentBase64Bytes;
             
+            if (excludedDocIds.has(docId)) {
+                excludedDocuments.push({
+                    documentId: docId,
+                    name: doc.name || null
+                });
+                continue;
+            }
+            
             if (!base64Data) {
                 continue;
             }
@@ -230,13 +348,18 @@ async function convertDocuSignToPDF(templateData, options = {}) {
             try {
                 const pdfBytes = base64ToUint8Array(base64Data);
                 const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
-                pdfDocs.push({ docId, pdfDoc });
+                // DocuSign's page images, when listed, fix the scale of its coordinates
+                const docuSignPages = Array.isArray(doc.pages) ? doc.pages : [];
+                pdfDocs.push({ docId, pdfDoc, docuSignPages });
             } catch (error) {
                 // Skip invalid documents
             }
         }
 
         if (pdfDocs.length === 0) {
+            if (excludedDocuments.length > 0) {
+                throw new Error('All documents in the template were excluded');
+            }
             throw new Error('No valid PDF documents found in template');
         }
 
@@ -245,7 +368,7 @@ async function convertDocuSignToPDF(templateData, options = {}) {
         const pageMapping = []; // Track which pages belong to which document
 
         // Merge all pages from all documents
-        for (const { docId, pdfDoc } of pdfDocs) {
+        for (const { docId, pdfDoc, docuSignPages } of pdfDocs) {
             const startPage = mergedPdf.getPageCount();
             const pages = await mergedPdf.copyPages(pdfDoc, pdfDoc.getPageIndices());
             
@@ -257,12 +380,57 @@ async function convertDocuSignToPDF(templateData, options = {}) {
                 docId,
                 startPage,
                 endPage: mergedPdf.getPageCount() - 1,
-                totalPages: pdfDoc.getPageCount()
+                totalPages: pdfDoc.getPageCount(),
+                docuSignPages
             });
         }
 
-        // Get all recipient tabs
-        const tabs = getAllRecipientTabs(templateData);
+        // Get all recipient tabs, with anchor tabs placed at every match of their anchor text
+        // and values from the prefill data, if any
+        const prefillLookup = createPrefillLookup(options.prefillData);
+        const tabs = (await resolveAnchorTabs(getAllRecipientTabs(templateData), mergedPdf, pageMapping))
+            .map(withRadioGroupPosition)
+            .map(tab => applyPrefillData(tab, prefillLookup));
+        
+        // Limit the output to the selected roles, if any
+        const roleFilter = normalizeRoleFilter(options.roles);
+        if (roleFilter.length > 0 && !tabs.some(tab => tab && typeof tab === 'object' && tabMatchesRoles(tab, roleFilter))) {
+            throw new Error(`No tabs belong to the selected roles: ${roleFilter.join(', ')}`);
+        }
+        // Other roles' tabs are left out unless they should stay visible (read-only or flattened)
+        const otherRoleFieldMode = roleFilter.length > 0
+            ? normalizeOtherRoleFieldMode(options.otherRoleFields)
+            : OTHER_ROLE_FIELD_MODES.omit;
+        const otherRoleFields = [];
+        
+        // Optional per-tab report
+        const report = options.report ? createConversionReport() : null;
+        if (report) {
+            report.excludedDocuments = excludedDocuments.slice();
+        }
+        // Where each translated tab was placed, for the in-page preview
+        const placements = [];
+        // Stable field names, shared by linked tabs when requested
+        const fieldNamer = createFieldNamer(options);
+        // Fields a signature locks once it is signed
+        const signatureLockMode = options.signatureLocks || SIGNATURE_LOCK_MODES.recipient;
+        // Fields created per tab, needed by the report, recipient colors, date on sign, signature
+        // locks, other roles' fields, conditional logic and formulas
+        const trackCreatedFields = !!report || !!options.colorByRecipient || !!options.dateOnSign ||
+            signatureLockMode !== SIGNATURE_LOCK_MODES.none ||
+            otherRoleFieldMode !== OTHER_ROLE_FIELD_MODES.omit ||
+            tabs.some(tab => tab && (tab.conditionalParentLabel || tab.formula));
+        const createdFields = [];
+        // Kind of every field created so far, so linked tabs can be described without a form lookup
+        const createdFieldKinds = new Map();
+        // One date format for every date field: the chosen one or the template's
+        const dateFormat = resolveDateFormat(templateData, options);
+        
+        const recordTab = (tab, index, details) => {
+            if (report) {
+                recordReportEntry(report, tab, { index, ...details });
+            }
+        };
         
         // Track field types for processing
         const fieldTypeCounts = {
@@ -273,6 +441,7 @@ async function convertDocuSignToPDF(templateData, options = {}) {
             radio: 0,
             dropdown: 0,
             attachment: 0,
+            formula: 0,
             other: 0
         };
 
@@ -282,31 +451,56 @@ async function convertDocuSignToPDF(templateData, options = {}) {
             
             // Validate tab data
             if (!tab || typeof tab !== 'object') {
+                recordTab(tab, i, { outcome: 'skipped', reason: 'invalid_tab' });
                 continue;
             }
             
             const tabType = (tab.tabType || tab.type || '').toLowerCase();
             const docId = tab.documentId ? String(tab.documentId) : null;
             const pageNumber = parseInt(tab.pageNumber || tab.page || 1);
+            const detectedType = determineFieldType(tab);
+
+            // Tabs of roles that were not selected
+            const isOtherRole = !tabMatchesRoles(tab, roleFilter);
+            if (isOtherRole && otherRoleFieldMode === OTHER_ROLE_FIELD_MODES.omit) {
+                recordTab(tab, i, { detectedType, outcome: 'skipped', reason: 'role_not_selected' });
+                continue;
+            }
+
+            // Anchor tabs whose anchor text isn't in any document
+            if (tab.anchorNotFound) {
+                recordTab(tab, i, { detectedType, outcome: 'skipped', reason: 'anchor_not_found' });
+                continue;
+            }
+
+            // Tabs on excluded documents have nowhere to go
+            if (docId && excludedDocIds.has(docId)) {
+                recordTab(tab, i, { detectedType, outcome: 'skipped', reason: 'excluded_document' });
+                continue;
+            }
 
             // Find the correct page in the merged PDF
             const pageMappingEntry = pageMapping.find(mapping => mapping.docId === docId);
             if (!pageMappingEntry) {
+                recordTab(tab, i, { detectedType, outcome: 'skipped', reason: 'unknown_document' });
                 continue;
             }
 
 
             const absolutePageIndex = pageMappingEntry.startPage + Math.max(0, pageNumber - 1);
-            if (absolutePageIndex >= mergedPdf.getPageCount()) {
+            if (absolutePageIndex > pageMappingEntry.endPage) {
+                recordTab(tab, i, { detectedType, outcome: 'skipped', reason: 'page_out_of_range' });
                 continue;
             }
 
             const page = mergedPdf.getPage(absolutePageIndex);
-            const pageSize = page.getSize();
+            const docuSignPage = getDocuSignPageInfo(pageMappingEntry, pageNumber);
+            const geometry = getPageGeometry(page, docuSignPage);
             
         // Convert tab coordinates
-        const rect = getTabRectangle(tab, pageSize, options);
+        let rect = getTabRectangle(tab, geometry, options);
         if (!rect) {
+            recordTab(tab, i, { detectedType, outcome: 'skipped', reason: 'invalid_rectangle' });
             continue;
         }
 
@@ -331,12 +525,25 @@ async function convertDocuSignToPDF(templateData, options = {}) {
             
             // Only skip if it's both very small AND at origin, OR if it has a system name pattern
             if ((isVerySmall && isAtOrigin) || hasSystemName) {
+                recordTab(tab, i, { detectedType, outcome: 'skipped', reason: 'system_tab' });
                 continue;
             }
         }
 
+        // Apply edits made in the field editor (keyed by tab identity)
+        const tabKey = getTabKey(tab, i);
+        const override = getFieldOverride(options.fieldOverrides, tabKey);
+        if (override.deleted) {
+            recordTab(tab, i, { detectedType, outcome: 'skipped', reason: 'deleted_by_user' });
+            continue;
+        }
+        if (override.rect) {
+            rect = override.rect;
+        }
+        const fieldType = override.fieldType || detectedType;
+
         // Create form field based on tab type
-        const fieldName = getTabName(tab, i);
+        const { fieldName, linked } = fieldNamer.nameFor(tab, fieldType, override.fieldName);
         let defaultValue = tab.value || tab.defaultValue || '';
         
         // Show field names as placeholders if option is enabled
@@ -344,16 +551,36 @@ async function convertDocuSignToPDF(templateData, options = {}) {
             defaultValue = `[${fieldName}]`;
         }
 
+        placements.push({
+            tabKey,
+            tabIndex: i,
+            pageIndex: absolutePageIndex,
+            rect,
+            tabLabel: tab.tabLabel || tab.name || null,
+            detectedType,
+            fieldType,
+            fieldName,
+            recipient: tab.sourceRecipient || null
+        });
+
+        // Fields this tab produces are registered after the current last object
+        const lastObjectNumber = trackCreatedFields ? mergedPdf.context.largestObjectNumber : null;
+
         // Use the translation system to process the field
-        const fieldType = determineFieldType(tab);
-        
         if (fieldType) {
             
             // Use the field translation system
             const success = await translateField(fieldType, tab, mergedPdf, page, {
                 ...options,
                 fieldName: fieldName,
+                linkedField: linked,
                 rect: rect,
+                // Translators that place several widgets (radio groups) move them along
+                rectOverride: override.rect || null,
+                docuSignPage,
+                // Radios of one group may sit on other pages of the same document
+                resolvePage: (number) => getDocumentPage(mergedPdf, pageMappingEntry, number),
+                dateFormat,
                 defaultValue: defaultValue
             });
             
@@ -362,11 +589,71 @@ async function convertDocuSignToPDF(templateData, options = {}) {
             } else {
                 fieldTypeCounts.other++;
             }
+            
+            if (trackCreatedFields) {
+                const translatorConfig = getFieldTypeConfig(fieldType);
+                const skipReason = translatorConfig && !translatorConfig.enabled
+                    ? 'field_type_disabled'
+                    : 'translator_failed';
+                const created = describeCreatedFields(mergedPdf, lastObjectNumber, createdFieldKinds, fieldType, success, skipReason, linked ? fieldName : null);
+                // A linked tab is another widget of a field that is already tracked
+                if (!linked) {
+                    createdFields.push({ tab, fieldType, fieldNames: created.fieldNames });
+                }
+                if (isOtherRole && !linked) {
+                    otherRoleFields.push({ fieldType, fieldNames: created.fieldNames });
+                }
+                recordTab(tab, i, {
+                    detectedType,
+                    ...created,
+                    reason: created.reason || (isOtherRole ? 'other_role_field' : null) ||
+                        (created.outcome === 'created' && isSharedTab(tab) ? 'shared_tab_unsupported' : null)
+                });
+            }
         } else {
             // Fallback to text field for unknown types
             await createTextField(mergedPdf, page, fieldName, rect, defaultValue, options);
             fieldTypeCounts.other++;
+            
+            if (trackCreatedFields) {
+                const created = describeCreatedFields(mergedPdf, lastObjectNumber, createdFieldKinds, null, true, 'translator_failed');
+                createdFields.push({ tab, fieldType: 'textTabs', fieldNames: created.fieldNames });
+                if (isOtherRole) {
+                    otherRoleFields.push({ fieldType: 'textTabs', fieldNames: created.fieldNames });
+                }
+                recordTab(tab, i, {
+                    ...created,
+                    outcome: created.outcome === 'skipped' ? 'skipped' : 'fallback',
+                    reason: created.reason || 'unknown_tab_type'
+                });
+            }
+        }
+        }
+
+        // Attach calculations to formula tabs now that the fields they read exist
+        if (createdFields.some(record => record.fieldType === 'formulaTabs')) {
+            const formulaIssues = applyFormulaCalculations(mergedPdf, createdFields);
+            if (report) {
+                report.formulaIssues = formulaIssues;
+            }
+        }
+
+        // Wire conditional tabs to their parents with show/hide actions
+        if (createdFields.some(record => record.tab.conditionalParentLabel)) {
+            applyConditionalLogic(mergedPdf, createdFields);
         }
+
+        // Date Signed fields fill themselves in when their signer signs
+        if (options.dateOnSign) {
+            applyDateOnSign(mergedPdf, createdFields, dateFormat);
+        }
+
+        // Turn widgets on rotated pages with the page, so their text reads upright
+        rotateWidgetsWithPages(mergedPdf);
+
+        // Highlight whose fields are whose
+        if (options.colorByRecipient) {
+            applyRecipientColors(mergedPdf, createdFields, getTemplateRoles(templateData));
         }
 
         // Apply masking if requested
@@ -376,15 +663,41 @@ async function convertDocuSignToPDF(templateData, options = {}) {
 
         // Ensure all form field appearances are updated before saving
         // This is crucial for proper rendering of interactive fields like checkboxes
+        // Styled fields are redrawn with their own fonts first, so they aren't reset to Helvetica
+        refreshStyledFieldAppearances(mergedPdf);
         const finalForm = mergedPdf.getForm();
         finalForm.updateFieldAppearances();
+        updateSignatureFieldAppearances(mergedPdf);
+
+        // Other roles' fields are locked or drawn into the page once their appearances are final
+        if (otherRoleFields.length > 0) {
+            applyOtherRoleFieldMode(mergedPdf, otherRoleFields, otherRoleFieldMode);
+        }
+
+        // Signing locks the signer's fields, as DocuSign does once a recipient has signed
+        applySignatureLocks(mergedPdf, createdFields, { mode: signatureLockMode, dateOnSign: options.dateOnSign });
 
         // Field creation completed
 
-        // Return the final PDF as bytes
-        // Note: Signature fields are now created directly during the conversion process
-        // using direct PDF manipulation, so no post-processing is needed
-        return await mergedPdf.save();
+        // Return the final PDF as bytes, certified as the last step when a certificate is given
+        const pageSizes = mergedPdf.getPages().map(page => page.getSize());
+        const pdfBytes = options.certificate
+            ? await certifyPdfDocument(mergedPdf, options.certificate, options.certificatePassword, {
+                reason: options.certificationReason || 'Certified form'
+            })
+            : await mergedPdf.save();
+        
+        if (report) {
+            report.summary.fieldTypeCounts = fieldTypeCounts;
+        }
+        
+        return {
+            pdfBytes,
+            excludedDocuments,
+            report,
+            placements,
+            pageSizes
+        };
         
     } catch (error) {
         // Log error details for debugging (in development only)
@@ -393,41 +706,82 @@ async function convertDocuSignToPDF(templateData, options = {}) {
         }
         
         // Return generic error message to prevent information disclosure
-        throw new Error('PDF conversion failed. Please check your file and try again.');
+        // (the original error stays available as `cause` for the command line tool)
+        throw new Error('PDF conversion failed. Please check your file and try again.', { cause: error });
     }
 }
 
 /**
- * Extract all recipient tabs from the template data
+ * List the recipients of a template with the tabs each one owns
+ * Covers every collection of the recipients object plus the legacy recipientTabs array.
  * @param {Object} templateData - The template JSON data
- * @returns {Array} - Array of tab objects
+ * @returns {Array} - Array of { source, tabLists } where source is { type, roleName, recipientId, routingOrder, name }
  */
-function getAllRecipientTabs(templateData) {
-    const tabs = [];
+function getTemplateRecipients(templateData) {
+    const result = [];
     const recipients = templateData.recipients || {};
     
-    // Collect tabs from signers, agents, and editors
-    const recipientTypes = ['signers', 'agents', 'editors'];
-    for (const type of recipientTypes) {
-        const recipientsOfType = recipients[type] || [];
+    // Read every recipient collection; unknown collections are read after the known
+    // ones so newer DocuSign recipient types are not dropped
+    const knownTypes = CONVERSION_CONFIG.recipientTypes;
+    const otherTypes = Object.keys(recipients).filter(type => !knownTypes.includes(type));
+    for (const type of knownTypes.concat(otherTypes)) {
+        const recipientsOfType = Array.isArray(recipients[type]) ? recipients[type] : [];
         for (const recipient of recipientsOfType) {
-            const recipientTabs = recipient.tabs || {};
-            for (const tabList of Object.values(recipientTabs)) {
-                if (Array.isArray(tabList)) {
-                    tabs.push(...tabList);
-                }
+            if (!recipient || typeof recipient !== 'object') {
+                continue;
             }
+            result.push({
+                source: getRecipientSource(recipient, type),
+                tabLists: Object.values(recipient.tabs || {})
+            });
         }
     }
     
-    // Collect tabs from recipientTabs array (legacy format)
+    // Legacy format: tab lists sit directly on each recipientTabs entry
     const recipientTabs = templateData.recipientTabs || [];
     for (const rt of recipientTabs) {
-        if (typeof rt === 'object') {
-            for (const tabList of Object.values(rt)) {
-                if (Array.isArray(tabList)) {
-                    tabs.push(...tabList);
-                }
+        if (rt && typeof rt === 'object') {
+            result.push({
+                source: getRecipientSource(rt, 'recipientTabs'),
+                tabLists: Object.values(rt)
+            });
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Describe the recipient a tab belongs to
+ * @param {Object} recipient - The DocuSign recipient (or legacy recipientTabs entry)
+ * @param {string} type - The recipient collection it came from
+ * @returns {Object} - { type, roleName, recipientId, routingOrder, name }
+ */
+function getRecipientSource(recipient, type) {
+    const routingOrder = parseInt(recipient.routingOrder, 10);
+    return {
+        type,
+        roleName: recipient.roleName || null,
+        recipientId: recipient.recipientId ? String(recipient.recipientId) : null,
+        routingOrder: isNaN(routingOrder) ? null : routingOrder,
+        // In-person signers are named by signerName (the host is the DocuSign user)
+        name: recipient.name || recipient.signerName || null
+    };
+}
+
+/**
+ * Extract all recipient tabs from the template data
+ * @param {Object} templateData - The template JSON data
+ * @returns {Array} - Array of tab objects
+ */
+function getAllRecipientTabs(templateData) {
+    const tabs = [];
+    
+    for (const { source, tabLists } of getTemplateRecipients(templateData)) {
+        for (const tabList of tabLists) {
+            if (Array.isArray(tabList)) {
+                tabs.push(...tabList.map(tab => withSourceRecipient(tab, source)));
             }
         }
     }
@@ -435,10 +789,385 @@ function getAllRecipientTabs(templateData) {
     return tabs;
 }
 
+/**
+ * Copy a tab and remember which recipient it came from
+ * Non-object entries are returned untouched so the conversion loop can reject them
+ * @param {Object} tab - The tab object
+ * @param {Object} source - { type, roleName, recipientId, routingOrder, name }
+ * @returns {Object} - Tab copy with a sourceRecipient property
+ */
+function withSourceRecipient(tab, source) {
+    if (!tab || typeof tab !== 'object') {
+        return tab;
+    }
+    return { ...tab, sourceRecipient: source };
+}
+
+/**
+ * Give a radio group the page and position of its first radio
+ * DocuSign positions the radios, not the group, so without this the group would be
+ * placed, reported and filtered as a tab at the top-left of page 1
+ * @param {Object} tab - The tab object
+ * @returns {Object} - The tab, or a positioned copy of a radio group
+ */
+function withRadioGroupPosition(tab) {
+    const hasPosition = (item) => item.xPosition !== undefined || item.xPositionString !== undefined ||
+        item.yPosition !== undefined || item.yPositionString !== undefined;
+    if (!tab || typeof tab !== 'object' || !Array.isArray(tab.radios) || hasPosition(tab)) {
+        return tab;
+    }
+    
+    const first = tab.radios.find(radio => radio && typeof radio === 'object' && hasPosition(radio));
+    if (!first) {
+        return tab;
+    }
+    
+    const positioned = {
+        ...tab,
+        pageNumber: first.pageNumber || tab.pageNumber || 1,
+        xPosition: first.xPosition !== undefined ? first.xPosition : (first.xPositionString || 0),
+        yPosition: first.yPosition !== undefined ? first.yPosition : (first.yPositionString || 0)
+    };
+    if (first.width || first.height) {
+        positioned.width = first.width;
+        positioned.height = first.height;
+    }
+    return positioned;
+}
+
+/**
+ * Check whether a tab is shared between recipients
+ * A PDF form can't limit who edits a field or ask for initials when a shared value
+ * changes, so shared tabs become ordinary fields; the report notes them for review.
+ * @param {Object} tab - The tab object
+ * @returns {boolean} - True when the tab, or any radio of a group, is shared
+ */
+function isSharedTab(tab) {
+    const isShared = (item) => isDocuSignFlagSet(item.shared) || isDocuSignFlagSet(item.requireInitialOnSharedChange);
+    return isShared(tab) || (Array.isArray(tab.radios) && tab.radios.some(radio => radio && typeof radio === 'object' && isShared(radio)));
+}
+
+/**
+ * Get the fields whose dictionaries were registered after an object number
+ * Only the new objects are read, so the cost doesn't grow with the size of the form.
+ * Field dictionaries carry their own /FT and /T; widgets and parent fields don't.
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {number} lastObjectNumber - Largest object number before the fields were created
+ * @returns {Array<Object>} - { name, kind } of each new field, in creation order
+ */
+function getFieldsCreatedSince(pdfDoc, lastObjectNumber) {
+    const context = pdfDoc.context;
+    const fields = [];
+    for (let objectNumber = lastObjectNumber + 1; objectNumber <= context.largestObjectNumber; objectNumber++) {
+        const ref = PDFLib.PDFRef.of(objectNumber);
+        // Fields removed again (e.g. by a failing translator) are deleted from the context
+        const dict = context.lookup(ref);
+        if (!(dict instanceof PDFLib.PDFDict) || !dict.has(PDFLib.PDFName.of('FT')) || !dict.has(PDFLib.PDFName.of('T'))) {
+            continue;
+        }
+        try {
+            const acroField = PDFLib.createPDFAcroField(dict, ref);
+            fields.push({ name: acroField.getFullyQualifiedName(), kind: getPdfFieldKind(acroField) });
+        } catch (error) {
+            // Not a field pdf-lib can read
+        }
+    }
+    return fields;
+}
+
+/**
+ * Describe an AcroForm field by its kind
+ * @param {PDFAcroField} acroField - The field, as read by createPDFAcroField()
+ * @returns {string} - 'text', 'signature', 'checkbox', 'radio', 'dropdown', 'listbox', 'button' or 'unknown'
+ */
+function getPdfFieldKind(acroField) {
+    if (acroField instanceof PDFLib.PDFAcroText) return 'text';
+    if (acroField instanceof PDFLib.PDFAcroSignature) return 'signature';
+    if (acroField instanceof PDFLib.PDFAcroCheckBox) return 'checkbox';
+    if (acroField instanceof PDFLib.PDFAcroRadioButton) return 'radio';
+    if (acroField instanceof PDFLib.PDFAcroComboBox) return 'dropdown';
+    if (acroField instanceof PDFLib.PDFAcroListBox) return 'listbox';
+    if (acroField instanceof PDFLib.PDFAcroPushButton) return 'button';
+    return 'unknown';
+}
+
+// Tab types that never create a field, with what they produce instead (null: nothing)
+const NON_FIELD_TAB_TYPES = {
+    polyLineOverlayTabs: 'overlay',
+    commentThreadTabs: 'annotation',
+    smartSectionTabs: null
+};
+
+/**
+ * Work out which fields a tab produced from the objects registered while it was translated
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {number} lastObjectNumber - Largest object number before the tab was translated
+ * @param {Map<string, string>} createdFieldKinds - Kinds of the fields created so far by name;
+ *   the tab's new fields are added
+ * @param {string|null} fieldType - The detected DocuSign field type
+ * @param {boolean} success - Whether the translator reported success
+ * @param {string} failureReason - Skip reason to use when nothing was created
+ * @param {string|null} linkedName - Shared field the tab was linked to, if any
+ * @returns {Object} - { fieldName, fieldNames, pdfFieldType, outcome, reason }
+ */
+function describeCreatedFields(pdfDoc, lastObjectNumber, createdFieldKinds, fieldType, success, failureReason, linkedName = null) {
+    // Linked tabs add a widget to an existing field instead of creating one
+    if (success && linkedName) {
+        const pdfFieldType = createdFieldKinds.get(linkedName) || getPdfFieldKind(pdfDoc.getForm().getField(linkedName).acroField);
+        return { fieldName: linkedName, fieldNames: [linkedName], pdfFieldType, outcome: 'created', reason: 'linked_field' };
+    }
+    
+    // Overlays and comments are drawn or annotated rather than made into fields
+    if (success && Object.prototype.hasOwnProperty.call(NON_FIELD_TAB_TYPES, fieldType)) {
+        const pdfFieldType = NON_FIELD_TAB_TYPES[fieldType];
+        return {
+            fieldName: null,
+            fieldNames: [],
+            pdfFieldType,
+            outcome: pdfFieldType ? 'created' : 'skipped',
+            reason: pdfFieldType ? null : 'no_pdf_equivalent'
+        };
+    }
+    
+    const newFields = getFieldsCreatedSince(pdfDoc, lastObjectNumber);
+    newFields.forEach(field => createdFieldKinds.set(field.name, field.kind));
+    
+    if (!success || newFields.length === 0) {
+        return {
+            fieldName: null,
+            fieldNames: [],
+            pdfFieldType: null,
+            outcome: 'skipped',
+            reason: success ? 'no_field_created' : failureReason
+        };
+    }
+    
+    const fieldNames = newFields.map(field => field.name);
+    const fieldName = fieldNames.join(';');
+    const pdfFieldType = newFields[0].kind;
+    
+    // Signature tabs that ended up as text fields went through the fallback path
+    const expectsSignature = ['signHereTabs', 'initialHereTabs', 'stampTabs'].includes(fieldType);
+    if (expectsSignature && pdfFieldType !== 'signature') {
+        return { fieldName, fieldNames, pdfFieldType, outcome: 'fallback', reason: 'signature_field_fallback' };
+    }
+    
+    return { fieldName, fieldNames, pdfFieldType, outcome: 'created', reason: null };
+}
+
+// ============================================================================
+// PAGE GEOMETRY
+// ============================================================================
+
+/**
+ * Find DocuSign's description of a document page
+ * @param {Object} pageMappingEntry - Merged page range of a document ({ docuSignPages })
+ * @param {number} pageNumber - One-based page number within the document
+ * @returns {Object|null} - DocuSign page ({ width, height, dpi }) or null when not listed
+ */
+function getDocuSignPageInfo(pageMappingEntry, pageNumber) {
+    const pages = (pageMappingEntry && pageMappingEntry.docuSignPages) || [];
+    return pages.find(page => page && parseInt(page.sequence) === pageNumber) || null;
+}
+
+/**
+ * Find a page of one document in the merged PDF
+ * @param {PDFDocument} pdfDoc - The merged PDF
+ * @param {Object} pageMappingEntry - Merged page range of the document ({ startPage, endPage, docuSignPages })
+ * @param {number} pageNumber - One-based page number within the document
+ * @returns {Object|null} - { page, pageIndex, docuSignPage } or null when the document has no such page
+ */
+function getDocumentPage(pdfDoc, pageMappingEntry, pageNumber) {
+    const pageIndex = pageMappingEntry.startPage + Math.max(0, pageNumber - 1);
+    if (isNaN(pageIndex) || pageIndex > pageMappingEntry.endPage) {
+        return null;
+    }
+    return {
+        page: pdfDoc.getPage(pageIndex),
+        pageIndex,
+        docuSignPage: getDocuSignPageInfo(pageMappingEntry, pageNumber)
+    };
+}
+
+/**
+ * Describe how DocuSign coordinates map onto a PDF page
+ * DocuSign measures from the top-left corner of the page as it is displayed: cropped to
+ * the CropBox and turned by /Rotate, in pixels of its page image. Without a page image
+ * size in the template those pixels are points (72 per inch).
+ * @param {PDFPage} page - The PDF page
+ * @param {Object} [pageInfo] - DocuSign page ({ width, height, dpi }) from getDocuSignPageInfo()
+ * @returns {Object} - { width, height, box, rotation, scaleX, scaleY } (width and height as displayed, in points)
+ */
+function getPageGeometry(page, pageInfo = null) {
+    const box = page.getCropBox();
+    const rotation = ((Math.round(page.getRotation().angle / 90) % 4) + 4) % 4 * 90;
+    const sideways = rotation === 90 || rotation === 270;
+    const width = sideways ? box.height : box.width;
+    const height = sideways ? box.width : box.height;
+    
+    let scaleX = 1;
+    let scaleY = 1;
+    if (pageInfo) {
+        const imageWidth = parseFloat(pageInfo.width);
+        const imageHeight = parseFloat(pageInfo.height);
+        const dpi = parseFloat(pageInfo.dpi);
+        if (imageWidth > 0 && imageHeight > 0) {
+            scaleX = width / imageWidth;
+            scaleY = height / imageHeight;
+        } else if (dpi > 0) {
+            scaleX = scaleY = 72 / dpi;
+        }
+    }
+    
+    return { width, height, box, rotation, scaleX, scaleY };
+}
+
+/**
+ * Accept either a page geometry or a plain { width, height } page size
+ * @param {Object} pageSize - Geometry from getPageGeometry() or a page size
+ * @returns {Object} - Page geometry
+ */
+function normalizePageGeometry(pageSize) {
+    if (pageSize.box) {
+        return pageSize;
+    }
+    return {
+        width: pageSize.width,
+        height: pageSize.height,
+        box: { x: 0, y: 0, width: pageSize.width, height: pageSize.height },
+        rotation: 0,
+        scaleX: 1,
+        scaleY: 1
+    };
+}
+
+/**
+ * Convert a point from DocuSign coordinates to PDF user space
+ * @param {Object} geometry - Page geometry from getPageGeometry()
+ * @param {number} x - DocuSign x (from the left of the displayed page)
+ * @param {number} y - DocuSign y (from the top of the displayed page)
+ * @returns {Object} - { x, y } in PDF user space
+ */
+function docuSignPointToPdf(geometry, x, y) {
+    const { box } = geometry;
+    const across = x * geometry.scaleX;
+    const down = y * geometry.scaleY;
+    
+    switch (geometry.rotation) {
+        case 90:
+            return { x: box.x + down, y: box.y + across };
+        case 180:
+            return { x: box.x + box.width - across, y: box.y + down };
+        case 270:
+            return { x: box.x + box.width - down, y: box.y + box.height - across };
+        default:
+            return { x: box.x + across, y: box.y + box.height - down };
+    }
+}
+
+/**
+ * Convert a point from PDF user space to DocuSign coordinates (inverse of docuSignPointToPdf)
+ * @param {Object} geometry - Page geometry from getPageGeometry()
+ * @param {number} x - PDF x
+ * @param {number} y - PDF y
+ * @returns {Object} - { x, y } in DocuSign coordinates
+ */
+function pdfPointToDocuSign(geometry, x, y) {
+    const { box } = geometry;
+    let across;
+    let down;
+    
+    switch (geometry.rotation) {
+        case 90:
+            across = y - box.y;
+            down = x - box.x;
+            break;
+        case 180:
+            across = box.x + box.width - x;
+            down = y - box.y;
+            break;
+        case 270:
+            across = box.y + box.height - y;
+            down = box.x + box.width - x;
+            break;
+        default:
+            across = x - box.x;
+            down = box.y + box.height - y;
+    }
+    
+    return { x: across / geometry.scaleX, y: down / geometry.scaleY };
+}
+
+/**
+ * Convert a DocuSign rectangle to a PDF rectangle
+ * On pages turned sideways the rectangle's width runs up the page.
+ * @param {Object} geometry - Page geometry from getPageGeometry() (or a plain page size)
+ * @param {number} x - DocuSign x of the top-left corner
+ * @param {number} y - DocuSign y of the top-left corner
+ * @param {number} width - Width as displayed
+ * @param {number} height - Height as displayed
+ * @returns {Object} - { llx, lly, urx, ury } in PDF user space
+ */
+function docuSignRectToPdfRect(geometry, x, y, width, height) {
+    const normalized = normalizePageGeometry(geometry);
+    const topLeft = docuSignPointToPdf(normalized, x, y);
+    const bottomRight = docuSignPointToPdf(normalized, x + width, y + height);
+    
+    return {
+        llx: Math.min(topLeft.x, bottomRight.x),
+        lly: Math.min(topLeft.y, bottomRight.y),
+        urx: Math.max(topLeft.x, bottomRight.x),
+        ury: Math.max(topLeft.y, bottomRight.y)
+    };
+}
+
+/**
+ * Give every widget on a rotated page the page's rotation
+ * Appearances are drawn turned by /MK /R, so text in fields reads the same way as the
+ * page; they are regenerated when the converter refreshes field appearances.
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @returns {number} - Number of widgets rotated
+ */
+function rotateWidgetsWithPages(pdfDoc) {
+    const rotations = new Map();
+    for (const page of pdfDoc.getPages()) {
+        const rotation = getPageGeometry(page).rotation;
+        if (rotation !== 0) {
+            rotations.set(page.ref, rotation);
+        }
+    }
+    if (rotations.size === 0) {
+        return 0;
+    }
+    
+    const form = pdfDoc.getForm();
+    let rotated = 0;
+    for (const field of form.getFields()) {
+        let changed = false;
+        for (const widget of field.acroField.getWidgets()) {
+            const rotation = rotations.get(widget.P());
+            // pdf-lib writes /R 0 for every new widget; anything else was set on purpose
+            const characteristics = widget.getAppearanceCharacteristics();
+            if (!rotation || (characteristics && characteristics.getRotation())) {
+                continue;
+            }
+            widget.getOrCreateAppearanceCharacteristics().setRotation(rotation);
+            changed = true;
+            rotated++;
+        }
+        if (changed) {
+            form.markFieldAsDirty(field.ref);
+        }
+    }
+    
+    return rotated;
+}
+
 /**
  * Get the rectangle coordinates for a tab, converted to PDF coordinate system
  * @param {Object} tab - The tab object
- * @param {Object} pageSize - The page size object with width and height
+ * @param {Object} pageSize - Page geometry from getPageGeometry(), or a plain { width, height }
+ *   page size for an unrotated page at the origin
  * @param {Object} options - Styling options
  * @returns {Object|null} - Rectangle object or null if invalid
  */
@@ -455,7 +1184,10 @@ function getTabRectangle(tab, pageSize, options = {}) {
         if (fieldType === 'checkboxTabs') {
             defaultWidth = CONVERSION_CONFIG.fieldDimensions.checkbox.width;
             defaultHeight = CONVERSION_CONFIG.fieldDimensions.checkbox.height;
-        } else if (fieldType === 'signHereTabs' || fieldType === 'stampTabs') {
+        } else if (fieldType === 'radioGroupTabs') {
+            defaultWidth = CONVERSION_CONFIG.fieldDimensions.radio.width;
+            defaultHeight = CONVERSION_CONFIG.fieldDimensions.radio.height;
+        } else if (fieldType === 'signHereTabs' || fieldType === 'stampTabs' || fieldType === 'drawTabs') {
             defaultWidth = CONVERSION_CONFIG.fieldDimensions.signature.width;
             defaultHeight = CONVERSION_CONFIG.fieldDimensions.signature.height;
         } else if (fieldType === 'initialHereTabs') {
@@ -476,394 +1208,203 @@ function getTabRectangle(tab, pageSize, options = {}) {
         const height = (parsedHeight > 0) ? parsedHeight : defaultHeight;
         
         
-        // Convert from DocuSign coordinates (top-left origin) to PDF coordinates (bottom-left origin)
-        const llx = x;
-        const lly = pageSize.height - (y + height);
-        const urx = x + width;
-        const ury = pageSize.height - y;
-        
-        const rect = { llx, lly, urx, ury };
-        
-        return rect;
+        // Convert from DocuSign coordinates (top-left of the displayed page) to PDF user space
+        return docuSignRectToPdfRect(pageSize, x, y, width, height);
     } catch (error) {
         return null;
     }
 }
 
 /**
- * Generate a field name for a tab
+ * Get a stable identity for a tab, used to key field editor overrides
+ * Prefers DocuSign's tabId and falls back to the tab's position in the template;
+ * the second and later matches of an anchor tab share its tabId, so they are numbered
  * @param {Object} tab - The tab object
- * @param {number} index - The tab index
- * @returns {string} - The field name
+ * @param {number} index - The tab index in getAllRecipientTabs() order
+ * @returns {string} - The tab key
  */
-function getTabName(tab, index) {
-    const label = tab.tabLabel || tab.name || tab.documentId || 'Field';
-    // Sanitize the label first
-    const sanitizedLabel = sanitizeFieldName(label);
-    // Generate a more unique name to avoid conflicts
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 5);
-    return `${sanitizedLabel}_${index}_${timestamp}_${random}`;
+function getTabKey(tab, index) {
+    if (tab && tab.tabId) {
+        return tab.anchorMatchIndex > 0
+            ? `tabId:${tab.tabId}:${tab.anchorMatchIndex + 1}`
+            : `tabId:${tab.tabId}`;
+    }
+    return `index:${index}`;
 }
 
-
-
 /**
- * Create a text field on a page
- * @param {PDFDocument} pdfDoc - The PDF document
- * @param {PDFPage} page - The page to add the field to
- * @param {string} name - The field name
- * @param {Object} rect - The field rectangle
- * @param {string} defaultValue - The default value
- * @param {Object} options - Styling options
+ * Look up the field editor override for a tab
+ * @param {Object} fieldOverrides - Map of tab key to override
+ * @param {string} tabKey - The tab key from getTabKey()
+ * @returns {Object} - { deleted, rect, fieldType, fieldName } (empty object when not overridden)
  */
-async function createTextField(pdfDoc, page, name, rect, defaultValue = '', options = {}) {
-    const form = pdfDoc.getForm();
-    
-    // Check if field already exists to avoid duplicate name errors
-    try {
-        const existingField = form.getField(name);
-        if (existingField) {
-            return;
-        }
-    } catch (error) {
-        // Field doesn't exist, continue with creation
+function getFieldOverride(fieldOverrides, tabKey) {
+    if (!fieldOverrides || typeof fieldOverrides !== 'object') {
+        return {};
     }
     
-    const textField = form.createTextField(name);
-    textField.setText(defaultValue);
+    const override = fieldOverrides[tabKey];
+    if (!override || typeof override !== 'object') {
+        return {};
+    }
     
-    // Add the field to the page with basic styling
-    textField.addToPage(page, {
-        x: rect.llx,
-        y: rect.lly,
-        width: rect.urx - rect.llx,
-        height: rect.ury - rect.lly,
-    });
+    // Only accept well-formed rectangles from the editor
+    const rect = override.rect;
+    const hasValidRect = rect && ['llx', 'lly', 'urx', 'ury'].every(key => Number.isFinite(rect[key])) &&
+        rect.urx > rect.llx && rect.ury > rect.lly;
     
-    // Note: Advanced font styling is limited in PDF-lib's form field API
-    // The field will use the PDF's default font and styling
+    return {
+        deleted: override.deleted === true,
+        rect: hasValidRect ? { llx: rect.llx, lly: rect.lly, urx: rect.urx, ury: rect.ury } : null,
+        fieldType: typeof override.fieldType === 'string' && override.fieldType ? override.fieldType : null,
+        fieldName: typeof override.fieldName === 'string' && override.fieldName.trim() ? override.fieldName.trim() : null
+    };
 }
 
+// Field types whose repeated labels can share one PDF field (DocuSign "linked" tabs).
+// Signatures, radio groups and formulas always get a field of their own.
+const LINKABLE_FIELD_TYPES = [
+    'textTabs',
+    'numericalTabs',
+    'emailAddressTabs',
+    'ssnTabs',
+    'zipTabs',
+    'fullNameTabs',
+    'firstNameTabs',
+    'lastNameTabs',
+    'companyTabs',
+    'titleTabs',
+    'dateSignedTabs',
+    'checkboxTabs',
+    'listTabs'
+];
 
 /**
- * Create a REAL signature field on a page by directly manipulating the PDF's internal structure
- * This creates actual /Sig fields that Adobe Acrobat/Reader recognizes for digital signing
- * @param {PDFDocument} pdfDoc - The PDF document
- * @param {PDFPage} page - The page to add the field to
- * @param {string} name - The field name
- * @param {Object} rect - The field rectangle
- * @param {Object} options - Styling options
- * @param {number} pageNumber - The page number
- */
-/**
- * Unified signature field creation using direct PDF manipulation
- * 
- * This function creates Adobe Fill & Sign signature fields (both full signatures and initials) that allow users to:
- * - Draw signatures/initials using mouse/touch
- * - Upload signature/initials images  
- * - Type signatures/initials in signature fonts
- * - Use Adobe's built-in signature tools
+ * Create the field namer for one conversion
+ * Names are derived from the tab label (or group name), the recipient role and, for
+ * unlabeled tabs, the tab position, so converting the same template twice gives the
+ * same names. Collisions are resolved in tab order: a clash with another recipient's tab
+ * adds the role, anything else gets a counter (_2, _3, ...).
  * 
- * OPTIMIZATIONS IMPLEMENTED:
- * =========================
- * 
- * 1. UNIFIED FUNCTION: Single function handles both signatures and initials with type parameter
- * 2. REDUCED DUPLICATION: Shared logic for field creation, registration, and widget attachment
- * 3. PERFORMANCE: Cached AcroForm lookup, optimized object creation
- * 4. MAINTAINABILITY: Single source of truth for signature field logic
- * 
- * @param {PDFDocument} pdfDoc - The PDF document to add the signature field to
- * @param {PDFPage} page - The PDF page where the signature field will be placed
- * @param {string} name - The name of the signature field
- * @param {Object} rect - The rectangle coordinates {llx, lly, urx, ury}
- * @param {'signature'|'initials'} fieldType - Type of field to create (determines size and styling)
+ * @param {Object} options - Conversion options
+ * @param {boolean} [options.hierarchicalFieldNames] - Use dotted names such as Borrower.Address.City
+ * @param {boolean} [options.linkSharedFields] - Map repeated labels of the same recipient and type to one field
+ * @param {boolean} [options.roleFieldNamePrefix] - Start flat names with the role (Buyer_Address)
+ * @returns {Object} - Namer { nameFor(tab, fieldType, requestedName) } returning { fieldName, linked }
  */
-async function createSignatureField(pdfDoc, page, name, rect, fieldType = 'signature') {
-    try {
-        const isInitials = fieldType === 'initials';
-        const fieldTypeLabel = isInitials ? 'initials' : 'signature';
-        
-        // STEP 1: Clean and validate the field name
-        let cleanName = name;
-        if (!cleanName || typeof cleanName !== 'string') {
-            cleanName = `${fieldTypeLabel}_${Date.now()}`;
+function createFieldNamer(options = {}) {
+    const hierarchical = options.hierarchicalFieldNames === true;
+    const rolePrefix = options.roleFieldNamePrefix === true;
+    const usedNames = new Map(); // name -> role that claimed it
+    const linkedNames = new Map();
+    
+    // A dotted name also clashes with its parents and children (a.b can't be both a field and a parent)
+    const isTaken = (name) => {
+        if (usedNames.has(name)) {
+            return true;
         }
-        cleanName = cleanName.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 40);
-        
-        // STEP 2: Calculate field dimensions based on type
-        // Use the same minimum dimensions as the coordinate conversion for consistency
-        const minWidth = isInitials ? 100 : 120;   // Initials: 100pts, Signatures: 120pts (matches coordinate conversion)
-        const minHeight = isInitials ? 25 : 20;    // Initials: 25pts, Signatures: 20pts (matches coordinate conversion)
-        const width = Math.max(rect.urx - rect.llx, minWidth);
-        const height = Math.max(rect.ury - rect.lly, minHeight);
-        
-        // STEP 3: Create field rectangle array (used in multiple places)
-        const fieldRect = pdfDoc.context.obj([
-            PDFLib.PDFNumber.of(rect.llx),
-            PDFLib.PDFNumber.of(rect.lly),
-            PDFLib.PDFNumber.of(rect.llx + width),
-            PDFLib.PDFNumber.of(rect.lly + height)
-        ]);
-        
-        // STEP 4: Create appearance characteristics based on type
-        const bgColor = isInitials ? [0.97, 0.97, 0.97] : [0.95, 0.95, 0.95]; // Lighter for initials
-        const fontSize = isInitials ? 10 : 12; // Smaller font for initials
-        const appearanceDict = pdfDoc.context.obj({
-            BC: pdfDoc.context.obj([0, 0, 0]),           // Black border
-            BG: pdfDoc.context.obj(bgColor)              // Background color
-        });
-        const defaultAppearance = PDFLib.PDFString.of(`/Helv ${fontSize} Tf 0 g`);
-        
-        // STEP 5: Create the signature field dictionary
-        const signatureDict = pdfDoc.context.obj({
-            FT: PDFLib.PDFName.of('Sig'),                // Field Type: Signature
-            T: PDFLib.PDFString.of(cleanName),           // Field Name
-            Ff: PDFLib.PDFNumber.of(0),                  // Field Flags: Allow electronic signatures
-            Rect: fieldRect,                             // Field Rectangle
-            P: page.ref,                                 // Page Reference
-            V: null,                                     // Value (null = unsigned)
-            Lock: false,                                 // Not locked
-            F: PDFLib.PDFNumber.of(4),                   // Print flag
-            MK: appearanceDict,                          // Appearance characteristics
-            DA: defaultAppearance,                       // Default appearance string
-        });
-        
-        // STEP 6: Register the signature field
-        const signatureRef = pdfDoc.context.register(signatureDict);
-        
-        // STEP 7: Integrate with PDF's AcroForm system (optimized)
-        let acroForm = pdfDoc.catalog.get(PDFLib.PDFName.of('AcroForm'));
-        if (!acroForm) {
-            acroForm = pdfDoc.context.obj({
-                Fields: pdfDoc.context.obj([signatureRef]),
-                NeedAppearances: true
-            });
-            pdfDoc.catalog.set(PDFLib.PDFName.of('AcroForm'), acroForm);
-        } else {
-            const fields = acroForm.get(PDFLib.PDFName.of('Fields'));
-            if (fields) {
-                fields.push(signatureRef);
-            } else {
-                acroForm.set(PDFLib.PDFName.of('Fields'), pdfDoc.context.obj([signatureRef]));
+        if (!hierarchical) {
+            return false;
+        }
+        for (const used of usedNames.keys()) {
+            if (used.startsWith(`${name}.`) || name.startsWith(`${used}.`)) {
+                return true;
             }
         }
+        return false;
+    };
+    
+    const claim = (name, role) => {
+        usedNames.set(name, role);
+        return name;
+    };
+    
+    const getBaseSegments = (tab, fieldType) => {
+        const label = fieldType === 'radioGroupTabs'
+            ? (tab.groupName || tab.tabLabel)
+            : (tab.tabLabel || tab.name);
+        if (label) {
+            // Hierarchical names keep the label's own structure (Address.City, Address/City)
+            return hierarchical ? String(label).split(/[./]/).filter(Boolean) : [String(label)];
+        }
         
-        // STEP 8: Create widget annotation (reuse fieldRect and appearanceDict)
-        const widgetDict = pdfDoc.context.obj({
-            Type: PDFLib.PDFName.of('Annot'),
-            Subtype: PDFLib.PDFName.of('Widget'),
-            FT: PDFLib.PDFName.of('Sig'),
-            T: PDFLib.PDFString.of(cleanName),
-            Rect: fieldRect,                             // Reuse rectangle
-            P: page.ref,
-            F: PDFLib.PDFNumber.of(4),
-            AP: null,
-            MK: appearanceDict,                          // Reuse appearance
-            DA: defaultAppearance,                       // Reuse default appearance
-            Ff: PDFLib.PDFNumber.of(0),
-        });
-        
-        // STEP 9: Register and attach the widget annotation
-        const widgetRef = pdfDoc.context.register(widgetDict);
-        
-        // Handle annotations array properly - it might be a PDFRef or PDFArray
-        let annots = page.node.get(PDFLib.PDFName.of('Annots'));
-        
-        if (!annots) {
-            // Create new annotations array if none exists
-            page.node.set(PDFLib.PDFName.of('Annots'), pdfDoc.context.obj([widgetRef]));
-        } else {
-            // If it's a reference, get the actual array
-            if (annots instanceof PDFLib.PDFRef) {
-                annots = pdfDoc.context.lookup(annots);
-            }
+        // Unlabeled tabs are named after their position
+        const page = parseInt(tab.pageNumber || tab.page || 1, 10);
+        const x = Math.round(parseFloat(tab.xPosition || tab.xPositionString || 0));
+        const y = Math.round(parseFloat(tab.yPosition || tab.yPositionString || 0));
+        const type = (fieldType || 'field').replace(/Tabs$/, '');
+        return [`${type.charAt(0).toUpperCase()}${type.slice(1)}_p${page}_${x}_${y}`];
+    };
+    
+    return {
+        /**
+         * Pick the PDF field name for a tab
+         * @param {Object} tab - The tab object
+         * @param {string|null} fieldType - The field type the tab is converted to
+         * @param {string|null} requestedName - Name chosen in the field editor, if any
+         * @returns {Object} - { fieldName, linked } where linked means the field already exists
+         */
+        nameFor(tab, fieldType, requestedName = null) {
+            const source = tab.sourceRecipient || {};
+            const role = source.roleName ? sanitizeFieldName(source.roleName) : null;
             
-            // Ensure annots is a mutable array by creating a new one
-            const existingAnnots = [];
-            if (annots && annots.size && annots.size() > 0) {
-                for (let i = 0; i < annots.size(); i++) {
-                    existingAnnots.push(annots.get(i));
+            if (requestedName) {
+                const name = sanitizeFieldName(requestedName);
+                if (!isTaken(name)) {
+                    return { fieldName: claim(name, role), linked: false };
                 }
             }
-            existingAnnots.push(widgetRef);
-            page.node.set(PDFLib.PDFName.of('Annots'), pdfDoc.context.obj(existingAnnots));
-        }
-        
-    } catch (error) {
-        // Fall back to styled text field if signature field creation fails
-        await createSignatureFieldFallback(pdfDoc, page, name, rect);
-    }
-}
-
-// Convenience functions for backward compatibility and clarity
-async function createWorkingSignatureField(pdfDoc, page, name, rect) {
-    return createSignatureField(pdfDoc, page, name, rect, 'signature');
-}
-
-async function createWorkingInitialsField(pdfDoc, page, name, rect) {
-    return createSignatureField(pdfDoc, page, name, rect, 'initials');
-}
-
-/**
- * Creates a working electronic initials field using direct PDF manipulation
- * 
- * This function creates Adobe Fill & Sign signature fields specifically optimized for initials that allow users to:
- * - Draw initials using mouse/touch
- * - Upload initials images
- * - Type initials in signature fonts
- * - Use Adobe's built-in signature tools
- * 
- * DIFFERENCES FROM FULL SIGNATURE FIELDS:
- * =====================================
- * 
- * 1. SIZE OPTIMIZATION:
- *    - Smaller minimum dimensions (100x25 points vs 150x40 for signatures)
- *    - Optimized for initials rather than full signatures
- *    - More compact appearance suitable for initial placement
- * 
- * 2. STYLING DIFFERENCES:
- *    - Slightly different border styling (thinner border)
- *    - Different background color (slightly lighter)
- *    - Optimized for initials visibility
- * 
- * 3. BEHAVIOR:
- *    - Same Adobe Fill & Sign functionality as signature fields
- *    - Users can draw, upload, or type initials
- *    - Adobe recognizes it as a signature field (no separate initials field type in PDF spec)
- * 
- * HOW IT WORKS:
- * =============
- * 
- * Uses the same PDF structure as signature fields but with initials-optimized dimensions and styling.
- * Adobe AcroForms doesn't have a separate "initials" field type, so we use signature fields
- * with appropriate sizing and styling to create the initials experience.
- * 
- * @param {PDFDocument} pdfDoc - The PDF document to add the initials field to
- * @param {PDFPage} page - The PDF page where the initials field will be placed
- * @param {string} name - The name of the initials field
- * @param {Object} rect - The rectangle coordinates {llx, lly, urx, ury}
- */
-async function createWorkingInitialsField(pdfDoc, page, name, rect) {
-    try {
-        
-        // STEP 1: Clean and validate the field name
-        // PDF field names must be alphanumeric with underscores/hyphens only
-        let cleanName = name;
-        if (!cleanName || typeof cleanName !== 'string') {
-            cleanName = `Signature_${Date.now()}`;
-        }
-        cleanName = cleanName.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 40);
-        
-        // STEP 2: Calculate field dimensions
-        // Ensure minimum size for usability and visibility
-        const width = Math.max(rect.urx - rect.llx, 150);  // Minimum 150 points width
-        const height = Math.max(rect.ury - rect.lly, 40);  // Minimum 40 points height
-        
-        // STEP 3: Create the signature field dictionary
-        // This is the core field definition that Adobe will recognize
-        const signatureDict = pdfDoc.context.obj({
-            FT: PDFLib.PDFName.of('Sig'),                    // Field Type: Signature (required for Adobe Fill & Sign)
-            T: PDFLib.PDFString.of(cleanName),               // Field Name (must be valid PDF name)
-            Ff: PDFLib.PDFNumber.of(0),                      // Field Flags: 0 = Allow electronic signatures (not just digital)
-            Rect: pdfDoc.context.obj([                       // Field Rectangle [left, bottom, right, top]
-                PDFLib.PDFNumber.of(rect.llx),
-                PDFLib.PDFNumber.of(rect.lly),
-                PDFLib.PDFNumber.of(rect.llx + width),
-                PDFLib.PDFNumber.of(rect.lly + height)
-            ]),
-            P: page.ref,                                     // Page Reference (links field to specific page)
-            V: null,                                         // Value (null = unsigned, will be filled when signed)
-            Lock: false,                                     // Not locked (allows signing)
-            F: PDFLib.PDFNumber.of(4),                       // Print flag (field will print)
             
-            // APPEARANCE CHARACTERISTICS for visual feedback
-            MK: pdfDoc.context.obj({                         // Appearance characteristics
-                BC: pdfDoc.context.obj([0, 0, 0]),           // Border color (black border)
-                BG: pdfDoc.context.obj([0.95, 0.95, 0.95])   // Background color (light gray background)
-            }),
-            DA: PDFLib.PDFString.of('/Helv 12 Tf 0 g'),     // Default appearance string (font specification)
-        });
-        
-        // STEP 4: Register the signature field in the PDF context
-        // This makes the field part of the PDF's internal structure
-        const signatureRef = pdfDoc.context.register(signatureDict);
-        
-        // STEP 5: Integrate with PDF's AcroForm system
-        // AcroForm is PDF's standard form system that Adobe recognizes
-        let acroForm = pdfDoc.catalog.get(PDFLib.PDFName.of('AcroForm'));
-        if (!acroForm) {
-            // Create new AcroForm if document doesn't have one
-            acroForm = pdfDoc.context.obj({
-                Fields: pdfDoc.context.obj([signatureRef]),   // Array of field references
-                NeedAppearances: true                         // Ensure fields render properly
-            });
-            pdfDoc.catalog.set(PDFLib.PDFName.of('AcroForm'), acroForm);
-        } else {
-            // Add to existing AcroForm
-            const fields = acroForm.get(PDFLib.PDFName.of('Fields'));
-            if (fields) {
-                fields.push(signatureRef);                   // Add to existing fields array
+            const segments = getBaseSegments(tab, fieldType).map(sanitizeFieldName);
+            
+            // Linked tabs: same recipient, same label, same type -> same field
+            const linkKey = options.linkSharedFields && LINKABLE_FIELD_TYPES.includes(fieldType) && (tab.tabLabel || tab.name) && !requestedName
+                ? `${source.recipientId || role || ''}|${fieldType}|${tab.tabLabel || tab.name}`
+                : null;
+            if (linkKey && linkedNames.has(linkKey)) {
+                return { fieldName: linkedNames.get(linkKey), linked: true };
+            }
+            
+            let candidates;
+            if (hierarchical) {
+                const base = (role ? [role, ...segments] : segments).join('.');
+                candidates = [base];
             } else {
-                acroForm.set(PDFLib.PDFName.of('Fields'), pdfDoc.context.obj([signatureRef]));
+                // Another recipient's tab with the same label is told apart by role
+                const base = (rolePrefix && role ? [role, ...segments] : segments).join('_');
+                const owner = usedNames.get(base);
+                candidates = role && usedNames.has(base) && owner !== role ? [base, `${base}_${role}`] : [base];
             }
-        }
-        
-        // STEP 6: Create widget annotation for user interaction
-        // Widget annotations make fields visible and clickable in PDF viewers
-        const widgetDict = pdfDoc.context.obj({
-            Type: PDFLib.PDFName.of('Annot'),                // Annotation type
-            Subtype: PDFLib.PDFName.of('Widget'),            // Widget subtype (form field widget)
-            FT: PDFLib.PDFName.of('Sig'),                    // Field Type: Signature
-            T: PDFLib.PDFString.of(cleanName),               // Field name (must match field dictionary)
-            Rect: pdfDoc.context.obj([                       // Widget rectangle (same as field)
-                PDFLib.PDFNumber.of(rect.llx),
-                PDFLib.PDFNumber.of(rect.lly),
-                PDFLib.PDFNumber.of(rect.llx + width),
-                PDFLib.PDFNumber.of(rect.lly + height)
-            ]),
-            P: page.ref,                                     // Page reference
-            F: PDFLib.PDFNumber.of(4),                       // Print flag
-            AP: null,                                        // Appearance (null = use default)
             
-            // Widget appearance characteristics (same as field for consistency)
-            MK: pdfDoc.context.obj({
-                BC: pdfDoc.context.obj([0, 0, 0]),           // Border color
-                BG: pdfDoc.context.obj([0.95, 0.95, 0.95])   // Background color
-            }),
-            DA: PDFLib.PDFString.of('/Helv 12 Tf 0 g'),     // Default appearance
-            Ff: PDFLib.PDFNumber.of(0),                      // Field flags (allow electronic signatures)
-        });
-        
-        // STEP 7: Register and attach the widget annotation
-        const widgetRef = pdfDoc.context.register(widgetDict);
-        
-        // Add widget to page's annotation array
-        // This makes the field visible and interactive on the page
-        const annots = page.node.get(PDFLib.PDFName.of('Annots'));
-        if (annots) {
-            annots.push(widgetRef);                          // Add to existing annotations
-        } else {
-            page.node.set(PDFLib.PDFName.of('Annots'), pdfDoc.context.obj([widgetRef]));
+            let fieldName = candidates.find(candidate => !isTaken(candidate));
+            for (let counter = 2; !fieldName; counter++) {
+                const candidate = `${candidates[candidates.length - 1]}_${counter}`;
+                if (!isTaken(candidate)) {
+                    fieldName = candidate;
+                }
+            }
+            
+            claim(fieldName, role);
+            if (linkKey) {
+                linkedNames.set(linkKey, fieldName);
+            }
+            return { fieldName, linked: false };
         }
-        
-        
-    } catch (error) {
-        // Fall back to styled text field if signature field creation fails
-        await createSignatureFieldFallback(pdfDoc, page, name, rect);
-    }
+    };
 }
 
+
+
 /**
- * Fallback method for creating signature fields when real signature libraries are not available
- * Creates a styled text field that looks like a signature field
+ * Create a text field on a page
  * @param {PDFDocument} pdfDoc - The PDF document
  * @param {PDFPage} page - The page to add the field to
  * @param {string} name - The field name
  * @param {Object} rect - The field rectangle
+ * @param {string} defaultValue - The default value
  * @param {Object} options - Styling options
  */
-async function createSignatureFieldFallback(pdfDoc, page, name, rect, options = {}) {
+async function createTextField(pdfDoc, page, name, rect, defaultValue = '', options = {}) {
     const form = pdfDoc.getForm();
     
     // Check if field already exists to avoid duplicate name errors
@@ -876,111 +1417,19 @@ async function createSignatureFieldFallback(pdfDoc, page, name, rect, options =
         // Field doesn't exist, continue with creation
     }
     
-    try {
-        // Ensure minimum size for visibility and interaction
-        const originalWidth = rect.urx - rect.llx;
-        const originalHeight = rect.ury - rect.lly;
-        const width = Math.max(originalWidth, 100); // Minimum 100 points width for signature fields
-        const height = Math.max(originalHeight, 30); // Minimum 30 points height for signature fields
-        
-        // Create a text field styled to look like a signature field
-        const signatureField = form.createTextField(name);
-        
-        // Add the field to the page with signature field styling
-        signatureField.addToPage(page, {
-            x: rect.llx,
-            y: rect.lly,
-            width: width,
-            height: height,
-            // Signature field styling for professional appearance
-            borderColor: PDFLib.rgb(0, 0, 0), // Black border
-            borderWidth: 2, // Thicker border to indicate importance
-            backgroundColor: PDFLib.rgb(0.98, 0.98, 0.98), // Light gray background
-            // Add tooltip to indicate this is a signature field
-            tooltip: 'Click to add your signature'
-        });
-        
-        // Set placeholder text that indicates this is a signature field
-        const placeholderText = name.toLowerCase().includes('initial') ? '[INITIAL HERE]' : '[SIGN HERE]';
-        signatureField.setText(placeholderText);
-        
-        // Make the field required to indicate it needs to be filled
-        signatureField.enableRequired();
-        
-        
-    } catch (error) {
-        // Final fallback to basic text field if styled field creation fails
-        await createTextField(pdfDoc, page, name, rect, '[Signature Required]', options);
-    }
-}
-
-/**
- * Create a date field on a page using proper PDF AcroForm date field type
- * @param {PDFDocument} pdfDoc - The PDF document
- * @param {PDFPage} page - The page to add the field to
- * @param {string} name - The field name
- * @param {Object} rect - The field rectangle
- * @param {Object} options - Styling options
- */
-async function createDateField(pdfDoc, page, name, rect, options = {}) {
-    try {
-        const form = pdfDoc.getForm();
-        
-        // Check if field already exists to avoid duplicate name errors
-        try {
-            const existingField = form.getField(name);
-        if (existingField) {
-            return;
-        }
-        } catch (error) {
-            // Field doesn't exist, continue with creation
-        }
-        
-        // Create a text field that will be configured as a date field
-        // PDF-lib doesn't have a specific date field type, but we can create a text field
-        // with date-specific properties and validation
-        const dateField = form.createTextField(name);
-        
-        // Set the field as a date field by adding date-specific properties
-        // This creates a proper AcroForm field that PDF viewers will recognize as a date field
-        dateField.addToPage(page, {
-            x: rect.llx,
-            y: rect.lly,
-            width: rect.urx - rect.llx,
-            height: rect.ury - rect.lly,
-            // Add date field specific styling and properties
-            borderColor: PDFLib.rgb(0, 0, 0), // Black border
-            borderWidth: 1, // 1 point border width
-            backgroundColor: PDFLib.rgb(0.98, 0.98, 0.98), // Light gray background for date fields
-            // Add tooltip to indicate this is a date field
-            tooltip: 'Enter date in MM/DD/YYYY format'
-        });
-        
-        // Set additional properties to make this field behave as a date field
-        // Note: PDF-lib text fields don't support setFlag method, so we'll rely on styling and placeholder text
-        
-        // Set a placeholder value that indicates the expected date format
-        // This helps users understand what format to use
-        const today = new Date();
-        const formattedDate = (today.getMonth() + 1).toString().padStart(2, '0') + '/' + 
-                             today.getDate().toString().padStart(2, '0') + '/' + 
-                             today.getFullYear();
-        dateField.setText(formattedDate);
-        
-        // Update field appearance to ensure proper rendering
-        // Note: defaultUpdateAppearances() might fail if no font is set, so we'll skip it for date fields
-        try {
-            dateField.defaultUpdateAppearances();
-        } catch (error) {
-            // Appearance update failed, continue
-        }
-        
-    } catch (error) {
-        // Fallback to basic text field if date field creation fails
-        // Generate a new unique name for the fallback field to avoid conflicts
-        const fallbackName = `${name}_fallback_${Date.now()}`;
-        await createTextField(pdfDoc, page, fallbackName, rect, '', options);
-    }
+    const textField = form.createTextField(name);
+    textField.setText(defaultValue);
+    
+    // Add the field to the page with basic styling
+    textField.addToPage(page, {
+        x: rect.llx,
+        y: rect.lly,
+        width: rect.urx - rect.llx,
+        height: rect.ury - rect.lly,
+    });
+    
+    // Note: Advanced font styling is limited in PDF-lib's form field API
+    // The field will use the PDF's default font and styling
 }
 
 /**
@@ -1087,98 +1536,6 @@ async function applyMasking(pdfDoc, headerHeight, footerHeight) {
     }
 }
 
-/**
- * Add real signature fields to PDF using @signpdf/placeholder-pdf-lib post-processing
- * This function uses the pdflibAddPlaceholder method to create actual /Sig fields that Adobe recognizes
- * @param {Uint8Array} pdfBytes - The PDF bytes
- * @param {Array} signatureFields - Array of signature field data to add
- * @returns {Promise<Uint8Array>} - The PDF bytes with real signature fields
- */
-async function addRealSignatureFieldsPostProcessing(pdfBytes, signatureFields) {
-    try {
-        // Check if pdflibAddPlaceholder is available
-        if (typeof window.pdflibAddPlaceholder !== 'function') {
-            throw new Error('pdflibAddPlaceholder not available - signature libraries not loaded');
-        }
-        
-        // Adding real signature fields using @signpdf/placeholder-pdf-lib
-        
-        // Load the PDF document
-        const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
-        
-        // Add each signature field using pdflibAddPlaceholder
-        for (let i = 0; i < signatureFields.length; i++) {
-            const field = signatureFields[i];
-            const rect = field.rect;
-            
-            // Adding signature field: ${field.name}
-            
-            // Use pdflibAddPlaceholder to add the signature field
-            // This creates both the /Sig field and the visible /Widget that Adobe recognizes
-            
-            // Clean and validate the field name - use only letters, numbers, and underscores
-            let cleanName = field.name;
-            if (!cleanName || typeof cleanName !== 'string') {
-                cleanName = `Signature_${i + 1}`;
-            }
-            
-            // Remove ALL special characters except letters, numbers, and underscores
-            cleanName = cleanName.replace(/[^a-zA-Z0-9_]/g, '_');
-            
-            // Remove multiple consecutive underscores
-            cleanName = cleanName.replace(/_+/g, '_');
-            
-            // Remove leading/trailing underscores
-            cleanName = cleanName.replace(/^_+|_+$/g, '');
-            
-            // Ensure we have a valid name
-            if (!cleanName || cleanName.length === 0) {
-                cleanName = `Signature_${i + 1}`;
-            }
-            
-            // Ensure the name isn't too long (PDF has limits)
-            if (cleanName.length > 40) {
-                cleanName = cleanName.substring(0, 37) + '_' + i;
-            }
-            
-            
-            // Validate all parameters before calling pdflibAddPlaceholder
-            const widgetRect = [rect.llx, rect.lly, rect.urx, rect.ury];
-            
-            // Ensure all parameters are valid
-            if (!pdfDoc || !cleanName || !Array.isArray(widgetRect) || widgetRect.length !== 4) {
-                throw new Error(`Invalid parameters: pdfDoc=${!!pdfDoc}, name="${cleanName}", widgetRect=[${widgetRect}]`);
-            }
-            
-            window.pdflibAddPlaceholder({
-                pdfDoc: pdfDoc,
-                name: cleanName,
-                reason: "Document Signature",
-                location: "Remote",
-                contactInfo: "signer@example.com",
-                widgetRect: widgetRect,
-            });
-            
-        }
-        
-        // Update field appearances to ensure all fields are properly rendered
-        try {
-            const form = pdfDoc.getForm();
-            form.updateFieldAppearances();
-        } catch (error) {
-            // Field appearance update failed, continue
-        }
-        
-        
-        // Save the modified PDF
-        const finalPdfBytes = await pdfDoc.save();
-        return finalPdfBytes;
-        
-    } catch (error) {
-        throw error;
-    }
-}
-
 /**
  * Validate base64 string format
  * @param {string} base64 - The base64 string to validate
@@ -1228,6 +1585,4 @@ function base64ToUint8Array(base64) {
 
 // Export the main function for use in the HTML
 window.convertDocuSignToPDF = convertDocuSignToPDF;
-
-// Export the signature field creation function for use by field translators
-window.createSignatureField = createSignatureField;
+window.convertDocuSignTemplate = convertDocuSignTemplate;
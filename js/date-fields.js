@@ -0,0 +1,394 @@
+/**
+ * DocuSign Date Fields
+ *
+ * Date Signed and Date tabs become text fields with Acrobat's date keystroke and format
+ * actions (AFDate_KeystrokeEx / AFDate_FormatEx), so viewers only accept dates and show
+ * them in one format. The format is chosen for the conversion, taken from the template's
+ * signDateFormat setting, or DocuSign's default (month/day/year). Date Signed fields can
+ * also be filled in by a script on the signer's signature field when it is signed.
+ */
+
+// Date formats for common locales, in Acrobat's notation (m = month, M = minute)
+const DATE_FORMAT_PRESETS = {
+    'en-US': 'mm/dd/yyyy',
+    'en-GB': 'dd/mm/yyyy',
+    'en-AU': 'dd/mm/yyyy',
+    'de-DE': 'dd.mm.yyyy',
+    'fr-FR': 'dd/mm/yyyy',
+    'es-ES': 'dd/mm/yyyy',
+    'nl-NL': 'dd-mm-yyyy',
+    'ja-JP': 'yyyy/mm/dd',
+    'zh-CN': 'yyyy-mm-dd',
+    iso: 'yyyy-mm-dd'
+};
+
+const DEFAULT_DATE_FORMAT = DATE_FORMAT_PRESETS['en-US'];
+
+const DATE_MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+const DATE_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Turn a date format into Acrobat's notation
+ * DocuSign writes formats the .NET way (MM/dd/yyyy, where mm is minutes); a format
+ * without an upper-case M is taken to be in Acrobat's notation already.
+ *
+ * @param {string} format - Date format
+ * @returns {string|null} - Acrobat date format, or null when it has no day, month or year
+ */
+function toAcrobatDateFormat(format) {
+    if (typeof format !== 'string' || !format.trim()) {
+        return null;
+    }
+    
+    let acrobatFormat = format.trim();
+    if (/M/.test(acrobatFormat)) {
+        acrobatFormat = acrobatFormat.replace(/m+|M+/g, run => (run[0] === 'm' ? 'M' : 'm').repeat(run.length));
+    }
+    
+    return /[dmy]/.test(acrobatFormat) ? acrobatFormat : null;
+}
+
+/**
+ * Work out the date format for a conversion
+ *
+ * @param {Object} templateData - DocuSign template (its signDateFormat is used when set)
+ * @param {Object} options - Conversion options
+ * @param {string} [options.dateFormat] - Locale preset (en-GB, de-DE, iso, ...) or format such as dd/MM/yyyy
+ * @returns {string} - Acrobat date format
+ */
+function resolveDateFormat(templateData, options = {}) {
+    const candidates = [options.dateFormat, templateData && templateData.signDateFormat];
+    for (const candidate of candidates) {
+        if (typeof candidate !== 'string' || !candidate.trim()) {
+            continue;
+        }
+        const preset = Object.keys(DATE_FORMAT_PRESETS)
+            .find(name => name.toLowerCase() === candidate.trim().toLowerCase());
+        const format = preset ? DATE_FORMAT_PRESETS[preset] : toAcrobatDateFormat(candidate);
+        if (format) {
+            return format;
+        }
+    }
+    return DEFAULT_DATE_FORMAT;
+}
+
+/**
+ * Format a date the way Acrobat's util.printd() does
+ *
+ * @param {Date} date - The date
+ * @param {string} format - Acrobat date format
+ * @returns {string} - Formatted date
+ */
+function formatDate(date, format) {
+    const pad = (number) => String(number).padStart(2, '0');
+    const hours12 = date.getHours() % 12 || 12;
+    const tokens = {
+        yyyy: String(date.getFullYear()),
+        yy: pad(date.getFullYear() % 100),
+        mmmm: DATE_MONTH_NAMES[date.getMonth()],
+        mmm: DATE_MONTH_NAMES[date.getMonth()].slice(0, 3),
+        mm: pad(date.getMonth() + 1),
+        m: String(date.getMonth() + 1),
+        dddd: DATE_DAY_NAMES[date.getDay()],
+        ddd: DATE_DAY_NAMES[date.getDay()].slice(0, 3),
+        dd: pad(date.getDate()),
+        d: String(date.getDate()),
+        HH: pad(date.getHours()),
+        H: String(date.getHours()),
+        hh: pad(hours12),
+        h: String(hours12),
+        MM: pad(date.getMinutes()),
+        M: String(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+        s: String(date.getSeconds()),
+        tt: date.getHours() < 12 ? 'am' : 'pm'
+    };
+    return format.replace(/yyyy|yy|mmmm|mmm|mm|m|dddd|ddd|dd|d|HH|H|hh|h|MM|M|ss|s|tt/g, token => tokens[token]);
+}
+
+/**
+ * Read a date written in one date format
+ *
+ * @param {string} text - Date text
+ * @param {string} format - Acrobat date format
+ * @returns {Date|null} - The date (at midnight unless the format has a time), or null when the text
+ *   doesn't match or isn't a real date
+ */
+function parseDateWithFormat(text, format) {
+    const parts = [];
+    const source = format.replace(/yyyy|yy|mmmm|mmm|mm|m|dddd|ddd|dd|d|HH|H|hh|h|MM|M|ss|s|tt|[^A-Za-z]+|[A-Za-z]/g, token => {
+        switch (token) {
+            case 'yyyy':
+                parts.push('year');
+                return '(\\d{4})';
+            case 'yy':
+                parts.push('shortYear');
+                return '(\\d{2})';
+            case 'mmmm':
+            case 'mmm':
+                parts.push('monthName');
+                return '([A-Za-z]+)';
+            case 'mm':
+            case 'm':
+                parts.push('month');
+                return '(\\d{1,2})';
+            case 'dd':
+            case 'd':
+                parts.push('day');
+                return '(\\d{1,2})';
+            case 'dddd':
+            case 'ddd':
+                return '[A-Za-z]+';
+            case 'HH':
+            case 'H':
+            case 'hh':
+            case 'h':
+                parts.push(token[0] === 'H' ? 'hours' : 'hours12');
+                return '(\\d{1,2})';
+            case 'MM':
+            case 'M':
+                parts.push('minutes');
+                return '(\\d{1,2})';
+            case 'ss':
+            case 's':
+                parts.push('seconds');
+                return '(\\d{1,2})';
+            case 'tt':
+                parts.push('meridiem');
+                return '(am|pm)';
+            default:
+                // Anything else must match as written
+                return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    });
+    
+    const match = new RegExp(`^${source}$`, 'i').exec(text);
+    if (!match) {
+        return null;
+    }
+    
+    const values = {};
+    parts.forEach((part, index) => {
+        values[part] = match[index + 1];
+    });
+    
+    let month = values.month !== undefined ? parseInt(values.month, 10) : null;
+    if (values.monthName !== undefined) {
+        const prefix = values.monthName.slice(0, 3).toLowerCase();
+        month = DATE_MONTH_NAMES.findIndex(name => name.slice(0, 3).toLowerCase() === prefix) + 1;
+    }
+    let year = values.year !== undefined ? parseInt(values.year, 10) : null;
+    if (values.shortYear !== undefined) {
+        const shortYear = parseInt(values.shortYear, 10);
+        year = shortYear < 50 ? 2000 + shortYear : 1900 + shortYear;
+    }
+    const day = values.day !== undefined ? parseInt(values.day, 10) : null;
+    if (!year || !month || !day) {
+        return null;
+    }
+    
+    let hours = values.hours !== undefined ? parseInt(values.hours, 10) : 0;
+    if (values.hours12 !== undefined) {
+        const isPm = values.meridiem !== undefined && values.meridiem.toLowerCase() === 'pm';
+        hours = parseInt(values.hours12, 10) % 12 + (isPm ? 12 : 0);
+    }
+    const minutes = values.minutes !== undefined ? parseInt(values.minutes, 10) : 0;
+    const seconds = values.seconds !== undefined ? parseInt(values.seconds, 10) : 0;
+    if (hours > 23 || minutes > 59 || seconds > 59) {
+        return null;
+    }
+    
+    // Reject dates that roll over, such as 31/02
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Read a date value from a template or prefill data
+ * ISO dates (yyyy-mm-dd) are read first, then dates in the conversion's format, then
+ * DocuSign's default month/day/year.
+ *
+ * @param {*} value - Date value
+ * @param {string} format - Acrobat date format of the conversion
+ * @returns {Date|null} - The date, or null when the value isn't a date
+ */
+function parseDateValue(value, format) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) {
+        return null;
+    }
+    
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/.exec(text);
+    if (iso) {
+        return parseDateWithFormat(`${iso[1]}-${iso[2]}-${iso[3]}`, 'yyyy-mm-dd');
+    }
+    
+    for (const candidate of [format, DEFAULT_DATE_FORMAT]) {
+        const date = parseDateWithFormat(text, candidate);
+        if (date) {
+            return date;
+        }
+    }
+    return null;
+}
+
+/**
+ * Make a text field a date field
+ * The keystroke action rejects values that aren't dates; the format action shows them
+ * in the given format.
+ *
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFTextField} textField - The field
+ * @param {string} format - Acrobat date format
+ */
+function applyDateFieldFormat(pdfDoc, textField, format) {
+    const fieldDict = textField.acroField.dict;
+    setAdditionalAction(pdfDoc, fieldDict, 'K',
+        createJavaScriptAction(pdfDoc, `AFDate_KeystrokeEx(${JSON.stringify(format)});`));
+    setAdditionalAction(pdfDoc, fieldDict, 'F',
+        createJavaScriptAction(pdfDoc, `AFDate_FormatEx(${JSON.stringify(format)});`));
+}
+
+/**
+ * Check whether a tab is a Date Signed tab (filled in by DocuSign at signing)
+ *
+ * @param {Object} tab - DocuSign tab
+ * @returns {boolean} - True for Date Signed tabs, false for Date tabs the signer fills in
+ */
+function isDateSignedTab(tab) {
+    return String(tab.tabType || tab.type || '').toLowerCase() === 'datesigned';
+}
+
+/**
+ * Describe where a field's first widget is
+ *
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFField} field - The field
+ * @returns {Object|null} - { pageIndex, x, y } (widget center) or null without widgets
+ */
+function getFieldLocation(pdfDoc, field) {
+    const widget = field.acroField.getWidgets()[0];
+    if (!widget) {
+        return null;
+    }
+    const rect = widget.getRectangle();
+    const pageRef = widget.P();
+    return {
+        pageIndex: pdfDoc.getPages().findIndex(page => page.ref === pageRef),
+        x: rect.x + rect.width / 2,
+        y: rect.y + rect.height / 2
+    };
+}
+
+/**
+ * Fill Date Signed fields when their signer signs
+ * Each Date Signed field is paired with the nearest signature field of the same
+ * recipient (on the same page when there is one), whose format action - which
+ * Acrobat runs once the field is signed - writes today's date into the empty
+ * date fields. Signature tabs that didn't become signature fields are skipped.
+ *
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {Array<Object>} createdFields - Records of { tab, fieldType, fieldNames } for every converted tab
+ * @param {string} format - Acrobat date format
+ * @returns {number} - Number of date fields wired to a signature
+ */
+function applyDateOnSign(pdfDoc, createdFields, format) {
+    const form = pdfDoc.getForm();
+    const getField = (name) => {
+        try {
+            return form.getField(name);
+        } catch (error) {
+            return null;
+        }
+    };
+    const getRecipientId = (record) => record.tab.sourceRecipient ? record.tab.sourceRecipient.recipientId : null;
+    
+    const signatures = [];
+    for (const record of createdFields) {
+        if (record.fieldType !== 'signHereTabs') {
+            continue;
+        }
+        for (const name of record.fieldNames) {
+            const field = getField(name);
+            const location = field instanceof PDFLib.PDFSignature ? getFieldLocation(pdfDoc, field) : null;
+            if (location) {
+                signatures.push({ field, location, recipientId: getRecipientId(record), dateNames: [] });
+            }
+        }
+    }
+    
+    let wired = 0;
+    for (const record of createdFields) {
+        if (record.fieldType !== 'dateSignedTabs' || !isDateSignedTab(record.tab)) {
+            continue;
+        }
+        for (const name of record.fieldNames) {
+            const field = getField(name);
+            const location = field ? getFieldLocation(pdfDoc, field) : null;
+            if (!location) {
+                continue;
+            }
+            
+            // Nearest signature of the same signer, preferring the date's own page
+            let nearest = null;
+            let nearestScore = Infinity;
+            for (const signature of signatures) {
+                if (signature.recipientId !== getRecipientId(record)) {
+                    continue;
+                }
+                const samePage = signature.location.pageIndex === location.pageIndex;
+                const distance = Math.hypot(signature.location.x - location.x, signature.location.y - location.y);
+                const score = (samePage ? 0 : 1e6 * (1 + Math.abs(signature.location.pageIndex - location.pageIndex))) + distance;
+                if (score < nearestScore) {
+                    nearest = signature;
+                    nearestScore = score;
+                }
+            }
+            
+            if (nearest && !nearest.dateNames.includes(name)) {
+                nearest.dateNames.push(name);
+                wired++;
+            }
+        }
+    }
+    
+    for (const signature of signatures) {
+        if (signature.dateNames.length === 0) {
+            continue;
+        }
+        const script = [
+            `var dsNames = ${JSON.stringify(signature.dateNames)};`,
+            'for (var i = 0; i < dsNames.length; i++) {',
+            '    var dsDate = this.getField(dsNames[i]);',
+            '    if (dsDate && dsDate.value === "") {',
+            `        dsDate.value = util.printd(${JSON.stringify(format)}, new Date());`,
+            '    }',
+            '}'
+        ].join('\n');
+        setAdditionalAction(pdfDoc, signature.field.acroField.dict, 'F', createJavaScriptAction(pdfDoc, script));
+    }
+    
+    return wired;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.resolveDateFormat = resolveDateFormat;
+    window.applyDateOnSign = applyDateOnSign;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        resolveDateFormat,
+        toAcrobatDateFormat,
+        formatDate,
+        parseDateValue,
+        applyDateFieldFormat,
+        applyDateOnSign,
+        DATE_FORMAT_PRESETS
+    };
+}
@@ -0,0 +1,277 @@
+/**
+ * Interactive Field Editor
+ *
+ * Works on top of the PDF preview: fields selected in the preview can be renamed,
+ * retyped or deleted here, and moves/resizes made in the preview are recorded.
+ * Every edit is stored as an override keyed by tab identity (see getTabKey() in
+ * converter.js) and passed back to the converter as options.fieldOverrides, so the
+ * final PDF is produced by the same translation pipeline as any other conversion.
+ */
+
+// Field types a tab can be retyped to. Radio groups and lists need structured
+// DocuSign data (radios / listItems), so they can be kept but not chosen.
+const EDITOR_RETYPE_TARGETS = [
+    'textTabs',
+    'numericalTabs',
+    'emailAddressTabs',
+    'ssnTabs',
+    'zipTabs',
+    'fullNameTabs',
+    'firstNameTabs',
+    'lastNameTabs',
+    'companyTabs',
+    'titleTabs',
+    'dateSignedTabs',
+    'envelopeIdTabs',
+    'noteTabs',
+    'checkboxTabs',
+    'signHereTabs',
+    'initialHereTabs',
+    'stampTabs',
+    'signerAttachmentTabs'
+];
+
+/**
+ * Get the display name for a field type from the translator registry
+ *
+ * @param {string} fieldType - DocuSign field type
+ * @returns {string} - Human readable name
+ */
+function getEditorFieldTypeName(fieldType) {
+    const config = typeof getFieldTypeConfig === 'function' ? getFieldTypeConfig(fieldType) : null;
+    return config ? config.name : fieldType;
+}
+
+/**
+ * Create the field editor panel
+ *
+ * @param {HTMLElement} panel - Element to render the editor controls into
+ * @param {Object} options - Editor options
+ * @param {Function} [options.onChange] - Called after any edit so the preview can redraw
+ * @returns {Object} - Editor { setPlacements, select, moveField, getOverrides, hasChanges, isDirty, markApplied, reset }
+ */
+function createFieldEditor(panel, options = {}) {
+    const overrides = {};
+    let placements = [];
+    let selected = null;
+    let dirty = false;
+    
+    panel.innerHTML = `
+        <div class="card">
+            <div class="card-body">
+                <h6 class="card-title mb-3"><i class="bi bi-pencil-square me-2"></i>Edit Field</h6>
+                <p class="text-muted small mb-0" data-editor="empty">
+                    Click a field in the preview to edit it. Drag a field to move it, or drag its corner to resize it.
+                </p>
+                <div data-editor="form" style="display: none;">
+                    <div class="mb-2">
+                        <label class="form-label small mb-1" for="editorFieldName">Field Name</label>
+                        <input type="text" class="form-control form-control-sm" id="editorFieldName">
+                    </div>
+                    <div class="mb-2">
+                        <label class="form-label small mb-1" for="editorFieldType">Field Type</label>
+                        <select class="form-select form-select-sm" id="editorFieldType"></select>
+                    </div>
+                    <p class="small text-muted mb-2" data-editor="source"></p>
+                    <div class="d-flex gap-2">
+                        <button type="button" class="btn btn-sm btn-outline-danger" data-editor="delete">
+                            <i class="bi bi-trash me-1"></i>Delete
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-editor="revert">
+                            <i class="bi bi-arrow-counterclockwise me-1"></i>Revert
+                        </button>
+                    </div>
+                </div>
+                <p class="small mb-0 mt-3" data-editor="status"></p>
+            </div>
+        </div>
+    `;
+    
+    const emptyMessage = panel.querySelector('[data-editor="empty"]');
+    const form = panel.querySelector('[data-editor="form"]');
+    const nameInput = panel.querySelector('#editorFieldName');
+    const typeSelect = panel.querySelector('#editorFieldType');
+    const sourceText = panel.querySelector('[data-editor="source"]');
+    const statusText = panel.querySelector('[data-editor="status"]');
+    
+    /**
+     * Get (creating if needed) the override entry for a tab
+     */
+    function getOverride(tabKey) {
+        if (!overrides[tabKey]) {
+            overrides[tabKey] = {};
+        }
+        return overrides[tabKey];
+    }
+    
+    function notifyChange() {
+        dirty = true;
+        updateStatus();
+        if (typeof options.onChange === 'function') {
+            options.onChange();
+        }
+    }
+    
+    function updateStatus() {
+        const count = Object.keys(overrides).length;
+        statusText.textContent = count === 0
+            ? 'No edits yet.'
+            : `${count} field${count === 1 ? '' : 's'} edited${dirty ? ' - not yet applied' : ''}.`;
+        statusText.className = `small mb-0 mt-3 ${dirty ? 'text-warning' : 'text-muted'}`;
+    }
+    
+    /**
+     * Bring a placement's displayed state in line with its override
+     */
+    function applyOverrideToPlacement(placement) {
+        const override = overrides[placement.tabKey] || {};
+        placement.deleted = override.deleted === true;
+        if (override.rect) {
+            placement.rect = override.rect;
+        }
+        if (override.fieldType) {
+            placement.fieldType = override.fieldType;
+        }
+        if (override.fieldName) {
+            placement.fieldName = override.fieldName;
+        }
+    }
+    
+    function renderSelection() {
+        if (!selected || selected.deleted) {
+            form.style.display = 'none';
+            emptyMessage.style.display = 'block';
+            return;
+        }
+        
+        emptyMessage.style.display = 'none';
+        form.style.display = 'block';
+        
+        nameInput.value = selected.fieldName || '';
+        
+        // Structured types can only stay what they are
+        const canRetype = EDITOR_RETYPE_TARGETS.includes(selected.detectedType) || !selected.detectedType;
+        const choices = canRetype ? EDITOR_RETYPE_TARGETS : [selected.detectedType];
+        typeSelect.innerHTML = '';
+        for (const fieldType of choices) {
+            const option = document.createElement('option');
+            option.value = fieldType;
+            option.textContent = getEditorFieldTypeName(fieldType);
+            typeSelect.appendChild(option);
+        }
+        if (!choices.includes(selected.fieldType)) {
+            const option = document.createElement('option');
+            option.value = selected.fieldType || '';
+            option.textContent = selected.fieldType ? getEditorFieldTypeName(selected.fieldType) : 'Unknown (text fallback)';
+            typeSelect.insertBefore(option, typeSelect.firstChild);
+        }
+        typeSelect.value = selected.fieldType || '';
+        typeSelect.disabled = !canRetype;
+        
+        const detected = selected.detectedType ? getEditorFieldTypeName(selected.detectedType) : 'unknown';
+        sourceText.textContent = `DocuSign tab "${selected.tabLabel || 'unlabeled'}" on page ${selected.pageIndex + 1}, detected as ${detected}.`;
+    }
+    
+    nameInput.addEventListener('change', () => {
+        if (!selected) return;
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.value = selected.fieldName || '';
+            return;
+        }
+        getOverride(selected.tabKey).fieldName = name;
+        applyOverrideToPlacement(selected);
+        notifyChange();
+    });
+    
+    typeSelect.addEventListener('change', () => {
+        if (!selected || !typeSelect.value) return;
+        getOverride(selected.tabKey).fieldType = typeSelect.value;
+        applyOverrideToPlacement(selected);
+        notifyChange();
+    });
+    
+    panel.querySelector('[data-editor="delete"]').addEventListener('click', () => {
+        if (!selected) return;
+        getOverride(selected.tabKey).deleted = true;
+        applyOverrideToPlacement(selected);
+        selected = null;
+        renderSelection();
+        notifyChange();
+    });
+    
+    panel.querySelector('[data-editor="revert"]').addEventListener('click', () => {
+        if (!selected) return;
+        // The original values come back with the next applied conversion
+        delete overrides[selected.tabKey];
+        notifyChange();
+    });
+    
+    updateStatus();
+    
+    return {
+        /**
+         * Use placements from a (re)conversion, keeping existing edits
+         */
+        setPlacements(newPlacements) {
+            placements = newPlacements || [];
+            placements.forEach(applyOverrideToPlacement);
+            selected = selected ? placements.find(p => p.tabKey === selected.tabKey) || null : null;
+            renderSelection();
+        },
+        
+        select(placement) {
+            selected = placement;
+            renderSelection();
+        },
+        
+        moveField(placement, rect) {
+            getOverride(placement.tabKey).rect = rect;
+            applyOverrideToPlacement(placement);
+            notifyChange();
+        },
+        
+        getOverrides() {
+            // Hand out a copy so the converter never sees later edits mid-run
+            return JSON.parse(JSON.stringify(overrides));
+        },
+        
+        hasChanges() {
+            return Object.keys(overrides).length > 0;
+        },
+        
+        isDirty() {
+            return dirty;
+        },
+        
+        markApplied() {
+            dirty = false;
+            updateStatus();
+        },
+        
+        reset() {
+            for (const tabKey of Object.keys(overrides)) {
+                delete overrides[tabKey];
+            }
+            selected = null;
+            dirty = false;
+            renderSelection();
+            updateStatus();
+        }
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.createFieldEditor = createFieldEditor;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createFieldEditor,
+        EDITOR_RETYPE_TARGETS
+    };
+}
@@ -18,6 +18,27 @@ const FIELD_TRANSLATORS = {
         translator: translateTextField
     },
     
+    noteTabs: {
+        name: 'Note Fields',
+        description: 'Read-only notes shown to the signer',
+        enabled: true,
+        translator: translateNoteField
+    },
+    
+    ssnTabs: {
+        name: 'SSN Fields',
+        description: 'Text fields with a Social Security number mask',
+        enabled: true,
+        translator: translateSsnField
+    },
+    
+    zipTabs: {
+        name: 'ZIP Code Fields',
+        description: 'Text fields with a ZIP or ZIP+4 mask',
+        enabled: true,
+        translator: translateZipField
+    },
+    
     // Signature fields
     signHereTabs: {
         name: 'Signature Fields',
@@ -70,9 +91,23 @@ const FIELD_TRANSLATORS = {
         translator: translateFullNameField
     },
     
+    firstNameTabs: {
+        name: 'First Name Fields',
+        description: 'Auto-populated first name fields',
+        enabled: true,
+        translator: translateFirstNameField
+    },
+    
+    lastNameTabs: {
+        name: 'Last Name Fields',
+        description: 'Auto-populated last name fields',
+        enabled: true,
+        translator: translateLastNameField
+    },
+    
     dateSignedTabs: {
         name: 'Date Signed Fields',
-        description: 'Auto-populated date fields with signing date',
+        description: 'Date fields in the template\'s date format',
         enabled: true,
         translator: translateDateSignedField
     },
@@ -98,6 +133,13 @@ const FIELD_TRANSLATORS = {
         translator: translateEmailField
     },
     
+    envelopeIdTabs: {
+        name: 'Envelope ID Fields',
+        description: 'Read-only placeholders for the envelope ID',
+        enabled: true,
+        translator: translateEnvelopeIdField
+    },
+    
     numericalTabs: {
         name: 'Numerical Fields',
         description: 'Numeric input fields with validation',
@@ -105,11 +147,69 @@ const FIELD_TRANSLATORS = {
         translator: translateNumericalField
     },
     
+    formulaTabs: {
+        name: 'Formula Fields',
+        description: 'Read-only fields calculated from other fields',
+        enabled: true,
+        translator: translateFormulaField
+    },
+    
     signerAttachmentTabs: {
         name: 'File Attachment Fields',
         description: 'File attachment fields for document uploads',
         enabled: true,
         translator: translateSignerAttachmentField
+    },
+    
+    // Buttons
+    approveTabs: {
+        name: 'Approve Buttons',
+        description: 'Push buttons labelled with the approve text',
+        enabled: true,
+        translator: translateApproveField
+    },
+    
+    declineTabs: {
+        name: 'Decline Buttons',
+        description: 'Push buttons labelled with the decline text',
+        enabled: true,
+        translator: translateDeclineField
+    },
+    
+    viewTabs: {
+        name: 'View Buttons',
+        description: 'Push buttons labelled with the view text',
+        enabled: true,
+        translator: translateViewField
+    },
+    
+    // Drawings and markup
+    drawTabs: {
+        name: 'Drawing Fields',
+        description: 'Signature fields the signer draws in',
+        enabled: true,
+        translator: translateDrawField
+    },
+    
+    polyLineOverlayTabs: {
+        name: 'Line Overlays',
+        description: 'Lines drawn onto the page',
+        enabled: true,
+        translator: translatePolyLineOverlayField
+    },
+    
+    commentThreadTabs: {
+        name: 'Comments',
+        description: 'Comment annotations',
+        enabled: true,
+        translator: translateCommentThreadField
+    },
+    
+    smartSectionTabs: {
+        name: 'Smart Sections',
+        description: 'Responsive-signing markers; nothing is placed in the PDF',
+        enabled: true,
+        translator: translateSmartSectionField
     }
 };
 
@@ -142,42 +242,14 @@ async function translateField(fieldType, fieldData, pdfDoc, page, options = {})
             return false;
         }
         
-        // Use the same coordinate conversion as the main converter for consistency
-        const pageSize = page.getSize();
-        
         // Check if we have pre-calculated coordinates from the main converter
         let pdfCoords;
         if (options.rect && options.rect.llx !== undefined) {
             // Use the pre-calculated coordinates from the main converter
             pdfCoords = options.rect;
         } else {
-            // Fall back to manual coordinate conversion
-            const x = parseFloat(fieldData.xPosition || fieldData.xPositionString || 0);
-            const y = parseFloat(fieldData.yPosition || fieldData.yPositionString || 0);
-            
-            // Set appropriate default dimensions based on field type
-            let defaultWidth, defaultHeight;
-            if (fieldType === 'checkboxTabs') {
-                defaultWidth = 12;  // Checkboxes should be small and square
-                defaultHeight = 12;
-            } else if (fieldType === 'signHereTabs' || fieldType === 'initialHereTabs' || fieldType === 'stampTabs') {
-                defaultWidth = 120; // Signature fields need more space
-                defaultHeight = 20;
-            } else {
-                defaultWidth = 120; // Default for text fields
-                defaultHeight = 20;
-            }
-            
-            const width = parseFloat(fieldData.width || fieldData.widthString || defaultWidth);
-            const height = parseFloat(fieldData.height || fieldData.heightString || defaultHeight);
-            
-            // Convert from DocuSign coordinates (top-left origin) to PDF coordinates (bottom-left origin)
-            pdfCoords = {
-                llx: x,
-                lly: pageSize.height - (y + height),
-                urx: x + width,
-                ury: pageSize.height - y
-            };
+            // Fall back to converting the tab's own coordinates, scaled to the DocuSign page image
+            pdfCoords = convertDocuSignCoordinates(fieldData, page, fieldType, options.docuSignPage || null);
         }
         
         // Call the specific translator
@@ -202,6 +274,11 @@ function validateFieldData(fieldData, fieldType) {
         return false;
     }
     
+    // Radio groups are positioned by their radios
+    if (fieldType === 'radioGroupTabs') {
+        return Array.isArray(fieldData.radios) && fieldData.radios.length > 0;
+    }
+    
     // Check required properties
     const requiredProps = ['pageNumber', 'xPosition', 'yPosition'];
     for (const prop of requiredProps) {
@@ -222,12 +299,6 @@ function validateFieldData(fieldData, fieldType) {
         case 'checkboxTabs':
             return true;
         
-        case 'radioGroupTabs':
-            return fieldData.groupName && fieldData.radios && Array.isArray(fieldData.radios);
-        
-        case 'listTabs':
-            return fieldData.listItems && Array.isArray(fieldData.listItems);
-        
         default:
             return true;
     }
@@ -235,21 +306,23 @@ function validateFieldData(fieldData, fieldType) {
 
 /**
  * Convert DocuSign coordinates to PDF coordinates
- * DocuSign uses top-left origin, PDF uses bottom-left origin
+ * DocuSign measures from the top-left of the displayed page; the conversion to PDF user
+ * space (rotation, CropBox offset, page image scale) is shared with getTabRectangle()
  * 
  * @param {Object} fieldData - The DocuSign field data
  * @param {PDFPage} page - The PDF page
+ * @param {string} [fieldType] - Field type, for default dimensions
+ * @param {Object} [pageInfo] - DocuSign page ({ width, height, dpi }), see getPageGeometry()
  * @returns {Object} - PDF coordinates {llx, lly, urx, ury}
  */
-function convertDocuSignCoordinates(fieldData, page, fieldType = 'textTabs') {
-    // Use the same logic as getTabRectangle() from converter.js for consistency
+function convertDocuSignCoordinates(fieldData, page, fieldType = 'textTabs', pageInfo = null) {
     const x = parseFloat(fieldData.xPosition || fieldData.xPositionString || 0);
     const y = parseFloat(fieldData.yPosition || fieldData.yPositionString || 0);
     
     // Set appropriate default dimensions based on field type
     let defaultWidth, defaultHeight;
-    if (fieldType === 'checkboxTabs') {
-        defaultWidth = 12;  // Checkboxes should be small and square
+    if (fieldType === 'checkboxTabs' || fieldType === 'radioGroupTabs') {
+        defaultWidth = 12;  // Checkboxes and radios should be small and square
         defaultHeight = 12;
     } else if (fieldType === 'signHereTabs' || fieldType === 'initialHereTabs' || fieldType === 'stampTabs') {
         defaultWidth = 120; // Signature fields need more space
@@ -262,24 +335,7 @@ function convertDocuSignCoordinates(fieldData, page, fieldType = 'textTabs') {
     const width = parseFloat(fieldData.width || fieldData.widthString || defaultWidth);
     const height = parseFloat(fieldData.height || fieldData.heightString || defaultHeight);
     
-    // Get page dimensions
-    const pageSize = page.getSize();
-    const pageHeight = pageSize.height;
-    
-    // Convert DocuSign (top-left origin) to PDF (bottom-left origin)
-    // This matches the logic in getTabRectangle() from converter.js
-    const pdfX = x;
-    const pdfY = pageHeight - (y + height);
-    const pdfWidth = width;
-    const pdfHeight = height;
-    
-    
-    return {
-        llx: pdfX,
-        lly: pdfY,
-        urx: pdfX + pdfWidth,
-        ury: pdfY + pdfHeight
-    };
+    return docuSignRectToPdfRect(getPageGeometry(page, pageInfo), x, y, width, height);
 }
 
 // ============================================================================
@@ -298,19 +354,25 @@ function convertDocuSignCoordinates(fieldData, page, fieldType = 'textTabs') {
  */
 async function translateTextField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
+        const fieldName = generateFieldName(fieldData, options);
         const defaultValue = fieldData.value || options.defaultValue || '';
         
         
         // Create proper PDF text form field using correct pdf-lib API
         const form = pdfDoc.getForm();
-        const textField = form.createTextField(fieldName);
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
         
         // Set default value if provided
         if (defaultValue) {
             textField.setText(defaultValue);
         }
         
+        // A linked field already carries the validation and settings of its first tab
+        if (!options.linkedField) {
+            applyTextFieldValidation(pdfDoc, textField, fieldData, 'text');
+            applyTabProperties(textField, fieldData);
+        }
+        
         // Add field to page using correct API
         textField.addToPage(page, {
             x: coords.llx,
@@ -319,6 +381,8 @@ async function translateTextField(fieldData, pdfDoc, page, coords, options) {
             height: coords.ury - coords.lly
         });
         
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
         return true;
     } catch (error) {
         return false;
@@ -326,7 +390,7 @@ async function translateTextField(fieldData, pdfDoc, page, coords, options) {
 }
 
 /**
- * Translate DocuSign signature fields to PDF signature fields
+ * Translate DocuSign note tabs to read-only multi-line PDF text fields
  * 
  * @param {Object} fieldData - DocuSign field data
  * @param {PDFDocument} pdfDoc - PDF document
@@ -335,17 +399,124 @@ async function translateTextField(fieldData, pdfDoc, page, coords, options) {
  * @param {Object} options - Translation options
  * @returns {Promise<boolean>} - Success status
  */
-async function translateSignatureField(fieldData, pdfDoc, page, coords, options) {
+async function translateNoteField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
+        const fieldName = generateFieldName(fieldData, options);
         
-        // Check if the function is available
-        if (typeof window.createSignatureField !== 'function') {
-            return false;
+        const form = pdfDoc.getForm();
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
+        
+        // Notes are written by the sender and only read by the signer
+        textField.enableMultiline();
+        textField.enableReadOnly();
+        if (fieldData.value) {
+            textField.setText(String(fieldData.value));
+        }
+        applyTabProperties(textField, fieldData);
+        
+        textField.addToPage(page, {
+            x: coords.llx,
+            y: coords.lly,
+            width: coords.urx - coords.llx,
+            height: coords.ury - coords.lly
+        });
+        
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Translate DocuSign SSN and ZIP tabs to PDF text fields with the matching mask
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @param {string} kind - Validation kind ('ssn' or 'zip')
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateMaskedTextField(fieldData, pdfDoc, page, coords, options, kind) {
+    try {
+        const fieldName = generateFieldName(fieldData, options);
+        
+        const form = pdfDoc.getForm();
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
+        
+        // No placeholder text: the mask's keystroke script would reject it
+        if (fieldData.value) {
+            textField.setText(String(fieldData.value));
         }
         
-        // Use the unified signature field creation from converter.js
-        await window.createSignatureField(pdfDoc, page, fieldName, coords, 'signature');
+        // A linked field already carries the validation and settings of its first tab
+        if (!options.linkedField) {
+            applyTextFieldValidation(pdfDoc, textField, fieldData, kind);
+            applyTabProperties(textField, fieldData);
+        }
+        
+        textField.addToPage(page, {
+            x: coords.llx,
+            y: coords.lly,
+            width: coords.urx - coords.llx,
+            height: coords.ury - coords.lly
+        });
+        
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Translate DocuSign SSN tabs to PDF text fields with an SSN mask
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateSsnField(fieldData, pdfDoc, page, coords, options) {
+    return translateMaskedTextField(fieldData, pdfDoc, page, coords, options, 'ssn');
+}
+
+/**
+ * Translate DocuSign ZIP tabs to PDF text fields with a ZIP (or ZIP+4, with useDash4) mask
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateZipField(fieldData, pdfDoc, page, coords, options) {
+    return translateMaskedTextField(fieldData, pdfDoc, page, coords, options, 'zip');
+}
+
+/**
+ * Translate DocuSign signature fields to PDF signature fields
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateSignatureField(fieldData, pdfDoc, page, coords, options) {
+    try {
+        const fieldName = generateFieldName(fieldData, options);
+        
+        const field = createSignatureField(pdfDoc, page, fieldName, coords, 'signature', { seedValue: options.signatureSeedValue });
+        applyTabProperties(field, fieldData);
         
         return true;
     } catch (error) {
@@ -355,7 +526,7 @@ async function translateSignatureField(fieldData, pdfDoc, page, coords, options)
 
 /**
  * Translates DocuSign stamp fields to PDF AcroForm signature fields
- * Stamps are treated as electronic signatures but use a separate function for future flexibility
+ * Stamps are signature fields labelled "Stamp"
  * 
  * @param {Object} fieldData - DocuSign field data
  * @param {PDFDocument} pdfDoc - PDF document
@@ -366,11 +537,11 @@ async function translateSignatureField(fieldData, pdfDoc, page, coords, options)
  */
 async function translateStampField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
+        const fieldName = generateFieldName(fieldData, options);
         
-        // Use the same signature field creation logic as regular signatures
-        // This allows for future customization of stamp-specific behavior
-        await window.createSignatureField(pdfDoc, page, fieldName, coords, 'signature');
+        // A signature field labelled as a stamp; the signer applies their stamp image
+        const field = createSignatureField(pdfDoc, page, fieldName, coords, 'stamp', { seedValue: options.signatureSeedValue });
+        applyTabProperties(field, fieldData);
         
         return true;
     } catch (error) {
@@ -390,10 +561,10 @@ async function translateStampField(fieldData, pdfDoc, page, coords, options) {
  */
 async function translateInitialsField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
+        const fieldName = generateFieldName(fieldData, options);
         
-        // Use the unified signature field creation with initials type
-        await window.createSignatureField(pdfDoc, page, fieldName, coords, 'initials');
+        const field = createSignatureField(pdfDoc, page, fieldName, coords, 'initials', { seedValue: options.signatureSeedValue });
+        applyTabProperties(field, fieldData);
         
         return true;
     } catch (error) {
@@ -413,7 +584,7 @@ async function translateInitialsField(fieldData, pdfDoc, page, coords, options)
  */
 async function translateCheckboxField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
+        const fieldName = generateFieldName(fieldData, options);
         const isChecked = fieldData.selected === true || fieldData.selected === 'true';
         
         
@@ -423,12 +594,15 @@ async function translateCheckboxField(fieldData, pdfDoc, page, coords, options)
         
         // Create proper PDF checkbox form field using correct pdf-lib API
         const form = pdfDoc.getForm();
-        const checkbox = form.createCheckBox(fieldName);
+        const checkbox = createOrLinkField(form, fieldName, 'createCheckBox', options);
         
         // Set checked state if specified
         if (isChecked) {
             checkbox.check();
         }
+        if (!options.linkedField) {
+            applyTabProperties(checkbox, fieldData);
+        }
         
         // Add field to page using correct API with ensured minimum size
         checkbox.addToPage(page, {
@@ -448,6 +622,13 @@ async function translateCheckboxField(fieldData, pdfDoc, page, coords, options)
 
 /**
  * Translate DocuSign radio group fields to PDF radio button groups
+ * Each radio is placed at its own position, on its own page of the tab's document when
+ * options.resolvePage is given. Radios are drawn as circles; the group keeps DocuSign's
+ * selection, tooltip, required and locked settings. shared and requireInitialOnSharedChange
+ * are deliberately dropped: a PDF form can't limit who edits a field or ask for initials
+ * when it changes (the converter's report marks such groups).
+ * When the group was moved or resized in the field editor (options.rectOverride), the
+ * first radio takes the edited rectangle and the radios on its page move and scale with it.
  * 
  * @param {Object} fieldData - DocuSign field data
  * @param {PDFDocument} pdfDoc - PDF document
@@ -458,50 +639,82 @@ async function translateCheckboxField(fieldData, pdfDoc, page, coords, options)
  */
 async function translateRadioGroupField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const groupName = fieldData.groupName;
-        const radios = fieldData.radios || [];
+        const radios = (fieldData.radios || []).filter(radio => radio && typeof radio === 'object');
+        const form = pdfDoc.getForm();
+        const groupName = getUnusedFieldName(form, options.fieldName || fieldData.groupName);
         
-        if (radios.length === 0) {
+        if (!groupName || radios.length === 0) {
             return false;
         }
         
-        // Create radio group using correct pdf-lib API
-        
-        // Create radio group
-        const form = pdfDoc.getForm();
-        const radioGroup = form.createRadioGroup(groupName);
-        
-        // Add each radio button option using correct API
+        // Work out where every radio goes before creating the group, so a group with
+        // no placeable radios doesn't leave an empty field behind
+        const placements = [];
+        const usedValues = new Set();
         for (let i = 0; i < radios.length; i++) {
             const radio = radios[i];
-            const radioCoords = convertDocuSignCoordinates(radio, page, 'radioGroupTabs');
-            
-            // Ensure value is a string
-            let radioValue = radio.value || radio.text || `option_${i}`;
-            if (typeof radioValue !== 'string') {
-                radioValue = String(radioValue);
+            const target = radio.pageNumber !== undefined && options.resolvePage
+                ? options.resolvePage(parseInt(radio.pageNumber, 10))
+                : { page, docuSignPage: options.docuSignPage };
+            if (!target) {
+                continue;
             }
-            if (!radioValue || radioValue === 'undefined' || radioValue === 'null') {
-                radioValue = `option_${i}`;
+            
+            // Export values must be non-empty strings and unique within the group
+            const rawValue = radio.value !== undefined && radio.value !== null && radio.value !== '' ? radio.value : radio.text;
+            let radioValue = rawValue !== undefined && rawValue !== null && rawValue !== '' ? String(rawValue) : `option_${i}`;
+            if (usedValues.has(radioValue)) {
+                radioValue = `${radioValue}_${i}`;
             }
+            usedValues.add(radioValue);
             
-            // Add radio option to page using correct API
-            radioGroup.addOptionToPage(radioValue, page, {
-                x: radioCoords.llx,
-                y: radioCoords.lly,
-                width: radioCoords.urx - radioCoords.llx,
-                height: radioCoords.ury - radioCoords.lly,
+            placements.push({
+                radio,
+                value: radioValue,
+                page: target.page,
+                coords: convertDocuSignCoordinates(radio, target.page, 'radioGroupTabs', target.docuSignPage)
+            });
+        }
+        
+        if (placements.length === 0) {
+            return false;
+        }
+        
+        if (options.rectOverride) {
+            moveRadioPlacements(placements, options.rectOverride);
+        }
+        
+        const radioGroup = form.createRadioGroup(groupName);
+        
+        for (const placement of placements) {
+            radioGroup.addOptionToPage(placement.value, placement.page, {
+                x: placement.coords.llx,
+                y: placement.coords.lly,
+                width: placement.coords.urx - placement.coords.llx,
+                height: placement.coords.ury - placement.coords.lly,
                 borderWidth: 1,
                 borderColor: PDFLib.rgb(0, 0, 0)
             });
-            
-            // Set selected state if specified
-            if (radio.selected === true || radio.selected === 'true') {
-                radioGroup.select(radioValue);
-            }
-            
         }
         
+        // Viewers that redraw the widgets use the caption: a ZapfDingbats bullet (circle style)
+        for (const widget of radioGroup.acroField.getWidgets()) {
+            widget.getOrCreateAppearanceCharacteristics().setCaptions({ normal: 'l' });
+        }
+        
+        const selected = placements.find(placement => isDocuSignFlagSet(placement.radio.selected));
+        if (selected) {
+            radioGroup.select(selected.value);
+        }
+        
+        // DocuSign keeps required and locked on each radio; any required radio makes
+        // the group required, and the group is only locked when every radio is
+        applyTabProperties(radioGroup, {
+            ...fieldData,
+            required: isDocuSignFlagSet(fieldData.required) || radios.some(radio => isDocuSignFlagSet(radio.required)),
+            locked: isDocuSignFlagSet(fieldData.locked) || radios.every(radio => isDocuSignFlagSet(radio.locked))
+        });
+        
         return true;
     } catch (error) {
         return false;
@@ -509,56 +722,207 @@ async function translateRadioGroupField(fieldData, pdfDoc, page, coords, options
 }
 
 /**
- * Translate DocuSign list fields to PDF dropdown fields
+ * Move and scale radios so the first one fills a new rectangle
+ * Radios on the first radio's page keep their layout relative to it; radios on other
+ * pages stay where DocuSign put them.
+ * 
+ * @param {Array<Object>} placements - Radio placements ({ page, coords }), changed in place
+ * @param {Object} rect - New rectangle of the first radio {llx, lly, urx, ury}
+ */
+function moveRadioPlacements(placements, rect) {
+    const anchor = placements[0].coords;
+    const scaleX = (rect.urx - rect.llx) / (anchor.urx - anchor.llx);
+    const scaleY = (rect.ury - rect.lly) / (anchor.ury - anchor.lly);
+    
+    for (const placement of placements) {
+        if (placement.page !== placements[0].page) {
+            continue;
+        }
+        const coords = placement.coords;
+        const llx = rect.llx + (coords.llx - anchor.llx) * scaleX;
+        const lly = rect.lly + (coords.lly - anchor.lly) * scaleY;
+        placement.coords = {
+            llx,
+            lly,
+            urx: llx + (coords.urx - coords.llx) * scaleX,
+            ury: lly + (coords.ury - coords.lly) * scaleY
+        };
+    }
+}
+
+/**
+ * Pick a field name that isn't in the form yet
+ * The converter's field namer already keeps names unique; this guards against fields
+ * that the translators create under other names, so a clash can't lose the field.
+ * 
+ * @param {PDFForm} form - The pdf-lib form
+ * @param {string} name - Preferred name
+ * @returns {string|null} - The name, with _2, _3, ... appended when it is taken
+ */
+function getUnusedFieldName(form, name) {
+    if (!name) {
+        return null;
+    }
+    
+    const names = new Set(form.getFields().map(field => field.getName()));
+    let candidate = String(name);
+    for (let counter = 2; names.has(candidate); counter++) {
+        candidate = `${name}_${counter}`;
+    }
+    return candidate;
+}
+
+// Shapes a list tab can take in the PDF (options.listStyle)
+const LIST_STYLES = {
+    dropdown: 'dropdown',
+    listbox: 'listbox',
+    multiselect: 'multiselect'
+};
+
+/**
+ * Translate DocuSign list fields to PDF choice fields
+ * Lists become dropdowns unless options.listStyle asks for a scrolling list box (optionally
+ * multi-select). Options show each item's text, falling back to its value; a list
+ * without items still becomes an empty field so it isn't lost.
  * 
  * @param {Object} fieldData - DocuSign field data
  * @param {PDFDocument} pdfDoc - PDF document
  * @param {PDFPage} page - PDF page
  * @param {Object} coords - PDF coordinates
  * @param {Object} options - Translation options
+ * @param {string} [options.listStyle] - 'dropdown' (default), 'listbox' or 'multiselect'
+ * @param {boolean} [options.editableLists] - Let dropdowns take typed-in values (combo box)
+ * @param {boolean} [options.sortListOptions] - Sort options alphabetically
  * @returns {Promise<boolean>} - Success status
  */
 async function translateListField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
-        const listItems = fieldData.listItems || [];
-        
-        if (listItems.length === 0) {
-            return false;
-        }
+        const fieldName = generateFieldName(fieldData, options);
+        const listStyle = LIST_STYLES[options.listStyle] || LIST_STYLES.dropdown;
+        const isDropdown = listStyle === LIST_STYLES.dropdown;
         
-        // Create dropdown field using correct pdf-lib API
         const form = pdfDoc.getForm();
-        const dropdown = form.createDropdown(fieldName);
-        
-        // Add options using correct API
-        for (const item of listItems) {
-            dropdown.addOptions([{ label: item.text, value: item.value }]);
+        const field = createOrLinkField(form, fieldName, isDropdown ? 'createDropdown' : 'createOptionList', options);
+        
+        // A linked field already has its options and selection
+        if (!options.linkedField) {
+            let listOptions = getListOptions(fieldData.listItems);
+            if (options.sortListOptions) {
+                listOptions = listOptions.slice().sort((a, b) => a.localeCompare(b));
+                field.enableSorting();
+            }
+            field.addOptions(listOptions);
             
-            if (item.selected === true || item.selected === 'true') {
-                dropdown.select(item.value);
+            if (isDropdown && options.editableLists) {
+                field.enableEditing();
             }
-        }
-        
-        // Set default value if specified
-        if (fieldData.value) {
-            dropdown.select(fieldData.value);
+            if (listStyle === LIST_STYLES.multiselect) {
+                field.enableMultiselect();
+            }
+            
+            // Only preselect real options, so a stray value doesn't turn the list into a combo
+            const selected = getSelectedListOptions(fieldData)
+                .filter(option => listOptions.includes(option));
+            const selectCount = listStyle === LIST_STYLES.multiselect ? selected.length : Math.min(selected.length, 1);
+            for (let i = 0; i < selectCount; i++) {
+                field.select(selected[i], i > 0);
+            }
+            applyTabProperties(field, fieldData);
         }
         
         // Add field to page using correct API
-        dropdown.addToPage(page, {
+        field.addToPage(page, {
             x: coords.llx,
             y: coords.lly,
             width: coords.urx - coords.llx,
             height: coords.ury - coords.lly
         });
         
+        await applyFieldStyle(pdfDoc, field, fieldData);
+        
         return true;
     } catch (error) {
         return false;
     }
 }
 
+/**
+ * Get the option a DocuSign list item shows
+ * 
+ * @param {Object} item - DocuSign list item ({ text, value, selected })
+ * @returns {string|null} - The item's text, or its value for text-less items
+ */
+function getListItemOption(item) {
+    if (!item || typeof item !== 'object') {
+        return null;
+    }
+    for (const candidate of [item.text, item.value]) {
+        if (candidate !== undefined && candidate !== null && String(candidate) !== '') {
+            return String(candidate);
+        }
+    }
+    return null;
+}
+
+/**
+ * List the distinct options of a DocuSign list, in DocuSign's order
+ * 
+ * @param {Array<Object>} listItems - DocuSign list items
+ * @returns {Array<string>} - Option texts
+ */
+function getListOptions(listItems) {
+    const listOptions = [];
+    for (const item of Array.isArray(listItems) ? listItems : []) {
+        const option = getListItemOption(item);
+        if (option !== null && !listOptions.includes(option)) {
+            listOptions.push(option);
+        }
+    }
+    return listOptions;
+}
+
+/**
+ * Map a DocuSign list value to the option that shows it
+ * DocuSign refers to list items by value or by text depending on the property.
+ * 
+ * @param {Array<Object>} listItems - DocuSign list items
+ * @param {*} value - Item value or text
+ * @returns {string} - The option text, or the value itself when no item matches
+ */
+function findListOption(listItems, value) {
+    const text = String(value);
+    const items = Array.isArray(listItems) ? listItems : [];
+    const item = items.find(candidate => candidate && String(candidate.value) === text) ||
+        items.find(candidate => candidate && String(candidate.text) === text);
+    return getListItemOption(item) || text;
+}
+
+/**
+ * Work out which options a DocuSign list starts with
+ * listSelectedValue wins, then items flagged selected, then the tab's value.
+ * 
+ * @param {Object} fieldData - DocuSign list tab
+ * @returns {Array<string>} - Selected option texts
+ */
+function getSelectedListOptions(fieldData) {
+    const listItems = fieldData.listItems;
+    const isSet = (value) => value !== undefined && value !== null && String(value) !== '';
+    
+    if (isSet(fieldData.listSelectedValue)) {
+        return [findListOption(listItems, fieldData.listSelectedValue)];
+    }
+    
+    const flagged = (Array.isArray(listItems) ? listItems : [])
+        .filter(item => item && isDocuSignFlagSet(item.selected))
+        .map(getListItemOption)
+        .filter(option => option !== null);
+    if (flagged.length > 0) {
+        return flagged;
+    }
+    
+    return isSet(fieldData.value) ? [findListOption(listItems, fieldData.value)] : [];
+}
+
 /**
  * Translate DocuSign full name fields to PDF text fields (auto-populated)
  * 
@@ -571,15 +935,18 @@ async function translateListField(fieldData, pdfDoc, page, coords, options) {
  */
 async function translateFullNameField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
+        const fieldName = generateFieldName(fieldData, options);
         const defaultValue = fieldData.value || '[FULL NAME]';
         
         // Create proper PDF text form field using correct pdf-lib API
         const form = pdfDoc.getForm();
-        const textField = form.createTextField(fieldName);
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
         
         // Set default value/placeholder
         textField.setText(defaultValue);
+        if (!options.linkedField) {
+            applyTabProperties(textField, fieldData);
+        }
         
         // Add field to page using correct API
         textField.addToPage(page, {
@@ -589,6 +956,8 @@ async function translateFullNameField(fieldData, pdfDoc, page, coords, options)
             height: coords.ury - coords.lly
         });
         
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
         return true;
     } catch (error) {
         return false;
@@ -596,7 +965,7 @@ async function translateFullNameField(fieldData, pdfDoc, page, coords, options)
 }
 
 /**
- * Translate DocuSign date signed fields to PDF text fields
+ * Translate DocuSign first name fields to PDF text fields (auto-populated)
  * 
  * @param {Object} fieldData - DocuSign field data
  * @param {PDFDocument} pdfDoc - PDF document
@@ -605,17 +974,20 @@ async function translateFullNameField(fieldData, pdfDoc, page, coords, options)
  * @param {Object} options - Translation options
  * @returns {Promise<boolean>} - Success status
  */
-async function translateDateSignedField(fieldData, pdfDoc, page, coords, options) {
+async function translateFirstNameField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
-        const currentDate = new Date().toLocaleDateString();
+        const fieldName = generateFieldName(fieldData, options);
+        const defaultValue = fieldData.value || '[FIRST NAME]';
         
         // Create proper PDF text form field using correct pdf-lib API
         const form = pdfDoc.getForm();
-        const textField = form.createTextField(fieldName);
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
         
-        // Set current date as default value
-        textField.setText(currentDate);
+        // Set default value/placeholder
+        textField.setText(defaultValue);
+        if (!options.linkedField) {
+            applyTabProperties(textField, fieldData);
+        }
         
         // Add field to page using correct API
         textField.addToPage(page, {
@@ -625,6 +997,8 @@ async function translateDateSignedField(fieldData, pdfDoc, page, coords, options
             height: coords.ury - coords.lly
         });
         
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
         return true;
     } catch (error) {
         return false;
@@ -632,7 +1006,7 @@ async function translateDateSignedField(fieldData, pdfDoc, page, coords, options
 }
 
 /**
- * Translate DocuSign company fields to PDF text fields (auto-populated)
+ * Translate DocuSign last name fields to PDF text fields (auto-populated)
  * 
  * @param {Object} fieldData - DocuSign field data
  * @param {PDFDocument} pdfDoc - PDF document
@@ -641,17 +1015,20 @@ async function translateDateSignedField(fieldData, pdfDoc, page, coords, options
  * @param {Object} options - Translation options
  * @returns {Promise<boolean>} - Success status
  */
-async function translateCompanyField(fieldData, pdfDoc, page, coords, options) {
+async function translateLastNameField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
-        const defaultValue = fieldData.value || '[COMPANY]';
+        const fieldName = generateFieldName(fieldData, options);
+        const defaultValue = fieldData.value || '[LAST NAME]';
         
         // Create proper PDF text form field using correct pdf-lib API
         const form = pdfDoc.getForm();
-        const textField = form.createTextField(fieldName);
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
         
         // Set default value/placeholder
         textField.setText(defaultValue);
+        if (!options.linkedField) {
+            applyTabProperties(textField, fieldData);
+        }
         
         // Add field to page using correct API
         textField.addToPage(page, {
@@ -661,6 +1038,8 @@ async function translateCompanyField(fieldData, pdfDoc, page, coords, options) {
             height: coords.ury - coords.lly
         });
         
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
         return true;
     } catch (error) {
         return false;
@@ -668,26 +1047,122 @@ async function translateCompanyField(fieldData, pdfDoc, page, coords, options) {
 }
 
 /**
- * Translate DocuSign title fields to PDF text fields (auto-populated)
+ * Translate DocuSign date signed and date fields to PDF date fields
+ * The field only accepts dates and shows them in the conversion's date format (see
+ * date-fields.js). It starts empty unless the tab has a value or options.prefillDates
+ * asks for the conversion date. Tab values (including prefilled ones) are rewritten in
+ * the conversion's format; values that aren't dates are left out.
  * 
  * @param {Object} fieldData - DocuSign field data
  * @param {PDFDocument} pdfDoc - PDF document
  * @param {PDFPage} page - PDF page
  * @param {Object} coords - PDF coordinates
  * @param {Object} options - Translation options
+ * @param {string} [options.dateFormat] - Acrobat date format the converter resolved (see
+ *   resolveDateFormat()); month/day/year when missing
+ * @param {boolean} [options.prefillDates] - Fill empty dates with the conversion date
  * @returns {Promise<boolean>} - Success status
  */
-async function translateTitleField(fieldData, pdfDoc, page, coords, options) {
+async function translateDateSignedField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
-        const defaultValue = fieldData.value || '[TITLE]';
+        const fieldName = generateFieldName(fieldData, options);
+        // Already in Acrobat's notation; resolving it again would swap months and minutes
+        const dateFormat = options.dateFormat || resolveDateFormat(null, options);
         
-        // Create proper PDF text form field using correct pdf-lib API
         const form = pdfDoc.getForm();
-        const textField = form.createTextField(fieldName);
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
         
-        // Set default value/placeholder
-        textField.setText(defaultValue);
+        // A linked field already has its format and value
+        if (!options.linkedField) {
+            const date = parseDateValue(fieldData.value, dateFormat) || (options.prefillDates ? new Date() : null);
+            if (date) {
+                textField.setText(formatDate(date, dateFormat));
+            }
+            applyDateFieldFormat(pdfDoc, textField, dateFormat);
+            applyTabProperties(textField, fieldData);
+        }
+        
+        // Add field to page using correct API
+        textField.addToPage(page, {
+            x: coords.llx,
+            y: coords.lly,
+            width: coords.urx - coords.llx,
+            height: coords.ury - coords.lly
+        });
+        
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Translate DocuSign company fields to PDF text fields (auto-populated)
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateCompanyField(fieldData, pdfDoc, page, coords, options) {
+    try {
+        const fieldName = generateFieldName(fieldData, options);
+        const defaultValue = fieldData.value || '[COMPANY]';
+        
+        // Create proper PDF text form field using correct pdf-lib API
+        const form = pdfDoc.getForm();
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
+        
+        // Set default value/placeholder
+        textField.setText(defaultValue);
+        if (!options.linkedField) {
+            applyTabProperties(textField, fieldData);
+        }
+        
+        // Add field to page using correct API
+        textField.addToPage(page, {
+            x: coords.llx,
+            y: coords.lly,
+            width: coords.urx - coords.llx,
+            height: coords.ury - coords.lly
+        });
+        
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Translate DocuSign title fields to PDF text fields (auto-populated)
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateTitleField(fieldData, pdfDoc, page, coords, options) {
+    try {
+        const fieldName = generateFieldName(fieldData, options);
+        const defaultValue = fieldData.value || '[TITLE]';
+        
+        // Create proper PDF text form field using correct pdf-lib API
+        const form = pdfDoc.getForm();
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
+        
+        // Set default value/placeholder
+        textField.setText(defaultValue);
+        if (!options.linkedField) {
+            applyTabProperties(textField, fieldData);
+        }
         
         // Add field to page using correct API
         textField.addToPage(page, {
@@ -697,6 +1172,8 @@ async function translateTitleField(fieldData, pdfDoc, page, coords, options) {
             height: coords.ury - coords.lly
         });
         
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
         return true;
     } catch (error) {
         return false;
@@ -715,15 +1192,23 @@ async function translateTitleField(fieldData, pdfDoc, page, coords, options) {
  */
 async function translateEmailField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
+        const fieldName = generateFieldName(fieldData, options);
         const defaultValue = fieldData.value || '[EMAIL]';
         
         // Create proper PDF text form field using correct pdf-lib API
         const form = pdfDoc.getForm();
-        const textField = form.createTextField(fieldName);
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
         
         // Set default value/placeholder
         textField.setText(defaultValue);
+        if (!options.linkedField) {
+            applyTabProperties(textField, fieldData);
+        }
+        
+        // A linked field already carries the validation of its first tab
+        if (!options.linkedField) {
+            applyTextFieldValidation(pdfDoc, textField, fieldData, 'email');
+        }
         
         // Add field to page using correct API
         textField.addToPage(page, {
@@ -733,6 +1218,46 @@ async function translateEmailField(fieldData, pdfDoc, page, coords, options) {
             height: coords.ury - coords.lly
         });
         
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Translate DocuSign envelope ID tabs to read-only PDF text fields
+ * The envelope only gets its ID when it is sent, so the field holds a placeholder
+ * unless the tab already has a value.
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateEnvelopeIdField(fieldData, pdfDoc, page, coords, options) {
+    try {
+        const fieldName = generateFieldName(fieldData, options);
+        
+        const form = pdfDoc.getForm();
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
+        
+        textField.setText(fieldData.value ? String(fieldData.value) : '[ENVELOPE ID]');
+        textField.enableReadOnly();
+        applyTabProperties(textField, fieldData);
+        
+        textField.addToPage(page, {
+            x: coords.llx,
+            y: coords.lly,
+            width: coords.urx - coords.llx,
+            height: coords.ury - coords.lly
+        });
+        
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
         return true;
     } catch (error) {
         return false;
@@ -751,15 +1276,23 @@ async function translateEmailField(fieldData, pdfDoc, page, coords, options) {
  */
 async function translateNumericalField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
-        const defaultValue = fieldData.value || '[NUMBER]';
+        const fieldName = generateFieldName(fieldData, options);
+        const defaultValue = fieldData.value || fieldData.numericalValue || '';
         
         // Create proper PDF text form field using correct pdf-lib API
         const form = pdfDoc.getForm();
-        const textField = form.createTextField(fieldName);
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
         
-        // Set default value/placeholder
-        textField.setText(defaultValue);
+        // No placeholder text: the numeric keystroke script would reject it
+        if (defaultValue) {
+            textField.setText(String(defaultValue));
+        }
+        
+        // A linked field already carries the validation and settings of its first tab
+        if (!options.linkedField) {
+            applyTextFieldValidation(pdfDoc, textField, fieldData, 'numerical');
+            applyTabProperties(textField, fieldData);
+        }
         
         // Add field to page using correct API
         textField.addToPage(page, {
@@ -769,6 +1302,50 @@ async function translateNumericalField(fieldData, pdfDoc, page, coords, options)
             height: coords.ury - coords.lly
         });
         
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Translate DocuSign formula fields to read-only PDF text fields
+ * 
+ * The calculate action is attached later by applyFormulaCalculations() in formula-fields.js,
+ * because the fields a formula refers to may not have been created yet.
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateFormulaField(fieldData, pdfDoc, page, coords, options) {
+    try {
+        const fieldName = generateFieldName(fieldData, options);
+        
+        const form = pdfDoc.getForm();
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
+        
+        // Signers never type into formula results
+        textField.enableReadOnly();
+        if (fieldData.value) {
+            textField.setText(String(fieldData.value));
+        }
+        applyTabProperties(textField, fieldData);
+        
+        textField.addToPage(page, {
+            x: coords.llx,
+            y: coords.lly,
+            width: coords.urx - coords.llx,
+            height: coords.ury - coords.lly
+        });
+        
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
         return true;
     } catch (error) {
         return false;
@@ -790,7 +1367,7 @@ async function translateNumericalField(fieldData, pdfDoc, page, coords, options)
  */
 async function translateSignerAttachmentField(fieldData, pdfDoc, page, coords, options) {
     try {
-        const fieldName = generateFieldName(fieldData);
+        const fieldName = generateFieldName(fieldData, options);
         const attachmentName = fieldData.tabLabel || fieldData.name || 'Attachment';
         
         // Determine appropriate placeholder text based on the field name
@@ -807,10 +1384,11 @@ async function translateSignerAttachmentField(fieldData, pdfDoc, page, coords, o
         
         // Create a text field for file attachment information
         const form = pdfDoc.getForm();
-        const textField = form.createTextField(fieldName);
+        const textField = createOrLinkField(form, fieldName, 'createTextField', options);
         
         // Set placeholder text
         textField.setText(placeholderText);
+        applyTabProperties(textField, fieldData);
         
         // Add field to page with appropriate styling
         textField.addToPage(page, {
@@ -820,59 +1398,675 @@ async function translateSignerAttachmentField(fieldData, pdfDoc, page, coords, o
             height: coords.ury - coords.lly
         });
         
+        await applyFieldStyle(pdfDoc, textField, fieldData);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Translate a DocuSign approve, decline or view tab to a PDF push button
+ * The button shows the tab's buttonText; DocuSign's action has no PDF equivalent,
+ * so the button does nothing when pressed.
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @param {string} defaultText - Caption when the tab has no buttonText
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateButtonField(fieldData, pdfDoc, page, coords, options, defaultText) {
+    try {
+        const fieldName = generateFieldName(fieldData, options);
+        const caption = fieldData.buttonText ? String(fieldData.buttonText) : defaultText;
+        
+        const form = pdfDoc.getForm();
+        const button = createOrLinkField(form, fieldName, 'createButton', options);
+        
+        button.addToPage(caption, page, {
+            x: coords.llx,
+            y: coords.lly,
+            width: coords.urx - coords.llx,
+            height: coords.ury - coords.lly
+        });
+        applyTabProperties(button, fieldData);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Translate DocuSign approve tabs to PDF push buttons
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateApproveField(fieldData, pdfDoc, page, coords, options) {
+    return translateButtonField(fieldData, pdfDoc, page, coords, options, 'Approve');
+}
+
+/**
+ * Translate DocuSign decline tabs to PDF push buttons
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateDeclineField(fieldData, pdfDoc, page, coords, options) {
+    return translateButtonField(fieldData, pdfDoc, page, coords, options, 'Decline');
+}
+
+/**
+ * Translate DocuSign view tabs to PDF push buttons
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateViewField(fieldData, pdfDoc, page, coords, options) {
+    return translateButtonField(fieldData, pdfDoc, page, coords, options, 'View');
+}
+
+/**
+ * Translate DocuSign draw tabs to PDF signature fields labelled "Draw Here"
+ * Signing tools let the signer draw into a signature field, which is the closest
+ * PDF equivalent of DocuSign's drawing canvas.
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateDrawField(fieldData, pdfDoc, page, coords, options) {
+    try {
+        const fieldName = generateFieldName(fieldData, options);
+        
+        const field = createSignatureField(pdfDoc, page, fieldName, coords, 'drawing', { seedValue: options.signatureSeedValue });
+        applyTabProperties(field, fieldData);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Draw DocuSign polyline overlay tabs onto the page as vector lines
+ * Each entry of polyLines is a segment ({ x1, y1, x2, y2 }) in DocuSign page
+ * coordinates; graphicsContext gives the line weight and color. No field is created.
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translatePolyLineOverlayField(fieldData, pdfDoc, page, coords, options) {
+    try {
+        const geometry = getPageGeometry(page, options.docuSignPage);
+        const graphics = fieldData.graphicsContext || {};
+        const lineWeight = parseFloat(graphics.lineWeight);
+        const thickness = (lineWeight > 0 ? lineWeight : 1) * geometry.scaleX;
+        const color = convertFontColor(graphics.lineColor);
+        
+        let drawn = 0;
+        for (const line of Array.isArray(fieldData.polyLines) ? fieldData.polyLines : []) {
+            const points = line ? [line.x1, line.y1, line.x2, line.y2].map(value => parseFloat(value)) : [];
+            if (points.length !== 4 || points.some(isNaN)) {
+                continue;
+            }
+            page.drawLine({
+                start: docuSignPointToPdf(geometry, points[0], points[1]),
+                end: docuSignPointToPdf(geometry, points[2], points[3]),
+                thickness,
+                color
+            });
+            drawn++;
+        }
+        
+        return drawn > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Translate DocuSign comment thread tabs to PDF comment (/Text) annotations
+ * The comment shows the tab's value, tooltip or label, signed by the tab's recipient.
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateCommentThreadField(fieldData, pdfDoc, page, coords, options) {
+    try {
+        const source = fieldData.sourceRecipient || {};
+        const contents = fieldData.value || getTabTooltip(fieldData) || fieldData.tabLabel || 'Comment';
+        const author = source.name || source.roleName;
+        
+        // Flags: Print (4), NoZoom (8) and NoRotate (16), so the note icon keeps its size
+        const annotation = pdfDoc.context.obj({
+            Type: 'Annot',
+            Subtype: 'Text',
+            Rect: [coords.llx, coords.lly, coords.urx, coords.ury],
+            Contents: PDFLib.PDFHexString.fromText(String(contents)),
+            NM: PDFLib.PDFHexString.fromText(generateFieldName(fieldData, options)),
+            Name: 'Comment',
+            Open: false,
+            F: 4 | 8 | 16,
+            C: [1, 0.82, 0],
+            P: page.ref
+        });
+        if (author) {
+            annotation.set(PDFLib.PDFName.of('T'), PDFLib.PDFHexString.fromText(String(author)));
+        }
+        page.node.addAnnot(pdfDoc.context.register(annotation));
+        
         return true;
     } catch (error) {
         return false;
     }
 }
 
+/**
+ * Accept DocuSign smart section tabs without placing anything
+ * Smart sections only steer DocuSign's responsive signing view; a PDF has no equivalent.
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFPage} page - PDF page
+ * @param {Object} coords - PDF coordinates
+ * @param {Object} options - Translation options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function translateSmartSectionField(fieldData, pdfDoc, page, coords, options) {
+    return true;
+}
+
 // ============================================================================
 // FIELD CREATION FUNCTIONS
 // ============================================================================
 
-// Note: createSignatureField is defined in converter.js
+// Note: createSignatureField is defined in signature-fields.js
 // This ensures consistent field creation across the entire system
 
+// ============================================================================
+// FIELD PROPERTIES
+// ============================================================================
+
+/**
+ * Get a tab's tooltip (DocuSign spells it both tooltip and toolTip)
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @returns {string|null} - The tooltip, or null when the tab has none
+ */
+function getTabTooltip(fieldData) {
+    const tooltip = fieldData.tooltip !== undefined && fieldData.tooltip !== null ? fieldData.tooltip : fieldData.toolTip;
+    return tooltip !== undefined && tooltip !== null && String(tooltip).trim() !== '' ? String(tooltip) : null;
+}
+
+/**
+ * Carry a tab's locked, read-only, required, tooltip and concealed settings over to its field
+ * Concealed values (concealValueOnDocument) become password fields, which viewers echo
+ * as bullets and never store, so the field starts empty.
+ * 
+ * @param {PDFField} field - The created field
+ * @param {Object} fieldData - DocuSign field data
+ */
+function applyTabProperties(field, fieldData) {
+    const tooltip = getTabTooltip(fieldData);
+    if (tooltip) {
+        field.acroField.dict.set(PDFLib.PDFName.of('TU'), PDFLib.PDFHexString.fromText(tooltip));
+    }
+    
+    if (isDocuSignFlagSet(fieldData.required)) {
+        field.enableRequired();
+    }
+    if (isDocuSignFlagSet(fieldData.locked) || isDocuSignFlagSet(fieldData.readOnly)) {
+        field.enableReadOnly();
+    }
+    
+    if (isDocuSignFlagSet(fieldData.concealValueOnDocument) && field instanceof PDFLib.PDFTextField) {
+        field.setText(undefined);
+        field.enablePassword();
+    }
+}
+
+// ============================================================================
+// FIELD VALIDATION
+// ============================================================================
+
+// DocuSign's built-in validation tab types, mapped to Acrobat's AFSpecial formats
+// (0 = ZIP, 1 = ZIP+4, 2 = phone, 3 = SSN) or to a validation pattern
+const BUILT_IN_VALIDATIONS = {
+    zip: { special: 0 },
+    zip4: { special: 1 },
+    phone: { special: 2 },
+    ssn: { special: 3 },
+    email: {
+        pattern: '[^@\\s]+@[^@\\s]+\\.[^@\\s]+',
+        message: 'Please enter a valid email address.'
+    }
+};
+
+/**
+ * Work out which built-in DocuSign validation a tab uses
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @param {string} kind - Translator kind ('text', 'numerical', 'email', 'ssn' or 'zip')
+ * @returns {Object|null} - Entry from BUILT_IN_VALIDATIONS
+ */
+function getBuiltInValidation(fieldData, kind) {
+    const tabType = (fieldData.tabType || fieldData.type || '').toLowerCase();
+    
+    if (kind === 'email' || tabType === 'email') {
+        return BUILT_IN_VALIDATIONS.email;
+    }
+    if (kind === 'ssn' || tabType === 'ssn') {
+        return BUILT_IN_VALIDATIONS.ssn;
+    }
+    if (kind === 'zip' || tabType === 'zip') {
+        const useDash4 = fieldData.useDash4 === true || fieldData.useDash4 === 'true';
+        return useDash4 ? BUILT_IN_VALIDATIONS.zip4 : BUILT_IN_VALIDATIONS.zip;
+    }
+    if (tabType === 'phonenumber' || tabType === 'phone') {
+        return BUILT_IN_VALIDATIONS.phone;
+    }
+    return null;
+}
+
+/**
+ * Read a numeric DocuSign property, ignoring blanks
+ * 
+ * @param {*} value - Raw property value
+ * @returns {number|null} - Parsed number or null
+ */
+function parseValidationNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Carry a tab's DocuSign validation rules over to a PDF text field
+ * Sets max length, and adds keystroke/format/validate actions
+ * for numbers, built-in masks (SSN, ZIP, phone, email) and custom validation patterns.
+ * 
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFTextField} textField - The created text field
+ * @param {Object} fieldData - DocuSign field data
+ * @param {string} kind - Translator kind ('text', 'numerical', 'email', 'ssn' or 'zip')
+ */
+function applyTextFieldValidation(pdfDoc, textField, fieldData, kind) {
+    const fieldDict = textField.acroField.dict;
+    
+    const maxLength = parseInt(fieldData.maxLength, 10);
+    if (maxLength > 0) {
+        // pdf-lib refuses a limit shorter than the current text
+        const text = textField.getText() || '';
+        if (text.length > maxLength) {
+            textField.setText(text.slice(0, maxLength));
+        }
+        textField.setMaxLength(maxLength);
+    }
+    
+    const validateLines = [];
+    
+    if (kind === 'numerical') {
+        const currency = String(fieldData.validationType || '').toLowerCase() === 'currency';
+        setAdditionalAction(pdfDoc, fieldDict, 'K',
+            createJavaScriptAction(pdfDoc, `AFNumber_Keystroke(${currency ? 2 : 0}, 0, 0, 0, "", true);`));
+        if (currency) {
+            setAdditionalAction(pdfDoc, fieldDict, 'F',
+                createJavaScriptAction(pdfDoc, 'AFNumber_Format(2, 0, 0, 0, "", true);'));
+        }
+        
+        const min = parseValidationNumber(fieldData.minNumericalValue);
+        const max = parseValidationNumber(fieldData.maxNumericalValue);
+        if (min !== null || max !== null) {
+            validateLines.push(`AFRange_Validate(${min !== null}, ${min !== null ? min : 0}, ${max !== null}, ${max !== null ? max : 0});`);
+        }
+    }
+    
+    const builtIn = kind === 'numerical' ? null : getBuiltInValidation(fieldData, kind);
+    if (builtIn && builtIn.special !== undefined) {
+        setAdditionalAction(pdfDoc, fieldDict, 'K',
+            createJavaScriptAction(pdfDoc, `AFSpecial_Keystroke(${builtIn.special});`));
+        setAdditionalAction(pdfDoc, fieldDict, 'F',
+            createJavaScriptAction(pdfDoc, `AFSpecial_Format(${builtIn.special});`));
+    }
+    
+    // A custom pattern wins over the built-in email pattern
+    const pattern = fieldData.validationPattern || (builtIn && builtIn.pattern) || null;
+    const message = fieldData.validationMessage || (builtIn && builtIn.message) || 'The value entered does not match the format of this field.';
+    if (pattern) {
+        // DocuSign matches the whole value; skip patterns JavaScript can't compile
+        const anchored = `^(?:${pattern})$`;
+        let valid = true;
+        try {
+            new RegExp(anchored);
+        } catch (error) {
+            valid = false;
+        }
+        if (valid) {
+            validateLines.push(
+                `if (event.rc !== false && event.value !== "" && !new RegExp(${JSON.stringify(anchored)}).test(event.value)) {`,
+                `    app.alert(${JSON.stringify(message)});`,
+                '    event.rc = false;',
+                '}'
+            );
+        }
+    }
+    
+    if (validateLines.length > 0) {
+        setAdditionalAction(pdfDoc, fieldDict, 'V', createJavaScriptAction(pdfDoc, validateLines.join('\n')));
+    }
+}
+
+// ============================================================================
+// FIELD STYLING
+// ============================================================================
+
+// DocuSign font names mapped to the closest standard 14 font family
+const DOCUSIGN_FONT_FAMILIES = {
+    default: 'helvetica',
+    arial: 'helvetica',
+    arialnarrow: 'helvetica',
+    calibri: 'helvetica',
+    helvetica: 'helvetica',
+    tahoma: 'helvetica',
+    trebuchet: 'helvetica',
+    verdana: 'helvetica',
+    msgothic: 'helvetica',
+    timesnewroman: 'times',
+    garamond: 'times',
+    georgia: 'times',
+    msmincho: 'times',
+    couriernew: 'courier',
+    lucidaconsole: 'courier'
+};
+
+// Standard 14 font names per family: [regular, bold, italic, bold italic]
+const STANDARD_FONT_VARIANTS = {
+    helvetica: ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'],
+    times: ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'],
+    courier: ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique']
+};
+
+// DocuSign's font color palette as hex RGB
+const DOCUSIGN_FONT_COLORS = {
+    black: '000000',
+    white: 'ffffff',
+    brightblue: '0066ff',
+    brightred: 'ff0000',
+    darkgreen: '006400',
+    darkred: '8b0000',
+    gold: 'b8860b',
+    green: '008000',
+    navyblue: '000080',
+    purple: '800080',
+    // Older templates use plain color names
+    red: 'ff0000',
+    blue: '0000ff'
+};
+
+// Fonts already embedded per document, so each variant is embedded once
+const styleFontCache = new WeakMap();
+
+// Font used for each styled field, so appearances can be regenerated with it
+const styledFieldFonts = new WeakMap();
+
+/**
+ * Read a DocuSign boolean that may be a string
+ * 
+ * @param {*} value - Raw value
+ * @returns {boolean} - Parsed flag
+ */
+function isDocuSignFlagSet(value) {
+    return value === true || value === 'true';
+}
+
+/**
+ * Collect the styling a DocuSign tab asks for
+ * 
+ * @param {Object} fieldData - DocuSign field data
+ * @returns {Object|null} - { family, bold, italic, underline, fontSize, color, alignment } or null when the tab has no styling
+ */
+function getFieldStyle(fieldData) {
+    const hasStyle = ['font', 'fontSize', 'fontColor', 'bold', 'italic', 'underline', 'justification', 'alignment']
+        .some(key => fieldData[key] !== undefined && fieldData[key] !== null && fieldData[key] !== '');
+    if (!hasStyle) {
+        return null;
+    }
+    
+    const fontKey = String(fieldData.font || 'default').replace(/[\s_-]/g, '').toLowerCase();
+    const alignment = String(fieldData.justification || fieldData.alignment || 'left').toLowerCase();
+    
+    return {
+        family: DOCUSIGN_FONT_FAMILIES[fontKey] || 'helvetica',
+        bold: isDocuSignFlagSet(fieldData.bold),
+        italic: isDocuSignFlagSet(fieldData.italic),
+        underline: isDocuSignFlagSet(fieldData.underline),
+        fontSize: fieldData.fontSize ? convertFontSize(fieldData.fontSize) : null,
+        color: convertFontColor(fieldData.fontColor),
+        alignment: ['center', 'centre', 'middle'].includes(alignment) ? 'center' : (alignment === 'right' ? 'right' : 'left')
+    };
+}
+
+/**
+ * Get (embedding on first use) the standard 14 font for a field style
+ * 
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {Object} style - Style from getFieldStyle()
+ * @returns {Promise<PDFFont>} - Embedded font
+ */
+async function getStyleFont(pdfDoc, style) {
+    if (!styleFontCache.has(pdfDoc)) {
+        styleFontCache.set(pdfDoc, new Map());
+    }
+    const cache = styleFontCache.get(pdfDoc);
+    
+    const variantIndex = (style.bold ? 1 : 0) + (style.italic ? 2 : 0);
+    const fontName = STANDARD_FONT_VARIANTS[style.family][variantIndex];
+    if (!cache.has(fontName)) {
+        cache.set(fontName, await pdfDoc.embedFont(fontName));
+    }
+    return cache.get(fontName);
+}
+
+/**
+ * Apply a tab's font, size, color, bold/italic, underline and alignment to a field
+ * Only text and choice fields carry text styling; other fields are left as they are.
+ * Styling problems never fail the translation - the field just keeps the default look.
+ * 
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFField} field - The created field
+ * @param {Object} fieldData - DocuSign field data
+ * @returns {Promise<boolean>} - Whether styling was applied
+ */
+async function applyFieldStyle(pdfDoc, field, fieldData) {
+    try {
+        const style = getFieldStyle(fieldData);
+        const isTextField = field instanceof PDFLib.PDFTextField;
+        if (!style || !(isTextField || field instanceof PDFLib.PDFDropdown || field instanceof PDFLib.PDFOptionList)) {
+            return false;
+        }
+        
+        const font = await getStyleFont(pdfDoc, style);
+        const { red, green, blue } = style.color;
+        
+        // The appearance provider reads color and size back from /DA; for size 0 it fits the
+        // text to the field and writes the size it picked back into /DA
+        field.acroField.setDefaultAppearance(`${red} ${green} ${blue} rg\n/${font.name} ${style.fontSize || 0} Tf`);
+        
+        if (isTextField) {
+            const alignments = { left: PDFLib.TextAlignment.Left, center: PDFLib.TextAlignment.Center, right: PDFLib.TextAlignment.Right };
+            field.setAlignment(alignments[style.alignment]);
+        }
+        
+        // Viewers regenerate appearances from /DA, so the font must be in the form's resources
+        const acroForm = pdfDoc.getForm().acroForm.dict;
+        let resources = acroForm.lookup(PDFLib.PDFName.of('DR'));
+        if (!(resources instanceof PDFLib.PDFDict)) {
+            resources = pdfDoc.context.obj({});
+            acroForm.set(PDFLib.PDFName.of('DR'), resources);
+        }
+        let fonts = resources.lookup(PDFLib.PDFName.of('Font'));
+        if (!(fonts instanceof PDFLib.PDFDict)) {
+            fonts = pdfDoc.context.obj({});
+            resources.set(PDFLib.PDFName.of('Font'), fonts);
+        }
+        fonts.set(PDFLib.PDFName.of(font.name), font.ref);
+        
+        // Form fields have no underline in /DA; the rich-text default style is the closest
+        // equivalent and is honored by viewers that support it
+        if (style.underline) {
+            field.acroField.dict.set(PDFLib.PDFName.of('DS'), PDFLib.PDFString.of(
+                `font: ${style.fontSize || 12}pt ${STANDARD_FONT_VARIANTS[style.family][0]}; text-decoration: underline`
+            ));
+        }
+        
+        field.updateAppearances(font);
+        
+        if (!styledFieldFonts.has(pdfDoc)) {
+            styledFieldFonts.set(pdfDoc, new Map());
+        }
+        styledFieldFonts.get(pdfDoc).set(field.getName(), font);
+        
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Regenerate appearances of styled fields that changed after they were styled
+ * Call before PDFForm.updateFieldAppearances(), which would otherwise redraw them in Helvetica.
+ * 
+ * @param {PDFDocument} pdfDoc - PDF document
+ */
+function refreshStyledFieldAppearances(pdfDoc) {
+    const fonts = styledFieldFonts.get(pdfDoc);
+    if (!fonts) {
+        return;
+    }
+    
+    const form = pdfDoc.getForm();
+    for (const [fieldName, font] of fonts) {
+        try {
+            const field = form.getField(fieldName);
+            if (field.needsAppearancesUpdate()) {
+                field.updateAppearances(font);
+            }
+        } catch (error) {
+            // Field was removed after styling
+        }
+    }
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
 /**
- * Sanitize field name to prevent XSS and other attacks
- * @param {string} name - The field name to sanitize
- * @returns {string} - Sanitized field name
+ * Create a JavaScript action dictionary
+ * 
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {string} script - JavaScript source
+ * @returns {PDFRef} - Reference to the registered action
+ */
+function createJavaScriptAction(pdfDoc, script) {
+    return pdfDoc.context.register(pdfDoc.context.obj({
+        Type: PDFLib.PDFName.of('Action'),
+        S: PDFLib.PDFName.of('JavaScript'),
+        JS: PDFLib.PDFHexString.fromText(script)
+    }));
+}
+
+/**
+ * Add an entry to a dictionary's additional-actions (/AA) dictionary
+ * If the trigger already has an action, the new one is chained after it with /Next,
+ * so e.g. a validation script and a conditional show/hide script can share /V.
+ * 
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {PDFDict} dict - Field or widget dictionary
+ * @param {string} trigger - Trigger name (e.g. 'K' keystroke, 'F' format, 'V' validate, 'C' calculate, 'U' mouse up)
+ * @param {PDFRef} actionRef - The action
  */
-function sanitizeFieldName(name) {
-    if (!name || typeof name !== 'string') {
-        return 'field_' + Date.now();
+function setAdditionalAction(pdfDoc, dict, trigger, actionRef) {
+    let additionalActions = dict.lookup(PDFLib.PDFName.of('AA'));
+    if (!(additionalActions instanceof PDFLib.PDFDict)) {
+        additionalActions = pdfDoc.context.obj({});
+        dict.set(PDFLib.PDFName.of('AA'), additionalActions);
     }
     
-    // Remove potentially dangerous characters and limit length
-    return name
-        .replace(/[<>\"'&]/g, '') // Remove HTML/XML special characters
-        .replace(/[^\w\-_]/g, '_') // Replace non-alphanumeric chars with underscore
-        .substring(0, 40); // Limit length
+    let existing = additionalActions.lookup(PDFLib.PDFName.of(trigger));
+    if (!(existing instanceof PDFLib.PDFDict)) {
+        additionalActions.set(PDFLib.PDFName.of(trigger), actionRef);
+        return;
+    }
+    while (existing.lookup(PDFLib.PDFName.of('Next')) instanceof PDFLib.PDFDict) {
+        existing = existing.lookup(PDFLib.PDFName.of('Next'));
+    }
+    existing.set(PDFLib.PDFName.of('Next'), actionRef);
 }
 
 /**
  * Generate a valid PDF field name from DocuSign field data
  * 
  * @param {Object} fieldData - DocuSign field data
+ * @param {Object} options - Translation options (options.fieldName from the converter's field namer is used as-is)
  * @returns {string} - Valid PDF field name
  */
-function generateFieldName(fieldData) {
-    let name = fieldData.name || fieldData.tabLabel || `Field_${Date.now()}`;
-    
-    // Sanitize the name first
-    name = sanitizeFieldName(name);
-    
-    // Ensure uniqueness by adding timestamp and random string
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 5);
-    const uniqueName = `${name}_${timestamp}_${random}`;
+function generateFieldName(fieldData, options = {}) {
+    // The converter has already picked a unique, stable name
+    if (options.fieldName) {
+        return options.fieldName;
+    }
     
-    // Truncate to PDF field name limits while preserving uniqueness
-    return uniqueName.substring(0, 60);
+    // Standalone use: derive the name from the label alone so it is the same every run
+    return sanitizeFieldName(fieldData.name || fieldData.tabLabel || 'Field');
+}
+
+/**
+ * Create a form field, or return the existing shared field when the converter linked
+ * this tab to an earlier tab with the same label (options.linkedField)
+ * 
+ * @param {PDFForm} form - The PDF form
+ * @param {string} fieldName - Field name
+ * @param {string} createMethod - PDFForm method to create the field (e.g. 'createTextField')
+ * @param {Object} options - Translation options
+ * @returns {PDFField} - The field to add a widget to
+ */
+function createOrLinkField(form, fieldName, createMethod, options = {}) {
+    if (options.linkedField) {
+        return form.getField(fieldName);
+    }
+    return form[createMethod](fieldName);
 }
 
 /**
@@ -882,6 +2076,9 @@ function generateFieldName(fieldData) {
  * @returns {number} - PDF font size in points
  */
 function convertFontSize(docuSignSize) {
+    if (typeof docuSignSize === 'number' && docuSignSize > 0) {
+        return docuSignSize;
+    }
     if (!docuSignSize || typeof docuSignSize !== 'string') {
         return 12; // Default font size
     }
@@ -897,7 +2094,7 @@ function convertFontSize(docuSignSize) {
 /**
  * Convert DocuSign font color to PDF color
  * 
- * @param {string} docuSignColor - DocuSign font color (e.g., 'black', 'red')
+ * @param {string} docuSignColor - DocuSign font color (e.g., 'Black', 'BrightRed', '#336699')
  * @returns {Object} - PDF color object
  */
 function convertFontColor(docuSignColor) {
@@ -905,19 +2102,17 @@ function convertFontColor(docuSignColor) {
         return PDFLib.rgb(0, 0, 0); // Default to black
     }
     
-    const color = docuSignColor.toLowerCase();
-    switch (color) {
-        case 'black':
-            return PDFLib.rgb(0, 0, 0);
-        case 'red':
-            return PDFLib.rgb(1, 0, 0);
-        case 'green':
-            return PDFLib.rgb(0, 1, 0);
-        case 'blue':
-            return PDFLib.rgb(0, 0, 1);
-        default:
-            return PDFLib.rgb(0, 0, 0); // Default to black
+    const color = docuSignColor.trim().toLowerCase();
+    const hex = DOCUSIGN_FONT_COLORS[color] || (/^#?[0-9a-f]{6}$/.test(color) ? color.replace('#', '') : null);
+    if (!hex) {
+        return PDFLib.rgb(0, 0, 0); // Default to black
     }
+    
+    return PDFLib.rgb(
+        parseInt(hex.slice(0, 2), 16) / 255,
+        parseInt(hex.slice(2, 4), 16) / 255,
+        parseInt(hex.slice(4, 6), 16) / 255
+    );
 }
 
 // ============================================================================
@@ -1030,6 +2225,7 @@ if (typeof window !== 'undefined') {
     window.resetAllFieldTypes = resetAllFieldTypes;
     window.getFieldTypeStates = getFieldTypeStates;
     window.translateField = translateField;
+    window.refreshStyledFieldAppearances = refreshStyledFieldAppearances;
 }
 
 // Export the field translation system
@@ -1041,6 +2237,12 @@ if (typeof module !== 'undefined' && module.exports) {
         getAllFieldTypeConfigs,
         resetAllFieldTypes,
         getFieldTypeStates,
+        applyTextFieldValidation,
+        applyTabProperties,
+        applyFieldStyle,
+        refreshStyledFieldAppearances,
+        createJavaScriptAction,
+        setAdditionalAction,
         FIELD_TRANSLATORS
     };
 }
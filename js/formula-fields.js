@@ -0,0 +1,489 @@
+/**
+ * DocuSign Formula Fields
+ *
+ * DocuSign formula tabs compute their value from other tabs, e.g. "[Qty] * [Price]" or
+ * "Round([Subtotal] * 1.08, 2)". The formula translator creates a read-only text field;
+ * once every tab has been converted, this module parses each formula, resolves its
+ * [Label] references to the created PDF fields and attaches an AcroForm calculate
+ * action, a number format action and a calculation order (/CO) that runs formulas
+ * after the formulas they depend on.
+ */
+
+// Functions allowed in formulas, keyed by lower-case name
+const FORMULA_FUNCTIONS = {
+    round: {
+        minArgs: 1,
+        maxArgs: 2,
+        evaluate: (value, places = 0) => roundFormulaValue(value, places),
+        script: (args) => `dsRound(${args[0]}, ${args[1] || '0'})`
+    },
+    abs: {
+        minArgs: 1,
+        maxArgs: 1,
+        evaluate: (value) => Math.abs(value),
+        script: (args) => `Math.abs(${args[0]})`
+    },
+    min: {
+        minArgs: 1,
+        maxArgs: Infinity,
+        evaluate: (...values) => Math.min(...values),
+        script: (args) => `Math.min(${args.join(', ')})`
+    },
+    max: {
+        minArgs: 1,
+        maxArgs: Infinity,
+        evaluate: (...values) => Math.max(...values),
+        script: (args) => `Math.max(${args.join(', ')})`
+    },
+    floor: {
+        minArgs: 1,
+        maxArgs: 1,
+        evaluate: (value) => Math.floor(value),
+        script: (args) => `Math.floor(${args[0]})`
+    },
+    ceiling: {
+        minArgs: 1,
+        maxArgs: 1,
+        evaluate: (value) => Math.ceil(value),
+        script: (args) => `Math.ceil(${args[0]})`
+    }
+};
+
+// Decimal places used when a formula tab doesn't set roundDecimalPlaces
+const FORMULA_DEFAULT_DECIMALS = 2;
+
+/**
+ * Round a number to a fixed number of decimal places
+ *
+ * @param {number} value - Value to round
+ * @param {number} places - Decimal places
+ * @returns {number} - Rounded value
+ */
+function roundFormulaValue(value, places) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Split a DocuSign formula into tokens
+ *
+ * @param {string} formula - Formula expression
+ * @returns {Array<Object>} - Tokens: { type: 'number'|'ref'|'name'|'op', value }
+ * @throws {Error} - When the formula contains unsupported characters
+ */
+function tokenizeFormula(formula) {
+    const tokens = [];
+    let position = 0;
+    
+    while (position < formula.length) {
+        const char = formula[position];
+        
+        if (/\s/.test(char)) {
+            position++;
+        } else if (char === '[') {
+            const end = formula.indexOf(']', position);
+            if (end === -1) {
+                throw new Error('Unclosed tab reference');
+            }
+            tokens.push({ type: 'ref', value: formula.slice(position + 1, end).trim() });
+            position = end + 1;
+        } else if (/[0-9.]/.test(char)) {
+            const match = /^[0-9]*\.?[0-9]+|^[0-9]+\.?/.exec(formula.slice(position));
+            if (!match) {
+                throw new Error('Invalid number');
+            }
+            tokens.push({ type: 'number', value: parseFloat(match[0]) });
+            position += match[0].length;
+        } else if (/[A-Za-z]/.test(char)) {
+            const match = /^[A-Za-z]+/.exec(formula.slice(position));
+            tokens.push({ type: 'name', value: match[0].toLowerCase() });
+            position += match[0].length;
+        } else if ('+-*/(),'.includes(char)) {
+            tokens.push({ type: 'op', value: char });
+            position++;
+        } else {
+            throw new Error(`Unsupported character "${char}"`);
+        }
+    }
+    
+    return tokens;
+}
+
+/**
+ * Parse a DocuSign formula into an expression tree
+ * Supports + - * /, parentheses, unary minus, [Label] references and FORMULA_FUNCTIONS.
+ *
+ * @param {string} formula - Formula expression
+ * @returns {Object} - Expression tree
+ * @throws {Error} - When the formula can't be parsed
+ */
+function parseFormula(formula) {
+    const tokens = tokenizeFormula(String(formula || ''));
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) {
+            throw new Error(`Expected "${value}"`);
+        }
+        index++;
+    };
+    
+    function parseExpression() {
+        let node = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[index++].value;
+            node = { type: 'binary', op, left: node, right: parseTerm() };
+        }
+        return node;
+    }
+    
+    function parseTerm() {
+        let node = parseFactor();
+        while (isOp('*') || isOp('/')) {
+            const op = tokens[index++].value;
+            node = { type: 'binary', op, left: node, right: parseFactor() };
+        }
+        return node;
+    }
+    
+    function parseFactor() {
+        const token = peek();
+        if (!token) {
+            throw new Error('Unexpected end of formula');
+        }
+        index++;
+        
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        if (token.type === 'ref') {
+            return { type: 'ref', label: token.value };
+        }
+        if (token.type === 'op' && token.value === '-') {
+            return { type: 'negate', arg: parseFactor() };
+        }
+        if (token.type === 'op' && token.value === '+') {
+            return parseFactor();
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const node = parseExpression();
+            expect(')');
+            return node;
+        }
+        if (token.type === 'name') {
+            const fn = FORMULA_FUNCTIONS[token.value];
+            if (!fn) {
+                throw new Error(`Unsupported function "${token.value}"`);
+            }
+            expect('(');
+            const args = [parseExpression()];
+            while (isOp(',')) {
+                index++;
+                args.push(parseExpression());
+            }
+            expect(')');
+            if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+                throw new Error(`Wrong number of arguments for "${token.value}"`);
+            }
+            return { type: 'call', name: token.value, args };
+        }
+        
+        throw new Error(`Unexpected "${token.value}"`);
+    }
+    
+    const tree = parseExpression();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected "${tokens[index].value}"`);
+    }
+    return tree;
+}
+
+/**
+ * List the tab labels a formula refers to
+ *
+ * @param {Object} node - Expression tree
+ * @param {Set<string>} labels - Accumulator
+ * @returns {Set<string>} - Referenced labels
+ */
+function getFormulaReferences(node, labels = new Set()) {
+    if (node.type === 'ref') {
+        labels.add(node.label);
+    } else if (node.type === 'negate') {
+        getFormulaReferences(node.arg, labels);
+    } else if (node.type === 'binary') {
+        getFormulaReferences(node.left, labels);
+        getFormulaReferences(node.right, labels);
+    } else if (node.type === 'call') {
+        node.args.forEach(arg => getFormulaReferences(arg, labels));
+    }
+    return labels;
+}
+
+/**
+ * Evaluate a formula tree
+ *
+ * @param {Object} node - Expression tree
+ * @param {Function} resolve - Returns the numeric value of a tab label
+ * @returns {number} - Result (NaN/Infinity when the formula divides by zero)
+ */
+function evaluateFormula(node, resolve) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'ref':
+            return resolve(node.label);
+        case 'negate':
+            return -evaluateFormula(node.arg, resolve);
+        case 'binary': {
+            const left = evaluateFormula(node.left, resolve);
+            const right = evaluateFormula(node.right, resolve);
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                default: return left / right;
+            }
+        }
+        default:
+            return FORMULA_FUNCTIONS[node.name].evaluate(...node.args.map(arg => evaluateFormula(arg, resolve)));
+    }
+}
+
+/**
+ * Turn a formula tree into an Acrobat JavaScript expression
+ *
+ * @param {Object} node - Expression tree
+ * @param {Function} getFieldName - Returns the PDF field name for a tab label
+ * @returns {string} - JavaScript expression
+ */
+function formulaToScript(node, getFieldName) {
+    switch (node.type) {
+        case 'number':
+            return String(node.value);
+        case 'ref':
+            return `dsNum(${JSON.stringify(getFieldName(node.label))})`;
+        case 'negate':
+            return `(-${formulaToScript(node.arg, getFieldName)})`;
+        case 'binary':
+            return `(${formulaToScript(node.left, getFieldName)} ${node.op} ${formulaToScript(node.right, getFieldName)})`;
+        default:
+            return FORMULA_FUNCTIONS[node.name].script(node.args.map(arg => formulaToScript(arg, getFieldName)));
+    }
+}
+
+/**
+ * Get the number of decimal places a formula tab displays
+ *
+ * @param {Object} tab - DocuSign formula tab
+ * @returns {number} - Decimal places
+ */
+function getFormulaDecimals(tab) {
+    const places = parseInt(tab.roundDecimalPlaces, 10);
+    return isNaN(places) || places < 0 ? FORMULA_DEFAULT_DECIMALS : Math.min(places, 10);
+}
+
+/**
+ * Build the calculate script for a formula field
+ *
+ * @param {Object} tree - Parsed formula
+ * @param {Function} getFieldName - Returns the PDF field name for a tab label
+ * @param {number} decimals - Decimal places to round the result to
+ * @returns {string} - JavaScript source
+ */
+function buildFormulaScript(tree, getFieldName, decimals) {
+    return [
+        'var dsDoc = this;',
+        'function dsNum(name) {',
+        '    var field = dsDoc.getField(name);',
+        // A checkbox's value is its export value ("Yes"/"Off"); count it as 1 or 0 like the starting value
+        '    if (field && field.type === "checkbox") {',
+        '        return field.value === "Off" ? 0 : 1;',
+        '    }',
+        '    var value = field ? AFMakeNumber(field.value) : null;',
+        '    return value === null ? 0 : value;',
+        '}',
+        'function dsRound(value, places) {',
+        '    var factor = Math.pow(10, places);',
+        '    return Math.round(value * factor) / factor;',
+        '}',
+        `var dsResult = ${formulaToScript(tree, getFieldName)};`,
+        `event.value = isFinite(dsResult) ? dsRound(dsResult, ${decimals}) : "";`
+    ].join('\n');
+}
+
+/**
+ * Read the starting numeric value of a converted tab
+ *
+ * @param {PDFField} field - The created field
+ * @param {Object} tab - DocuSign tab
+ * @returns {number} - Numeric value (0 when blank or not a number)
+ */
+function getFormulaInputValue(field, tab) {
+    let raw = tab.value;
+    if (field instanceof PDFLib.PDFTextField) {
+        raw = field.getText();
+    } else if (field instanceof PDFLib.PDFCheckBox) {
+        raw = field.isChecked() ? 1 : 0;
+    }
+    const value = parseFloat(String(raw === undefined || raw === null ? '' : raw).replace(/[^0-9.\-]/g, ''));
+    return isNaN(value) ? 0 : value;
+}
+
+/**
+ * Attach calculate/format actions and the calculation order to converted formula tabs
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Array<Object>} createdFields - Records of { tab, fieldType, fieldNames } for every converted tab
+ * @returns {Array<Object>} - Formulas that couldn't be wired: { tabLabel, formula, reason }
+ */
+function applyFormulaCalculations(pdfDoc, createdFields) {
+    const form = pdfDoc.getForm();
+    const getField = (name) => {
+        try {
+            return form.getField(name);
+        } catch (error) {
+            return null;
+        }
+    };
+    
+    const formulas = createdFields.filter(record => record.fieldType === 'formulaTabs' && record.fieldNames.length > 0);
+    const problems = [];
+    if (formulas.length === 0) {
+        return problems;
+    }
+    
+    // Resolve a label the way DocuSign does: same recipient first, then any recipient
+    const findRecord = (label, owner) => {
+        const candidates = createdFields.filter(record =>
+            record.fieldNames.length > 0 &&
+            (record.tab.tabLabel === label || record.tab.groupName === label)
+        );
+        const recipientId = owner.tab.sourceRecipient ? owner.tab.sourceRecipient.recipientId : null;
+        return candidates.find(record =>
+            record.tab.sourceRecipient && record.tab.sourceRecipient.recipientId === recipientId
+        ) || candidates[0] || null;
+    };
+    
+    // Parse every formula and resolve its references
+    const parsed = new Map();
+    for (const record of formulas) {
+        try {
+            const tree = parseFormula(record.tab.formula);
+            const references = {};
+            for (const label of getFormulaReferences(tree)) {
+                const target = findRecord(label, record);
+                if (!target) {
+                    throw new Error(`Unknown tab "${label}"`);
+                }
+                references[label] = target;
+            }
+            parsed.set(record, { tree, references });
+        } catch (error) {
+            problems.push({ tabLabel: record.tab.tabLabel || null, formula: record.tab.formula || '', reason: error.message });
+        }
+    }
+    
+    // Order formulas so each one runs after the formulas it reads from. Formulas in a cycle
+    // are dropped, and so is every formula that reads from a dropped one, whatever the order
+    // they are visited in.
+    const ordered = [];
+    const state = new Map(formulas.filter(record => !parsed.has(record)).map(record => [record, 'failed']));
+    const stack = [];
+    const inCycle = new Set();
+    const visit = (record) => {
+        if (state.get(record) === 'done') {
+            return true;
+        }
+        if (state.get(record) === 'failed') {
+            return false;
+        }
+        if (state.get(record) === 'visiting') {
+            stack.slice(stack.indexOf(record)).forEach(member => inCycle.add(member));
+            return false;
+        }
+        state.set(record, 'visiting');
+        stack.push(record);
+        const dependencies = Object.entries(parsed.get(record).references).filter(([, target]) => formulas.includes(target));
+        const failed = dependencies.filter(([, target]) => !visit(target));
+        stack.pop();
+        
+        if (failed.length === 0 && !inCycle.has(record)) {
+            state.set(record, 'done');
+            ordered.push(record);
+            return true;
+        }
+        state.set(record, 'failed');
+        parsed.delete(record);
+        problems.push({
+            tabLabel: record.tab.tabLabel || null,
+            formula: record.tab.formula || '',
+            reason: inCycle.has(record) ? 'Circular reference' : `Depends on "${failed[0][0]}", which can't be calculated`
+        });
+        return false;
+    };
+    Array.from(parsed.keys()).forEach(visit);
+    
+    // Evaluate formulas in order so dependent formulas start from computed values
+    const values = new Map();
+    const calculationOrder = [];
+    
+    for (const record of ordered) {
+        if (!parsed.has(record)) {
+            continue;
+        }
+        const { tree, references } = parsed.get(record);
+        const field = getField(record.fieldNames[0]);
+        if (!field) {
+            continue;
+        }
+        const decimals = getFormulaDecimals(record.tab);
+        
+        const resolve = (label) => {
+            const target = references[label];
+            if (values.has(target)) {
+                return values.get(target);
+            }
+            const targetField = getField(target.fieldNames[0]);
+            return targetField ? getFormulaInputValue(targetField, target.tab) : 0;
+        };
+        const result = evaluateFormula(tree, resolve);
+        const initial = isFinite(result) ? roundFormulaValue(result, decimals) : 0;
+        values.set(record, initial);
+        
+        if (field instanceof PDFLib.PDFTextField) {
+            field.setText(isFinite(result) ? initial.toFixed(decimals) : '');
+        }
+        
+        const script = buildFormulaScript(tree, (label) => references[label].fieldNames[0], decimals);
+        const fieldDict = field.acroField.dict;
+        setAdditionalAction(pdfDoc, fieldDict, 'C', createJavaScriptAction(pdfDoc, script));
+        setAdditionalAction(pdfDoc, fieldDict, 'F', createJavaScriptAction(pdfDoc, `AFNumber_Format(${decimals}, 0, 0, 0, "", true);`));
+        calculationOrder.push(field.ref);
+    }
+    
+    if (calculationOrder.length > 0) {
+        form.acroForm.dict.set(PDFLib.PDFName.of('CO'), pdfDoc.context.obj(calculationOrder));
+    }
+    
+    return problems;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.applyFormulaCalculations = applyFormulaCalculations;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        applyFormulaCalculations,
+        parseFormula,
+        evaluateFormula,
+        formulaToScript,
+        FORMULA_FUNCTIONS
+    };
+}
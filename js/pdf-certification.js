@@ -0,0 +1,258 @@
+/**
+ * PDF Certification
+ *
+ * Applies a certifying (author) signature to the finished PDF with a PKCS#12 (.p12/.pfx)
+ * certificate, entirely on the client: an invisible signature field is added whose
+ * DocMDP transform allows form filling and signing but nothing else, the document is
+ * saved with a placeholder for the signature, and a detached PKCS#7 signature over the
+ * rest of the file is written into the placeholder. Viewers then show the document as
+ * certified by the certificate's owner and flag any other change. Signing uses
+ * node-forge, which the page loads as the global `forge`.
+ */
+
+// DocMDP permissions: 1 no changes, 2 form fill-in and signing, 3 also annotations
+const CERTIFICATION_PERMISSIONS = 2;
+
+// Bytes reserved for the PKCS#7 signature (the certificate chain is part of it)
+const CERTIFICATION_SIGNATURE_LENGTH = 16384;
+
+// Stands in for the byte range numbers until the file's final layout is known
+const BYTE_RANGE_PLACEHOLDER = '**********';
+
+// ============================================================================
+// BYTES AND CERTIFICATES
+// ============================================================================
+
+/**
+ * Get node-forge, which does the PKCS#12 and PKCS#7 work
+ *
+ * @returns {Object} - The forge library
+ * @throws {Error} - When node-forge isn't loaded
+ */
+function getForge() {
+    if (typeof forge === 'undefined') {
+        throw new Error('Certificate signing is not available: node-forge is not loaded');
+    }
+    return forge;
+}
+
+/**
+ * Turn bytes into a binary string (one character per byte), as forge expects
+ *
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} - Binary string
+ */
+function bytesToBinaryString(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return binary;
+}
+
+/**
+ * Read the private key and certificates from a PKCS#12 file
+ *
+ * @param {Uint8Array|ArrayBuffer} pkcs12Bytes - Contents of the .p12/.pfx file
+ * @param {string} [password] - The file's password
+ * @returns {Object} - { privateKey, certificate, chain } where chain holds the other certificates
+ * @throws {Error} - When the password is wrong or the file has no key and matching certificate
+ */
+function readPkcs12Certificate(pkcs12Bytes, password = '') {
+    const forgeLib = getForge();
+    const bytes = pkcs12Bytes instanceof Uint8Array ? pkcs12Bytes : new Uint8Array(pkcs12Bytes);
+    
+    let pkcs12;
+    try {
+        const asn1 = forgeLib.asn1.fromDer(bytesToBinaryString(bytes));
+        pkcs12 = forgeLib.pkcs12.pkcs12FromAsn1(asn1, password || '');
+    } catch (error) {
+        throw new Error('The certificate could not be opened: check the password and that it is a .p12/.pfx file');
+    }
+    
+    const oids = forgeLib.pki.oids;
+    const keyBags = [
+        ...(pkcs12.getBags({ bagType: oids.pkcs8ShroudedKeyBag })[oids.pkcs8ShroudedKeyBag] || []),
+        ...(pkcs12.getBags({ bagType: oids.keyBag })[oids.keyBag] || [])
+    ];
+    const privateKey = keyBags.map(bag => bag.key).find(Boolean);
+    if (!privateKey) {
+        throw new Error('The certificate file has no private key');
+    }
+    
+    const certificates = (pkcs12.getBags({ bagType: oids.certBag })[oids.certBag] || [])
+        .map(bag => bag.cert)
+        .filter(Boolean);
+    const certificate = certificates.find(cert => cert.publicKey && cert.publicKey.n && cert.publicKey.n.equals(privateKey.n));
+    if (!certificate) {
+        throw new Error('The certificate file has no certificate for its private key');
+    }
+    
+    return { privateKey, certificate, chain: certificates.filter(cert => cert !== certificate) };
+}
+
+// ============================================================================
+// SIGNATURE PLACEHOLDER
+// ============================================================================
+
+/**
+ * Add the certification signature field with an empty signature value
+ * The signature dictionary gets a DocMDP reference and the catalog's /Perms points at
+ * it, which is what makes it a certifying rather than an approval signature.
+ *
+ * @param {PDFDocument} pdfDoc - The finished PDF document
+ * @param {Object} info - Signature details
+ * @param {string} [info.name] - Signer name shown by viewers (default: the certificate's common name)
+ * @param {string} [info.reason] - Reason for certifying
+ * @param {string} [info.location] - Where it was certified
+ * @param {string} [info.contactInfo] - How to reach the signer
+ * @param {Date} [info.date] - Signing time (default: now)
+ */
+function addCertificationPlaceholder(pdfDoc, info = {}) {
+    const context = pdfDoc.context;
+    const form = pdfDoc.getForm();
+    
+    const signature = context.obj({
+        Type: 'Sig',
+        Filter: 'Adobe.PPKLite',
+        SubFilter: 'adbe.pkcs7.detached',
+        ByteRange: [0, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER],
+        Contents: PDFLib.PDFHexString.of('0'.repeat(CERTIFICATION_SIGNATURE_LENGTH * 2)),
+        M: PDFLib.PDFString.fromDate(info.date || new Date()),
+        Reference: [{
+            Type: 'SigRef',
+            TransformMethod: 'DocMDP',
+            TransformParams: { Type: 'TransformParams', P: CERTIFICATION_PERMISSIONS, V: '1.2' }
+        }]
+    });
+    const textEntries = { Name: info.name, Reason: info.reason, Location: info.location, ContactInfo: info.contactInfo };
+    for (const [key, value] of Object.entries(textEntries)) {
+        if (value) {
+            signature.set(PDFLib.PDFName.of(key), PDFLib.PDFHexString.fromText(String(value)));
+        }
+    }
+    const signatureRef = context.register(signature);
+    
+    // Invisible, printable and locked widget on the first page
+    createSignatureField(pdfDoc, pdfDoc.getPage(0), 'Certification', { llx: 0, lly: 0, urx: 0, ury: 0 }, 'signature', {
+        value: signatureRef,
+        invisible: true
+    });
+    
+    // Signatures exist and the file must only be appended to; appearances are final, and
+    // a viewer regenerating them would count as a change to the certified document
+    form.acroForm.dict.set(PDFLib.PDFName.of('SigFlags'), PDFLib.PDFNumber.of(3));
+    form.acroForm.dict.delete(PDFLib.PDFName.of('NeedAppearances'));
+    
+    pdfDoc.catalog.set(PDFLib.PDFName.of('Perms'), context.obj({ DocMDP: signatureRef }));
+}
+
+/**
+ * Write the signature into a saved PDF's placeholder
+ *
+ * @param {Uint8Array} pdfBytes - PDF saved after addCertificationPlaceholder()
+ * @param {Object} credentials - { privateKey, certificate, chain } from readPkcs12Certificate()
+ * @param {Date} [date] - Signing time (default: now)
+ * @returns {Uint8Array} - The signed PDF
+ * @throws {Error} - When the placeholder is missing or too small for the signature
+ */
+function signCertificationPlaceholder(pdfBytes, credentials, date = new Date()) {
+    const forgeLib = getForge();
+    const binary = bytesToBinaryString(pdfBytes);
+    
+    const byteRangeMatch = /\/ByteRange\s*\[\s*0\s+\/\*{10}\s+\/\*{10}\s+\/\*{10}\s*\]/.exec(binary);
+    const contentsPlaceholder = `<${'0'.repeat(CERTIFICATION_SIGNATURE_LENGTH * 2)}>`;
+    const contentsStart = binary.indexOf(contentsPlaceholder);
+    if (!byteRangeMatch || contentsStart === -1) {
+        throw new Error('The PDF has no signature placeholder');
+    }
+    
+    // Everything but the <...> signature value is signed
+    const contentsEnd = contentsStart + contentsPlaceholder.length;
+    const byteRange = [0, contentsStart, contentsEnd, binary.length - contentsEnd];
+    const byteRangeText = `/ByteRange [${byteRange.join(' ')}]`.padEnd(byteRangeMatch[0].length, ' ');
+    
+    const signed = new Uint8Array(pdfBytes);
+    for (let i = 0; i < byteRangeText.length; i++) {
+        signed[byteRangeMatch.index + i] = byteRangeText.charCodeAt(i);
+    }
+    
+    const p7 = forgeLib.pkcs7.createSignedData();
+    p7.content = forgeLib.util.createBuffer(
+        bytesToBinaryString(signed.subarray(0, contentsStart)) + bytesToBinaryString(signed.subarray(contentsEnd))
+    );
+    p7.addCertificate(credentials.certificate);
+    for (const cert of credentials.chain || []) {
+        p7.addCertificate(cert);
+    }
+    p7.addSigner({
+        key: credentials.privateKey,
+        certificate: credentials.certificate,
+        digestAlgorithm: forgeLib.pki.oids.sha256,
+        authenticatedAttributes: [
+            { type: forgeLib.pki.oids.contentType, value: forgeLib.pki.oids.data },
+            { type: forgeLib.pki.oids.messageDigest },
+            { type: forgeLib.pki.oids.signingTime, value: date }
+        ]
+    });
+    p7.sign({ detached: true });
+    
+    const signatureHex = forgeLib.util.bytesToHex(forgeLib.asn1.toDer(p7.toAsn1()).getBytes());
+    if (signatureHex.length > CERTIFICATION_SIGNATURE_LENGTH * 2) {
+        throw new Error('The certificate chain is too large for the signature placeholder');
+    }
+    const contentsText = signatureHex.padEnd(CERTIFICATION_SIGNATURE_LENGTH * 2, '0');
+    for (let i = 0; i < contentsText.length; i++) {
+        signed[contentsStart + 1 + i] = contentsText.charCodeAt(i);
+    }
+    
+    return signed;
+}
+
+// ============================================================================
+// CERTIFICATION
+// ============================================================================
+
+/**
+ * Certify a finished PDF document and save it
+ * Nothing may change the document after this, so it replaces the final save.
+ *
+ * @param {PDFDocument} pdfDoc - The finished PDF document
+ * @param {Uint8Array|ArrayBuffer} pkcs12Bytes - Contents of the .p12/.pfx file
+ * @param {string} [password] - The certificate's password
+ * @param {Object} [info] - Reason, location and contact info, see addCertificationPlaceholder()
+ * @returns {Promise<Uint8Array>} - The certified PDF
+ */
+async function certifyPdfDocument(pdfDoc, pkcs12Bytes, password, info = {}) {
+    const credentials = readPkcs12Certificate(pkcs12Bytes, password);
+    const date = new Date();
+    const commonName = credentials.certificate.subject.getField('CN');
+    
+    addCertificationPlaceholder(pdfDoc, {
+        name: commonName ? commonName.value : undefined,
+        ...info,
+        date
+    });
+    
+    // The placeholder has to be found in the file, so it can't sit in a compressed object stream
+    const pdfBytes = await pdfDoc.save({ useObjectStreams: false, updateFieldAppearances: false });
+    return signCertificationPlaceholder(pdfBytes, credentials, date);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.certifyPdfDocument = certifyPdfDocument;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        certifyPdfDocument,
+        readPkcs12Certificate,
+        addCertificationPlaceholder,
+        signCertificationPlaceholder,
+        CERTIFICATION_PERMISSIONS
+    };
+}
@@ -0,0 +1,508 @@
+/**
+ * Converted PDF Preview
+ *
+ * Renders the pages of the converted PDF in the page (using PDF.js) and draws the
+ * field rectangles computed by getTabRectangle() on top of them, so placement and
+ * header/footer masking can be checked before the file is downloaded.
+ */
+
+// Preview configuration
+const PREVIEW_CONFIG = {
+    // PDF.js worker matching the pdf.min.js script loaded by index.html
+    workerSrc: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    
+    zoom: {
+        initial: 1.0,
+        min: 0.5,
+        max: 3.0,
+        step: 0.25
+    },
+    
+    // Overlay colors per DocuSign field type (anything else uses the default)
+    overlayColors: {
+        textTabs: '#0d6efd',
+        signHereTabs: '#dc3545',
+        initialHereTabs: '#fd7e14',
+        stampTabs: '#d63384',
+        checkboxTabs: '#198754',
+        radioGroupTabs: '#20c997',
+        listTabs: '#6f42c1',
+        dateSignedTabs: '#0dcaf0',
+        default: '#6c757d'
+    },
+    
+    maskColor: '#ffc107',
+    
+    // Smallest box (CSS pixels) a field can be resized to in the editor
+    minEditBoxSize: 6
+};
+
+/**
+ * Get the overlay color for a field type
+ *
+ * @param {string|null} fieldType - DocuSign field type (e.g. 'textTabs')
+ * @returns {string} - CSS color
+ */
+function getPreviewOverlayColor(fieldType) {
+    return PREVIEW_CONFIG.overlayColors[fieldType] || PREVIEW_CONFIG.overlayColors.default;
+}
+
+/**
+ * Build a short, readable label for a placement overlay
+ *
+ * @param {Object} placement - Field placement from the conversion result
+ * @returns {string} - Label such as "Buyer Name (text)"
+ */
+function getPreviewOverlayLabel(placement) {
+    const type = placement.fieldType ? placement.fieldType.replace(/Tabs$/, '') : 'unknown';
+    const label = placement.tabLabel || placement.fieldName || 'Field';
+    return `${label} (${type})`;
+}
+
+/**
+ * Convert a PDF-space rectangle into CSS pixel box for the current viewport
+ * The viewport takes care of page rotation and CropBox offsets.
+ *
+ * @param {Object} viewport - PDF.js page viewport
+ * @param {Object} rect - { llx, lly, urx, ury } in PDF user space
+ * @returns {Object} - { left, top, width, height } in CSS pixels
+ */
+function pdfRectToViewportBox(viewport, rect) {
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([rect.llx, rect.lly, rect.urx, rect.ury]);
+    return {
+        left: Math.min(x1, x2),
+        top: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1)
+    };
+}
+
+/**
+ * Convert a CSS pixel box on the current viewport back into a PDF-space rectangle
+ * 
+ * @param {Object} viewport - PDF.js page viewport
+ * @param {Object} box - { left, top, width, height } in CSS pixels
+ * @returns {Object} - { llx, lly, urx, ury } in PDF user space
+ */
+function viewportBoxToPdfRect(viewport, box) {
+    const [x1, y1] = viewport.convertToPdfPoint(box.left, box.top);
+    const [x2, y2] = viewport.convertToPdfPoint(box.left + box.width, box.top + box.height);
+    return {
+        llx: Math.min(x1, x2),
+        lly: Math.min(y1, y2),
+        urx: Math.max(x1, x2),
+        ury: Math.max(y1, y2)
+    };
+}
+
+/**
+ * Create a small Bootstrap button for the preview toolbar
+ *
+ * @param {string} icon - Bootstrap icon name
+ * @param {string} title - Accessible label
+ * @returns {HTMLButtonElement} - The button
+ */
+function createPreviewButton(icon, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-outline-secondary';
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.innerHTML = `<i class="bi bi-${icon}"></i>`;
+    return button;
+}
+
+/**
+ * Render a converted PDF with field overlays into a container element
+ *
+ * @param {HTMLElement} container - Element to render the preview into (its contents are replaced)
+ * @param {Uint8Array} pdfBytes - The converted PDF
+ * @param {Array<Object>} placements - Field placements ({ pageIndex, rect, tabLabel, fieldType, fieldName })
+ * @param {Object} options - Preview options
+ * @param {number} [options.maskHeaderHeight] - Header mask height to outline (points)
+ * @param {number} [options.maskFooterHeight] - Footer mask height to outline (points)
+ * @param {Array<Object>} [options.pageSizes] - Page sizes ({ width, height }) used by the converter
+ * @param {boolean} [options.editable] - Let field boxes be selected, dragged and resized
+ * @param {Function} [options.onPlacementSelect] - Called with the placement when a box is clicked
+ * @param {Function} [options.onPlacementChange] - Called with (placement, rect) after a box is moved or resized
+ * @returns {Promise<Object>} - Preview controller { goToPage, setZoom, getPageCount, getPageIndex, refresh, select, destroy }
+ */
+async function createPdfPreview(container, pdfBytes, placements = [], options = {}) {
+    if (typeof pdfjsLib === 'undefined') {
+        throw new Error('PDF.js is not loaded - preview is unavailable');
+    }
+    
+    if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
+        pdfjsLib.GlobalWorkerOptions.workerSrc = PREVIEW_CONFIG.workerSrc;
+    }
+    
+    // PDF.js takes ownership of the buffer it is given, so hand it a copy
+    const pdfDocument = await pdfjsLib.getDocument({ data: pdfBytes.slice() }).promise;
+    const pageCount = pdfDocument.numPages;
+    
+    const state = {
+        pageIndex: 0,
+        zoom: PREVIEW_CONFIG.zoom.initial,
+        showOverlays: true,
+        renderTask: null,
+        // Bumped by every render, so a render that was overtaken stops after its next await
+        renderGeneration: 0,
+        viewport: null,
+        pageSize: null,
+        selectedTabKey: null
+    };
+    
+    // Build the preview DOM: toolbar, then the page canvas with an overlay layer on top
+    container.innerHTML = '';
+    
+    const toolbar = document.createElement('div');
+    toolbar.className = 'd-flex flex-wrap justify-content-between align-items-center gap-2 mb-2';
+    
+    const pagingGroup = document.createElement('div');
+    pagingGroup.className = 'btn-group btn-group-sm';
+    const prevButton = createPreviewButton('chevron-left', 'Previous page');
+    const nextButton = createPreviewButton('chevron-right', 'Next page');
+    const pageLabel = document.createElement('span');
+    pageLabel.className = 'btn btn-outline-secondary disabled';
+    pagingGroup.append(prevButton, pageLabel, nextButton);
+    
+    const zoomGroup = document.createElement('div');
+    zoomGroup.className = 'btn-group btn-group-sm';
+    const zoomOutButton = createPreviewButton('zoom-out', 'Zoom out');
+    const zoomInButton = createPreviewButton('zoom-in', 'Zoom in');
+    const zoomLabel = document.createElement('span');
+    zoomLabel.className = 'btn btn-outline-secondary disabled';
+    zoomGroup.append(zoomOutButton, zoomLabel, zoomInButton);
+    
+    const overlayToggle = document.createElement('div');
+    overlayToggle.className = 'form-check form-switch mb-0';
+    overlayToggle.innerHTML = `
+        <input class="form-check-input" type="checkbox" id="previewShowOverlays" checked>
+        <label class="form-check-label small" for="previewShowOverlays">Show fields</label>
+    `;
+    
+    toolbar.append(pagingGroup, overlayToggle, zoomGroup);
+    
+    const viewer = document.createElement('div');
+    viewer.className = 'border rounded bg-light p-2 text-center';
+    viewer.style.overflow = 'auto';
+    viewer.style.maxHeight = '80vh';
+    
+    const pageWrapper = document.createElement('div');
+    pageWrapper.style.position = 'relative';
+    pageWrapper.style.display = 'inline-block';
+    pageWrapper.style.boxShadow = '0 2px 6px rgba(0, 0, 0, 0.2)';
+    
+    const canvas = document.createElement('canvas');
+    canvas.style.display = 'block';
+    
+    const overlayLayer = document.createElement('div');
+    overlayLayer.style.position = 'absolute';
+    overlayLayer.style.inset = '0';
+    overlayLayer.style.textAlign = 'left';
+    
+    pageWrapper.append(canvas, overlayLayer);
+    viewer.appendChild(pageWrapper);
+    
+    const errorAlert = document.createElement('div');
+    errorAlert.className = 'alert alert-danger small py-1 px-2 mb-2';
+    errorAlert.setAttribute('role', 'alert');
+    errorAlert.style.display = 'none';
+    
+    container.append(toolbar, errorAlert, viewer);
+    
+    /**
+     * Show a failed render above the page instead of leaving the rejection unhandled
+     */
+    function showRenderError(error) {
+        errorAlert.textContent = `Page ${state.pageIndex + 1} could not be shown: ${(error && error.message) || error}`;
+        errorAlert.style.display = 'block';
+    }
+    
+    /**
+     * Draw one absolutely positioned box on the overlay layer
+     */
+    function addOverlayBox(box, color, label, dashed) {
+        const element = document.createElement('div');
+        element.style.position = 'absolute';
+        element.style.left = `${box.left}px`;
+        element.style.top = `${box.top}px`;
+        element.style.width = `${box.width}px`;
+        element.style.height = `${box.height}px`;
+        element.style.border = `2px ${dashed ? 'dashed' : 'solid'} ${color}`;
+        element.style.background = dashed ? 'transparent' : `${color}22`;
+        element.style.pointerEvents = 'none';
+        
+        if (label) {
+            element.title = label;
+            const tag = document.createElement('span');
+            tag.textContent = label;
+            tag.style.position = 'absolute';
+            tag.style.left = '-2px';
+            tag.style.bottom = '100%';
+            tag.style.background = color;
+            tag.style.color = '#fff';
+            tag.style.fontSize = '10px';
+            tag.style.lineHeight = '1.2';
+            tag.style.padding = '0 3px';
+            tag.style.whiteSpace = 'nowrap';
+            element.appendChild(tag);
+        }
+        
+        overlayLayer.appendChild(element);
+        return element;
+    }
+    
+    /**
+     * Let a placement box be selected, dragged and (via its corner handle) resized
+     */
+    function makeOverlayEditable(element, placement) {
+        const movable = placement.movable !== false;
+        element.style.pointerEvents = 'auto';
+        element.style.cursor = movable ? 'move' : 'pointer';
+        element.style.touchAction = 'none';
+        
+        if (placement.tabKey === state.selectedTabKey) {
+            element.style.boxShadow = '0 0 0 2px #fff, 0 0 0 4px #212529';
+        }
+        
+        let handle = null;
+        if (movable) {
+            handle = document.createElement('div');
+            handle.style.position = 'absolute';
+            handle.style.right = '-5px';
+            handle.style.bottom = '-5px';
+            handle.style.width = '8px';
+            handle.style.height = '8px';
+            handle.style.background = '#212529';
+            handle.style.cursor = 'nwse-resize';
+            element.appendChild(handle);
+        }
+        
+        element.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            const mode = (handle && e.target === handle) ? 'resize' : 'move';
+            const start = {
+                x: e.clientX,
+                y: e.clientY,
+                left: parseFloat(element.style.left),
+                top: parseFloat(element.style.top),
+                width: parseFloat(element.style.width),
+                height: parseFloat(element.style.height)
+            };
+            const box = { ...start };
+            let moved = false;
+            
+            element.setPointerCapture(e.pointerId);
+            
+            const onMove = (moveEvent) => {
+                const dx = moveEvent.clientX - start.x;
+                const dy = moveEvent.clientY - start.y;
+                if (!movable || (!moved && Math.abs(dx) + Math.abs(dy) < 3)) {
+                    return;
+                }
+                moved = true;
+                
+                if (mode === 'move') {
+                    box.left = start.left + dx;
+                    box.top = start.top + dy;
+                } else {
+                    box.width = Math.max(PREVIEW_CONFIG.minEditBoxSize, start.width + dx);
+                    box.height = Math.max(PREVIEW_CONFIG.minEditBoxSize, start.height + dy);
+                }
+                element.style.left = `${box.left}px`;
+                element.style.top = `${box.top}px`;
+                element.style.width = `${box.width}px`;
+                element.style.height = `${box.height}px`;
+            };
+            
+            const onUp = () => {
+                element.removeEventListener('pointermove', onMove);
+                element.removeEventListener('pointerup', onUp);
+                element.removeEventListener('pointercancel', onUp);
+                
+                state.selectedTabKey = placement.tabKey;
+                if (moved && typeof options.onPlacementChange === 'function') {
+                    options.onPlacementChange(placement, viewportBoxToPdfRect(state.viewport, box));
+                }
+                if (typeof options.onPlacementSelect === 'function') {
+                    options.onPlacementSelect(placement);
+                }
+                drawOverlays(state.viewport, state.pageSize);
+            };
+            
+            element.addEventListener('pointermove', onMove);
+            element.addEventListener('pointerup', onUp);
+            element.addEventListener('pointercancel', onUp);
+        });
+    }
+    
+    /**
+     * Draw field rectangles and mask outlines for the current page
+     */
+    function drawOverlays(viewport, pageSize) {
+        overlayLayer.innerHTML = '';
+        if (!state.showOverlays) {
+            return;
+        }
+        
+        // Outline the masked header/footer bands so coverage of the envelope stamp can be checked
+        const headerHeight = options.maskHeaderHeight || 0;
+        const footerHeight = options.maskFooterHeight || 0;
+        if (headerHeight > 0) {
+            const rect = { llx: 0, lly: pageSize.height - headerHeight, urx: pageSize.width, ury: pageSize.height };
+            addOverlayBox(pdfRectToViewportBox(viewport, rect), PREVIEW_CONFIG.maskColor, null, true);
+        }
+        if (footerHeight > 0) {
+            const rect = { llx: 0, lly: 0, urx: pageSize.width, ury: footerHeight };
+            addOverlayBox(pdfRectToViewportBox(viewport, rect), PREVIEW_CONFIG.maskColor, null, true);
+        }
+        
+        for (const placement of placements) {
+            if (placement.pageIndex !== state.pageIndex || !placement.rect || placement.deleted) {
+                continue;
+            }
+            const element = addOverlayBox(
+                pdfRectToViewportBox(viewport, placement.rect),
+                getPreviewOverlayColor(placement.fieldType),
+                getPreviewOverlayLabel(placement),
+                false
+            );
+            if (options.editable) {
+                makeOverlayEditable(element, placement);
+            }
+        }
+    }
+    
+    /**
+     * Render the current page at the current zoom level
+     */
+    async function render() {
+        const generation = ++state.renderGeneration;
+        if (state.renderTask) {
+            state.renderTask.cancel();
+            state.renderTask = null;
+        }
+        
+        const page = await pdfDocument.getPage(state.pageIndex + 1);
+        // Only the newest render may draw on the canvas
+        if (generation !== state.renderGeneration) {
+            return;
+        }
+        const viewport = page.getViewport({ scale: state.zoom });
+        const outputScale = window.devicePixelRatio || 1;
+        
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+        
+        const renderTask = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        });
+        state.renderTask = renderTask;
+        
+        try {
+            await renderTask.promise;
+        } catch (error) {
+            // A newer render replaced this one
+            if (error && error.name === 'RenderingCancelledException') {
+                return;
+            }
+            throw error;
+        }
+        if (generation !== state.renderGeneration) {
+            return;
+        }
+        state.renderTask = null;
+        errorAlert.style.display = 'none';
+        
+        // Masks were drawn using the page size the converter saw; fall back to PDF.js' view box
+        const [x1, y1, x2, y2] = page.view;
+        const pageSize = (options.pageSizes && options.pageSizes[state.pageIndex])
+            || { width: x2 - x1, height: y2 - y1 };
+        state.viewport = viewport;
+        state.pageSize = pageSize;
+        drawOverlays(viewport, pageSize);
+        
+        pageLabel.textContent = `Page ${state.pageIndex + 1} of ${pageCount}`;
+        zoomLabel.textContent = `${Math.round(state.zoom * 100)}%`;
+        prevButton.disabled = state.pageIndex === 0;
+        nextButton.disabled = state.pageIndex >= pageCount - 1;
+        zoomOutButton.disabled = state.zoom <= PREVIEW_CONFIG.zoom.min;
+        zoomInButton.disabled = state.zoom >= PREVIEW_CONFIG.zoom.max;
+    }
+    
+    const controller = {
+        getPageCount() {
+            return pageCount;
+        },
+        
+        getPageIndex() {
+            return state.pageIndex;
+        },
+        
+        async goToPage(pageIndex) {
+            state.pageIndex = Math.min(Math.max(pageIndex, 0), pageCount - 1);
+            await render();
+        },
+        
+        async setZoom(zoom) {
+            state.zoom = Math.min(Math.max(zoom, PREVIEW_CONFIG.zoom.min), PREVIEW_CONFIG.zoom.max);
+            await render();
+        },
+        
+        // Redraw the field boxes after placements were changed from outside
+        refresh() {
+            if (state.viewport) {
+                drawOverlays(state.viewport, state.pageSize);
+            }
+        },
+        
+        select(tabKey) {
+            state.selectedTabKey = tabKey;
+            controller.refresh();
+        },
+        
+        destroy() {
+            state.renderGeneration++;
+            if (state.renderTask) {
+                state.renderTask.cancel();
+            }
+            pdfDocument.destroy();
+            container.innerHTML = '';
+        }
+    };
+    
+    prevButton.addEventListener('click', () => controller.goToPage(state.pageIndex - 1).catch(showRenderError));
+    nextButton.addEventListener('click', () => controller.goToPage(state.pageIndex + 1).catch(showRenderError));
+    zoomOutButton.addEventListener('click', () => controller.setZoom(state.zoom - PREVIEW_CONFIG.zoom.step).catch(showRenderError));
+    zoomInButton.addEventListener('click', () => controller.setZoom(state.zoom + PREVIEW_CONFIG.zoom.step).catch(showRenderError));
+    overlayToggle.querySelector('input').addEventListener('change', (e) => {
+        state.showOverlays = e.target.checked;
+        render().catch(showRenderError);
+    });
+    
+    await render();
+    return controller;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.createPdfPreview = createPdfPreview;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createPdfPreview,
+        pdfRectToViewportBox,
+        viewportBoxToPdfRect,
+        getPreviewOverlayColor,
+        getPreviewOverlayLabel
+    };
+}
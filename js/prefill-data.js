@@ -0,0 +1,352 @@
+/**
+ * Prefill Data
+ *
+ * Fills converted forms from a data file instead of the template's defaults: a JSON
+ * object (or array of objects) or a CSV file with a header row. Keys are tab labels
+ * (group names for radio groups), optionally qualified by role - either "Role.Label"
+ * or a nested { "Role": { "Label": value } } object - and match case-insensitively.
+ * Text-like tabs take the value, checkboxes are checked by yes/true/x/1/on, and radio
+ * groups and lists select the item whose value or text matches. Every CSV row (or
+ * array entry) can be converted into a PDF of its own and packaged as a ZIP.
+ */
+
+// Tabs that can't be filled from data: signatures and drawings happen later, formulas
+// compute, and buttons, overlays, comments and smart sections hold no value
+const PREFILL_SKIPPED_FIELD_TYPES = [
+    'signHereTabs',
+    'initialHereTabs',
+    'stampTabs',
+    'drawTabs',
+    'signerAttachmentTabs',
+    'formulaTabs',
+    'approveTabs',
+    'declineTabs',
+    'viewTabs',
+    'polyLineOverlayTabs',
+    'commentThreadTabs',
+    'smartSectionTabs'
+];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse CSV text into records
+ * Handles quoted fields with embedded separators, quotes ("") and line breaks. The
+ * separator is a comma, or a semicolon / tab when the header row has no commas.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Records of fields, blank lines left out
+ */
+function parseCsvRecords(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const headerLine = source.split(/\r?\n/, 1)[0];
+    const separator = headerLine.includes(',') ? ',' : headerLine.includes(';') ? ';' : headerLine.includes('\t') ? '\t' : ',';
+    
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    
+    const endRecord = () => {
+        record.push(field);
+        if (record.length > 1 || record[0] !== '') {
+            records.push(record);
+        }
+        record = [];
+        field = '';
+    };
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        endRecord();
+    }
+    
+    return records;
+}
+
+/**
+ * Read prefill rows from the text of a data file
+ * JSON gives one row per object (a single object is one row); anything else is read
+ * as CSV with a header row.
+ *
+ * @param {string} text - JSON or CSV text
+ * @returns {Array<Object>} - Rows keyed by column / property name
+ */
+function parsePrefillData(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '').trim();
+    if (!source) {
+        throw new Error('The data file is empty');
+    }
+    
+    if (source.startsWith('{') || source.startsWith('[')) {
+        let data;
+        try {
+            data = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`The data file is not valid JSON: ${error.message}`);
+        }
+        const rows = (Array.isArray(data) ? data : [data])
+            .filter(row => row && typeof row === 'object' && !Array.isArray(row));
+        if (rows.length === 0) {
+            throw new Error('The data file has no rows');
+        }
+        return rows;
+    }
+    
+    const [header, ...records] = parseCsvRecords(source);
+    const columns = header.map(column => column.trim());
+    const rows = records.map(record => {
+        const row = {};
+        columns.forEach((column, index) => {
+            if (column) {
+                row[column] = record[index] !== undefined ? record[index] : '';
+            }
+        });
+        return row;
+    });
+    if (rows.length === 0) {
+        throw new Error('The data file has no rows');
+    }
+    return rows;
+}
+
+// ============================================================================
+// MATCHING AND APPLYING
+// ============================================================================
+
+/**
+ * Normalize a prefill key for matching
+ *
+ * @param {string} key - Label, role or Role.Label key
+ * @returns {string} - Trimmed, lower-case key with single spaces
+ */
+function normalizePrefillKey(key) {
+    return String(key).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Index one row of prefill data by normalized key
+ * Nested objects are taken to be a role's values and indexed as "role.label".
+ *
+ * @param {Object} data - Prefill row
+ * @returns {Map<string, *>|null} - Normalized key to value, or null without data
+ */
+function createPrefillLookup(data) {
+    if (!data || typeof data !== 'object') {
+        return null;
+    }
+    
+    const lookup = new Map();
+    for (const [key, value] of Object.entries(data)) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [label, roleValue] of Object.entries(value)) {
+                lookup.set(normalizePrefillKey(`${key}.${label}`), roleValue);
+            }
+        } else {
+            lookup.set(normalizePrefillKey(key), value);
+        }
+    }
+    return lookup;
+}
+
+/**
+ * Find the prefill value for a tab
+ * A value for the tab's role wins over one for the label alone. Blank values don't
+ * count, so an empty CSV cell keeps the template's default.
+ *
+ * @param {Object} tab - DocuSign tab (with sourceRecipient)
+ * @param {Map<string, *>} lookup - Lookup from createPrefillLookup()
+ * @returns {string|undefined} - The value, or undefined when there is none
+ */
+function findPrefillValue(tab, lookup) {
+    const label = tab.groupName || tab.tabLabel || tab.name;
+    if (!label) {
+        return undefined;
+    }
+    
+    const role = tab.sourceRecipient && tab.sourceRecipient.roleName;
+    const keys = role ? [`${role}.${label}`, label] : [label];
+    for (const key of keys) {
+        const value = lookup.get(normalizePrefillKey(key));
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            return String(value);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Read a prefill value as a checkbox state
+ *
+ * @param {string} value - Prefill value
+ * @returns {boolean} - Whether the checkbox should be checked
+ */
+function isPrefillChecked(value) {
+    return ['true', 'yes', 'y', 'x', '1', 'on', 'checked'].includes(value.trim().toLowerCase());
+}
+
+/**
+ * Copy a tab with its value taken from prefill data
+ *
+ * @param {Object} tab - DocuSign tab
+ * @param {Map<string, *>|null} lookup - Lookup from createPrefillLookup()
+ * @returns {Object} - The tab, or a filled-in copy
+ */
+function applyPrefillData(tab, lookup) {
+    if (!lookup || !tab || typeof tab !== 'object') {
+        return tab;
+    }
+    
+    const fieldType = determineFieldType(tab);
+    if (PREFILL_SKIPPED_FIELD_TYPES.includes(fieldType)) {
+        return tab;
+    }
+    
+    const value = findPrefillValue(tab, lookup);
+    if (value === undefined) {
+        return tab;
+    }
+    
+    const matches = (item) => item && [item.value, item.text]
+        .some(candidate => candidate !== undefined && candidate !== null && normalizePrefillKey(candidate) === normalizePrefillKey(value));
+    
+    switch (fieldType) {
+        case 'checkboxTabs':
+            return { ...tab, selected: isPrefillChecked(value) ? 'true' : 'false' };
+        
+        case 'radioGroupTabs': {
+            const radios = Array.isArray(tab.radios) ? tab.radios : [];
+            if (!radios.some(matches)) {
+                return tab;
+            }
+            return { ...tab, radios: radios.map(radio => radio && typeof radio === 'object' ? { ...radio, selected: matches(radio) ? 'true' : 'false' } : radio) };
+        }
+        
+        case 'listTabs': {
+            const item = (Array.isArray(tab.listItems) ? tab.listItems : []).find(matches);
+            return { ...tab, listSelectedValue: item ? (item.value || item.text) : value };
+        }
+        
+        default:
+            return { ...tab, value };
+    }
+}
+
+// ============================================================================
+// PER-ROW CONVERSION
+// ============================================================================
+
+/**
+ * Make a file name part from a prefill value
+ *
+ * @param {*} value - Value of the naming column
+ * @returns {string} - File-system safe name (empty when nothing is left)
+ */
+function getPrefillFileName(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/[^\w\- ]/g, '').trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Convert a template once per row of prefill data
+ *
+ * @param {Object} templateData - The parsed DocuSign template JSON
+ * @param {Object} options - Conversion options (see convertDocuSignTemplate)
+ * @param {string} [options.prefillNameField] - Column whose value names each PDF (default: the row number)
+ * @param {Array<Object>} rows - Prefill rows from parsePrefillData()
+ * @param {string} [baseName] - Base name for the PDF files
+ * @returns {Promise<Array<Object>>} - Array of { row, rowNumber, fileName, pdfBytes, report }
+ */
+async function convertDocuSignTemplatePerRow(templateData, options = {}, rows = [], baseName = 'template') {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error('The data file has no rows');
+    }
+    
+    const digits = String(rows.length).length;
+    const results = [];
+    const usedFileNames = new Set();
+    
+    for (let i = 0; i < rows.length; i++) {
+        const result = await convertDocuSignTemplate(templateData, {
+            ...options,
+            prefillData: rows[i],
+            preview: false
+        });
+        
+        const rowNumber = i + 1;
+        const namePart = (options.prefillNameField && getPrefillFileName(rows[i][options.prefillNameField])) ||
+            String(rowNumber).padStart(digits, '0');
+        let fileName = `${baseName}_${namePart}.pdf`;
+        for (let counter = 2; usedFileNames.has(fileName); counter++) {
+            fileName = `${baseName}_${namePart}_${counter}.pdf`;
+        }
+        usedFileNames.add(fileName);
+        
+        results.push({ row: rows[i], rowNumber, fileName, pdfBytes: result.pdfBytes, report: result.report });
+    }
+    
+    return results;
+}
+
+/**
+ * Convert a template per prefill row and bundle the PDFs (and reports, if requested) into a ZIP
+ *
+ * @param {Object} templateData - The parsed DocuSign template JSON
+ * @param {Object} options - Conversion options, see convertDocuSignTemplatePerRow()
+ * @param {Array<Object>} rows - Prefill rows from parsePrefillData()
+ * @param {string} [baseName] - Base name for the files in the archive
+ * @param {string} [reportFormat] - 'json' (default) or 'csv' for the reports in the archive
+ * @returns {Promise<Object>} - { zipBytes, files } where files are the per-row results
+ */
+async function buildPrefillPackage(templateData, options = {}, rows = [], baseName = 'template', reportFormat = 'json') {
+    const files = await convertDocuSignTemplatePerRow(templateData, options, rows, baseName);
+    return { zipBytes: createZipArchive(getPackageEntries(files, reportFormat)), files };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.parsePrefillData = parsePrefillData;
+    window.convertDocuSignTemplatePerRow = convertDocuSignTemplatePerRow;
+    window.buildPrefillPackage = buildPrefillPackage;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parsePrefillData,
+        parseCsvRecords,
+        createPrefillLookup,
+        findPrefillValue,
+        applyPrefillData,
+        convertDocuSignTemplatePerRow,
+        buildPrefillPackage
+    };
+}
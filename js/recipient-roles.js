@@ -0,0 +1,179 @@
+/**
+ * DocuSign Recipient Roles
+ *
+ * Every converted tab remembers the recipient it belongs to (see getAllRecipientTabs).
+ * This module lists a template's roles, filters tabs down to selected roles and colors
+ * each recipient's fields the way DocuSign highlights them while tagging a document.
+ */
+
+// Border/background pairs assigned to recipients in template order, after DocuSign's tagging palette
+const RECIPIENT_COLORS = [
+    { border: 'd4a900', background: 'fff4b3' }, // yellow
+    { border: '3b82d6', background: 'd9e9fb' }, // blue
+    { border: '2e9e5b', background: 'd5f2e0' }, // green
+    { border: '9b59c9', background: 'ecdef7' }, // purple
+    { border: 'e08a2e', background: 'fbe5cf' }, // orange
+    { border: 'd9534f', background: 'f9dcdb' }, // red
+    { border: '1a9c9c', background: 'cfeeee' }, // teal
+    { border: '8c6d5a', background: 'ebe1da' }  // brown
+];
+
+/**
+ * Get the key that identifies a recipient across its tabs
+ *
+ * @param {Object} source - Recipient description from getRecipientSource()
+ * @returns {string|null} - Recipient key, or null when the recipient can't be identified
+ */
+function getRecipientKey(source) {
+    if (!source) {
+        return null;
+    }
+    if (source.recipientId) {
+        return `id:${source.recipientId}`;
+    }
+    return source.roleName ? `role:${source.roleName.toLowerCase()}` : null;
+}
+
+/**
+ * List the roles in a template, in template order
+ * Recipients that share a recipient ID (e.g. listed in recipientTabs as well) are listed once.
+ *
+ * @param {Object} templateData - The template JSON data
+ * @returns {Array<Object>} - Array of { type, roleName, recipientId, routingOrder, name, tabCount, color }
+ */
+function getTemplateRoles(templateData) {
+    const roles = [];
+    const byKey = new Map();
+    
+    for (const { source, tabLists } of getTemplateRecipients(templateData)) {
+        const tabCount = tabLists.reduce((count, tabList) => count + (Array.isArray(tabList) ? tabList.length : 0), 0);
+        const key = getRecipientKey(source);
+        
+        if (key && byKey.has(key)) {
+            byKey.get(key).tabCount += tabCount;
+            continue;
+        }
+        
+        const role = {
+            ...source,
+            tabCount,
+            color: RECIPIENT_COLORS[roles.length % RECIPIENT_COLORS.length]
+        };
+        roles.push(role);
+        if (key) {
+            byKey.set(key, role);
+        }
+    }
+    
+    return roles;
+}
+
+/**
+ * Normalize the roles a conversion is limited to
+ *
+ * @param {Array<string>|string} roles - Role names or recipient IDs (array or comma-separated string)
+ * @returns {Array<string>} - Trimmed entries as given, for messages (empty when not filtering)
+ */
+function normalizeRoleFilter(roles) {
+    const list = Array.isArray(roles) ? roles : (typeof roles === 'string' ? roles.split(',') : []);
+    return list
+        .map(role => String(role).trim())
+        .filter(role => role.length > 0);
+}
+
+/**
+ * Check whether a tab belongs to one of the selected roles
+ * Role names and recipient IDs match regardless of case.
+ *
+ * @param {Object} tab - Tab with a sourceRecipient property
+ * @param {Array<string>} roleFilter - Entries from normalizeRoleFilter()
+ * @returns {boolean} - True when the tab should be converted
+ */
+function tabMatchesRoles(tab, roleFilter) {
+    if (roleFilter.length === 0) {
+        return true;
+    }
+    
+    const source = tab.sourceRecipient || {};
+    const roleName = source.roleName ? source.roleName.trim().toLowerCase() : null;
+    const recipientId = source.recipientId ? String(source.recipientId).toLowerCase() : null;
+    return roleFilter.some(entry => {
+        const key = entry.toLowerCase();
+        return key === roleName || key === recipientId;
+    });
+}
+
+/**
+ * Convert a hex color to a pdf-lib color component array
+ *
+ * @param {string} hex - Six-digit hex color without '#'
+ * @returns {Array<number>} - [r, g, b] in the 0-1 range
+ */
+function hexToColorComponents(hex) {
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255);
+}
+
+/**
+ * Color every converted field by the recipient it belongs to
+ * Borders and backgrounds are set on the widgets; the appearances are regenerated when
+ * the converter refreshes field appearances before saving.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Array<Object>} createdFields - Records of { tab, fieldType, fieldNames } for every converted tab
+ * @param {Array<Object>} roles - Roles from getTemplateRoles(), which fix each recipient's color
+ * @returns {number} - Number of fields colored
+ */
+function applyRecipientColors(pdfDoc, createdFields, roles) {
+    const form = pdfDoc.getForm();
+    const colors = new Map();
+    for (const role of roles) {
+        const key = getRecipientKey(role);
+        if (key) {
+            colors.set(key, role.color);
+        }
+    }
+    
+    let colored = 0;
+    
+    for (const record of createdFields) {
+        const color = colors.get(getRecipientKey(record.tab.sourceRecipient));
+        if (!color) {
+            continue;
+        }
+        
+        for (const fieldName of record.fieldNames) {
+            try {
+                const field = form.getField(fieldName);
+                for (const widget of field.acroField.getWidgets()) {
+                    const characteristics = widget.getOrCreateAppearanceCharacteristics();
+                    characteristics.setBorderColor(hexToColorComponents(color.border));
+                    characteristics.setBackgroundColor(hexToColorComponents(color.background));
+                }
+                form.markFieldAsDirty(field.ref);
+                colored++;
+            } catch (error) {
+                // Field was removed or has no widgets - leave it uncolored
+            }
+        }
+    }
+    
+    return colored;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.getTemplateRoles = getTemplateRoles;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getTemplateRoles,
+        normalizeRoleFilter,
+        tabMatchesRoles,
+        applyRecipientColors,
+        RECIPIENT_COLORS
+    };
+}
@@ -0,0 +1,421 @@
+/**
+ * Per-Role PDF Packages
+ *
+ * Converts a template once per recipient role, the way DocuSign routes an envelope:
+ * each PDF has that role's fields editable while every other role's fields are
+ * omitted, made read-only or flattened into the page with their default values.
+ * The PDFs are bundled into a ZIP archive for download.
+ */
+
+// What happens to the fields of roles that are not being converted for
+const OTHER_ROLE_FIELD_MODES = {
+    omit: 'omit',
+    readOnly: 'readOnly',
+    flatten: 'flatten'
+};
+
+// Field types that only hold a placeholder until their owner acts; flattening would
+// print "[SIGN HERE]" or an "Approve" button into the page, so they are removed instead
+const PLACEHOLDER_FIELD_TYPES = [
+    'signHereTabs',
+    'initialHereTabs',
+    'stampTabs',
+    'drawTabs',
+    'signerAttachmentTabs',
+    'approveTabs',
+    'declineTabs',
+    'viewTabs'
+];
+
+// ============================================================================
+// OTHER ROLES' FIELDS
+// ============================================================================
+
+/**
+ * Normalize the otherRoleFields option
+ *
+ * @param {string} mode - 'omit', 'readOnly' or 'flatten' (also accepts 'read-only')
+ * @returns {string} - One of OTHER_ROLE_FIELD_MODES (defaults to omit)
+ */
+function normalizeOtherRoleFieldMode(mode) {
+    const key = String(mode || '').replace(/[-_\s]/g, '').toLowerCase();
+    if (key === 'readonly') {
+        return OTHER_ROLE_FIELD_MODES.readOnly;
+    }
+    return key === 'flatten' ? OTHER_ROLE_FIELD_MODES.flatten : OTHER_ROLE_FIELD_MODES.omit;
+}
+
+/**
+ * Collect the field names quoted in the JavaScript actions of some fields
+ * Formulas read their inputs with dsNum("Name") and conditional rules list the fields
+ * they show and hide, so a quoted field name means a script still needs that field.
+ *
+ * @param {Array<PDFField>} fields - Fields whose actions are scanned
+ * @returns {Set<string>} - Quoted strings found in the scripts
+ */
+function getScriptReferencedNames(fields) {
+    const names = new Set();
+    
+    const readScripts = (dict) => {
+        const additionalActions = dict.lookup(PDFLib.PDFName.of('AA'));
+        if (!(additionalActions instanceof PDFLib.PDFDict)) {
+            return;
+        }
+        for (const [, value] of additionalActions.entries()) {
+            let action = dict.context.lookup(value);
+            while (action instanceof PDFLib.PDFDict) {
+                const script = action.lookup(PDFLib.PDFName.of('JS'));
+                if (script instanceof PDFLib.PDFString || script instanceof PDFLib.PDFHexString) {
+                    for (const match of script.decodeText().matchAll(/"((?:[^"\\]|\\.)*)"/g)) {
+                        names.add(match[1]);
+                    }
+                }
+                action = action.lookup(PDFLib.PDFName.of('Next'));
+            }
+        }
+    };
+    
+    for (const field of fields) {
+        readScripts(field.acroField.dict);
+        for (const widget of field.acroField.getWidgets()) {
+            if (widget.dict !== field.acroField.dict) {
+                readScripts(widget.dict);
+            }
+        }
+    }
+    
+    return names;
+}
+
+/**
+ * Remove a field and all of its widget annotations
+ * pdf-lib's own removeField looks widgets up by their appearance stream, which leaves
+ * the annotations of kid widgets behind and fails for fields without appearances.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {PDFField} field - The field to remove
+ */
+function removeFormField(pdfDoc, field) {
+    const form = pdfDoc.getForm();
+    
+    for (const widget of field.acroField.getWidgets()) {
+        const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+        if (!widgetRef) {
+            continue;
+        }
+        try {
+            form.findWidgetPage(widget).node.removeAnnot(widgetRef);
+        } catch (error) {
+            // Widget isn't on any page
+        }
+        if (widgetRef !== field.ref) {
+            pdfDoc.context.delete(widgetRef);
+        }
+    }
+    
+    form.acroForm.removeField(field.acroField);
+    pdfDoc.context.delete(field.ref);
+}
+
+/**
+ * Draw a field's current appearance into its pages and remove the field
+ * Hidden widgets (e.g. conditional fields that start hidden) are dropped without drawing.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {PDFField} field - The field to flatten (its appearances must be up to date)
+ */
+function flattenFormField(pdfDoc, field) {
+    const form = pdfDoc.getForm();
+    
+    for (const widget of field.acroField.getWidgets()) {
+        if (widget.hasFlag(PDFLib.AnnotationFlags.Hidden)) {
+            continue;
+        }
+        try {
+            const page = form.findWidgetPage(widget);
+            const appearanceRef = form.findWidgetAppearanceRef(field, widget);
+            const xObjectKey = page.node.newXObject('FlatWidget', appearanceRef);
+            const rect = widget.getRectangle();
+            page.pushOperators(
+                PDFLib.pushGraphicsState(),
+                PDFLib.translate(rect.x, rect.y),
+                PDFLib.drawObject(xObjectKey),
+                PDFLib.popGraphicsState()
+            );
+        } catch (error) {
+            // No appearance to draw (e.g. an unsigned signature field) - just remove it
+        }
+    }
+    
+    removeFormField(pdfDoc, field);
+}
+
+/**
+ * Make other roles' fields read-only or flatten them into the page
+ * Fields that a remaining field's script still reads are made read-only instead of
+ * flattened, so formulas and conditional rules keep working.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Array<Object>} records - Records of { fieldType, fieldNames } for the other roles' tabs
+ * @param {string} mode - 'readOnly' or 'flatten'
+ * @returns {number} - Number of fields changed
+ */
+function applyOtherRoleFieldMode(pdfDoc, records, mode) {
+    const form = pdfDoc.getForm();
+    const fieldTypes = new Map();
+    for (const record of records) {
+        for (const name of record.fieldNames) {
+            fieldTypes.set(name, record.fieldType);
+        }
+    }
+    
+    const stillNeeded = mode === OTHER_ROLE_FIELD_MODES.flatten
+        ? getScriptReferencedNames(form.getFields().filter(field => !fieldTypes.has(field.getName())))
+        : new Set();
+    
+    let changed = 0;
+    for (const field of form.getFields()) {
+        const name = field.getName();
+        if (!fieldTypes.has(name)) {
+            continue;
+        }
+        try {
+            if (mode !== OTHER_ROLE_FIELD_MODES.flatten || stillNeeded.has(name)) {
+                field.enableReadOnly();
+            } else if (PLACEHOLDER_FIELD_TYPES.includes(fieldTypes.get(name))) {
+                removeFormField(pdfDoc, field);
+            } else {
+                flattenFormField(pdfDoc, field);
+            }
+            changed++;
+        } catch (error) {
+            // Leave the field as it is
+        }
+    }
+    
+    return changed;
+}
+
+// ============================================================================
+// PER-ROLE CONVERSION
+// ============================================================================
+
+/**
+ * Make a file name part from a role
+ *
+ * @param {Object} role - Role from getTemplateRoles()
+ * @returns {string} - File-system safe name
+ */
+function getRoleFileName(role) {
+    const label = role.roleName || (role.recipientId ? `Recipient ${role.recipientId}` : 'Recipient');
+    return label.replace(/[^\w\- ]/g, '').trim().replace(/\s+/g, '_') || 'Recipient';
+}
+
+/**
+ * Convert a template once for every role that has tabs
+ *
+ * @param {Object} templateData - The parsed DocuSign template JSON
+ * @param {Object} options - Conversion options (see convertDocuSignTemplate)
+ * @param {Array<string>|string} [options.roles] - Limit the package to these roles (default: every role)
+ * @param {string} [options.otherRoleFields] - 'omit' (default), 'readOnly' or 'flatten'
+ * @param {string} [baseName] - Base name for the PDF files
+ * @returns {Promise<Array<Object>>} - Array of { role, fileName, pdfBytes, report }
+ */
+async function convertDocuSignTemplatePerRole(templateData, options = {}, baseName = 'template') {
+    const roleFilter = normalizeRoleFilter(options.roles);
+    const roles = getTemplateRoles(templateData).filter(role =>
+        role.tabCount > 0 &&
+        (role.recipientId || role.roleName) &&
+        tabMatchesRoles({ sourceRecipient: role }, roleFilter)
+    );
+    if (roles.length === 0) {
+        throw new Error(roleFilter.length > 0
+            ? `No tabs belong to the selected roles: ${roleFilter.join(', ')}`
+            : 'No recipient roles with tabs found in template');
+    }
+    
+    const results = [];
+    const usedFileNames = new Set();
+    
+    for (const role of roles) {
+        const result = await convertDocuSignTemplate(templateData, {
+            ...options,
+            roles: [role.recipientId || role.roleName],
+            otherRoleFields: normalizeOtherRoleFieldMode(options.otherRoleFields),
+            preview: false
+        });
+        
+        let fileName = `${baseName}_${getRoleFileName(role)}.pdf`;
+        for (let counter = 2; usedFileNames.has(fileName); counter++) {
+            fileName = `${baseName}_${getRoleFileName(role)}_${counter}.pdf`;
+        }
+        usedFileNames.add(fileName);
+        
+        results.push({ role, fileName, pdfBytes: result.pdfBytes, report: result.report });
+    }
+    
+    return results;
+}
+
+/**
+ * Convert a template per role and bundle the PDFs (and reports, if requested) into a ZIP
+ *
+ * @param {Object} templateData - The parsed DocuSign template JSON
+ * @param {Object} options - Conversion options, see convertDocuSignTemplatePerRole()
+ * @param {string} [baseName] - Base name for the files in the archive
+ * @param {string} [reportFormat] - 'json' (default) or 'csv' for the reports in the archive
+ * @returns {Promise<Object>} - { zipBytes, files } where files are the per-role results
+ */
+async function buildRolePackage(templateData, options = {}, baseName = 'template', reportFormat = 'json') {
+    const files = await convertDocuSignTemplatePerRole(templateData, options, baseName);
+    return { zipBytes: createZipArchive(getPackageEntries(files, reportFormat)), files };
+}
+
+/**
+ * List the archive entries for converted files: each PDF, followed by its report if it has one
+ *
+ * @param {Array<Object>} files - Converted files of { fileName, pdfBytes, report }
+ * @param {string} [reportFormat] - 'json' (default) or 'csv'
+ * @returns {Array<Object>} - ZIP entries of { name, data }
+ */
+function getPackageEntries(files, reportFormat = 'json') {
+    const encoder = new TextEncoder();
+    
+    const entries = [];
+    for (const file of files) {
+        entries.push({ name: file.fileName, data: file.pdfBytes });
+        if (file.report) {
+            const reportName = file.fileName.replace(/\.pdf$/, `_report.${reportFormat}`);
+            const contents = reportFormat === 'csv'
+                ? conversionReportToCSV(file.report)
+                : conversionReportToJSON(file.report);
+            entries.push({ name: reportName, data: encoder.encode(contents) });
+        }
+    }
+    
+    return entries;
+}
+
+// ============================================================================
+// ZIP ARCHIVE
+// ============================================================================
+
+// CRC-32 lookup table (polynomial 0xEDB88320), built on first use
+let crc32Table = null;
+
+/**
+ * Compute the CRC-32 checksum ZIP uses
+ *
+ * @param {Uint8Array} data - Bytes to checksum
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(data) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crc32Table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive with stored (uncompressed) entries
+ * PDFs are already compressed, so storing them keeps this dependency-free at little cost.
+ *
+ * @param {Array<Object>} files - Array of { name, data } with data as Uint8Array
+ * @param {Date} [date] - Modification time recorded for every entry
+ * @returns {Uint8Array} - The ZIP file
+ */
+function createZipArchive(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = file.data;
+        const checksum = crc32(data);
+        
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);   // Local file header signature
+        local.setUint16(4, 20, true);           // Version needed to extract
+        local.setUint16(6, 0x0800, true);       // Flags: UTF-8 file name
+        local.setUint16(8, 0, true);            // Compression: stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // Extra field length
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), name);
+        
+        offset += 30 + name.length + data.length;
+    }
+    
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);       // Entries on this disk
+    end.setUint16(10, files.length, true);      // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // Offset of the central directory
+    
+    const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+    const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.buildRolePackage = buildRolePackage;
+    window.convertDocuSignTemplatePerRole = convertDocuSignTemplatePerRole;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildRolePackage,
+        convertDocuSignTemplatePerRole,
+        applyOtherRoleFieldMode,
+        normalizeOtherRoleFieldMode,
+        createZipArchive,
+        OTHER_ROLE_FIELD_MODES
+    };
+}
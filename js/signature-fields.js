@@ -0,0 +1,425 @@
+/**
+ * Signature Fields
+ *
+ * Builds the signature fields for Sign Here, Initial Here and Stamp tabs. pdf-lib can read
+ * signature fields but not create them, so each one is written as a single merged
+ * field/widget dictionary (/FT /Sig) with its own appearance stream - a bordered box with
+ * a "Sign Here" style label that viewers replace once the field is signed. A field can
+ * carry a /Lock dictionary naming the fields that signing it locks and /SV seed values
+ * that constrain the signer's software; after conversion each signature locks its
+ * recipient's fields, following DocuSign's routing. Every field is read back through
+ * pdf-lib's form API before it is returned, so a dictionary pdf-lib can't parse fails
+ * the tab.
+ */
+
+// Look of each kind of signature field: label, label size and background color
+const SIGNATURE_FIELD_STYLES = {
+    signature: { label: 'Sign Here', fontSize: 10, background: [0.95, 0.95, 0.95] },
+    initials: { label: 'Initial', fontSize: 8, background: [0.97, 0.97, 0.97] },
+    stamp: { label: 'Stamp', fontSize: 10, background: [0.95, 0.95, 0.95] },
+    drawing: { label: 'Draw Here', fontSize: 10, background: [1, 1, 1] }
+};
+
+// /Lock actions: every field, the listed fields, or every field but the listed ones
+const SIGNATURE_LOCK_ACTIONS = ['All', 'Include', 'Exclude'];
+
+// Fields a signature locks when it is signed: the signer's own fields, also those of
+// earlier routing orders, or none
+const SIGNATURE_LOCK_MODES = {
+    recipient: 'recipient',
+    routing: 'routing',
+    none: 'none'
+};
+
+// /SV /Ff bits that make the signer's software honor a seed value entry
+const SEED_VALUE_FLAGS = {
+    Filter: 1,
+    SubFilter: 2,
+    Reasons: 8,
+    DigestMethod: 64
+};
+
+// ============================================================================
+// APPEARANCE
+// ============================================================================
+
+/**
+ * Draw an unsigned signature widget's appearance from its appearance characteristics
+ * The background (/MK /BG), border (/MK /BC), label (/MK /CA) and rotation (/MK /R)
+ * are read from the widget, so recoloring the widget and redrawing keeps them in step.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {PDFWidgetAnnotation} widget - The signature widget
+ * @returns {PDFRef} - Reference to the new normal appearance stream
+ */
+function drawSignatureAppearance(pdfDoc, widget) {
+    const { width, height } = widget.getRectangle();
+    const characteristics = widget.getAppearanceCharacteristics();
+    const rotation = characteristics ? PDFLib.reduceRotation(characteristics.getRotation() || 0) : 0;
+    const toColor = (components) => components && components.length === 3 ? PDFLib.rgb(...components) : undefined;
+    const background = characteristics ? toColor(characteristics.getBackgroundColor()) : undefined;
+    const border = characteristics ? toColor(characteristics.getBorderColor()) : undefined;
+    const label = characteristics ? characteristics.getCaptions().normal : undefined;
+    
+    // Draw upright in the rotated box, the way pdf-lib draws rotated fields
+    const box = PDFLib.adjustDimsForRotation({ width, height }, rotation);
+    const operators = [
+        PDFLib.pushGraphicsState(),
+        ...PDFLib.rotateInPlace({ width, height, rotation }),
+        ...PDFLib.drawRectangle({
+            x: 0.5,
+            y: 0.5,
+            width: Math.max(box.width - 1, 0),
+            height: Math.max(box.height - 1, 0),
+            borderWidth: border ? 1 : 0,
+            color: background,
+            borderColor: border,
+            rotate: PDFLib.degrees(0),
+            xSkew: PDFLib.degrees(0),
+            ySkew: PDFLib.degrees(0)
+        })
+    ];
+    
+    let resources;
+    if (label) {
+        const font = pdfDoc.getForm().getDefaultFont();
+        const style = Object.values(SIGNATURE_FIELD_STYLES).find(candidate => candidate.label === label);
+        const fontSize = style ? style.fontSize : SIGNATURE_FIELD_STYLES.signature.fontSize;
+        const labelWidth = font.widthOfTextAtSize(label, 1);
+        // Shrink the label to fit small boxes
+        const size = Math.max(Math.min(fontSize, box.height * 0.6, (box.width - 4) / labelWidth), 1);
+        operators.push(...PDFLib.drawText(font.encodeText(label), {
+            x: (box.width - font.widthOfTextAtSize(label, size)) / 2,
+            y: (box.height - font.heightAtSize(size)) / 2 + font.heightAtSize(size) * 0.22,
+            size,
+            font: font.name,
+            color: PDFLib.rgb(0.45, 0.45, 0.45),
+            rotate: PDFLib.degrees(0),
+            xSkew: PDFLib.degrees(0),
+            ySkew: PDFLib.degrees(0)
+        }));
+        resources = { Font: { [font.name]: font.ref } };
+    }
+    operators.push(PDFLib.popGraphicsState());
+    
+    const stream = pdfDoc.context.formXObject(operators, {
+        BBox: pdfDoc.context.obj([0, 0, width, height]),
+        Resources: resources
+    });
+    const streamRef = pdfDoc.context.register(stream);
+    widget.setNormalAppearance(streamRef);
+    return streamRef;
+}
+
+/**
+ * Redraw the appearances of every unsigned signature field
+ * Call after anything changes their appearance characteristics (recipient colors,
+ * page rotation); signed fields keep the appearance of their signature.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @returns {number} - Number of widgets redrawn
+ */
+function updateSignatureFieldAppearances(pdfDoc) {
+    let redrawn = 0;
+    for (const field of pdfDoc.getForm().getFields()) {
+        if (!(field instanceof PDFLib.PDFSignature) || field.acroField.dict.has(PDFLib.PDFName.of('V'))) {
+            continue;
+        }
+        for (const widget of field.acroField.getWidgets()) {
+            drawSignatureAppearance(pdfDoc, widget);
+            redrawn++;
+        }
+    }
+    return redrawn;
+}
+
+// ============================================================================
+// LOCKS AND SEED VALUES
+// ============================================================================
+
+/**
+ * Build a signature field lock dictionary (/Lock)
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Object} lock - { action: 'All'|'Include'|'Exclude', fields: [names] }
+ * @returns {PDFRef|null} - Reference to the lock dictionary, or null when it would lock nothing
+ * @throws {Error} - For an unknown action
+ */
+function createSignatureLock(pdfDoc, lock) {
+    const action = lock.action || 'Include';
+    if (!SIGNATURE_LOCK_ACTIONS.includes(action)) {
+        throw new Error(`Unknown signature lock action "${action}"`);
+    }
+    
+    const fields = Array.from(new Set(lock.fields || [])).filter(name => typeof name === 'string' && name);
+    if (action === 'Include' && fields.length === 0) {
+        return null;
+    }
+    
+    const dict = pdfDoc.context.obj({ Type: 'SigFieldLock', Action: action });
+    if (action !== 'All') {
+        dict.set(PDFLib.PDFName.of('Fields'), pdfDoc.context.obj(fields.map(name => PDFLib.PDFHexString.fromText(name))));
+    }
+    return pdfDoc.context.register(dict);
+}
+
+/**
+ * Build a seed value dictionary (/SV)
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Object} seedValue - Seed values
+ * @param {string} [seedValue.filter] - Signature handler, e.g. 'Adobe.PPKLite'
+ * @param {Array<string>} [seedValue.subFilters] - Acceptable formats, e.g. ['adbe.pkcs7.detached']
+ * @param {Array<string>} [seedValue.digestMethods] - Acceptable digests, e.g. ['SHA256']
+ * @param {Array<string>} [seedValue.reasons] - Reasons the signer can choose from
+ * @param {boolean} [seedValue.required] - Make the signer's software honor the given values
+ * @returns {PDFRef} - Reference to the seed value dictionary
+ */
+function createSeedValue(pdfDoc, seedValue) {
+    const entries = {
+        Filter: seedValue.filter ? PDFLib.PDFName.of(seedValue.filter) : null,
+        SubFilter: seedValue.subFilters && seedValue.subFilters.length > 0
+            ? pdfDoc.context.obj(seedValue.subFilters.map(name => PDFLib.PDFName.of(name)))
+            : null,
+        DigestMethod: seedValue.digestMethods && seedValue.digestMethods.length > 0
+            ? pdfDoc.context.obj(seedValue.digestMethods.map(name => PDFLib.PDFName.of(name)))
+            : null,
+        Reasons: seedValue.reasons && seedValue.reasons.length > 0
+            ? pdfDoc.context.obj(seedValue.reasons.map(reason => PDFLib.PDFHexString.fromText(String(reason))))
+            : null
+    };
+    
+    const dict = pdfDoc.context.obj({ Type: 'SV' });
+    let flags = 0;
+    for (const [key, value] of Object.entries(entries)) {
+        if (value) {
+            dict.set(PDFLib.PDFName.of(key), value);
+            flags |= SEED_VALUE_FLAGS[key];
+        }
+    }
+    if (seedValue.required && flags) {
+        dict.set(PDFLib.PDFName.of('Ff'), PDFLib.PDFNumber.of(flags));
+    }
+    return pdfDoc.context.register(dict);
+}
+
+// ============================================================================
+// FIELD CREATION
+// ============================================================================
+
+/**
+ * Add a field dictionary to the form under its fully qualified name
+ * Dotted names (Buyer.Signature) nest the field under parent fields named after the
+ * leading parts, reusing parents that already exist, the way pdf-lib does for the
+ * fields it creates.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {PDFDict} dict - Field dictionary
+ * @param {PDFRef} ref - Reference of the field dictionary
+ * @param {string} fieldName - Fully qualified field name
+ */
+function addFieldToForm(pdfDoc, dict, ref, fieldName) {
+    const parts = fieldName.split('.');
+    const partialName = parts.pop();
+    
+    let parent = pdfDoc.getForm().acroForm;
+    let parentRef = null;
+    for (const part of parts) {
+        const siblings = parentRef ? PDFLib.createPDFAcroFields(parent.Kids()) : parent.getFields();
+        const existing = siblings.find(([field]) => field instanceof PDFLib.PDFAcroNonTerminal && field.getPartialName() === part);
+        if (existing) {
+            [parent, parentRef] = existing;
+        } else {
+            const node = PDFLib.PDFAcroNonTerminal.create(pdfDoc.context);
+            node.setPartialName(part);
+            if (parentRef) {
+                node.setParent(parentRef);
+            }
+            const nodeRef = pdfDoc.context.register(node.dict);
+            parent.addField(nodeRef);
+            parent = node;
+            parentRef = nodeRef;
+        }
+    }
+    
+    dict.set(PDFLib.PDFName.of('T'), PDFLib.PDFHexString.fromText(partialName));
+    if (parentRef) {
+        dict.set(PDFLib.PDFName.of('Parent'), parentRef);
+    }
+    parent.addField(ref);
+}
+
+/**
+ * Create a signature field
+ * Signatures aren't shared between tabs, since each placement is signed on its own: a
+ * name that is taken gets a numbered suffix.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {PDFPage} page - Page for the field
+ * @param {string} name - Field name
+ * @param {Object} rect - Field rectangle { llx, lly, urx, ury } in PDF coordinates
+ * @param {string} [kind] - 'signature' (default), 'initials', 'stamp' or 'drawing'
+ * @param {Object} [options] - Field options
+ * @param {Object} [options.lock] - Fields to lock on signing: { action: 'All'|'Include'|'Exclude', fields }
+ * @param {Object} [options.seedValue] - Seed values, see createSeedValue()
+ * @param {PDFRef} [options.value] - Signature dictionary of a field that is already signed
+ * @param {boolean} [options.invisible] - No visible box, and the widget can't be changed
+ * @returns {PDFSignature} - The new field
+ * @throws {Error} - When the field can't be created
+ */
+function createSignatureField(pdfDoc, page, name, rect, kind = 'signature', options = {}) {
+    const style = SIGNATURE_FIELD_STYLES[kind] || SIGNATURE_FIELD_STYLES.signature;
+    const context = pdfDoc.context;
+    const form = pdfDoc.getForm();
+    const fieldName = getUnusedFieldName(form, name || kind);
+    
+    const dict = context.obj({
+        FT: 'Sig',
+        Type: 'Annot',
+        Subtype: 'Widget',
+        Rect: [rect.llx, rect.lly, rect.urx, rect.ury],
+        P: page.ref,
+        F: options.invisible ? PDFLib.AnnotationFlags.Print | PDFLib.AnnotationFlags.Locked : PDFLib.AnnotationFlags.Print
+    });
+    if (options.value) {
+        dict.set(PDFLib.PDFName.of('V'), options.value);
+    }
+    if (options.lock) {
+        const lockRef = createSignatureLock(pdfDoc, options.lock);
+        if (lockRef) {
+            dict.set(PDFLib.PDFName.of('Lock'), lockRef);
+        }
+    }
+    if (options.seedValue) {
+        dict.set(PDFLib.PDFName.of('SV'), createSeedValue(pdfDoc, options.seedValue));
+    }
+    const ref = context.register(dict);
+    
+    // Appearance characteristics carry the look, so redrawing later keeps it
+    const widget = PDFLib.PDFWidgetAnnotation.fromDict(dict);
+    if (options.invisible) {
+        widget.setNormalAppearance(context.register(context.formXObject([])));
+    } else {
+        const characteristics = widget.getOrCreateAppearanceCharacteristics();
+        characteristics.setBorderColor([0, 0, 0]);
+        characteristics.setBackgroundColor(style.background);
+        characteristics.setCaptions({ normal: style.label });
+        characteristics.setRotation(getPageGeometry(page).rotation);
+        drawSignatureAppearance(pdfDoc, widget);
+    }
+    
+    page.node.addAnnot(ref);
+    addFieldToForm(pdfDoc, dict, ref, fieldName);
+    
+    // Read the field back the way any viewer would
+    const field = form.getField(fieldName);
+    if (!(field instanceof PDFLib.PDFSignature) || field.acroField.getWidgets().length !== 1) {
+        throw new Error(`Signature field "${fieldName}" could not be read back`);
+    }
+    return field;
+}
+
+// ============================================================================
+// ROUTING LOCKS
+// ============================================================================
+
+/**
+ * Get a recipient's routing order (DocuSign's default is 1)
+ *
+ * @param {Object} recipient - Source recipient of a tab
+ * @returns {number} - Routing order
+ */
+function getRoutingOrder(recipient) {
+    const order = parseInt(recipient.routingOrder, 10);
+    return isNaN(order) ? 1 : order;
+}
+
+/**
+ * Make every signature field lock its signer's fields once it is signed, the way DocuSign
+ * locks a recipient's data after they sign
+ * Signature fields stay unlocked so the other signatures can still be applied, and so do
+ * Date Signed fields that the date-on-sign script fills in after signing.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Array<Object>} createdFields - Records of { tab, fieldType, fieldNames } from the conversion
+ * @param {Object} [options] - Lock options
+ * @param {string} [options.mode] - 'recipient' (default), 'routing' to also lock earlier routing
+ *   orders' fields, or 'none'
+ * @param {boolean} [options.dateOnSign] - Date Signed fields are filled when signing
+ * @returns {number} - Number of signature fields given a lock
+ */
+function applySignatureLocks(pdfDoc, createdFields, options = {}) {
+    const mode = SIGNATURE_LOCK_MODES[options.mode] || SIGNATURE_LOCK_MODES.recipient;
+    if (mode === SIGNATURE_LOCK_MODES.none) {
+        return 0;
+    }
+    
+    const form = pdfDoc.getForm();
+    const fieldsByName = new Map(form.getFields().map(field => [field.getName(), field]));
+    
+    // The fields each recipient fills in and the signature fields they sign
+    const recipients = new Map();
+    for (const record of createdFields) {
+        const source = record.tab.sourceRecipient;
+        if (!source || !source.recipientId) {
+            continue;
+        }
+        if (!recipients.has(source.recipientId)) {
+            recipients.set(source.recipientId, { routingOrder: getRoutingOrder(source), lockable: [], signatures: [] });
+        }
+        const recipient = recipients.get(source.recipientId);
+        const signedDate = options.dateOnSign && record.fieldType === 'dateSignedTabs' && isDateSignedTab(record.tab);
+        for (const name of record.fieldNames) {
+            const field = fieldsByName.get(name);
+            if (field instanceof PDFLib.PDFSignature) {
+                // Drawing in a drawing field isn't signing, so it locks nothing
+                if (record.fieldType !== 'drawTabs') {
+                    recipient.signatures.push(field);
+                }
+            } else if (field && !signedDate) {
+                recipient.lockable.push(name);
+            }
+        }
+    }
+    
+    let locked = 0;
+    for (const recipient of recipients.values()) {
+        const names = mode === SIGNATURE_LOCK_MODES.routing
+            ? Array.from(recipients.values())
+                .filter(other => other.routingOrder < recipient.routingOrder)
+                .flatMap(other => other.lockable)
+                .concat(recipient.lockable)
+            : recipient.lockable;
+        const lockRef = createSignatureLock(pdfDoc, { action: 'Include', fields: names });
+        if (!lockRef) {
+            continue;
+        }
+        for (const signature of recipient.signatures) {
+            signature.acroField.dict.set(PDFLib.PDFName.of('Lock'), lockRef);
+            locked++;
+        }
+    }
+    
+    return locked;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.createSignatureField = createSignatureField;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSignatureField,
+        drawSignatureAppearance,
+        updateSignatureFieldAppearances,
+        createSignatureLock,
+        createSeedValue,
+        applySignatureLocks,
+        SIGNATURE_FIELD_STYLES,
+        SIGNATURE_LOCK_MODES
+    };
+}
@@ -0,0 +1,604 @@
+/**
+ * Command line interface for batch conversion
+ *
+ * Takes the same options as the web form, converts any number of template JSON files
+ * (listed, found in directories or matched by glob patterns) and reports one line per
+ * file. The exit code is non-zero when any file fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createConverter, getConversionErrorMessage } = require('./index');
+
+const USAGE = `Usage: docusign-convert <input...> [options]
+
+Inputs can be JSON files, directories (every .json file inside) or glob patterns
+such as "exports/**/*.json" (quote them so the shell doesn't expand them).
+
+Options:
+  -o, --output <path>         Output PDF or ZIP (single input) or output directory
+  -r, --recursive             Search directories recursively
+      --mask-header <pt>      Header mask height in points (default: 24)
+      --mask-footer <pt>      Footer mask height in points (default: 0)
+      --exclude <ids>         Document IDs to leave out, comma separated (repeatable)
+      --field-width <pt>      Default field width when DocuSign doesn't give one (default: 120)
+      --field-height <pt>     Default field height when DocuSign doesn't give one (default: 20)
+      --show-field-names      Fill empty fields with their names as placeholders
+      --include-system-tabs   Keep system-generated tabs
+      --hierarchical-names    Use dotted field names such as Borrower.Address.City
+      --link-shared-fields    Let repeated labels share one PDF field
+      --role-prefix           Start field names with the recipient role, e.g. Buyer_Address
+      --role <name>           Only convert this role's tabs, by role name or recipient ID (repeatable)
+      --color-by-recipient    Color each recipient's fields like DocuSign does
+      --per-role              Write one PDF per role, packaged as <name>_roles.zip
+      --other-roles <mode>    Other roles' fields with --role or --per-role:
+                              omit (default), read-only or flatten
+      --signature-locks <mode>
+                              Fields a signature locks once signed: recipient (the
+                              signer's own, default), routing (also earlier routing
+                              orders') or none
+      --signature-subfilter <format>
+                              Only let signers sign with this signature format, e.g.
+                              ETSI.CAdES.detached (repeatable)
+      --list-style <style>    Lists as dropdown (default), listbox or multiselect
+      --editable-lists        Let dropdown lists take typed-in values
+      --sort-list-options     Sort list options alphabetically
+      --date-format <format>  Date field format: a locale (en-US, en-GB, de-DE, iso, ...)
+                              or a pattern such as dd/MM/yyyy (default: the template's)
+      --prefill-dates         Fill empty date fields with today's date
+      --date-on-sign          Fill Date Signed fields when the signature is applied
+      --data <file>           Fill fields from a JSON or CSV file keyed by tab label (or
+                              Role.Label); several rows give one PDF per row, packaged
+                              as <name>_rows.zip
+      --name-field <column>   Name each row's PDF after this column (default: row number)
+      --certificate <file>    Certify each PDF with this PKCS#12 (.p12/.pfx) certificate;
+                              recipients can still fill in and sign the form
+      --certificate-password <password>
+                              Password of the certificate (default: the
+                              DOCUSIGN_CERTIFICATE_PASSWORD environment variable)
+      --certification-reason <text>
+                              Reason recorded in the certifying signature
+      --disable <type>        Skip a field type, e.g. signerAttachmentTabs (repeatable)
+      --report [format]       Write a conversion report next to each PDF: json (default) or csv
+      --list-field-types      List the field types --disable accepts
+  -v, --verbose               Show the converter's own diagnostics
+  -h, --help                  Show this help
+`;
+
+// Defaults match the web form
+const CLI_DEFAULTS = {
+    maskHeader: 24,
+    maskFooter: 0,
+    fieldWidth: 120,
+    fieldHeight: 20
+};
+
+// Signature formats --signature-subfilter accepts
+const SIGNATURE_SUBFILTERS = [
+    'adbe.pkcs7.detached',
+    'adbe.pkcs7.sha1',
+    'adbe.x509.rsa_sha1',
+    'ETSI.CAdES.detached',
+    'ETSI.RFC3161'
+];
+
+// --other-roles values and the converter's otherRoleFields mode for each
+const OTHER_ROLE_MODES = {
+    omit: 'omit',
+    'read-only': 'readOnly',
+    flatten: 'flatten'
+};
+
+/**
+ * Error for bad command line usage (exit code 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse a numeric option
+ *
+ * @param {string|undefined} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @param {number} fallback - Default value
+ * @returns {number} - Parsed value
+ */
+function parseNumberOption(value, name, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) {
+        throw new UsageError(`--${name} expects a non-negative number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Parse command line arguments
+ *
+ * @param {Array<string>} argv - Arguments without the node executable and script
+ * @returns {Object} - { inputs, output, recursive, verbose, help, listFieldTypes, reportFormat, perRole, dataFile,
+ *   certificateFile, disabledTypes, conversionOptions }
+ * @throws {UsageError} - When the arguments are invalid
+ */
+function parseCliArgs(argv) {
+    // --report takes an optional format, which parseArgs can't express directly
+    const args = [];
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--report') {
+            const next = argv[i + 1];
+            if (next === 'json' || next === 'csv') {
+                args.push(`--report=${next}`);
+                i++;
+            } else {
+                args.push('--report=json');
+            }
+        } else {
+            args.push(argv[i]);
+        }
+    }
+    
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                output: { type: 'string', short: 'o' },
+                recursive: { type: 'boolean', short: 'r' },
+                'mask-header': { type: 'string' },
+                'mask-footer': { type: 'string' },
+                exclude: { type: 'string', multiple: true },
+                'field-width': { type: 'string' },
+                'field-height': { type: 'string' },
+                'show-field-names': { type: 'boolean' },
+                'include-system-tabs': { type: 'boolean' },
+                'hierarchical-names': { type: 'boolean' },
+                'link-shared-fields': { type: 'boolean' },
+                'role-prefix': { type: 'boolean' },
+                role: { type: 'string', multiple: true },
+                'color-by-recipient': { type: 'boolean' },
+                'per-role': { type: 'boolean' },
+                'other-roles': { type: 'string' },
+                'signature-locks': { type: 'string' },
+                'signature-subfilter': { type: 'string', multiple: true },
+                'list-style': { type: 'string' },
+                'editable-lists': { type: 'boolean' },
+                'sort-list-options': { type: 'boolean' },
+                'date-format': { type: 'string' },
+                'prefill-dates': { type: 'boolean' },
+                'date-on-sign': { type: 'boolean' },
+                data: { type: 'string' },
+                'name-field': { type: 'string' },
+                certificate: { type: 'string' },
+                'certificate-password': { type: 'string' },
+                'certification-reason': { type: 'string' },
+                disable: { type: 'string', multiple: true },
+                report: { type: 'string' },
+                'list-field-types': { type: 'boolean' },
+                verbose: { type: 'boolean', short: 'v' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    
+    const { values, positionals } = parsed;
+    
+    if (values.report && !['json', 'csv'].includes(values.report)) {
+        throw new UsageError(`--report format must be json or csv, got "${values.report}"`);
+    }
+    
+    const otherRoles = values['other-roles'] || 'omit';
+    if (!OTHER_ROLE_MODES[otherRoles]) {
+        throw new UsageError(`--other-roles must be omit, read-only or flatten, got "${otherRoles}"`);
+    }
+    
+    const signatureLocks = values['signature-locks'] || 'recipient';
+    if (!['recipient', 'routing', 'none'].includes(signatureLocks)) {
+        throw new UsageError(`--signature-locks must be recipient, routing or none, got "${signatureLocks}"`);
+    }
+    
+    const subFilters = (values['signature-subfilter'] || [])
+        .flatMap(value => value.split(','))
+        .map(name => name.trim())
+        .filter(name => name.length > 0);
+    for (const name of subFilters) {
+        if (!SIGNATURE_SUBFILTERS.includes(name)) {
+            throw new UsageError(`--signature-subfilter must be one of ${SIGNATURE_SUBFILTERS.join(', ')}, got "${name}"`);
+        }
+    }
+    
+    const listStyle = values['list-style'] || 'dropdown';
+    if (!['dropdown', 'listbox', 'multiselect'].includes(listStyle)) {
+        throw new UsageError(`--list-style must be dropdown, listbox or multiselect, got "${listStyle}"`);
+    }
+    
+    const excludeDocIds = (values.exclude || [])
+        .flatMap(value => value.split(','))
+        .map(id => id.trim())
+        .filter(id => id.length > 0);
+    const roles = (values.role || [])
+        .flatMap(value => value.split(','))
+        .map(role => role.trim())
+        .filter(role => role.length > 0);
+    
+    return {
+        inputs: positionals,
+        output: values.output || null,
+        recursive: values.recursive === true,
+        verbose: values.verbose === true,
+        help: values.help === true,
+        listFieldTypes: values['list-field-types'] === true,
+        reportFormat: values.report || null,
+        perRole: values['per-role'] === true,
+        dataFile: values.data || null,
+        certificateFile: values.certificate || null,
+        disabledTypes: values.disable || [],
+        conversionOptions: {
+            maskHeaderHeight: parseNumberOption(values['mask-header'], 'mask-header', CLI_DEFAULTS.maskHeader),
+            maskFooterHeight: parseNumberOption(values['mask-footer'], 'mask-footer', CLI_DEFAULTS.maskFooter),
+            excludeDocIds,
+            fieldWidth: parseNumberOption(values['field-width'], 'field-width', CLI_DEFAULTS.fieldWidth),
+            fieldHeight: parseNumberOption(values['field-height'], 'field-height', CLI_DEFAULTS.fieldHeight),
+            showFieldNames: values['show-field-names'] === true,
+            includeSystemTabs: values['include-system-tabs'] === true,
+            hierarchicalFieldNames: values['hierarchical-names'] === true,
+            linkSharedFields: values['link-shared-fields'] === true,
+            roleFieldNamePrefix: values['role-prefix'] === true,
+            roles,
+            colorByRecipient: values['color-by-recipient'] === true,
+            otherRoleFields: OTHER_ROLE_MODES[otherRoles],
+            signatureLocks,
+            signatureSeedValue: subFilters.length > 0 ? { subFilters, required: true } : null,
+            listStyle,
+            editableLists: values['editable-lists'] === true,
+            sortListOptions: values['sort-list-options'] === true,
+            dateFormat: values['date-format'] || null,
+            prefillDates: values['prefill-dates'] === true,
+            dateOnSign: values['date-on-sign'] === true,
+            prefillNameField: values['name-field'] || null,
+            certificatePassword: values['certificate-password'] !== undefined
+                ? values['certificate-password']
+                : (process.env.DOCUSIGN_CERTIFICATE_PASSWORD || ''),
+            certificationReason: values['certification-reason'] || null,
+            report: Boolean(values.report)
+        }
+    };
+}
+
+/**
+ * Turn a glob pattern into a regular expression
+ * Supports *, ? and ** (any number of directories).
+ *
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp} - Matching expression
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more directories
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i++;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * List files below a directory
+ *
+ * @param {string} dir - Directory to walk
+ * @param {boolean} recursive - Include subdirectories
+ * @returns {Array<string>} - File paths
+ */
+function listFiles(dir, recursive) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) {
+                files.push(...listFiles(fullPath, recursive));
+            }
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Expand the input arguments into template files
+ *
+ * @param {Array<string>} inputs - Files, directories or glob patterns
+ * @param {boolean} recursive - Search directories recursively
+ * @returns {Object} - { files, missing, expanded } where missing lists inputs that matched nothing
+ *   and expanded tells whether any input was a directory or glob pattern
+ */
+function expandInputs(inputs, recursive) {
+    const files = [];
+    const missing = [];
+    let expanded = false;
+    
+    for (const input of inputs) {
+        if (/[*?]/.test(input)) {
+            expanded = true;
+            // Walk from the last directory before the first wildcard
+            const normalized = input.split(path.sep).join('/');
+            const firstWildcard = normalized.search(/[*?]/);
+            const baseEnd = normalized.lastIndexOf('/', firstWildcard);
+            const baseDir = baseEnd === -1 ? '.' : (normalized.slice(0, baseEnd) || '/');
+            const matcher = globToRegExp(baseEnd === -1 ? normalized : normalized.slice(baseEnd + 1));
+            const walkRecursive = normalized.includes('**') || normalized.slice(firstWildcard).includes('/');
+            
+            const matches = fs.existsSync(baseDir) && fs.statSync(baseDir).isDirectory()
+                ? listFiles(baseDir, walkRecursive).filter(file =>
+                    matcher.test(path.relative(baseDir, file).split(path.sep).join('/')))
+                : [];
+            if (matches.length === 0) {
+                missing.push(input);
+            }
+            files.push(...matches);
+        } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            expanded = true;
+            const matches = listFiles(input, recursive).filter(file => file.toLowerCase().endsWith('.json'));
+            if (matches.length === 0) {
+                missing.push(input);
+            }
+            files.push(...matches);
+        } else if (fs.existsSync(input)) {
+            files.push(input);
+        } else {
+            missing.push(input);
+        }
+    }
+    
+    // The same file can be matched by several inputs
+    return { files: Array.from(new Set(files.map(file => path.resolve(file)))), missing, expanded };
+}
+
+/**
+ * Work out where the PDF (or per-role ZIP) for an input file goes
+ *
+ * @param {string} inputFile - Template JSON path
+ * @param {string|null} output - The --output value
+ * @param {boolean} outputIsDir - Whether --output names a directory
+ * @param {string} [suffix] - Appended to the input's base name ('.pdf', '_roles.zip' with --per-role
+ *   or '_rows.zip' with several rows of --data)
+ * @returns {string} - Output path
+ */
+function getOutputPath(inputFile, output, outputIsDir, suffix = '.pdf') {
+    const outputName = `${path.basename(inputFile, path.extname(inputFile))}${suffix}`;
+    if (!output) {
+        return path.join(path.dirname(inputFile), outputName);
+    }
+    return outputIsDir ? path.join(output, outputName) : output;
+}
+
+/**
+ * Read the rows of the --data file
+ *
+ * @param {Object} converter - Converter from createConverter()
+ * @param {string} dataFile - JSON or CSV file path
+ * @returns {Array<Object>} - Prefill rows
+ * @throws {UsageError} - When the file can't be read or has no rows
+ */
+function readPrefillRows(converter, dataFile) {
+    try {
+        return converter.parsePrefillData(fs.readFileSync(dataFile, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`--data ${dataFile}: ${error.message}`);
+    }
+}
+
+/**
+ * Convert one template file
+ *
+ * @param {Object} converter - Converter from createConverter()
+ * @param {string} inputFile - Template JSON path
+ * @param {string} outputFile - PDF path (ZIP path with --per-role or several rows of --data)
+ * @param {Object} cli - Parsed arguments (prefillRows holds the --data rows when there are several)
+ * @returns {Promise<Object>} - { outputFile, reportFile, excludedDocuments, roleFiles } where
+ *   roleFiles lists the PDFs in the ZIP, if one was written
+ */
+async function convertFile(converter, inputFile, outputFile, cli) {
+    let templateData;
+    try {
+        templateData = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    
+    if (cli.perRole) {
+        // Reports go inside the archive, next to each role's PDF
+        const baseName = path.basename(inputFile, path.extname(inputFile));
+        const { zipBytes, files } = await converter.buildRolePackage(
+            templateData, cli.conversionOptions, baseName, cli.reportFormat || 'json'
+        );
+        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+        fs.writeFileSync(outputFile, zipBytes);
+        return { outputFile, reportFile: null, excludedDocuments: [], roleFiles: files.map(file => file.fileName) };
+    }
+    
+    if (cli.prefillRows) {
+        const baseName = path.basename(inputFile, path.extname(inputFile));
+        const { zipBytes, files } = await converter.buildPrefillPackage(
+            templateData, cli.conversionOptions, cli.prefillRows, baseName, cli.reportFormat || 'json'
+        );
+        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+        fs.writeFileSync(outputFile, zipBytes);
+        return { outputFile, reportFile: null, excludedDocuments: [], roleFiles: files.map(file => file.fileName) };
+    }
+    
+    const result = await converter.convertDocuSignTemplate(templateData, cli.conversionOptions);
+    
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, result.pdfBytes);
+    
+    let reportFile = null;
+    if (cli.reportFormat && result.report) {
+        const base = outputFile.replace(/\.pdf$/i, '');
+        reportFile = `${base}_report.${cli.reportFormat}`;
+        const contents = cli.reportFormat === 'csv'
+            ? converter.conversionReportToCSV(result.report)
+            : converter.conversionReportToJSON(result.report);
+        fs.writeFileSync(reportFile, contents);
+    }
+    
+    return { outputFile, reportFile, excludedDocuments: result.excludedDocuments, roleFiles: null };
+}
+
+/**
+ * Run the command line tool
+ *
+ * @param {Array<string>} argv - Arguments without the node executable and script
+ * @param {Object} [io] - Output streams (defaults to process.stdout / process.stderr)
+ * @returns {Promise<number>} - Exit code: 0 all converted, 1 some files failed, 2 usage error
+ */
+async function runCli(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    
+    let cli;
+    try {
+        cli = parseCliArgs(argv);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr.write(`docusign-convert: ${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        throw error;
+    }
+    
+    if (cli.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+    
+    const converter = createConverter({ verbose: cli.verbose });
+    const fieldTypes = converter.getAllFieldTypeConfigs();
+    
+    if (cli.listFieldTypes) {
+        for (const [fieldType, config] of Object.entries(fieldTypes)) {
+            stdout.write(`${fieldType.padEnd(22)} ${config.name}\n`);
+        }
+        return 0;
+    }
+    
+    for (const fieldType of cli.disabledTypes) {
+        if (!fieldTypes[fieldType]) {
+            stderr.write(`docusign-convert: unknown field type "${fieldType}" (see --list-field-types)\n`);
+            return 2;
+        }
+        converter.setFieldTypeEnabled(fieldType, false);
+    }
+    
+    if (cli.certificateFile) {
+        try {
+            cli.conversionOptions.certificate = fs.readFileSync(cli.certificateFile);
+        } catch (error) {
+            stderr.write(`docusign-convert: --certificate ${cli.certificateFile}: ${error.message}\n`);
+            return 2;
+        }
+    }
+    
+    // One row of data fills the PDF; several rows give one PDF per row
+    if (cli.dataFile) {
+        try {
+            const rows = readPrefillRows(converter, cli.dataFile);
+            if (rows.length > 1 && cli.perRole) {
+                throw new UsageError(`--per-role can't be combined with a --data file of ${rows.length} rows`);
+            }
+            if (rows.length === 1) {
+                cli.conversionOptions.prefillData = rows[0];
+            } else {
+                cli.prefillRows = rows;
+            }
+        } catch (error) {
+            stderr.write(`docusign-convert: ${error.message}\n`);
+            return 2;
+        }
+    }
+    
+    if (cli.inputs.length === 0) {
+        stderr.write(`docusign-convert: no input files given\n\n${USAGE}`);
+        return 2;
+    }
+    
+    const { files, missing, expanded } = expandInputs(cli.inputs, cli.recursive);
+    for (const input of missing) {
+        stderr.write(`✗ ${input}: no such file or no matching .json files\n`);
+    }
+    
+    if (cli.output && files.length > 1 && /\.(pdf|zip)$/i.test(cli.output)) {
+        stderr.write(`docusign-convert: --output must be a directory when converting ${files.length} files\n`);
+        return 2;
+    }
+    
+    // With several inputs, a directory or glob input, an existing directory or a trailing
+    // slash, --output is a directory
+    const outputIsDir = Boolean(cli.output) && (
+        files.length > 1 ||
+        expanded ||
+        /[\\/]$/.test(cli.output) ||
+        (fs.existsSync(cli.output) && fs.statSync(cli.output).isDirectory())
+    );
+    
+    let failed = missing.length;
+    const writtenBy = new Map();
+    for (const file of files) {
+        const displayName = path.relative(process.cwd(), file) || file;
+        try {
+            // Files with the same name in different directories would overwrite each other
+            const suffix = cli.perRole ? '_roles.zip' : cli.prefillRows ? '_rows.zip' : '.pdf';
+            const outputFile = path.resolve(getOutputPath(file, cli.output, outputIsDir, suffix));
+            if (writtenBy.has(outputFile)) {
+                throw new Error(`output ${path.relative(process.cwd(), outputFile)} was already written for ${writtenBy.get(outputFile)}`);
+            }
+            writtenBy.set(outputFile, displayName);
+            const result = await convertFile(converter, file, outputFile, cli);
+            let line = `✓ ${displayName} -> ${path.relative(process.cwd(), result.outputFile) || result.outputFile}`;
+            if (result.roleFiles) {
+                line += ` (${result.roleFiles.join(', ')})`;
+            }
+            if (result.reportFile) {
+                line += ` (report: ${path.relative(process.cwd(), result.reportFile)})`;
+            }
+            if (result.excludedDocuments.length > 0) {
+                line += ` [excluded ${result.excludedDocuments.map(doc => doc.documentId).join(', ')}]`;
+            }
+            stdout.write(`${line}\n`);
+        } catch (error) {
+            failed++;
+            stderr.write(`✗ ${displayName}: ${getConversionErrorMessage(error)}\n`);
+        }
+    }
+    
+    const converted = files.length - (failed - missing.length);
+    stdout.write(`${converted} converted, ${failed} failed\n`);
+    return failed > 0 ? 1 : 0;
+}
+
+module.exports = {
+    runCli,
+    parseCliArgs,
+    expandInputs,
+    globToRegExp,
+    getOutputPath,
+    UsageError
+};
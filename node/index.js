@@ -0,0 +1,127 @@
+/**
+ * Node.js entry point for the DocuSign converter
+ *
+ * The converter modules in js/ are plain browser scripts that share globals (PDFLib from
+ * the CDN script tag, getUnusedFieldName, ...). Rather than maintaining a second
+ * copy, this module runs the same scripts in one shared scope whose globals stand in for
+ * the browser: PDFLib comes from the pdf-lib npm package and `window` is the scope itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const PDFLib = require('pdf-lib');
+const forge = require('node-forge');
+
+// Converter scripts in the order index.html loads them (UI-only scripts are left out)
+const CONVERTER_SCRIPTS = [
+    'converter.js',
+    'field-translators.js',
+    'signature-fields.js',
+    'anchor-tabs.js',
+    'conversion-report.js',
+    'conditional-logic.js',
+    'recipient-roles.js',
+    'role-packages.js',
+    'formula-fields.js',
+    'date-fields.js',
+    'prefill-data.js',
+    'pdf-certification.js'
+];
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'js');
+
+// Top-level declarations of a script, which the browser makes globals
+const TOP_LEVEL_DECLARATION = /^(?:async\s+)?(?:function\*?|const|let|var|class)\s+([A-Za-z_$][\w$]*)/gm;
+
+// Console that drops the converter's own error logging (callers get the error itself)
+const QUIET_CONSOLE = {
+    log() {},
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+};
+
+/**
+ * Load the converter scripts into a fresh scope
+ * The scripts are compiled in this realm as the body of one function, so their top-level
+ * declarations share a scope like the browser's globals do, while the objects and arrays
+ * they build are this realm's own and pass pdf-lib's instanceof checks. The returned
+ * context holds every top-level function and constant of the scripts (determineFieldType,
+ * getTabRectangle, ...), which is what the test suite exercises directly.
+ *
+ * @param {Object} [options] - Loader options
+ * @param {boolean} [options.verbose] - Let the converter log to the real console
+ * @returns {Object} - The context (the scripts' `window`)
+ */
+function loadConverterContext(options = {}) {
+    const context = {
+        PDFLib,
+        forge,
+        console: options.verbose ? console : QUIET_CONSOLE
+    };
+    context.window = context;
+    
+    const sources = CONVERTER_SCRIPTS.map(script => fs.readFileSync(path.join(SCRIPT_DIR, script), 'utf8'));
+    const names = new Set(sources.flatMap(source => Array.from(source.matchAll(TOP_LEVEL_DECLARATION), match => match[1])));
+    const body = `${sources.join('\n;\n')}\nreturn { ${Array.from(names).join(', ')} };`;
+    
+    const runScripts = vm.compileFunction(body, Object.keys(context), { filename: 'converter-scripts.js' });
+    return Object.assign(context, runScripts(...Object.values(context)));
+}
+
+/**
+ * Create an isolated converter instance
+ * Each instance has its own field type settings, so callers can enable or disable
+ * field types without affecting other instances.
+ *
+ * @param {Object} [options] - Loader options, see loadConverterContext()
+ * @returns {Object} - Converter API {
+ *   convertDocuSignTemplate, convertDocuSignToPDF, conversionReportToJSON, conversionReportToCSV,
+ *   getTemplateRoles, convertDocuSignTemplatePerRole, buildRolePackage, parsePrefillData,
+ *   convertDocuSignTemplatePerRow, buildPrefillPackage, setFieldTypeEnabled, getAllFieldTypeConfigs, resetAllFieldTypes
+ * }
+ */
+function createConverter(options = {}) {
+    const context = loadConverterContext(options);
+    
+    return {
+        convertDocuSignTemplate: context.convertDocuSignTemplate,
+        convertDocuSignToPDF: context.convertDocuSignToPDF,
+        conversionReportToJSON: context.conversionReportToJSON,
+        conversionReportToCSV: context.conversionReportToCSV,
+        getTemplateRoles: context.getTemplateRoles,
+        convertDocuSignTemplatePerRole: context.convertDocuSignTemplatePerRole,
+        buildRolePackage: context.buildRolePackage,
+        parsePrefillData: context.parsePrefillData,
+        convertDocuSignTemplatePerRow: context.convertDocuSignTemplatePerRow,
+        buildPrefillPackage: context.buildPrefillPackage,
+        setFieldTypeEnabled: context.setFieldTypeEnabled,
+        getAllFieldTypeConfigs: context.getAllFieldTypeConfigs,
+        resetAllFieldTypes: context.resetAllFieldTypes
+    };
+}
+
+/**
+ * Get the most useful message for a conversion error
+ * The converter wraps failures in a generic message for the web page; the original
+ * error is kept as `cause`.
+ *
+ * @param {Error} error - Error thrown by the converter
+ * @returns {string} - Message for the user
+ */
+function getConversionErrorMessage(error) {
+    let current = error;
+    while (current && current.cause && typeof current.cause.message === 'string') {
+        current = current.cause;
+    }
+    return current && current.message ? current.message : String(error);
+}
+
+module.exports = {
+    createConverter,
+    loadConverterContext,
+    getConversionErrorMessage,
+    CONVERTER_SCRIPTS
+};
@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadConverterContext, convertAndReload, assertRectClose } = require('./helpers');
+
+const { parseContentStream, parseToUnicodeCMap, findAnchorMatches, getAnchorOffset } = loadConverterContext();
+
+/**
+ * Build a two-page document with anchor strings
+ * Page 1 is drawn by pdf-lib; page 2 has a hand-written content stream that splits the
+ * anchor across a kerned TJ array inside a translated graphics state.
+ *
+ * @returns {Promise<string>} - Base64 PDF
+ */
+async function buildAnchorDocument() {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+    
+    const first = pdfDoc.addPage([612, 792]);
+    first.drawText('Buyer signature: \\s1\\    Date: \\d1\\', { x: 72, y: 700, size: 12, font });
+    first.drawText('Initial here \\i1\\ or there', { x: 72, y: 400, size: 10, font });
+    
+    const second = pdfDoc.addPage([612, 792]);
+    const fontName = second.node.newFontDictionary('F', font.ref);
+    const content = `q 1 0 0 1 100 50 cm BT ${fontName} 12 Tf 10 600 Td [(Sign) -250 (\\\\s) 20 (1\\\\)] TJ ET Q`;
+    second.node.addContentStream(pdfDoc.context.register(pdfDoc.context.flateStream(content)));
+    
+    return Buffer.from(await pdfDoc.save()).toString('base64');
+}
+
+/**
+ * Wrap tabs in a one-signer template around the anchor document
+ *
+ * @param {Object} tabs - Recipient tabs object
+ * @returns {Promise<Object>} - DocuSign template
+ */
+async function buildAnchorTemplate(tabs) {
+    return {
+        documents: [{ documentId: '1', name: 'Anchors.pdf', documentBase64: await buildAnchorDocument() }],
+        recipients: { signers: [{ recipientId: '1', roleName: 'Buyer', tabs }] }
+    };
+}
+
+test('parses operands, strings and inline images in content streams', () => {
+    const bytes = new TextEncoder().encode('BT /F1 12 Tf (a\\(b\\)\\134) Tj <5C7331> Tj [(x) -120 (y)] TJ ET BI /W 1 ID \x00EI\x01 EI Q');
+    const operations = parseContentStream(bytes);
+    
+    assert.deepEqual(Array.from(operations, operation => operation.operator), ['BT', 'Tf', 'Tj', 'Tj', 'TJ', 'ET', 'BI', 'Q']);
+    assert.equal(operations[1].operands[0].value, 'F1');
+    assert.equal(operations[1].operands[1], 12);
+    assert.equal(Buffer.from(operations[2].operands[0].bytes).toString('latin1'), 'a(b)\\');
+    assert.equal(Buffer.from(operations[3].operands[0].bytes).toString('latin1'), '\\s1');
+    assert.equal(operations[4].operands[0][1], -120);
+});
+
+test('reads ToUnicode character maps', () => {
+    const map = parseToUnicodeCMap([
+        '2 beginbfchar <0003> <0020> <0011> <005C> endbfchar',
+        '2 beginbfrange <0024> <0026> <0041> <0030> <0031> [<0078> <00790079>] endbfrange'
+    ].join('\n'));
+    
+    assert.equal(map.get(0x11), '\\');
+    assert.equal(map.get(0x26), 'C');
+    assert.equal(map.get(0x31), 'yy');
+});
+
+test('finds anchors with case and whole-word rules', () => {
+    const text = 'Sign here, and there: \\S1\\';
+    
+    assert.equal(findAnchorMatches(text, 'here').length, 2);
+    assert.equal(findAnchorMatches(text, 'here', { wholeWord: true }).length, 1);
+    assert.equal(findAnchorMatches(text, '\\s1\\').length, 1);
+    assert.equal(findAnchorMatches(text, '\\s1\\', { caseSensitive: true }).length, 0);
+});
+
+test('converts offsets from the anchor units to points', () => {
+    assert.equal(getAnchorOffset('2', 'pixels'), 2);
+    assert.equal(getAnchorOffset('0.5', 'inches'), 36);
+    assert.ok(Math.abs(getAnchorOffset('25.4', 'mms') - 72) < 1e-9);
+    assert.equal(getAnchorOffset(undefined, 'cms'), 0);
+});
+
+test('places a field at every occurrence of the anchor string', async () => {
+    const template = await buildAnchorTemplate({
+        signHereTabs: [{ tabId: 'sig-1', tabLabel: 'Buyer Signature', documentId: '1', anchorString: '\\s1\\' }]
+    });
+    const { result } = await convertAndReload(template);
+    const [onFirst, onSecond] = result.placements;
+    
+    assert.equal(result.placements.length, 2);
+    assert.equal(onFirst.pageIndex, 0);
+    assert.equal(onSecond.pageIndex, 1);
+    // Tab top-left at the top-left of the anchor text (12pt text on a 700pt baseline)
+    assert.ok(onFirst.rect.llx > 150 && onFirst.rect.llx < 175);
+    assert.equal(onFirst.rect.ury, 712);
+    // "Sign" (24pt wide) plus a 3pt kerning gap, moved by the cm transform
+    assert.ok(Math.abs(onSecond.rect.llx - 137) < 0.1);
+    assert.equal(onSecond.rect.ury, 662);
+    
+    // Each match gets its own field editor key
+    assert.deepEqual(Array.from(result.placements, placement => placement.tabKey), ['tabId:sig-1', 'tabId:sig-1:2']);
+    assert.deepEqual(Array.from(result.placements, placement => placement.fieldName), ['Buyer_Signature', 'Buyer_Signature_2']);
+});
+
+test('applies anchor offsets, units and right alignment', async () => {
+    const template = await buildAnchorTemplate({
+        textTabs: [
+            { tabLabel: 'Left', documentId: '1', anchorString: '\\d1\\', width: '50', height: '12' },
+            { tabLabel: 'Offset', documentId: '1', anchorString: '\\d1\\', anchorXOffset: '0.5', anchorYOffset: '-0.25', anchorUnits: 'inches', width: '50', height: '12' },
+            { tabLabel: 'Right', documentId: '1', anchorString: '\\d1\\', anchorHorizontalAlignment: 'right', width: '50', height: '12' }
+        ]
+    });
+    const { fields } = await convertAndReload(template);
+    const left = fields.get('Left').widgets[0].rect;
+    const offset = fields.get('Offset').widgets[0].rect;
+    const right = fields.get('Right').widgets[0].rect;
+    
+    assert.ok(Math.abs(offset.x - left.x - 36) < 0.01);
+    assert.ok(Math.abs(offset.y - left.y - 18) < 0.01);
+    // \d1\ is 1.668em wide in 12pt Helvetica
+    assert.ok(Math.abs(right.x - left.x - 20.016) < 0.01);
+});
+
+test('skips anchors that are not found, or keeps the tab\'s own position', async () => {
+    const template = await buildAnchorTemplate({
+        textTabs: [
+            { tabLabel: 'Ignored', documentId: '1', anchorString: 'nowhere', anchorIgnoreIfNotPresent: 'true', xPosition: '72', yPosition: '72' },
+            { tabLabel: 'Positioned', documentId: '1', pageNumber: '1', anchorString: 'nowhere', xPosition: '72', yPosition: '72', width: '100', height: '20' },
+            { tabLabel: 'Case', documentId: '1', anchorString: '\\S1\\', anchorCaseSensitive: 'true' },
+            { tabLabel: 'Word', documentId: '1', anchorString: 'her', anchorMatchWholeWord: 'true' }
+        ]
+    });
+    const { result, fields } = await convertAndReload(template, { report: true });
+    
+    assert.deepEqual(Array.from(fields.keys()), ['Positioned']);
+    assertRectClose(fields.get('Positioned').widgets[0].rect, { llx: 72, lly: 700, urx: 172, ury: 720 });
+    
+    const notFound = result.report.entries.filter(entry => entry.reason === 'anchor_not_found');
+    assert.deepEqual(Array.from(notFound, entry => entry.tabLabel), ['Ignored', 'Case', 'Word']);
+});
@@ -0,0 +1,153 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCli, parseCliArgs, expandInputs, UsageError } = require('../node/cli');
+
+/**
+ * Run the command line tool and capture what it writes
+ *
+ * @param {Array<string>} argv - Arguments
+ * @returns {Promise<Object>} - { code, stdout, stderr }
+ */
+async function runCapturing(argv) {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: (text) => { output.stdout += text; } },
+        stderr: { write: (text) => { output.stderr += text; } }
+    };
+    const code = await runCli(argv, io);
+    return { code, ...output };
+}
+
+/**
+ * Create a directory tree of empty files for input expansion
+ *
+ * @param {Array<string>} files - Paths relative to the new directory
+ * @returns {string} - The new directory
+ */
+function createInputTree(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docusign-cli-'));
+    for (const file of files) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), '{}');
+    }
+    return dir;
+}
+
+test('takes an optional format after --report', () => {
+    assert.equal(parseCliArgs(['offer.json', '--report']).reportFormat, 'json');
+    assert.equal(parseCliArgs(['--report', 'offer.json']).reportFormat, 'json');
+    assert.deepEqual(parseCliArgs(['--report', 'offer.json']).inputs, ['offer.json']);
+    
+    const csv = parseCliArgs(['--report', 'csv', 'offer.json']);
+    assert.equal(csv.reportFormat, 'csv');
+    assert.deepEqual(csv.inputs, ['offer.json']);
+    assert.equal(csv.conversionOptions.report, true);
+    
+    const none = parseCliArgs(['offer.json']);
+    assert.equal(none.reportFormat, null);
+    assert.equal(none.conversionOptions.report, false);
+    assert.throws(() => parseCliArgs(['--report=xml', 'offer.json']), /--report format must be json or csv, got "xml"/);
+});
+
+test('maps option values onto conversion options', () => {
+    const { conversionOptions } = parseCliArgs([
+        'offer.json', '--mask-header', '36', '--field-width', '150', '--hierarchical-names',
+        '--other-roles', 'read-only', '--signature-locks', 'routing', '--list-style', 'listbox', '--date-format', 'dd/MM/yyyy', '--date-on-sign', '--role', 'Buyer, Seller', '--role', '3', '--exclude', '2,4', '--exclude', ' 7 '
+    ]);
+    assert.equal(conversionOptions.maskHeaderHeight, 36);
+    assert.equal(conversionOptions.maskFooterHeight, 0);
+    assert.equal(conversionOptions.fieldWidth, 150);
+    assert.equal(conversionOptions.hierarchicalFieldNames, true);
+    assert.equal(conversionOptions.linkSharedFields, false);
+    assert.equal(conversionOptions.otherRoleFields, 'readOnly');
+    assert.equal(conversionOptions.signatureLocks, 'routing');
+    assert.equal(conversionOptions.listStyle, 'listbox');
+    assert.equal(conversionOptions.dateFormat, 'dd/MM/yyyy');
+    assert.equal(conversionOptions.prefillDates, false);
+    assert.equal(conversionOptions.dateOnSign, true);
+    assert.deepEqual(conversionOptions.roles, ['Buyer', 'Seller', '3']);
+    assert.deepEqual(conversionOptions.excludeDocIds, ['2', '4', '7']);
+    assert.equal(conversionOptions.signatureSeedValue, null);
+    
+    const signing = parseCliArgs(['offer.json', '--signature-subfilter', 'ETSI.CAdES.detached, adbe.pkcs7.detached']);
+    assert.deepEqual(signing.conversionOptions.signatureSeedValue, {
+        subFilters: ['ETSI.CAdES.detached', 'adbe.pkcs7.detached'],
+        required: true
+    });
+});
+
+test('rejects bad option values with exit code 2', async () => {
+    const cases = [
+        [['--mask-header', 'tall'], /--mask-header expects a non-negative number, got "tall"/],
+        [['--mask-header=-5'], /--mask-header expects a non-negative number, got "-5"/],
+        [['--other-roles', 'hide'], /--other-roles must be omit, read-only or flatten, got "hide"/],
+        [['--list-style', 'radio'], /--list-style must be dropdown, listbox or multiselect, got "radio"/],
+        [['--field-height', 'auto'], /--field-height expects a non-negative number, got "auto"/],
+        [['--signature-locks', 'all'], /--signature-locks must be recipient, routing or none, got "all"/],
+        [['--signature-subfilter', 'pades'], /--signature-subfilter must be one of adbe\.pkcs7\.detached, .*, got "pades"/],
+        [['--no-such-option'], /Unknown option '--no-such-option'/]
+    ];
+    
+    for (const [args, message] of cases) {
+        assert.throws(() => parseCliArgs(['offer.json', ...args]), error => error instanceof UsageError && message.test(error.message));
+        
+        const { code, stdout, stderr } = await runCapturing(['offer.json', ...args]);
+        assert.equal(code, 2, args.join(' '));
+        assert.equal(stdout, '');
+        assert.match(stderr, message);
+        assert.match(stderr, /Usage: docusign-convert/);
+    }
+});
+
+test('expands directories to their .json files', () => {
+    const dir = createInputTree(['b.json', 'a.JSON', 'notes.txt', 'nested/c.json']);
+    try {
+        assert.deepEqual(expandInputs([dir], false), {
+            files: [path.join(dir, 'a.JSON'), path.join(dir, 'b.json')],
+            missing: [],
+            expanded: true
+        });
+        assert.deepEqual(expandInputs([dir], true).files, [
+            path.join(dir, 'a.JSON'),
+            path.join(dir, 'b.json'),
+            path.join(dir, 'nested', 'c.json')
+        ]);
+        
+        const empty = path.join(dir, 'empty');
+        fs.mkdirSync(empty);
+        assert.deepEqual(expandInputs([empty, path.join(dir, 'gone.json')], false), {
+            files: [],
+            missing: [empty, path.join(dir, 'gone.json')],
+            expanded: true
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('expands glob patterns and lists each file once', () => {
+    const dir = createInputTree(['offer-1.json', 'offer-2.json', 'lease.json', 'old/offer-3.json', 'old/2024/offer-4.json']);
+    try {
+        assert.deepEqual(expandInputs([`${dir}/offer-?.json`], false).files, [
+            path.join(dir, 'offer-1.json'),
+            path.join(dir, 'offer-2.json')
+        ]);
+        assert.deepEqual(expandInputs([`${dir}/**/offer-*.json`, `${dir}/offer-1.json`], false), {
+            files: [
+                path.join(dir, 'offer-1.json'),
+                path.join(dir, 'offer-2.json'),
+                path.join(dir, 'old', '2024', 'offer-4.json'),
+                path.join(dir, 'old', 'offer-3.json')
+            ],
+            missing: [],
+            expanded: true
+        });
+        assert.deepEqual(expandInputs([`${dir}/*/offer-*.json`], false).files, [path.join(dir, 'old', 'offer-3.json')]);
+        assert.deepEqual(expandInputs([`${dir}/*.pdf`], false).missing, [`${dir}/*.pdf`]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
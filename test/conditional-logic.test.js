@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadSignerTemplate, createTab, getActionScripts, convertAndReload } = require('./helpers');
+
+/**
+ * Signer fixture with checkbox, radio and text parents and their dependents
+ * "Agree Terms" starts checked and "Full Address" starts filled in (see the fixture).
+ *
+ * @returns {Object} - DocuSign template
+ */
+function loadConditionalTemplate() {
+    const dependent = (tabLabel, yPosition, parentLabel, parentValue, properties = {}) =>
+        createTab('text', tabLabel, 300, yPosition, {
+            conditionalParentLabel: parentLabel,
+            conditionalParentValue: parentValue,
+            ...properties
+        });
+    
+    return loadSignerTemplate({
+        checkboxTabs: [
+            createTab('checkbox', 'Agree Terms', 72, 150, { selected: 'true' }),
+            createTab('checkbox', 'Has Pets', 72, 250)
+        ],
+        radioGroupTabs: [{
+            documentId: '1',
+            groupName: 'Financing',
+            radios: [
+                { pageNumber: '1', xPosition: '72', yPosition: '400', value: 'Cash', selected: 'true' },
+                { pageNumber: '1', xPosition: '120', yPosition: '400', value: 'Loan' }
+            ]
+        }],
+        textTabs: [
+            createTab('text', 'Full Address', 72, 100, { value: '1 Main Street' }),
+            createTab('text', 'Co-Buyer', 72, 500),
+            dependent('Terms Note', 150, 'Agree Terms', 'on'),
+            dependent('Pet Count', 250, 'Has Pets', 'on', { value: '2' }),
+            dependent('Pet Deposit', 300, 'Pet Count', ''),
+            dependent('Proof of Funds', 400, 'Financing', 'Cash'),
+            dependent('Lender', 450, 'Financing', 'Loan'),
+            dependent('Mailing Note', 100, 'Full Address', ''),
+            dependent('Co-Buyer Email', 500, 'Co-Buyer', '')
+        ]
+    });
+}
+
+/**
+ * Check whether every widget of a field is hidden
+ *
+ * @param {Object} info - Field info from convertAndReload()
+ * @returns {boolean} - True when all widgets carry the Hidden flag
+ */
+function isHidden(info) {
+    return info.field.acroField.getWidgets().every(widget => widget.hasFlag(PDFLib.AnnotationFlags.Hidden));
+}
+
+test('runs checkbox and radio rules on mouse up of every widget', async () => {
+    const { fields } = await convertAndReload(loadConditionalTemplate());
+    
+    for (const [parent, dependent] of [['Has_Pets', 'Pet_Count'], ['Financing', 'Lender']]) {
+        const widgets = fields.get(parent).field.acroField.getWidgets();
+        for (const widget of widgets) {
+            const [script] = getActionScripts(widget.dict, 'U');
+            assert.ok(script && script.includes(`"${dependent}"`), `${parent} widget runs the rule for ${dependent}`);
+        }
+        assert.deepEqual(getActionScripts(fields.get(parent).field, 'V'), []);
+    }
+    assert.equal(fields.get('Financing').field.acroField.getWidgets().length, 2);
+    
+    // Only dependents whose parent starts with the expected value are visible
+    assert.equal(isHidden(fields.get('Terms_Note')), false);
+    assert.equal(isHidden(fields.get('Pet_Count')), true);
+    assert.equal(isHidden(fields.get('Proof_of_Funds')), false);
+    assert.equal(isHidden(fields.get('Lender')), true);
+});
+
+test('shows dependents of text parents with no expected value once the parent is filled in', async () => {
+    const { fields } = await convertAndReload(loadConditionalTemplate());
+    
+    assert.equal(isHidden(fields.get('Mailing_Note')), false);
+    assert.equal(isHidden(fields.get('Co-Buyer_Email')), true);
+    
+    const [script] = getActionScripts(fields.get('Co-Buyer').field, 'V');
+    assert.match(script, /var dsCurrent = String\(event\.value\);/);
+    assert.match(script, /dsKind === "text" && dsRule\.value === "" \? dsCurrent !== ""/);
+    assert.ok(script.includes('{"value":"","fields":["Co-Buyer_Email"],"nested":[]}'));
+});
+
+test('hides and resets nested dependents along with their parent', async () => {
+    const { fields } = await convertAndReload(loadConditionalTemplate());
+    
+    // "Pet Count" is filled in, but its own parent is unchecked, so both stay hidden
+    assert.equal(isHidden(fields.get('Pet_Deposit')), true);
+    
+    const [script] = getActionScripts(fields.get('Has_Pets').field.acroField.getWidgets()[0].dict, 'U');
+    assert.ok(script.includes('{"value":"on","fields":["Pet_Count"],"nested":["Pet_Deposit"]}'));
+    assert.match(script, /dsShow \? dsRule\.fields : dsRule\.fields\.concat\(dsRule\.nested\)/);
+    assert.match(script, /if \(!dsShow\) this\.resetForm\(\[dsNames\[j\]\]\);/);
+});
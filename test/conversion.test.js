@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, convertAndReload, assertRectClose } = require('./helpers');
+
+test('converts a signer template into matching form fields', async () => {
+    const { result, pdfDoc, fields } = await convertAndReload(loadFixture('signer-basic'), { report: true });
+    
+    assert.equal(pdfDoc.getPageCount(), 1);
+    assert.deepEqual(Array.from(fields.keys()).sort(), [
+        'Agree_Terms', 'Buyer_Signature', 'Deposit', 'Full_Address', 'Proof_of_ID'
+    ]);
+    
+    const address = fields.get('Full_Address');
+    assert.equal(address.kind, 'text');
+    assert.equal(address.value, '1 Main Street');
+    assert.equal(address.widgets.length, 1);
+    assert.equal(address.widgets[0].pageIndex, 0);
+    assertRectClose(address.widgets[0].rect, { llx: 72, lly: 670, urx: 272, ury: 692 });
+    
+    const terms = fields.get('Agree_Terms');
+    assert.equal(terms.kind, 'checkbox');
+    assert.equal(terms.value, true);
+    assertRectClose(terms.widgets[0].rect, { llx: 72, lly: 630, urx: 84, ury: 642 });
+    
+    const deposit = fields.get('Deposit');
+    assert.equal(deposit.kind, 'text');
+    assert.equal(deposit.value, '250');
+    assertRectClose(deposit.widgets[0].rect, { llx: 300, lly: 622, urx: 400, ury: 642 });
+    
+    assert.equal(fields.get('Proof_of_ID').kind, 'text');
+    assert.equal(fields.get('Buyer_Signature').kind, 'signature');
+    assert.equal(fields.get('Buyer_Signature').widgets[0].pageIndex, 0);
+    
+    const outcomes = Object.fromEntries(result.report.entries.map(entry => [entry.tabLabel, entry.outcome]));
+    assert.equal(outcomes['Full Address'], 'created');
+    assert.equal(outcomes['Agree Terms'], 'created');
+    assert.equal(outcomes['Buyer Signature'], 'created');
+});
+
+test('places legacy recipientTabs on the right page of the right document', async () => {
+    const { result, pdfDoc, fields } = await convertAndReload(loadFixture('legacy-recipient-tabs'));
+    
+    // Cover (1 page) + Contract (2 pages)
+    assert.equal(pdfDoc.getPageCount(), 3);
+    assert.deepEqual({ ...result.pageSizes[1] }, { width: 595, height: 842 });
+    
+    const tenant = fields.get('Tenant_Name');
+    assert.equal(tenant.value, 'Jane Doe');
+    assert.equal(tenant.widgets[0].pageIndex, 2);
+    assertRectClose(tenant.widgets[0].rect, { llx: 100, lly: 722, urx: 250, ury: 742 });
+    
+    const signedOn = fields.get('Signed_On');
+    assert.equal(signedOn.widgets[0].pageIndex, 1);
+    // Dates are left for the signer rather than stamped with the conversion day
+    assert.equal(signedOn.value, '');
+    
+    const email = fields.get('Landlord_Email');
+    assert.equal(email.widgets[0].pageIndex, 0);
+    assertRectClose(email.widgets[0].rect, { llx: 50, lly: 722, urx: 230, ury: 742 });
+});
+
+test('creates fields for in-person signers and notaries', async () => {
+    const template = loadFixture('signer-basic');
+    const buyer = template.recipients.signers.pop();
+    template.recipients.inPersonSigners = [{ ...buyer, hostName: 'Office', signerName: 'Pat Lee' }];
+    template.recipients.notaries = [{
+        recipientId: '2',
+        roleName: 'Notary',
+        tabs: {
+            signHereTabs: [{ tabType: 'signhere', tabLabel: 'Notary Signature', documentId: '1', pageNumber: '1', xPosition: '300', yPosition: '600' }]
+        }
+    }];
+    
+    const { result, fields } = await convertAndReload(template, { report: true });
+    
+    assert.ok(fields.has('Buyer_Signature'));
+    assert.ok(fields.has('Notary_Signature'));
+    
+    const notary = result.report.entries.find(entry => entry.tabLabel === 'Notary Signature');
+    assert.equal(notary.recipientType, 'notaries');
+    assert.equal(notary.roleName, 'Notary');
+});
+
+test('leaves out excluded documents and their tabs', async () => {
+    const { result, pdfDoc, fields } = await convertAndReload(loadFixture('legacy-recipient-tabs'), {
+        excludeDocIds: ['1'],
+        report: true
+    });
+    
+    assert.equal(pdfDoc.getPageCount(), 2);
+    assert.equal(fields.has('Landlord_Email'), false);
+    assert.equal(fields.get('Tenant_Name').widgets[0].pageIndex, 1);
+    assert.deepEqual(Array.from(result.excludedDocuments, doc => doc.documentId), ['1']);
+    
+    const email = result.report.entries.find(entry => entry.tabLabel === 'Landlord Email');
+    assert.equal(email.reason, 'excluded_document');
+});
+
+test('reports tabs that point at missing pages', async () => {
+    const template = loadFixture('signer-basic');
+    template.recipients.signers[0].tabs.textTabs[0].pageNumber = '5';
+    
+    const { result, fields } = await convertAndReload(template, { report: true });
+    
+    assert.equal(fields.has('Full_Address'), false);
+    const entry = result.report.entries.find(candidate => candidate.tabLabel === 'Full Address');
+    assert.equal(entry.outcome, 'skipped');
+    assert.equal(entry.reason, 'page_out_of_range');
+});
+
+test('rejects templates without usable documents', async () => {
+    const template = loadFixture('signer-basic');
+    template.documents[0].documentBase64 = Buffer.from('not a pdf').toString('base64');
+    
+    await assert.rejects(
+        () => convertAndReload(template),
+        error => /No valid PDF documents/.test(error.cause.message)
+    );
+});
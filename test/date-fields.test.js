@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadConverterContext, loadFixture, createTab, getActionScripts, convertAndReload } = require('./helpers');
+
+const { resolveDateFormat, toAcrobatDateFormat, formatDate, parseDateValue, applyDateOnSign } = loadConverterContext();
+
+/**
+ * Signer fixture with a Date Signed tab and a Date tab
+ *
+ * @returns {Object} - DocuSign template
+ */
+function loadDateTemplate() {
+    const template = loadFixture('signer-basic');
+    template.recipients.signers[0].tabs = {
+        dateSignedTabs: [createTab('dateSigned', 'Date Signed', 300, 100)],
+        dateTabs: [createTab('date', 'Closing Date', 300, 140, { value: '03/15/2026' })]
+    };
+    return template;
+}
+
+test('reads DocuSign, Acrobat and locale date formats', () => {
+    assert.equal(toAcrobatDateFormat('MM/dd/yyyy'), 'mm/dd/yyyy');
+    assert.equal(toAcrobatDateFormat('dd MMMM yyyy HH:mm'), 'dd mmmm yyyy HH:MM');
+    assert.equal(toAcrobatDateFormat('dd.mm.yyyy'), 'dd.mm.yyyy');
+    assert.equal(toAcrobatDateFormat('---'), null);
+    
+    assert.equal(resolveDateFormat({}, {}), 'mm/dd/yyyy');
+    assert.equal(resolveDateFormat({ signDateFormat: 'dd-MMM-yy' }, {}), 'dd-mmm-yy');
+    assert.equal(resolveDateFormat({ signDateFormat: 'dd-MMM-yy' }, { dateFormat: 'de-DE' }), 'dd.mm.yyyy');
+    assert.equal(resolveDateFormat({}, { dateFormat: 'ISO' }), 'yyyy-mm-dd');
+});
+
+test('formats dates like util.printd', () => {
+    const date = new Date(2026, 0, 5, 14, 7);
+    
+    assert.equal(formatDate(date, 'dd mmm yyyy'), '05 Jan 2026');
+    assert.equal(formatDate(date, 'm/d/yy'), '1/5/26');
+    assert.equal(formatDate(date, 'dddd, mmmm d h:MM tt'), 'Monday, January 5 2:07 pm');
+});
+
+test('reads ISO dates, dates in the conversion format and US dates', () => {
+    const read = (value, format) => {
+        const date = parseDateValue(value, format);
+        return date ? formatDate(date, 'yyyy-mm-dd') : null;
+    };
+    
+    assert.equal(read('2026-03-04', 'dd/mm/yyyy'), '2026-03-04');
+    assert.equal(read('2026-03-04T10:30:00Z', 'dd/mm/yyyy'), '2026-03-04');
+    assert.equal(read('03/04/2026', 'dd/mm/yyyy'), '2026-04-03');
+    assert.equal(read('03/15/2026', 'dd/mm/yyyy'), '2026-03-15');
+    assert.equal(read('3/15/26', 'mm/dd/yyyy'), null);
+    assert.equal(read('15-Mar-26', 'dd-mmm-yy'), '2026-03-15');
+    assert.equal(read('15 march 2026', 'dd mmmm yyyy'), '2026-03-15');
+    assert.equal(read('31.02.2026', 'dd.mm.yyyy'), null);
+    assert.equal(read('next Tuesday', 'mm/dd/yyyy'), null);
+    assert.equal(read('', 'mm/dd/yyyy'), null);
+    
+    const readTime = (value, format) => formatDate(parseDateValue(value, format), 'yyyy-mm-dd HH:MM');
+    assert.equal(readTime('03/15/2026 14:30', 'mm/dd/yyyy HH:MM'), '2026-03-15 14:30');
+    assert.equal(readTime('3/15/2026 2:05 pm', 'm/d/yyyy h:MM tt'), '2026-03-15 14:05');
+    assert.equal(readTime('03/15/2026', 'mm/dd/yyyy HH:MM'), '2026-03-15 00:00');
+    assert.equal(parseDateValue('03/15/2026 25:00', 'mm/dd/yyyy HH:MM'), null);
+});
+
+test('creates blank date fields with the template\'s date format', async () => {
+    const template = loadDateTemplate();
+    template.signDateFormat = 'dd/MM/yyyy';
+    const { fields } = await convertAndReload(template);
+    const signed = fields.get('Date_Signed');
+    const closing = fields.get('Closing_Date');
+    
+    assert.equal(signed.value, '');
+    assert.deepEqual(getActionScripts(signed.field, 'K'), ['AFDate_KeystrokeEx("dd/mm/yyyy");']);
+    assert.deepEqual(getActionScripts(signed.field, 'F'), ['AFDate_FormatEx("dd/mm/yyyy");']);
+    // DocuSign's month/day/year value is rewritten in the field's format
+    assert.equal(closing.value, '15/03/2026');
+});
+
+test('keeps months and minutes apart in formats with a time', async () => {
+    const template = loadDateTemplate();
+    template.signDateFormat = 'MM/dd/yyyy HH:mm';
+    template.recipients.signers[0].tabs.dateTabs[0].value = '03/15/2026 14:30';
+    const { fields } = await convertAndReload(template);
+    const closing = fields.get('Closing_Date');
+    
+    assert.deepEqual(getActionScripts(closing.field, 'K'), ['AFDate_KeystrokeEx("mm/dd/yyyy HH:MM");']);
+    assert.deepEqual(getActionScripts(closing.field, 'F'), ['AFDate_FormatEx("mm/dd/yyyy HH:MM");']);
+    assert.equal(closing.value, '03/15/2026 14:30');
+});
+
+test('prefills empty dates with the conversion date on request', async () => {
+    const { fields } = await convertAndReload(loadDateTemplate(), { prefillDates: true, dateFormat: 'iso' });
+    
+    assert.equal(fields.get('Date_Signed').value, formatDate(new Date(), 'yyyy-mm-dd'));
+    assert.equal(fields.get('Closing_Date').value, '2026-03-15');
+});
+
+test('rewrites prefilled dates and leaves out values that are not dates', async () => {
+    const template = loadDateTemplate();
+    template.recipients.signers[0].tabs.dateTabs.push(createTab('date', 'Move In', 300, 180, { value: 'ASAP' }));
+    const prefillData = { 'Date Signed': '2026-04-01', 'Closing Date': '2026-05-31' };
+    const { fields } = await convertAndReload(template, { prefillData, dateFormat: 'de-DE' });
+    
+    assert.equal(fields.get('Date_Signed').value, '01.04.2026');
+    assert.equal(fields.get('Closing_Date').value, '31.05.2026');
+    assert.equal(fields.get('Move_In').value, '');
+});
+
+test('fills Date Signed fields from the nearest signature of the same signer', async () => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    const page = pdfDoc.addPage([612, 792]);
+    const form = pdfDoc.getForm();
+    
+    // pdf-lib can't create signature fields, so build them as merged field/widget dictionaries
+    const addSignature = (name, y) => {
+        const ref = pdfDoc.context.register(pdfDoc.context.obj({
+            FT: 'Sig', T: PDFLib.PDFString.of(name), Type: 'Annot', Subtype: 'Widget',
+            Rect: [72, y, 272, y + 30], P: page.ref
+        }));
+        page.node.addAnnot(ref);
+        form.acroForm.addField(ref);
+    };
+    const addDate = (name, y) => {
+        form.createTextField(name).addToPage(page, { x: 300, y, width: 100, height: 20 });
+    };
+    addSignature('Buyer_Signature', 600);
+    addSignature('Buyer_Initials', 100);
+    addSignature('Seller_Signature', 605);
+    addDate('Buyer_Date', 605);
+    addDate('Seller_Date', 100);
+    
+    const buyer = { recipientId: '1' };
+    const seller = { recipientId: '2' };
+    const wired = applyDateOnSign(pdfDoc, [
+        { tab: { tabType: 'signHere', sourceRecipient: buyer }, fieldType: 'signHereTabs', fieldNames: ['Buyer_Signature'] },
+        { tab: { tabType: 'signHere', sourceRecipient: buyer }, fieldType: 'signHereTabs', fieldNames: ['Buyer_Initials'] },
+        { tab: { tabType: 'signHere', sourceRecipient: seller }, fieldType: 'signHereTabs', fieldNames: ['Seller_Signature'] },
+        { tab: { tabType: 'dateSigned', sourceRecipient: buyer }, fieldType: 'dateSignedTabs', fieldNames: ['Buyer_Date'] },
+        { tab: { tabType: 'dateSigned', sourceRecipient: seller }, fieldType: 'dateSignedTabs', fieldNames: ['Seller_Date'] }
+    ], 'dd/mm/yyyy');
+    
+    assert.equal(wired, 2);
+    const scriptOf = (name) => getActionScripts(form.getField(name), 'F')[0] || null;
+    assert.match(scriptOf('Buyer_Signature'), /\["Buyer_Date"\]/);
+    assert.match(scriptOf('Buyer_Signature'), /util\.printd\("dd\/mm\/yyyy", new Date\(\)\)/);
+    assert.equal(scriptOf('Buyer_Initials'), null);
+    // The seller's only signature is far from the date, but it is theirs
+    assert.match(scriptOf('Seller_Signature'), /\["Seller_Date"\]/);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadConverterContext, loadSignerTemplate, loadCoBuyerTemplate, addSigner, createTab, getActionScripts, convertAndReload } = require('./helpers');
+
+const { createFieldNamer, sanitizeFieldName, generateFieldName } = loadConverterContext();
+
+/**
+ * Read the names of the form's top-level fields
+ *
+ * @param {PDFDocument} pdfDoc - The re-opened PDF
+ * @returns {Array<string>} - Partial names of the fields in the AcroForm /Fields array
+ */
+function getTopLevelNames(pdfDoc) {
+    return pdfDoc.getForm().acroForm.getFields().map(([field]) => field.getPartialName());
+}
+
+test('builds dotted names from the role and the label structure', () => {
+    const namer = createFieldNamer({ hierarchicalFieldNames: true });
+    const buyer = { recipientId: '1', roleName: 'Buyer' };
+    const name = (tabLabel, fieldType = 'textTabs', sourceRecipient = buyer) =>
+        namer.nameFor({ tabLabel, sourceRecipient }, fieldType).fieldName;
+    
+    assert.equal(name('Address.City'), 'Buyer.Address.City');
+    assert.equal(name('Address/Zip Code'), 'Buyer.Address.Zip_Code');
+    // "Buyer.Address" is already a parent, so it can't be a field as well
+    assert.equal(name('Address'), 'Buyer.Address_2');
+    assert.equal(name('Address.City'), 'Buyer.Address.City_2');
+    assert.equal(name('Address.City', 'textTabs', { recipientId: '2', roleName: 'Seller' }), 'Seller.Address.City');
+    assert.equal(namer.nameFor({ tabLabel: 'Notes' }, 'textTabs').fieldName, 'Notes');
+});
+
+test('gives the same names every run', () => {
+    assert.equal(sanitizeFieldName(''), 'field');
+    assert.equal(sanitizeFieldName(null), 'field');
+    assert.equal(sanitizeFieldName('Buyer <Name>'), 'Buyer_Name');
+    assert.equal(generateFieldName({ tabLabel: 'Full Address' }), 'Full_Address');
+    assert.equal(generateFieldName({}, { fieldName: 'Buyer.Address' }), 'Buyer.Address');
+});
+
+test('nests dotted names under one parent field per role', async () => {
+    const template = loadCoBuyerTemplate();
+    template.recipients.signers[0].tabs.textTabs.push(createTab('text', 'Address.City', 72, 200, { value: 'Reno' }));
+    const { result, pdfDoc, fields } = await convertAndReload(template, { hierarchicalFieldNames: true, report: true });
+    
+    assert.equal(fields.get('Buyer.Full_Address').value, '1 Main Street');
+    assert.equal(fields.get('Buyer.Address.City').value, 'Reno');
+    assert.ok(fields.has('Buyer_2.Full_Address'));
+    assert.equal(fields.get('Buyer.Buyer_Signature').kind, 'signature');
+    assert.deepEqual(getTopLevelNames(pdfDoc), ['Buyer', 'Buyer_2']);
+    
+    const reported = Object.fromEntries(result.report.entries.map(entry => [entry.fieldName, entry.pdfFieldType]));
+    assert.equal(reported['Buyer.Address.City'], 'text');
+    assert.equal(reported['Buyer.Buyer_Signature'], 'signature');
+});
+
+test('links repeated labels of one recipient into one field with several widgets', async () => {
+    const template = addSigner(loadSignerTemplate({
+        checkboxTabs: [createTab('checkbox', 'Has Pets', 72, 150)],
+        textTabs: [
+            createTab('text', 'Full Address', 72, 100, { value: '1 Main Street' }),
+            createTab('text', 'Full Address', 72, 500),
+            createTab('text', 'Pet Names', 300, 150, { conditionalParentLabel: 'Has Pets', conditionalParentValue: 'on' }),
+            createTab('text', 'Pet Names', 300, 500, { conditionalParentLabel: 'Has Pets', conditionalParentValue: 'on' })
+        ]
+    }), 'Buyer 2', { textTabs: [createTab('text', 'Full Address', 72, 300)] });
+    const { result, fields } = await convertAndReload(template, { linkSharedFields: true, report: true });
+    
+    const address = fields.get('Full_Address');
+    assert.equal(address.widgets.length, 2);
+    assert.equal(address.value, '1 Main Street');
+    assert.equal(fields.get('Pet_Names').widgets.length, 2);
+    // Another recipient's tab with the same label keeps a field of its own
+    assert.equal(fields.get('Full_Address_Buyer_2').widgets.length, 1);
+    
+    const linked = result.report.entries.filter(entry => entry.reason === 'linked_field');
+    assert.deepEqual(linked.map(entry => entry.fieldName), ['Full_Address', 'Pet_Names']);
+    
+    // The linked tab isn't tracked again, so the parent shows and hides the field once
+    const [script] = getActionScripts(fields.get('Has_Pets').field.acroField.getWidgets()[0].dict, 'U');
+    assert.ok(script.includes('var dsRules = [{"value":"on","fields":["Pet_Names"],"nested":[]}];'));
+    assert.equal(fields.get('Pet_Names').field.acroField.getWidgets().every(widget => widget.hasFlag(PDFLib.AnnotationFlags.Hidden)), true);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadFixture, convertAndReload } = require('./helpers');
+
+test('writes the tab font, size, color and alignment into the field appearance', async () => {
+    const template = loadFixture('signer-basic');
+    const tabs = template.recipients.signers[0].tabs;
+    Object.assign(tabs.textTabs[0], { font: 'TimesNewRoman', bold: 'true', fontSize: 'Size14', fontColor: 'DarkRed', justification: 'Right' });
+    Object.assign(tabs.numericalTabs[0], { font: 'Courier New', italic: 'true', fontColor: '#336699', alignment: 'center' });
+    const { pdfDoc, fields } = await convertAndReload(template);
+    
+    const address = fields.get('Full_Address').field;
+    assert.equal(address.acroField.getDefaultAppearance(), `${139 / 255} 0 0 rg\n/Times-Bold 14 Tf`);
+    assert.equal(address.getAlignment(), PDFLib.TextAlignment.Right);
+    
+    // Without a size, the text is fitted to the 20pt high field
+    const deposit = fields.get('Deposit').field;
+    assert.equal(deposit.acroField.getDefaultAppearance(), `${0x33 / 255} ${0x66 / 255} ${0x99 / 255} rg\n/Courier-Oblique 18 Tf`);
+    assert.equal(deposit.getAlignment(), PDFLib.TextAlignment.Center);
+    
+    const fonts = pdfDoc.getForm().acroForm.dict.lookup(PDFLib.PDFName.of('DR'), PDFLib.PDFDict).lookup(PDFLib.PDFName.of('Font'), PDFLib.PDFDict);
+    assert.deepEqual(fonts.keys().map(key => key.decodeText()).sort(), ['Courier-Oblique', 'Times-Bold']);
+    assert.equal(fields.get('Agree_Terms').field.acroField.dict.has(PDFLib.PDFName.of('Q')), false);
+});
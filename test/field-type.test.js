@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConverterContext } = require('./helpers');
+
+const { determineFieldType } = loadConverterContext();
+
+test('maps plain tab types to their translator', () => {
+    const cases = {
+        text: 'textTabs',
+        checkbox: 'checkboxTabs',
+        radiogroup: 'radioGroupTabs',
+        list: 'listTabs',
+        fullname: 'fullNameTabs',
+        datesigned: 'dateSignedTabs',
+        company: 'companyTabs',
+        title: 'titleTabs',
+        emailaddress: 'emailAddressTabs',
+        numerical: 'numericalTabs',
+        formula: 'formulaTabs',
+        signhere: 'signHereTabs',
+        initialhere: 'initialHereTabs',
+        signerattachment: 'signerAttachmentTabs'
+    };
+    for (const [tabType, expected] of Object.entries(cases)) {
+        assert.equal(determineFieldType({ tabType }), expected, tabType);
+    }
+});
+
+test('is case-insensitive and falls back to the type property', () => {
+    assert.equal(determineFieldType({ tabType: 'SignHere' }), 'signHereTabs');
+    assert.equal(determineFieldType({ type: 'Checkbox' }), 'checkboxTabs');
+});
+
+test('checks attachments before signatures', () => {
+    // "signerattachment" contains "sign" and must not become a signature field
+    assert.equal(determineFieldType({ tabType: 'signerattachment' }), 'signerAttachmentTabs');
+    assert.equal(determineFieldType({ tabType: 'SignerAttachmentOptional' }), 'signerAttachmentTabs');
+});
+
+test('prefers stampType over tabType', () => {
+    assert.equal(determineFieldType({ tabType: 'text', stampType: 'signature' }), 'signHereTabs');
+    assert.equal(determineFieldType({ tabType: 'signhere', stampType: 'initials' }), 'initialHereTabs');
+    assert.equal(determineFieldType({ tabType: 'signhere', stampType: 'stamp' }), 'stampTabs');
+});
+
+test('gives SSN and ZIP tabs their own types and treats phone tabs as text', () => {
+    assert.equal(determineFieldType({ tabType: 'ssn' }), 'ssnTabs');
+    assert.equal(determineFieldType({ tabType: 'zip' }), 'zipTabs');
+    assert.equal(determineFieldType({ tabType: 'phoneNumber' }), 'textTabs');
+});
+
+test('matches the remaining tab types exactly', () => {
+    assert.equal(determineFieldType({ tabType: 'firstName' }), 'firstNameTabs');
+    assert.equal(determineFieldType({ tabType: 'commentThread' }), 'commentThreadTabs');
+    assert.equal(determineFieldType({ tabType: 'polyLineOverlay' }), 'polyLineOverlayTabs');
+    assert.equal(determineFieldType({ tabType: 'envelopeId' }), 'envelopeIdTabs');
+});
+
+test('uses the signature fallback only for signature-like names', () => {
+    assert.equal(determineFieldType({ tabType: 'signature' }), 'signHereTabs');
+    assert.equal(determineFieldType({ tabType: 'signer' }), null);
+});
+
+test('returns null for unknown or missing types', () => {
+    assert.equal(determineFieldType({ tabType: 'notarize' }), null);
+    assert.equal(determineFieldType({}), null);
+});
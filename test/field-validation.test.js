@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSignerTemplate, createTab, getActionScripts, convertAndReload } = require('./helpers');
+
+/**
+ * Signer fixture with one tab per kind of DocuSign validation
+ *
+ * @returns {Object} - DocuSign template
+ */
+function loadValidationTemplate() {
+    return loadSignerTemplate({
+        textTabs: [
+            createTab('text', 'City', 72, 100, { value: 'Springfield', maxLength: '5', required: 'true' }),
+            createTab('text', 'Unit', 300, 100, {
+                validationPattern: '[A-Z]\\d{3}',
+                validationMessage: 'Use a letter and three digits, e.g. B204.'
+            }),
+            createTab('text', 'Broken Pattern', 72, 160, { validationPattern: '([a-z' }),
+            createTab('phoneNumber', 'Phone', 300, 160)
+        ],
+        numericalTabs: [
+            createTab('numerical', 'Deposit', 72, 220, {
+                value: '250',
+                validationType: 'Currency',
+                minNumericalValue: '0',
+                maxNumericalValue: '10000'
+            }),
+            createTab('numerical', 'Bedrooms', 300, 220, { maxNumericalValue: '12' })
+        ],
+        ssnTabs: [createTab('ssn', 'SSN', 72, 280)],
+        zipTabs: [createTab('zip', 'ZIP', 300, 280)],
+        emailAddressTabs: [createTab('emailAddress', 'Email', 72, 340, { validationMessage: 'Check the email address.' })]
+    });
+}
+
+/**
+ * Read the keystroke, format and validate scripts of a field
+ *
+ * @param {Object} info - Field info from convertAndReload()
+ * @returns {Object} - { K, F, V } arrays of scripts
+ */
+function getValidationActions(info) {
+    return {
+        K: getActionScripts(info.field, 'K'),
+        F: getActionScripts(info.field, 'F'),
+        V: getActionScripts(info.field, 'V')
+    };
+}
+
+test('limits the length of text fields and keeps the required flag', async () => {
+    const { fields } = await convertAndReload(loadValidationTemplate());
+    const city = fields.get('City');
+    
+    assert.equal(city.field.getMaxLength(), 5);
+    assert.equal(city.value, 'Sprin');
+    assert.equal(city.field.isRequired(), true);
+    assert.equal(fields.get('Unit').field.getMaxLength(), undefined);
+    assert.equal(fields.get('Unit').field.isRequired(), false);
+    assert.deepEqual(getValidationActions(city), { K: [], F: [], V: [] });
+});
+
+test('restricts numbers to their format and range', async () => {
+    const { fields } = await convertAndReload(loadValidationTemplate());
+    
+    assert.deepEqual(getValidationActions(fields.get('Deposit')), {
+        K: ['AFNumber_Keystroke(2, 0, 0, 0, "", true);'],
+        F: ['AFNumber_Format(2, 0, 0, 0, "", true);'],
+        V: ['AFRange_Validate(true, 0, true, 10000);']
+    });
+    assert.deepEqual(getValidationActions(fields.get('Bedrooms')), {
+        K: ['AFNumber_Keystroke(0, 0, 0, 0, "", true);'],
+        F: [],
+        V: ['AFRange_Validate(false, 0, true, 12);']
+    });
+});
+
+test('uses the Acrobat masks for SSN, ZIP and phone tabs', async () => {
+    const { fields } = await convertAndReload(loadValidationTemplate());
+    
+    for (const [name, special] of [['SSN', 3], ['ZIP', 0], ['Phone', 2]]) {
+        assert.deepEqual(getValidationActions(fields.get(name)), {
+            K: [`AFSpecial_Keystroke(${special});`],
+            F: [`AFSpecial_Format(${special});`],
+            V: []
+        }, name);
+    }
+});
+
+test('checks custom and email patterns against the whole value with the tab message', async () => {
+    const { fields } = await convertAndReload(loadValidationTemplate());
+    
+    const [unit] = getActionScripts(fields.get('Unit').field, 'V');
+    assert.equal(unit, [
+        'if (event.rc !== false && event.value !== "" && !new RegExp("^(?:[A-Z]\\\\d{3})$").test(event.value)) {',
+        '    app.alert("Use a letter and three digits, e.g. B204.");',
+        '    event.rc = false;',
+        '}'
+    ].join('\n'));
+    
+    const [email] = getActionScripts(fields.get('Email').field, 'V');
+    assert.ok(email.includes(JSON.stringify('^(?:[^@\\s]+@[^@\\s]+\\.[^@\\s]+)$')));
+    assert.ok(email.includes('app.alert("Check the email address.");'));
+    
+    // Patterns JavaScript can't compile are left out rather than breaking the field
+    assert.deepEqual(getValidationActions(fields.get('Broken_Pattern')), { K: [], F: [], V: [] });
+});
@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadConverterContext, loadSignerTemplate, createTab, getActionScripts, convertAndReload } = require('./helpers');
+
+const { parseFormula, evaluateFormula } = loadConverterContext();
+
+/**
+ * Evaluate a formula with no tab references
+ *
+ * @param {string} formula - Formula expression
+ * @returns {number} - Result
+ */
+function evaluate(formula) {
+    return evaluateFormula(parseFormula(formula), () => 0);
+}
+
+/**
+ * Build a formula tab
+ *
+ * @param {string} tabLabel - Tab label
+ * @param {string} formula - Formula expression
+ * @param {number} yPosition - DocuSign y
+ * @param {Object} [properties] - Further tab properties
+ * @returns {Object} - DocuSign formula tab
+ */
+function createFormulaTab(tabLabel, formula, yPosition, properties = {}) {
+    return createTab('formula', tabLabel, 300, yPosition, { formula, width: '100', height: '20', ...properties });
+}
+
+test('applies operator precedence, parentheses and unary minus', () => {
+    assert.equal(evaluate('1 + 2 * 3'), 7);
+    assert.equal(evaluate('(1 + 2) * 3'), 9);
+    assert.equal(evaluate('2 - 3 - 4'), -5);
+    assert.equal(evaluate('8 / 4 / 2'), 1);
+    assert.equal(evaluate('-2 * 3'), -6);
+    assert.equal(evaluate('10 - -2'), 12);
+    assert.equal(evaluate('-(1 + 2) * +2'), -6);
+    assert.equal(evaluate('1 / 0'), Infinity);
+    assert.equal(evaluateFormula(parseFormula('[Qty] * [Price]'), label => ({ Qty: 3, Price: 1.5 })[label]), 4.5);
+});
+
+test('checks function names and argument counts', () => {
+    assert.equal(evaluate('Round(1.2345)'), 1);
+    assert.equal(evaluate('round(1.2345, 2)'), 1.23);
+    assert.equal(evaluate('Min(3, 1, 2)'), 1);
+    assert.equal(evaluate('Max(4)'), 4);
+    assert.equal(evaluate('Abs(-2) + Floor(1.5) + Ceiling(1.5)'), 5);
+    
+    assert.throws(() => parseFormula('Round(1, 2, 3)'), /Wrong number of arguments for "round"/);
+    assert.throws(() => parseFormula('Min()'), /Unexpected "\)"/);
+    assert.throws(() => parseFormula('Sqrt(4)'), /Unsupported function "sqrt"/);
+    assert.throws(() => parseFormula('[Qty] * 2)'), /Unexpected "\)"/);
+    assert.throws(() => parseFormula('[Qty * 2'), /Unclosed tab reference/);
+    assert.throws(() => parseFormula('2 ^ 3'), /Unsupported character "\^"/);
+});
+
+test('reports formulas with unknown labels or circular references', async () => {
+    const template = loadSignerTemplate({
+        formulaTabs: [
+            createFormulaTab('Broken', '[Deposit] + [Nope]', 300),
+            createFormulaTab('A', '[B] + 1', 340),
+            createFormulaTab('B', '[A] + 1', 380)
+        ]
+    });
+    const { result, fields } = await convertAndReload(template, { report: true });
+    
+    assert.deepEqual(result.report.formulaIssues.map(issue => [issue.tabLabel, issue.reason]), [
+        ['Broken', 'Unknown tab "Nope"'],
+        ['B', 'Circular reference'],
+        ['A', 'Circular reference']
+    ]);
+    for (const name of ['Broken', 'A', 'B']) {
+        assert.deepEqual(getActionScripts(fields.get(name).field, 'C'), [], name);
+    }
+});
+
+test('drops formulas that read from a cycle or a broken formula, in any order', async () => {
+    const dependents = [
+        createFormulaTab('C', '[A] + 1', 420),
+        createFormulaTab('D', '[Broken] * 2', 460),
+        createFormulaTab('E', '[D] + [Deposit]', 500)
+    ];
+    const cycle = [createFormulaTab('A', '[B] + 1', 340), createFormulaTab('B', '[A] + 1', 380)];
+    const broken = createFormulaTab('Broken', '[Nope] + 1', 300);
+    
+    for (const formulaTabs of [[broken, ...cycle, ...dependents], [...dependents.slice().reverse(), ...cycle, broken]]) {
+        const { result, fields } = await convertAndReload(loadSignerTemplate({ formulaTabs }), { report: true });
+        const reasons = Object.fromEntries(result.report.formulaIssues.map(issue => [issue.tabLabel, issue.reason]));
+        
+        assert.deepEqual(reasons, {
+            Broken: 'Unknown tab "Nope"',
+            A: 'Circular reference',
+            B: 'Circular reference',
+            C: 'Depends on "A", which can\'t be calculated',
+            D: 'Depends on "Broken", which can\'t be calculated',
+            E: 'Depends on "D", which can\'t be calculated'
+        });
+        for (const name of ['Broken', 'A', 'B', 'C', 'D', 'E']) {
+            assert.deepEqual(getActionScripts(fields.get(name).field, 'C'), [], name);
+        }
+    }
+});
+
+test('counts checked checkboxes as 1 when starting and when recalculating', async () => {
+    const template = loadSignerTemplate({
+        formulaTabs: [createFormulaTab('Terms Fee', '[Agree Terms] * 25', 300)]
+    });
+    const { fields } = await convertAndReload(template);
+    
+    // "Agree Terms" starts checked in the fixture
+    assert.equal(fields.get('Terms_Fee').value, '25.00');
+    const [calculate] = getActionScripts(fields.get('Terms_Fee').field, 'C');
+    assert.match(calculate, /if \(field && field\.type === "checkbox"\) \{\n {8}return field\.value === "Off" \? 0 : 1;/);
+});
+
+test('calculates dependencies first and starts from the computed values', async () => {
+    // Listed so that every formula comes before the formulas it reads from
+    const template = loadSignerTemplate({
+        formulaTabs: [
+            createFormulaTab('Total', '[Subtotal] + [Tax]', 300, { roundDecimalPlaces: '0' }),
+            createFormulaTab('Tax', 'Round([Subtotal] * 0.0725, 2)', 340),
+            createFormulaTab('Subtotal', '[Deposit] * 4', 380)
+        ]
+    });
+    const { pdfDoc, fields } = await convertAndReload(template);
+    
+    const calculationOrder = pdfDoc.getForm().acroForm.dict.lookup(PDFLib.PDFName.of('CO'), PDFLib.PDFArray).asArray();
+    const names = calculationOrder.map(ref => pdfDoc.getForm().getFields().find(field => field.ref === ref).getName());
+    assert.deepEqual(names, ['Subtotal', 'Tax', 'Total']);
+    
+    // Deposit starts at 250 in the fixture
+    assert.equal(fields.get('Subtotal').value, '1000.00');
+    assert.equal(fields.get('Tax').value, '72.50');
+    assert.equal(fields.get('Total').value, '1073');
+    assert.equal(fields.get('Total').field.isReadOnly(), true);
+    
+    assert.deepEqual(getActionScripts(fields.get('Tax').field, 'F'), ['AFNumber_Format(2, 0, 0, 0, "", true);']);
+    assert.deepEqual(getActionScripts(fields.get('Total').field, 'F'), ['AFNumber_Format(0, 0, 0, 0, "", true);']);
+    const [calculate] = getActionScripts(fields.get('Total').field, 'C');
+    assert.match(calculate, /var dsResult = \(dsNum\("Subtotal"\) \+ dsNum\("Tax"\)\);/);
+    assert.match(calculate, /event\.value = isFinite\(dsResult\) \? dsRound\(dsResult, 0\) : "";/);
+});
@@ -0,0 +1,219 @@
+/**
+ * Shared helpers for the test suite
+ *
+ * The converter scripts are loaded through node/index.js, so the tests exercise the
+ * exact files the web page ships. Conversion output is re-opened with pdf-lib to check
+ * the fields that ended up in the PDF.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const PDFLib = require('pdf-lib');
+const { createConverter, loadConverterContext } = require('../node');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Read a template fixture
+ * A fresh copy is returned each time, so tests can modify it freely.
+ *
+ * @param {string} name - Fixture file name without extension
+ * @returns {Object} - Parsed DocuSign template
+ */
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Build a tab on page 1 of document 1
+ *
+ * @param {string} tabType - DocuSign tabType
+ * @param {string} tabLabel - Tab label
+ * @param {number|string} xPosition - DocuSign x
+ * @param {number|string} yPosition - DocuSign y
+ * @param {Object} [properties] - Further tab properties
+ * @returns {Object} - DocuSign tab
+ */
+function createTab(tabType, tabLabel, xPosition, yPosition, properties = {}) {
+    return {
+        tabType,
+        tabLabel,
+        documentId: '1',
+        pageNumber: '1',
+        xPosition: String(xPosition),
+        yPosition: String(yPosition),
+        ...properties
+    };
+}
+
+/**
+ * Load the signer-basic fixture, with more tab lists for its buyer
+ *
+ * @param {Object} [tabs] - Tab lists to add, replacing lists of the same name
+ * @returns {Object} - DocuSign template
+ */
+function loadSignerTemplate(tabs = {}) {
+    const template = loadFixture('signer-basic');
+    Object.assign(template.recipients.signers[0].tabs, tabs);
+    return template;
+}
+
+/**
+ * Add a signer who signs after the template's other recipients
+ *
+ * @param {Object} template - DocuSign template
+ * @param {string} roleName - The signer's role
+ * @param {Object} tabs - The signer's tab lists
+ * @returns {Object} - The template
+ */
+function addSigner(template, roleName, tabs) {
+    const number = template.recipients.signers.length + 1;
+    template.recipients.signers.push({
+        recipientId: String(number),
+        roleName,
+        routingOrder: String(number),
+        tabs
+    });
+    return template;
+}
+
+/**
+ * Signer fixture with a second buyer who has a tab of the same label
+ *
+ * @returns {Object} - DocuSign template
+ */
+function loadCoBuyerTemplate() {
+    return addSigner(loadSignerTemplate(), 'Buyer 2', {
+        textTabs: [createTab('text', 'Full Address', 72, 300, { width: '200', height: '22' })]
+    });
+}
+
+/**
+ * Signer fixture with a seller who signs after the buyer
+ *
+ * @param {string} [tabLabel] - Label of the seller's text tab
+ * @returns {Object} - DocuSign template
+ */
+function loadSellerTemplate(tabLabel = 'Seller Address') {
+    return addSigner(loadSignerTemplate(), 'Seller', {
+        textTabs: [createTab('text', tabLabel, 300, 200, { width: '200', height: '22' })]
+    });
+}
+
+/**
+ * Read the JavaScript of one of a field's additional actions, following /Next
+ *
+ * @param {PDFField|PDFDict} target - The field, or a field or widget dictionary
+ * @param {string} trigger - Trigger name ('K', 'F', 'V', 'C', 'U', ...)
+ * @returns {Array<string>} - Scripts in the order they run (empty without an action)
+ */
+function getActionScripts(target, trigger) {
+    const dict = target.acroField ? target.acroField.dict : target;
+    const actions = dict.lookup(PDFLib.PDFName.of('AA'));
+    let action = actions instanceof PDFLib.PDFDict ? actions.lookup(PDFLib.PDFName.of(trigger)) : null;
+    
+    const scripts = [];
+    while (action instanceof PDFLib.PDFDict) {
+        const script = action.lookup(PDFLib.PDFName.of('JS'));
+        if (script) {
+            scripts.push(script instanceof PDFLib.PDFStream
+                ? Buffer.from(PDFLib.decodePDFRawStream(script).decode()).toString('latin1')
+                : script.decodeText());
+        }
+        action = action.lookup(PDFLib.PDFName.of('Next'));
+    }
+    return scripts;
+}
+
+/**
+ * Convert a template and re-open the resulting PDF
+ *
+ * @param {Object} templateData - DocuSign template
+ * @param {Object} [options] - Conversion options
+ * @returns {Promise<Object>} - { result, pdfDoc, fields } where fields maps field name to getFieldInfo()
+ */
+async function convertAndReload(templateData, options = {}) {
+    const converter = createConverter();
+    const result = await converter.convertDocuSignTemplate(templateData, options);
+    const pdfDoc = await PDFLib.PDFDocument.load(result.pdfBytes);
+    
+    const fields = new Map();
+    for (const field of pdfDoc.getForm().getFields()) {
+        fields.set(field.getName(), getFieldInfo(pdfDoc, field));
+    }
+    
+    return { result, pdfDoc, fields };
+}
+
+/**
+ * Describe a form field in plain values
+ *
+ * @param {PDFDocument} pdfDoc - The re-opened PDF
+ * @param {PDFField} field - The pdf-lib field
+ * @returns {Object} - { field, kind, value, widgets: [{ pageIndex, rect }] }
+ */
+function getFieldInfo(pdfDoc, field) {
+    const pages = pdfDoc.getPages();
+    const widgets = field.acroField.getWidgets().map(widget => ({
+        pageIndex: pages.findIndex(page => page.ref === widget.P()),
+        rect: widget.getRectangle()
+    }));
+    
+    let kind = 'unknown';
+    let value = null;
+    if (field instanceof PDFLib.PDFTextField) {
+        kind = 'text';
+        value = field.getText() || '';
+    } else if (field instanceof PDFLib.PDFCheckBox) {
+        kind = 'checkbox';
+        value = field.isChecked();
+    } else if (field instanceof PDFLib.PDFRadioGroup) {
+        kind = 'radio';
+        value = field.getSelected() || null;
+    } else if (field instanceof PDFLib.PDFDropdown || field instanceof PDFLib.PDFOptionList) {
+        kind = field instanceof PDFLib.PDFDropdown ? 'dropdown' : 'listbox';
+        value = field.getSelected();
+    } else if (field instanceof PDFLib.PDFSignature) {
+        kind = 'signature';
+    }
+    
+    return { field, kind, value, widgets };
+}
+
+/**
+ * Assert that a widget rectangle matches a rectangle in { llx, lly, urx, ury } form
+ * pdf-lib grows widgets by half the border width on each side, hence the tolerance.
+ *
+ * @param {Object} actual - pdf-lib rectangle { x, y, width, height }
+ * @param {Object} expected - Expected rectangle { llx, lly, urx, ury }
+ * @param {number} [tolerance] - Allowed difference per edge in points
+ */
+function assertRectClose(actual, expected, tolerance = 1) {
+    const edges = {
+        llx: actual.x,
+        lly: actual.y,
+        urx: actual.x + actual.width,
+        ury: actual.y + actual.height
+    };
+    for (const edge of Object.keys(edges)) {
+        assert.ok(
+            Math.abs(edges[edge] - expected[edge]) <= tolerance,
+            `${edge} is ${edges[edge]}, expected ${expected[edge]} (±${tolerance})`
+        );
+    }
+}
+
+module.exports = {
+    loadFixture,
+    createTab,
+    loadSignerTemplate,
+    addSigner,
+    loadCoBuyerTemplate,
+    loadSellerTemplate,
+    getActionScripts,
+    convertAndReload,
+    getFieldInfo,
+    assertRectClose,
+    loadConverterContext
+};
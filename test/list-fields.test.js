@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, createTab, convertAndReload } = require('./helpers');
+
+const STATE_ITEMS = [
+    { text: 'Texas', value: 'TX' },
+    { text: 'California', value: 'CA' },
+    { text: 'Nevada', value: 'NV', selected: 'true' },
+    { value: 'Other' }
+];
+
+/**
+ * Signer fixture with the given list tabs
+ *
+ * @param {Array<Object>} listTabs - DocuSign list tabs
+ * @returns {Object} - DocuSign template
+ */
+function loadListTemplate(listTabs) {
+    const template = loadFixture('signer-basic');
+    template.recipients.signers[0].tabs = {
+        listTabs: listTabs.map((tab, index) => createTab('list', tab.tabLabel, 72, 100 + index * 40, { width: '150', height: '20', ...tab }))
+    };
+    return template;
+}
+
+test('creates dropdowns with item texts and the selected item', async () => {
+    const { fields } = await convertAndReload(loadListTemplate([
+        { tabLabel: 'State', listItems: STATE_ITEMS },
+        { tabLabel: 'Loan Type', listItems: [{ text: 'Fixed', value: 'F' }, { text: 'Variable', value: 'V' }], listSelectedValue: 'V' }
+    ]));
+    const state = fields.get('State');
+    
+    assert.equal(state.kind, 'dropdown');
+    assert.deepEqual(state.field.getOptions(), ['Texas', 'California', 'Nevada', 'Other']);
+    assert.deepEqual(state.value, ['Nevada']);
+    assert.equal(state.field.isEditable(), false);
+    assert.deepEqual(fields.get('Loan_Type').value, ['Variable']);
+});
+
+test('keeps lists without items as empty dropdowns', async () => {
+    const { fields } = await convertAndReload(loadListTemplate([
+        { tabLabel: 'State', listItems: [] },
+        { tabLabel: 'County', value: 'Unknown' }
+    ]));
+    
+    assert.deepEqual(fields.get('State').field.getOptions(), []);
+    assert.deepEqual(fields.get('County').field.getOptions(), []);
+    assert.deepEqual(fields.get('County').value, []);
+});
+
+test('builds list boxes, editable dropdowns and sorted options on request', async () => {
+    const template = loadListTemplate([{ tabLabel: 'State', listItems: STATE_ITEMS }]);
+    
+    const listbox = (await convertAndReload(template, { listStyle: 'listbox', sortListOptions: true })).fields.get('State');
+    assert.equal(listbox.kind, 'listbox');
+    assert.deepEqual(listbox.field.getOptions(), ['California', 'Nevada', 'Other', 'Texas']);
+    assert.equal(listbox.field.isSorted(), true);
+    assert.equal(listbox.field.isMultiselect(), false);
+    
+    const multiselect = (await convertAndReload(template, { listStyle: 'multiselect' })).fields.get('State');
+    assert.equal(multiselect.field.isMultiselect(), true);
+    assert.deepEqual(multiselect.value, ['Nevada']);
+    
+    const combo = (await convertAndReload(template, { editableLists: true })).fields.get('State');
+    assert.equal(combo.field.isEditable(), true);
+});
+
+test('matches conditional values of list parents by option text', async () => {
+    const template = loadListTemplate([{ tabLabel: 'State', listItems: STATE_ITEMS }]);
+    template.recipients.signers[0].tabs.textTabs = [
+        { tabType: 'text', tabLabel: 'Nevada County', conditionalParentLabel: 'State', conditionalParentValue: 'NV', documentId: '1', pageNumber: '1', xPosition: '72', yPosition: '200' },
+        { tabType: 'text', tabLabel: 'Texas County', conditionalParentLabel: 'State', conditionalParentValue: 'TX', documentId: '1', pageNumber: '1', xPosition: '72', yPosition: '240' }
+    ];
+    const { fields } = await convertAndReload(template);
+    const isHidden = (name) => fields.get(name).field.acroField.getWidgets()[0].hasFlag(2);
+    
+    assert.equal(isHidden('Nevada_County'), false);
+    assert.equal(isHidden('Texas_County'), true);
+});
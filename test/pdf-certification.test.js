@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const PDFLib = require('pdf-lib');
+const { createConverter } = require('../node');
+const { loadFixture } = require('./helpers');
+
+/**
+ * Build a self-signed certificate and package it as a PKCS#12 file
+ *
+ * @param {string} password - Password of the PKCS#12 file
+ * @returns {Object} - { pkcs12Bytes, certificate }
+ */
+function buildPkcs12(password) {
+    const keys = forge.pki.rsa.generateKeyPair({ bits: 1024, e: 0x10001 });
+    const certificate = forge.pki.createCertificate();
+    certificate.publicKey = keys.publicKey;
+    certificate.serialNumber = '01';
+    certificate.validity.notBefore = new Date(Date.now() - 86400000);
+    certificate.validity.notAfter = new Date(Date.now() + 86400000);
+    const attributes = [{ name: 'commonName', value: 'Forms Team' }, { name: 'organizationName', value: 'Example Realty' }];
+    certificate.setSubject(attributes);
+    certificate.setIssuer(attributes);
+    certificate.sign(keys.privateKey, forge.md.sha256.create());
+    
+    const asn1 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [certificate], password, { algorithm: '3des' });
+    return { pkcs12Bytes: Buffer.from(forge.asn1.toDer(asn1).getBytes(), 'binary'), certificate };
+}
+
+const { pkcs12Bytes, certificate } = buildPkcs12('secret');
+
+test('certifies the PDF with form filling and signing allowed', async () => {
+    const { pdfBytes } = await createConverter().convertDocuSignTemplate(loadFixture('signer-basic'), {
+        certificate: pkcs12Bytes,
+        certificatePassword: 'secret'
+    });
+    const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
+    
+    const perms = pdfDoc.catalog.lookup(PDFLib.PDFName.of('Perms'), PDFLib.PDFDict);
+    const signature = perms.lookup(PDFLib.PDFName.of('DocMDP'), PDFLib.PDFDict);
+    const reference = signature.lookup(PDFLib.PDFName.of('Reference'), PDFLib.PDFArray).lookup(0, PDFLib.PDFDict);
+    const params = reference.lookup(PDFLib.PDFName.of('TransformParams'), PDFLib.PDFDict);
+    assert.equal(reference.get(PDFLib.PDFName.of('TransformMethod')).asString(), '/DocMDP');
+    assert.equal(params.get(PDFLib.PDFName.of('P')).asNumber(), 2);
+    assert.equal(signature.lookup(PDFLib.PDFName.of('Name')).decodeText(), 'Forms Team');
+    
+    // The certification is a signature field next to the converted ones
+    const form = pdfDoc.getForm();
+    assert.ok(form.getField('Certification') instanceof PDFLib.PDFSignature);
+    assert.ok(form.getField('Full_Address'));
+    assert.equal(form.acroForm.dict.get(PDFLib.PDFName.of('SigFlags')).asNumber(), 3);
+    
+    // The byte range covers the whole file except the signature value
+    const [start1, length1, start2, length2] = signature.lookup(PDFLib.PDFName.of('ByteRange'), PDFLib.PDFArray)
+        .asArray().map(number => number.asNumber());
+    assert.equal(start1, 0);
+    assert.equal(start2 + length2, pdfBytes.length);
+    const signedBytes = Buffer.concat([
+        Buffer.from(pdfBytes.subarray(start1, start1 + length1)),
+        Buffer.from(pdfBytes.subarray(start2, start2 + length2))
+    ]);
+    
+    // The PKCS#7 signature is over that content, by the certificate's key
+    const contents = Buffer.from(pdfBytes.subarray(length1 + 1, start2 - 1)).toString('latin1');
+    const message = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(forge.util.hexToBytes(contents), { parseAllBytes: false }));
+    const attributes = message.rawCapture.authenticatedAttributes;
+    const digestAttribute = attributes.find(attribute =>
+        forge.asn1.derToOid(attribute.value[0].value) === forge.pki.oids.messageDigest);
+    assert.equal(
+        Buffer.from(digestAttribute.value[1].value[0].value, 'binary').toString('hex'),
+        crypto.createHash('sha256').update(signedBytes).digest('hex')
+    );
+    const attributeSet = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, attributes);
+    const md = forge.md.sha256.create().update(forge.asn1.toDer(attributeSet).getBytes());
+    assert.equal(certificate.publicKey.verify(md.digest().bytes(), message.rawCapture.signature), true);
+});
+
+test('rejects a wrong certificate password', async () => {
+    await assert.rejects(
+        createConverter().convertDocuSignTemplate(loadFixture('signer-basic'), {
+            certificate: pkcs12Bytes,
+            certificatePassword: 'wrong'
+        }),
+        error => /could not be opened/.test(error.cause.message)
+    );
+});
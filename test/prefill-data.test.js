@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { createConverter } = require('../node');
+const { loadConverterContext, loadSignerTemplate, loadSellerTemplate, createTab, convertAndReload } = require('./helpers');
+
+const { parsePrefillData, parseCsvRecords } = loadConverterContext();
+
+/**
+ * Signer fixture with a seller, a radio group and a list next to the buyer's tabs
+ *
+ * @returns {Object} - DocuSign template
+ */
+function loadPrefillTemplate() {
+    const template = loadSellerTemplate('Full Address');
+    Object.assign(template.recipients.signers[0].tabs, {
+        radioGroupTabs: [{
+            documentId: '1',
+            groupName: 'Financing',
+            radios: [
+                { pageNumber: '1', xPosition: '72', yPosition: '400', value: 'Cash', selected: 'true' },
+                { pageNumber: '1', xPosition: '132', yPosition: '400', value: 'Mortgage' }
+            ]
+        }],
+        listTabs: [createTab('list', 'State', 72, 440, {
+            width: '150', height: '20', listItems: [{ text: 'Texas', value: 'TX' }, { text: 'Nevada', value: 'NV' }]
+        })]
+    });
+    return template;
+}
+
+test('reads CSV with quotes, line breaks and other separators', () => {
+    assert.deepEqual(parseCsvRecords('a,b\r\n"1, ""x""","two\nlines"\n\n3,\n'),
+        [['a', 'b'], ['1, "x"', 'two\nlines'], ['3', '']]);
+    assert.deepEqual(parseCsvRecords('\uFEFFName;Deposit\nAnn;100'), [['Name', 'Deposit'], ['Ann', '100']]);
+    
+    const rows = parsePrefillData('Full Address,Deposit\n9 Elm Road,500\n"4 Oak Lane, Apt 2",\n');
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1]['Full Address'], '4 Oak Lane, Apt 2');
+    assert.equal(rows[1].Deposit, '');
+    
+    assert.equal(parsePrefillData('{"Deposit": 5}').length, 1);
+    assert.equal(parsePrefillData('[{"Deposit": 5}, {"Deposit": 6}]').length, 2);
+    assert.throws(() => parsePrefillData('  '), /empty/);
+    assert.throws(() => parsePrefillData('{"Deposit": '), /not valid JSON/);
+});
+
+test('fills text, checkbox, radio and list fields by label and role', async () => {
+    const { fields } = await convertAndReload(loadPrefillTemplate(), {
+        prefillData: {
+            'full address': '9 Elm Road',
+            Seller: { 'Full Address': '12 Harbor View' },
+            Deposit: 1000,
+            'Agree Terms': 'no',
+            Financing: 'mortgage',
+            State: 'Nevada',
+            'Buyer Signature': 'Ann Buyer'
+        }
+    });
+    
+    assert.equal(fields.get('Full_Address').value, '9 Elm Road');
+    assert.equal(fields.get('Full_Address_Seller').value, '12 Harbor View');
+    assert.equal(fields.get('Deposit').value, '1000');
+    assert.equal(fields.get('Agree_Terms').value, false);
+    assert.equal(fields.get('Financing').value, 'Mortgage');
+    assert.deepEqual(fields.get('State').value, ['Nevada']);
+    // Signatures are left for the signer
+    assert.notEqual(fields.get('Buyer_Signature').value, 'Ann Buyer');
+});
+
+test('keeps template values where the data is blank or missing', async () => {
+    const { fields } = await convertAndReload(loadPrefillTemplate(), {
+        prefillData: parsePrefillData('Buyer 1.Deposit,Financing,Unknown\n,Lease,x')[0]
+    });
+    
+    assert.equal(fields.get('Full_Address').value, '1 Main Street');
+    assert.equal(fields.get('Deposit').value, '250');
+    assert.equal(fields.get('Agree_Terms').value, true);
+    // No radio has the value, so the template's selection stays
+    assert.equal(fields.get('Financing').value, 'Cash');
+});
+
+test('converts one filled PDF per data row', async () => {
+    const converter = createConverter();
+    const rows = converter.parsePrefillData('Buyer,Full Address\nAnn Lee,9 Elm Road\n,4 Oak Lane\nAnn Lee,7 Pine Court\n');
+    const { zipBytes, files } = await converter.buildPrefillPackage(
+        loadSignerTemplate(), { prefillNameField: 'Buyer', report: true }, rows, 'offer'
+    );
+    
+    assert.deepEqual(Array.from(files, file => file.fileName), ['offer_Ann_Lee.pdf', 'offer_2.pdf', 'offer_Ann_Lee_2.pdf']);
+    const addresses = [];
+    for (const file of files) {
+        const pdfDoc = await PDFLib.PDFDocument.load(file.pdfBytes);
+        addresses.push(pdfDoc.getForm().getTextField('Full_Address').getText());
+    }
+    assert.deepEqual(addresses, ['9 Elm Road', '4 Oak Lane', '7 Pine Court']);
+    
+    // Each PDF is followed by its report
+    const names = Buffer.from(zipBytes).toString('latin1');
+    assert.ok(names.includes('offer_2.pdf') && names.includes('offer_2_report.json'));
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { convertAndReload, assertRectClose } = require('./helpers');
+
+/**
+ * Build a two-page letter-size document
+ *
+ * @returns {Promise<string>} - Base64 PDF
+ */
+async function buildTwoPageDocument() {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    pdfDoc.addPage([612, 792]);
+    pdfDoc.addPage([612, 792]);
+    return Buffer.from(await pdfDoc.save()).toString('base64');
+}
+
+/**
+ * Wrap recipients around the two-page document
+ *
+ * @param {Array<Object>} signers - DocuSign signers
+ * @returns {Promise<Object>} - DocuSign template
+ */
+async function buildTemplate(signers) {
+    return {
+        documents: [{ documentId: '1', name: 'Questionnaire.pdf', documentBase64: await buildTwoPageDocument() }],
+        recipients: { signers }
+    };
+}
+
+/**
+ * A radio group the way DocuSign exports it: positions live on the radios
+ *
+ * @param {Object} [overrides] - Group properties to set
+ * @returns {Object} - radioGroupTabs entry
+ */
+function buildRadioGroup(overrides = {}) {
+    return {
+        documentId: '1',
+        groupName: 'Smoker',
+        radios: [
+            { pageNumber: '1', xPosition: '100', yPosition: '100', value: 'Yes' },
+            { pageNumber: '1', xPosition: '160', yPosition: '100', value: 'No', selected: 'true' },
+            { pageNumber: '2', xPosition: '100', yPosition: '50', value: 'Unsure' }
+        ],
+        ...overrides
+    };
+}
+
+test('places every radio at its own position and page', async () => {
+    const template = await buildTemplate([
+        { recipientId: '1', roleName: 'Patient', tabs: { radioGroupTabs: [buildRadioGroup()] } }
+    ]);
+    const { result, fields } = await convertAndReload(template, { report: true });
+    const smoker = fields.get('Smoker');
+    
+    assert.equal(smoker.kind, 'radio');
+    assert.equal(smoker.value, 'No');
+    assert.deepEqual(Array.from(smoker.widgets, widget => widget.pageIndex), [0, 0, 1]);
+    // Small square radios, measured from the top of each page
+    assertRectClose(smoker.widgets[0].rect, { llx: 100, lly: 680, urx: 112, ury: 692 });
+    assertRectClose(smoker.widgets[2].rect, { llx: 100, lly: 730, urx: 112, ury: 742 });
+    
+    // The group is reported where its first radio is
+    assert.equal(result.placements[0].pageIndex, 0);
+    assert.equal(result.report.entries[0].outcome, 'created');
+});
+
+test('draws radios as circles and keeps tooltip, required and locked', async () => {
+    const radios = buildRadioGroup().radios.map(radio => ({ ...radio, required: 'true', locked: 'true' }));
+    const template = await buildTemplate([
+        { recipientId: '1', roleName: 'Patient', tabs: { radioGroupTabs: [buildRadioGroup({ radios, tooltip: 'Do you smoke?' })] } }
+    ]);
+    const { fields } = await convertAndReload(template);
+    const { field } = fields.get('Smoker');
+    
+    assert.equal(field.isRequired(), true);
+    assert.equal(field.isReadOnly(), true);
+    assert.equal(field.acroField.dict.lookup(PDFLib.PDFName.of('TU')).decodeText(), 'Do you smoke?');
+    for (const widget of field.acroField.getWidgets()) {
+        assert.equal(widget.getAppearanceCharacteristics().getCaptions().normal, 'l');
+    }
+});
+
+test('keeps groups of the same name from different recipients', async () => {
+    const template = await buildTemplate([
+        { recipientId: '1', roleName: 'Patient', tabs: { radioGroupTabs: [buildRadioGroup()] } },
+        { recipientId: '2', roleName: 'Doctor', tabs: { radioGroupTabs: [buildRadioGroup({ radios: buildRadioGroup().radios.slice(0, 2) })] } }
+    ]);
+    const { fields } = await convertAndReload(template);
+    
+    assert.deepEqual(Array.from(fields.keys()), ['Smoker', 'Smoker_Doctor']);
+    assert.equal(fields.get('Smoker_Doctor').widgets.length, 2);
+    assert.equal(fields.get('Smoker').field.isRequired(), false);
+    assert.equal(fields.get('Smoker').field.isReadOnly(), false);
+});
+
+test('skips radios on pages the document does not have', async () => {
+    const radios = buildRadioGroup().radios.concat({ pageNumber: '5', xPosition: '100', yPosition: '100', value: 'Lost' });
+    const template = await buildTemplate([
+        { recipientId: '1', roleName: 'Patient', tabs: { radioGroupTabs: [buildRadioGroup({ radios, tabType: 'radiogroup' })] } }
+    ]);
+    const { fields } = await convertAndReload(template);
+    
+    assert.deepEqual(fields.get('Smoker').field.getOptions(), ['Yes', 'No', 'Unsure']);
+});
+
+test('moves and scales the radios with a group resized in the field editor', async () => {
+    const radios = buildRadioGroup().radios.map(radio => ({ ...radio, yPosition: '100' }));
+    radios[1].xPosition = '150';
+    const template = await buildTemplate([
+        { recipientId: '1', roleName: 'Patient', tabs: { radioGroupTabs: [buildRadioGroup({ tabId: 'r1', radios })] } }
+    ]);
+    const fieldOverrides = { 'tabId:r1': { rect: { llx: 300, lly: 300, urx: 324, ury: 324 } } };
+    const { fields } = await convertAndReload(template, { fieldOverrides });
+    const { widgets } = fields.get('Smoker');
+    
+    // The first radio fills the edited rectangle; the second keeps its place relative to it
+    assertRectClose(widgets[0].rect, { llx: 300, lly: 300, urx: 324, ury: 324 });
+    assertRectClose(widgets[1].rect, { llx: 400, lly: 300, urx: 424, ury: 324 });
+    // The radio on page 2 isn't on the edited page, so it stays put
+    assertRectClose(widgets[2].rect, { llx: 100, lly: 680, urx: 112, ury: 692 });
+});
+
+test('reports shared groups, whose sharing a PDF form can\'t express', async () => {
+    const radios = buildRadioGroup().radios.map(radio => ({ ...radio, shared: 'true', requireInitialOnSharedChange: 'true' }));
+    const template = await buildTemplate([
+        { recipientId: '1', roleName: 'Patient', tabs: { radioGroupTabs: [buildRadioGroup({ radios })] } },
+        { recipientId: '2', roleName: 'Doctor', tabs: { radioGroupTabs: [buildRadioGroup({ groupName: 'Allergies' })] } }
+    ]);
+    const { result, fields } = await convertAndReload(template, { report: true });
+    
+    assert.equal(fields.get('Smoker').widgets.length, 3);
+    assert.deepEqual(result.report.entries.map(entry => [entry.tabLabel || entry.fieldName, entry.outcome, entry.reason]), [
+        ['Smoker', 'created', 'shared_tab_unsupported'],
+        ['Allergies', 'created', null]
+    ]);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConverterContext, loadCoBuyerTemplate, convertAndReload } = require('./helpers');
+
+const { getTemplateRoles } = loadConverterContext();
+
+test('lists the roles of a template in order with their colors', () => {
+    const roles = getTemplateRoles(loadCoBuyerTemplate());
+    
+    assert.deepEqual(Array.from(roles, role => role.roleName), ['Buyer', 'Buyer 2']);
+    assert.equal(roles[0].tabCount, 5);
+    assert.equal(roles[1].routingOrder, 2);
+    assert.match(roles[0].color.border, /^[0-9a-f]{6}$/);
+    assert.notEqual(roles[0].color.border, roles[1].color.border);
+});
+
+test('keeps role, recipient ID and routing order with each placement and report entry', async () => {
+    const { result } = await convertAndReload(loadCoBuyerTemplate(), { report: true });
+    
+    const placement = result.placements.find(candidate => candidate.fieldName === 'Full_Address_Buyer_2');
+    assert.equal(placement.recipient.roleName, 'Buyer 2');
+    assert.equal(placement.recipient.recipientId, '2');
+    assert.equal(placement.recipient.routingOrder, 2);
+    
+    const entry = result.report.entries.find(candidate => candidate.fieldName === 'Full_Address');
+    assert.equal(entry.roleName, 'Buyer');
+    assert.equal(entry.routingOrder, 1);
+});
+
+test('prefixes field names with the role when asked', async () => {
+    const { fields } = await convertAndReload(loadCoBuyerTemplate(), { roleFieldNamePrefix: true });
+    
+    assert.ok(fields.has('Buyer_Full_Address'));
+    assert.ok(fields.has('Buyer_2_Full_Address'));
+    assert.ok(fields.has('Buyer_Agree_Terms'));
+});
+
+test('converts only the selected roles', async () => {
+    const { result, fields } = await convertAndReload(loadCoBuyerTemplate(), { roles: ['buyer 2'], report: true });
+    
+    assert.deepEqual(Array.from(fields.keys()), ['Full_Address']);
+    assert.equal(fields.get('Full_Address').widgets[0].rect.y < 500, true);
+    
+    const skipped = result.report.entries.filter(entry => entry.reason === 'role_not_selected');
+    assert.equal(skipped.length, 5);
+    
+    // Recipient IDs work too
+    const byId = await convertAndReload(loadCoBuyerTemplate(), { roles: '1' });
+    assert.equal(byId.fields.size, 5);
+});
+
+test('rejects a role filter that matches nobody', async () => {
+    await assert.rejects(
+        () => convertAndReload(loadCoBuyerTemplate(), { roles: ['Seller'] }),
+        error => /selected roles: Seller$/.test(error.cause.message)
+    );
+});
+
+test('colors each recipient\'s fields with its own border and background', async () => {
+    const template = loadCoBuyerTemplate();
+    const [buyer, coBuyer] = getTemplateRoles(template);
+    const { fields } = await convertAndReload(template, { colorByRecipient: true });
+    
+    const colorsOf = (name) => {
+        const widget = fields.get(name).field.acroField.getWidgets()[0];
+        const characteristics = widget.getAppearanceCharacteristics();
+        const toHex = components => components.map(value => Math.round(value * 255).toString(16).padStart(2, '0')).join('');
+        return { border: toHex(characteristics.getBorderColor()), background: toHex(characteristics.getBackgroundColor()) };
+    };
+    
+    assert.deepEqual(colorsOf('Full_Address'), { ...buyer.color });
+    assert.deepEqual(colorsOf('Agree_Terms'), { ...buyer.color });
+    assert.deepEqual(colorsOf('Full_Address_Buyer_2'), { ...coBuyer.color });
+});
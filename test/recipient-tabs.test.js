@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConverterContext, loadFixture } = require('./helpers');
+
+const { getAllRecipientTabs } = loadConverterContext();
+
+test('collects tabs from every recipients.* list', () => {
+    const tabs = getAllRecipientTabs({
+        recipients: {
+            signers: [{ recipientId: 1, roleName: 'Buyer', routingOrder: '2', tabs: { textTabs: [{ tabLabel: 'A' }], checkboxTabs: [{ tabLabel: 'B' }] } }],
+            agents: [{ recipientId: '2', roleName: 'Agent', tabs: { textTabs: [{ tabLabel: 'C' }] } }],
+            editors: [{ recipientId: '3', tabs: { textTabs: [{ tabLabel: 'D' }] } }]
+        }
+    });
+    
+    assert.deepEqual(Array.from(tabs, tab => tab.tabLabel), ['A', 'B', 'C', 'D']);
+    assert.deepEqual({ ...tabs[0].sourceRecipient }, { type: 'signers', roleName: 'Buyer', recipientId: '1', routingOrder: 2, name: null });
+    assert.equal(tabs[2].sourceRecipient.type, 'agents');
+    assert.equal(tabs[3].sourceRecipient.roleName, null);
+});
+
+test('collects tabs from every DocuSign recipient type', () => {
+    const types = [
+        'inPersonSigners', 'certifiedDeliveries', 'carbonCopies', 'intermediaries',
+        'witnesses', 'notaries', 'seals', 'participants'
+    ];
+    const recipients = {};
+    types.forEach((type, index) => {
+        recipients[type] = [{ recipientId: String(index + 1), roleName: type, tabs: { signHereTabs: [{ tabLabel: type }] } }];
+    });
+    
+    const tabs = getAllRecipientTabs({ recipients });
+    
+    assert.deepEqual(Array.from(tabs, tab => tab.tabLabel).sort(), types.slice().sort());
+    for (const tab of tabs) {
+        assert.equal(tab.sourceRecipient.type, tab.tabLabel);
+        assert.equal(tab.sourceRecipient.roleName, tab.tabLabel);
+    }
+});
+
+test('reads recipient collections it does not know about', () => {
+    const tabs = getAllRecipientTabs({
+        recipients: {
+            recipientCount: '2',
+            signers: [{ tabs: { textTabs: [{ tabLabel: 'Known' }] } }],
+            futureRecipients: [{ roleName: 'Later', tabs: { textTabs: [{ tabLabel: 'Unknown' }] } }]
+        }
+    });
+    
+    assert.deepEqual(Array.from(tabs, tab => tab.tabLabel), ['Known', 'Unknown']);
+    assert.equal(tabs[1].sourceRecipient.type, 'futureRecipients');
+});
+
+test('names in-person signers after the signer rather than the host', () => {
+    const tabs = getAllRecipientTabs({
+        recipients: {
+            inPersonSigners: [{ hostName: 'Agent Smith', signerName: 'Pat Lee', tabs: { signHereTabs: [{ tabLabel: 'Sign' }] } }]
+        }
+    });
+    
+    assert.equal(tabs[0].sourceRecipient.name, 'Pat Lee');
+});
+
+test('collects tabs from the legacy recipientTabs array', () => {
+    const tabs = getAllRecipientTabs(loadFixture('legacy-recipient-tabs'));
+    
+    assert.deepEqual(Array.from(tabs, tab => tab.tabLabel), ['Tenant Name', 'Signed On', 'Landlord Email']);
+    assert.equal(tabs[0].sourceRecipient.type, 'recipientTabs');
+    assert.equal(tabs[0].sourceRecipient.roleName, 'Tenant');
+    assert.equal(tabs[2].sourceRecipient.recipientId, '2');
+});
+
+test('does not modify the template tabs', () => {
+    const template = loadFixture('signer-basic');
+    const original = template.recipients.signers[0].tabs.textTabs[0];
+    
+    const tabs = getAllRecipientTabs(template);
+    
+    assert.ok(tabs.some(tab => tab.tabLabel === original.tabLabel));
+    assert.equal(original.sourceRecipient, undefined);
+});
+
+test('skips missing lists and passes invalid tab entries through', () => {
+    assert.deepEqual(Array.from(getAllRecipientTabs({})), []);
+    assert.deepEqual(Array.from(getAllRecipientTabs({ recipients: { signers: [{ tabs: null }] } })), []);
+    
+    // The conversion loop reports these as invalid_tab, so they must not be dropped here
+    const tabs = getAllRecipientTabs({ recipients: { signers: [{ tabs: { textTabs: [null, 'bad'] } }] } });
+    assert.deepEqual(Array.from(tabs), [null, 'bad']);
+});
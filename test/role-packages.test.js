@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { createConverter } = require('../node');
+const { loadConverterContext, loadSignerTemplate, addSigner, createTab } = require('./helpers');
+
+const { createZipArchive } = loadConverterContext();
+
+/**
+ * Signer fixture with a second buyer whose formula reads the first buyer's deposit
+ *
+ * @returns {Object} - DocuSign template
+ */
+function loadCoBuyerFormulaTemplate() {
+    return addSigner(loadSignerTemplate(), 'Buyer 2', {
+        textTabs: [createTab('text', 'Co Address', 72, 300, { width: '200', height: '22' })],
+        formulaTabs: [createTab('formula', 'Double', 300, 300, { formula: '[Deposit] * 2', width: '100', height: '20' })]
+    });
+}
+
+/**
+ * Convert per role and list the fields of each PDF
+ *
+ * @param {Object} options - Conversion options
+ * @returns {Promise<Object>} - Map of file name to { fields: { name: readOnly }, report }
+ */
+async function convertPerRole(options) {
+    const files = await createConverter().convertDocuSignTemplatePerRole(loadCoBuyerFormulaTemplate(), { report: true, ...options }, 'offer');
+    
+    const byName = new Map();
+    for (const file of files) {
+        const pdfDoc = await PDFLib.PDFDocument.load(file.pdfBytes);
+        const fields = {};
+        for (const field of pdfDoc.getForm().getFields()) {
+            fields[field.getName()] = field.isReadOnly();
+        }
+        byName.set(file.fileName, { fields, report: file.report, pdfDoc });
+    }
+    return byName;
+}
+
+/**
+ * Read the entries of a stored ZIP archive through its central directory
+ *
+ * @param {Uint8Array} zipBytes - Archive bytes
+ * @returns {Array<Object>} - Array of { name, crc, data }
+ */
+function readZipEntries(zipBytes) {
+    const bytes = Buffer.from(zipBytes);
+    const endOffset = bytes.length - 22;
+    assert.equal(bytes.readUInt32LE(endOffset), 0x06054B50);
+    
+    const entries = [];
+    let offset = bytes.readUInt32LE(endOffset + 16);
+    for (let i = 0; i < bytes.readUInt16LE(endOffset + 10); i++) {
+        assert.equal(bytes.readUInt32LE(offset), 0x02014B50);
+        const crc = bytes.readUInt32LE(offset + 16);
+        const size = bytes.readUInt32LE(offset + 20);
+        const nameLength = bytes.readUInt16LE(offset + 28);
+        const localOffset = bytes.readUInt32LE(offset + 42);
+        const name = bytes.toString('utf8', offset + 46, offset + 46 + nameLength);
+        
+        assert.equal(bytes.readUInt32LE(localOffset), 0x04034B50);
+        const dataStart = localOffset + 30 + bytes.readUInt16LE(localOffset + 26) + bytes.readUInt16LE(localOffset + 28);
+        entries.push({ name, crc, data: bytes.subarray(dataStart, dataStart + size) });
+        
+        offset += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('writes one PDF per role with only that role\'s fields', async () => {
+    const files = await convertPerRole({});
+    
+    assert.deepEqual(Array.from(files.keys()), ['offer_Buyer.pdf', 'offer_Buyer_2.pdf']);
+    assert.deepEqual(Object.keys(files.get('offer_Buyer.pdf').fields), ['Buyer_Signature', 'Full_Address', 'Agree_Terms', 'Deposit', 'Proof_of_ID']);
+    assert.deepEqual(Object.keys(files.get('offer_Buyer_2.pdf').fields), ['Co_Address', 'Double']);
+});
+
+test('keeps other roles\' fields as read-only fields', async () => {
+    const files = await convertPerRole({ otherRoleFields: 'readOnly' });
+    const { fields, report } = files.get('offer_Buyer_2.pdf');
+    
+    assert.equal(fields.Co_Address, false);
+    assert.equal(fields.Full_Address, true);
+    assert.equal(fields.Buyer_Signature, true);
+    
+    const otherRoleEntries = report.entries.filter(entry => entry.reason === 'other_role_field');
+    assert.equal(otherRoleEntries.length, 5);
+});
+
+test('flattens other roles\' fields and removes their placeholders', async () => {
+    const files = await convertPerRole({ otherRoleFields: 'flatten' });
+    const { fields, pdfDoc } = files.get('offer_Buyer_2.pdf');
+    
+    // The deposit feeds this role's formula, so it stays a (read-only) field
+    assert.deepEqual(fields, { Deposit: true, Co_Address: false, Double: true });
+    
+    // Full address and the checkbox are drawn into the page instead of being widgets
+    const page = pdfDoc.getPage(0);
+    assert.equal(page.node.Annots().size(), 3);
+    const xObjects = page.node.Resources().lookup(PDFLib.PDFName.of('XObject'), PDFLib.PDFDict);
+    assert.equal(xObjects.keys().filter(key => key.asString().startsWith('/FlatWidget')).length, 2);
+});
+
+test('accepts the spelling used on the command line', async () => {
+    const files = await convertPerRole({ otherRoleFields: 'read-only' });
+    assert.equal(files.get('offer_Buyer.pdf').fields.Co_Address, true);
+});
+
+test('limits the package to the selected roles', async () => {
+    const converter = createConverter();
+    const files = await converter.convertDocuSignTemplatePerRole(loadCoBuyerFormulaTemplate(), { roles: '2' }, 'offer');
+    assert.deepEqual(Array.from(files, file => file.fileName), ['offer_Buyer_2.pdf']);
+    
+    await assert.rejects(
+        () => converter.convertDocuSignTemplatePerRole(loadCoBuyerFormulaTemplate(), { roles: ['Seller', ' Escrow Agent '] }),
+        /selected roles: Seller, Escrow Agent$/
+    );
+});
+
+test('packages the PDFs and reports in a ZIP archive', async () => {
+    const { zipBytes, files } = await createConverter().buildRolePackage(loadCoBuyerFormulaTemplate(), { report: true }, 'offer');
+    const entries = readZipEntries(zipBytes);
+    
+    assert.deepEqual(entries.map(entry => entry.name), [
+        'offer_Buyer.pdf', 'offer_Buyer_report.json', 'offer_Buyer_2.pdf', 'offer_Buyer_2_report.json'
+    ]);
+    assert.deepEqual(entries[2].data, Buffer.from(files[1].pdfBytes));
+    assert.equal(JSON.parse(entries[3].data.toString('utf8')).entries.length > 0, true);
+});
+
+test('stores ZIP entries with their CRC-32', () => {
+    const zipBytes = createZipArchive([{ name: 'check.txt', data: new TextEncoder().encode('123456789') }]);
+    const [entry] = readZipEntries(zipBytes);
+    
+    assert.equal(entry.name, 'check.txt');
+    assert.equal(entry.crc, 0xCBF43926);
+    assert.equal(entry.data.toString('utf8'), '123456789');
+});
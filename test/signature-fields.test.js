@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadConverterContext, loadSignerTemplate, loadSellerTemplate, createTab, convertAndReload } = require('./helpers');
+
+const { createSignatureField } = loadConverterContext();
+
+const RECT = { llx: 72, lly: 100, urx: 222, ury: 130 };
+
+/**
+ * Save a document and open it again, the way a viewer would see it
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @returns {Promise<PDFDocument>} - The re-opened document
+ */
+async function reload(pdfDoc) {
+    return PDFLib.PDFDocument.load(await pdfDoc.save());
+}
+
+test('converts Sign Here, Initial Here and Stamp tabs to signature fields', async () => {
+    const template = loadSignerTemplate({
+        initialHereTabs: [createTab('initialhere', 'Buyer Initials', 300, 600)],
+        stampTabs: [createTab('stamp', 'Buyer Stamp', 400, 650, { stampType: 'stamp' })]
+    });
+    const { result, pdfDoc, fields } = await convertAndReload(template, { report: true });
+    
+    const labels = { Buyer_Signature: 'Sign Here', Buyer_Initials: 'Initial', Buyer_Stamp: 'Stamp' };
+    for (const [name, label] of Object.entries(labels)) {
+        const { field, kind } = fields.get(name);
+        assert.equal(kind, 'signature', name);
+        
+        // One dictionary is both the field and its widget
+        const dict = field.acroField.dict;
+        assert.equal(dict.get(PDFLib.PDFName.of('FT')).asString(), '/Sig');
+        assert.equal(dict.get(PDFLib.PDFName.of('Subtype')).asString(), '/Widget');
+        assert.equal(dict.has(PDFLib.PDFName.of('Kids')), false);
+        assert.equal(dict.has(PDFLib.PDFName.of('V')), false);
+        
+        // The unsigned box is drawn at the widget's size, with its label
+        const [widget] = field.acroField.getWidgets();
+        const { width, height } = widget.getRectangle();
+        const appearance = pdfDoc.context.lookup(widget.getNormalAppearance(), PDFLib.PDFStream);
+        const bbox = appearance.dict.lookup(PDFLib.PDFName.of('BBox'), PDFLib.PDFArray).asArray().map(n => n.asNumber());
+        assert.deepEqual(bbox, [0, 0, width, height]);
+        assert.equal(widget.getAppearanceCharacteristics().getCaptions().normal, label);
+    }
+    
+    const outcomes = Array.from(result.report.entries
+        .filter(entry => ['signHereTabs', 'initialHereTabs', 'stampTabs'].includes(entry.detectedType)), entry => entry.outcome);
+    assert.deepEqual(outcomes, ['created', 'created', 'created']);
+});
+
+test('writes lock dictionaries and seed values', async () => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    const page = pdfDoc.addPage();
+    pdfDoc.getForm().createTextField('Address').addToPage(page, { x: 72, y: 300 });
+    
+    createSignatureField(pdfDoc, page, 'Buyer_Signature', RECT, 'signature', {
+        lock: { action: 'Include', fields: ['Address', 'Address', 'Deposit'] },
+        seedValue: { subFilters: ['adbe.pkcs7.detached'], reasons: ['I agree'], required: true }
+    });
+    createSignatureField(pdfDoc, page, 'Seller_Signature', RECT, 'signature', {
+        lock: { action: 'Include', fields: [] }
+    });
+    assert.throws(() => createSignatureField(pdfDoc, page, 'Other', RECT, 'signature', { lock: { action: 'Some' } }),
+        /Unknown signature lock action/);
+    
+    const form = (await reload(pdfDoc)).getForm();
+    const dict = form.getSignature('Buyer_Signature').acroField.dict;
+    const lock = dict.lookup(PDFLib.PDFName.of('Lock'), PDFLib.PDFDict);
+    assert.equal(lock.get(PDFLib.PDFName.of('Type')).asString(), '/SigFieldLock');
+    assert.equal(lock.get(PDFLib.PDFName.of('Action')).asString(), '/Include');
+    assert.deepEqual(
+        lock.lookup(PDFLib.PDFName.of('Fields'), PDFLib.PDFArray).asArray().map(name => name.decodeText()),
+        ['Address', 'Deposit']
+    );
+    
+    const seedValue = dict.lookup(PDFLib.PDFName.of('SV'), PDFLib.PDFDict);
+    assert.equal(seedValue.lookup(PDFLib.PDFName.of('SubFilter'), PDFLib.PDFArray).get(0).asString(), '/adbe.pkcs7.detached');
+    assert.equal(seedValue.lookup(PDFLib.PDFName.of('Reasons'), PDFLib.PDFArray).get(0).decodeText(), 'I agree');
+    assert.equal(seedValue.get(PDFLib.PDFName.of('Ff')).asNumber(), 2 | 8);
+    
+    // Nothing to lock, no /Lock
+    assert.equal(form.getSignature('Seller_Signature').acroField.dict.has(PDFLib.PDFName.of('Lock')), false);
+});
+
+test('writes the conversion\'s seed values into every signature field', async () => {
+    const template = loadSignerTemplate({ initialHereTabs: [createTab('initialhere', 'Buyer Initials', 300, 600)] });
+    const signatureSeedValue = { subFilters: ['ETSI.CAdES.detached'], required: true };
+    const { fields } = await convertAndReload(template, { signatureSeedValue });
+    
+    for (const name of ['Buyer_Signature', 'Buyer_Initials']) {
+        const seedValue = fields.get(name).field.acroField.dict.lookup(PDFLib.PDFName.of('SV'), PDFLib.PDFDict);
+        assert.equal(seedValue.lookup(PDFLib.PDFName.of('SubFilter'), PDFLib.PDFArray).get(0).asString(), '/ETSI.CAdES.detached', name);
+        assert.equal(seedValue.get(PDFLib.PDFName.of('Ff')).asNumber(), 2, name);
+    }
+    
+    const plain = await convertAndReload(loadSignerTemplate());
+    assert.equal(plain.fields.get('Buyer_Signature').field.acroField.dict.has(PDFLib.PDFName.of('SV')), false);
+});
+
+test('keeps names unique and turns the box with rotated pages', async () => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    const page = pdfDoc.addPage();
+    page.setRotation(PDFLib.degrees(90));
+    
+    createSignatureField(pdfDoc, page, 'Signature', RECT);
+    createSignatureField(pdfDoc, page, 'Signature', RECT, 'initials');
+    
+    const form = (await reload(pdfDoc)).getForm();
+    assert.deepEqual(form.getFields().map(field => field.getName()), ['Signature', 'Signature_2']);
+    const [widget] = form.getSignature('Signature_2').acroField.getWidgets();
+    assert.equal(widget.getAppearanceCharacteristics().getRotation(), 90);
+    assert.equal(widget.getAppearanceCharacteristics().getCaptions().normal, 'Initial');
+});
+
+/**
+ * Seller fixture where the seller signs too and the buyer has a Date Signed tab
+ *
+ * @returns {Object} - DocuSign template
+ */
+function loadRoutingTemplate() {
+    const template = loadSellerTemplate();
+    template.recipients.signers[0].tabs.dateSignedTabs = [createTab('datesigned', 'Signed On', 300, 600)];
+    template.recipients.signers[1].tabs.signHereTabs = [createTab('signhere', 'Seller Signature', 300, 650)];
+    return template;
+}
+
+/**
+ * Read the names a signature field locks
+ *
+ * @param {Map} fields - Fields from convertAndReload()
+ * @param {string} name - Signature field name
+ * @returns {Array<string>|null} - Locked field names, or null without a /Lock
+ */
+function getLockedNames(fields, name) {
+    const lock = fields.get(name).field.acroField.dict.lookupMaybe(PDFLib.PDFName.of('Lock'), PDFLib.PDFDict);
+    if (!lock) {
+        return null;
+    }
+    return lock.lookup(PDFLib.PDFName.of('Fields'), PDFLib.PDFArray).asArray().map(entry => entry.decodeText()).sort();
+}
+
+test('locks each signer\'s fields when they sign', async () => {
+    const { fields } = await convertAndReload(loadRoutingTemplate());
+    
+    assert.deepEqual(getLockedNames(fields, 'Buyer_Signature'),
+        ['Agree_Terms', 'Deposit', 'Full_Address', 'Proof_of_ID', 'Signed_On']);
+    assert.deepEqual(getLockedNames(fields, 'Seller_Signature'), ['Seller_Address']);
+});
+
+test('also locks earlier routing orders, or nothing', async () => {
+    const routing = await convertAndReload(loadRoutingTemplate(), { signatureLocks: 'routing', dateOnSign: true });
+    // The Date Signed field is filled in after signing, so it stays unlocked
+    assert.deepEqual(getLockedNames(routing.fields, 'Buyer_Signature'),
+        ['Agree_Terms', 'Deposit', 'Full_Address', 'Proof_of_ID']);
+    assert.deepEqual(getLockedNames(routing.fields, 'Seller_Signature'),
+        ['Agree_Terms', 'Deposit', 'Full_Address', 'Proof_of_ID', 'Seller_Address']);
+    
+    const none = await convertAndReload(loadRoutingTemplate(), { signatureLocks: 'none' });
+    assert.equal(getLockedNames(none.fields, 'Buyer_Signature'), null);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadFixture, createTab, convertAndReload } = require('./helpers');
+
+/**
+ * Read a field's tooltip (/TU)
+ *
+ * @param {PDFField} field - The pdf-lib field
+ * @returns {string|null} - The tooltip, or null without one
+ */
+function getTooltip(field) {
+    const tooltip = field.acroField.dict.lookup(PDFLib.PDFName.of('TU'));
+    return tooltip ? tooltip.decodeText() : null;
+}
+
+test('carries required, locked, read-only and tooltips over to every kind of field', async () => {
+    const template = loadFixture('signer-basic');
+    const tabs = template.recipients.signers[0].tabs;
+    Object.assign(tabs.signHereTabs[0], { tooltip: 'Sign as the buyer', required: 'true' });
+    Object.assign(tabs.textTabs[0], { toolTip: 'Street and number', locked: 'true' });
+    Object.assign(tabs.checkboxTabs[0], { required: true, tooltip: '  ' });
+    Object.assign(tabs.numericalTabs[0], { readOnly: 'true', required: 'false' });
+    tabs.listTabs = [createTab('list', 'State', 72, 440, { tooltip: 'Pick a state', required: 'true', listItems: [{ text: 'Texas', value: 'TX' }] })];
+    tabs.dateSignedTabs = [createTab('datesigned', 'Signed On', 300, 600, { locked: 'true' })];
+    const { fields } = await convertAndReload(template);
+    
+    const signature = fields.get('Buyer_Signature').field;
+    assert.equal(getTooltip(signature), 'Sign as the buyer');
+    assert.equal(signature.isRequired(), true);
+    assert.equal(signature.isReadOnly(), false);
+    
+    const address = fields.get('Full_Address').field;
+    assert.equal(getTooltip(address), 'Street and number');
+    assert.equal(address.isReadOnly(), true);
+    assert.equal(address.isRequired(), false);
+    
+    const checkbox = fields.get('Agree_Terms').field;
+    assert.equal(checkbox.isRequired(), true);
+    assert.equal(getTooltip(checkbox), null);
+    
+    const deposit = fields.get('Deposit').field;
+    assert.equal(deposit.isReadOnly(), true);
+    assert.equal(deposit.isRequired(), false);
+    
+    assert.equal(getTooltip(fields.get('State').field), 'Pick a state');
+    assert.equal(fields.get('State').field.isRequired(), true);
+    assert.equal(fields.get('Signed_On').field.isReadOnly(), true);
+});
+
+test('turns concealed values into empty password fields', async () => {
+    const template = loadFixture('signer-basic');
+    Object.assign(template.recipients.signers[0].tabs.textTabs[0], { concealValueOnDocument: 'true' });
+    const { fields } = await convertAndReload(template);
+    
+    const address = fields.get('Full_Address');
+    assert.equal(address.field.isPassword(), true);
+    assert.equal(address.value, '');
+    assert.equal(fields.get('Deposit').field.isPassword(), false);
+});
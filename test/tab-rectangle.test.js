@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadConverterContext, convertAndReload, assertRectClose } = require('./helpers');
+
+const {
+    getTabRectangle,
+    getPageGeometry,
+    docuSignPointToPdf,
+    pdfPointToDocuSign,
+    convertDocuSignCoordinates,
+    translateField
+} = loadConverterContext();
+
+const LETTER = { width: 612, height: 792 };
+
+test('flips DocuSign top-left coordinates to PDF bottom-left coordinates', () => {
+    const rect = getTabRectangle({ tabType: 'text', xPosition: '72', yPosition: '100', width: '200', height: '22' }, LETTER);
+    assert.deepEqual({ ...rect }, { llx: 72, lly: 670, urx: 272, ury: 692 });
+});
+
+test('reads the *String variants of position and size', () => {
+    const rect = getTabRectangle({ tabType: 'text', xPositionString: '10', yPositionString: '20', widthString: '30', heightString: '40' }, LETTER);
+    assert.deepEqual({ ...rect }, { llx: 10, lly: 732, urx: 40, ury: 772 });
+});
+
+test('uses per-type default sizes when the tab has none', () => {
+    const checkbox = getTabRectangle({ tabType: 'checkbox', xPosition: 0, yPosition: 0 }, LETTER);
+    assert.equal(checkbox.urx - checkbox.llx, 12);
+    assert.equal(checkbox.ury - checkbox.lly, 12);
+    
+    const initials = getTabRectangle({ tabType: 'initialhere', xPosition: 0, yPosition: 0 }, LETTER);
+    assert.equal(initials.urx - initials.llx, 100);
+    assert.equal(initials.ury - initials.lly, 25);
+    
+    // A zero size counts as missing
+    const signature = getTabRectangle({ tabType: 'signhere', xPosition: 0, yPosition: 0, width: '0', height: '0' }, LETTER);
+    assert.equal(signature.urx - signature.llx, 120);
+    assert.equal(signature.ury - signature.lly, 20);
+});
+
+test('applies the field width and height options to text-like tabs only', () => {
+    const options = { fieldWidth: 150, fieldHeight: 30 };
+    
+    const text = getTabRectangle({ tabType: 'text', xPosition: 0, yPosition: 0 }, LETTER, options);
+    assert.equal(text.urx - text.llx, 150);
+    assert.equal(text.ury - text.lly, 30);
+    
+    const checkbox = getTabRectangle({ tabType: 'checkbox', xPosition: 0, yPosition: 0 }, LETTER, options);
+    assert.equal(checkbox.urx - checkbox.llx, 12);
+});
+
+test('measures from the height of the page it is given', () => {
+    const a4 = getTabRectangle({ tabType: 'text', xPosition: 0, yPosition: 0, width: 10, height: 10 }, { width: 595, height: 842 });
+    assert.equal(a4.ury, 842);
+    assert.equal(a4.lly, 832);
+});
+
+/**
+ * Create a Letter page with the given rotation and crop box
+ *
+ * @param {number} rotation - /Rotate in degrees
+ * @param {Array<number>} [cropBox] - [x, y, width, height]
+ * @returns {Promise<PDFPage>} - The page
+ */
+async function createPage(rotation, cropBox) {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    const page = pdfDoc.addPage([612, 792]);
+    page.setRotation(PDFLib.degrees(rotation));
+    if (cropBox) {
+        page.setCropBox(...cropBox);
+    }
+    return page;
+}
+
+const TAB = { tabType: 'text', xPosition: '100', yPosition: '50', width: '200', height: '20' };
+
+test('measures from the top-left of the page as displayed on rotated pages', async () => {
+    const expected = {
+        0: { llx: 100, lly: 722, urx: 300, ury: 742 },
+        90: { llx: 50, lly: 100, urx: 70, ury: 300 },
+        180: { llx: 312, lly: 50, urx: 512, ury: 70 },
+        270: { llx: 542, lly: 492, urx: 562, ury: 692 }
+    };
+    
+    for (const [rotation, rect] of Object.entries(expected)) {
+        const geometry = getPageGeometry(await createPage(Number(rotation)));
+        assert.deepEqual({ ...getTabRectangle(TAB, geometry) }, rect, `rotation ${rotation}`);
+    }
+});
+
+test('measures from the corner of an offset crop box', async () => {
+    const geometry = getPageGeometry(await createPage(0, [36, 18, 540, 720]));
+    
+    assert.equal(geometry.width, 540);
+    assert.equal(geometry.height, 720);
+    assert.deepEqual({ ...getTabRectangle(TAB, geometry) }, { llx: 136, lly: 668, urx: 336, ury: 688 });
+});
+
+test('scales coordinates from DocuSign page images that are not 72 dpi', async () => {
+    const page = await createPage(0);
+    
+    const bySize = getPageGeometry(page, { sequence: '1', width: '816', height: '1056' });
+    assert.deepEqual({ ...getTabRectangle(TAB, bySize) }, { llx: 75, lly: 739.5, urx: 225, ury: 754.5 });
+    
+    const byDpi = getPageGeometry(page, { sequence: '1', dpi: '96' });
+    assert.deepEqual({ ...getTabRectangle(TAB, byDpi) }, { ...getTabRectangle(TAB, bySize) });
+});
+
+test('converts PDF points back to DocuSign coordinates', async () => {
+    for (const rotation of [0, 90, 180, 270]) {
+        const geometry = getPageGeometry(await createPage(rotation, [10, 20, 500, 700]), { dpi: '96' });
+        const point = docuSignPointToPdf(geometry, 120, 45);
+        const back = pdfPointToDocuSign(geometry, point.x, point.y);
+        assert.ok(Math.abs(back.x - 120) < 1e-9 && Math.abs(back.y - 45) < 1e-9, `rotation ${rotation}`);
+    }
+});
+
+test('shares the conversion with the translators\' own coordinate fallback', async () => {
+    const page = await createPage(90, [0, 0, 600, 780]);
+    
+    assert.deepEqual(
+        { ...convertDocuSignCoordinates(TAB, page) },
+        { ...getTabRectangle(TAB, getPageGeometry(page)) }
+    );
+});
+
+test('scales the translators\' fallback to the DocuSign page image', async () => {
+    const page = await createPage(0);
+    const docuSignPage = { sequence: '1', dpi: '96' };
+    
+    assert.equal(await translateField('textTabs', { ...TAB, tabLabel: 'Scaled', pageNumber: '1' }, page.doc, page, { docuSignPage }), true);
+    const [widget] = page.doc.getForm().getTextField('Scaled').acroField.getWidgets();
+    assertRectClose(widget.getRectangle(), getTabRectangle(TAB, getPageGeometry(page, docuSignPage)));
+});
+
+test('places fields on rotated pages and turns their widgets with the page', async () => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    pdfDoc.addPage([612, 792]).setRotation(PDFLib.degrees(90));
+    const template = {
+        documents: [{ documentId: '1', documentBase64: Buffer.from(await pdfDoc.save()).toString('base64') }],
+        recipients: { signers: [{ recipientId: '1', roleName: 'Owner', tabs: { textTabs: [{ ...TAB, tabLabel: 'Name', documentId: '1', pageNumber: '1' }] } }] }
+    };
+    
+    const { fields } = await convertAndReload(template);
+    const widget = fields.get('Name').field.acroField.getWidgets()[0];
+    
+    assertRectClose(widget.getRectangle(), { llx: 50, lly: 100, urx: 70, ury: 300 });
+    assert.equal(widget.getAppearanceCharacteristics().getRotation(), 90);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFLib = require('pdf-lib');
+const { loadSignerTemplate, createTab, getActionScripts, convertAndReload } = require('./helpers');
+
+/**
+ * Signer fixture with one of every tab type that isn't a plain input
+ *
+ * @returns {Object} - DocuSign template
+ */
+function loadTabTypesTemplate() {
+    return loadSignerTemplate({
+        noteTabs: [createTab('note', 'Note', 72, 200, { value: 'Initial every page', width: '200', height: '40' })],
+        ssnTabs: [createTab('ssn', 'SSN', 72, 260)],
+        zipTabs: [createTab('zip', 'ZIP', 300, 260, { useDash4: 'true' })],
+        firstNameTabs: [createTab('firstName', 'First Name', 72, 320)],
+        lastNameTabs: [createTab('lastName', 'Last Name', 300, 320, { value: 'Smith' })],
+        envelopeIdTabs: [createTab('envelopeId', 'Envelope', 72, 380)],
+        approveTabs: [createTab('approve', 'Approve', 72, 440, { buttonText: 'Looks good' })],
+        declineTabs: [createTab('decline', 'Decline', 300, 440)],
+        drawTabs: [createTab('draw', 'Sketch', 72, 500)],
+        polyLineOverlayTabs: [createTab('polyLineOverlay', 'Strike', 100, 300, {
+            polyLines: [{ x1: '100', y1: '300', x2: '250', y2: '300' }],
+            graphicsContext: { lineColor: 'Red', lineWeight: '2' }
+        })],
+        commentThreadTabs: [createTab('commentThread', 'Question', 400, 100, { value: 'Is the deposit refundable?' })],
+        smartSectionTabs: [createTab('smartSection', 'Section', 0, 700)]
+    });
+}
+
+test('creates text fields, masks, buttons and drawing fields for the remaining tab types', async () => {
+    const { fields } = await convertAndReload(loadTabTypesTemplate());
+    
+    const note = fields.get('Note');
+    assert.equal(note.value, 'Initial every page');
+    assert.equal(note.field.isMultiline(), true);
+    assert.equal(note.field.isReadOnly(), true);
+    
+    assert.deepEqual(getActionScripts(fields.get('SSN').field, 'K'), ['AFSpecial_Keystroke(3);']);
+    assert.deepEqual(getActionScripts(fields.get('ZIP').field, 'F'), ['AFSpecial_Format(1);']);
+    assert.equal(fields.get('First_Name').value, '[FIRST NAME]');
+    assert.equal(fields.get('Last_Name').value, 'Smith');
+    assert.equal(fields.get('Envelope').value, '[ENVELOPE ID]');
+    assert.equal(fields.get('Envelope').field.isReadOnly(), true);
+    
+    for (const [name, caption] of [['Approve', 'Looks good'], ['Decline', 'Decline']]) {
+        const { field } = fields.get(name);
+        assert.ok(field instanceof PDFLib.PDFButton, name);
+        assert.equal(field.acroField.getWidgets()[0].getAppearanceCharacteristics().getCaptions().normal, caption);
+    }
+    
+    const [sketch] = fields.get('Sketch').field.acroField.getWidgets();
+    assert.equal(fields.get('Sketch').kind, 'signature');
+    assert.equal(sketch.getAppearanceCharacteristics().getCaptions().normal, 'Draw Here');
+    // Drawing isn't signing, so the drawing field locks nothing
+    assert.equal(fields.get('Sketch').field.acroField.dict.has(PDFLib.PDFName.of('Lock')), false);
+});
+
+test('draws overlays, adds comments and places nothing for smart sections', async () => {
+    const { result, pdfDoc, fields } = await convertAndReload(loadTabTypesTemplate(), { report: true });
+    const page = pdfDoc.getPage(0);
+    
+    assert.equal(fields.has('Strike'), false);
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFLib.PDFArray ? contents.asArray().map(ref => pdfDoc.context.lookup(ref)) : [contents];
+    const operators = streams.map(stream => Buffer.from(PDFLib.decodePDFRawStream(stream).decode()).toString('latin1')).join('\n');
+    assert.match(operators, /100 492 m\s+250 492 l/);
+    
+    const comments = page.node.Annots().asArray()
+        .map(ref => pdfDoc.context.lookup(ref, PDFLib.PDFDict))
+        .filter(annot => annot.get(PDFLib.PDFName.of('Subtype')).asString() === '/Text');
+    assert.equal(comments.length, 1);
+    assert.equal(comments[0].lookup(PDFLib.PDFName.of('Contents')).decodeText(), 'Is the deposit refundable?');
+    assert.equal(comments[0].lookup(PDFLib.PDFName.of('T')).decodeText(), 'Buyer');
+    
+    const outcomes = Object.fromEntries(result.report.entries
+        .filter(entry => ['polyLineOverlayTabs', 'commentThreadTabs', 'smartSectionTabs'].includes(entry.detectedType))
+        .map(entry => [entry.detectedType, `${entry.outcome}:${entry.pdfFieldType || entry.reason}`]));
+    assert.deepEqual(outcomes, {
+        polyLineOverlayTabs: 'created:overlay',
+        commentThreadTabs: 'created:annotation',
+        smartSectionTabs: 'skipped:no_pdf_equivalent'
+    });
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConverterContext, loadFixture } = require('./helpers');
+
+const { validateDocuSignJSON } = loadConverterContext();
+
+test('accepts a well-formed template', () => {
+    assert.equal(validateDocuSignJSON(loadFixture('signer-basic')), true);
+    assert.equal(validateDocuSignJSON({ documents: [{ documentId: 7 }] }), true);
+});
+
+test('rejects anything that is not an object', () => {
+    for (const value of [null, undefined, 'template', 42]) {
+        assert.throws(() => validateDocuSignJSON(value), /Expected an object/);
+    }
+});
+
+test('rejects a missing or non-array documents list', () => {
+    assert.throws(() => validateDocuSignJSON({}), /Missing or invalid documents array/);
+    assert.throws(() => validateDocuSignJSON({ documents: {} }), /Missing or invalid documents array/);
+});
+
+test('rejects malformed documents', () => {
+    assert.throws(() => validateDocuSignJSON({ documents: [null] }), /Invalid document: Expected an object/);
+    assert.throws(() => validateDocuSignJSON({ documents: [{ documentId: {} }] }), /Invalid document ID/);
+    assert.throws(() => validateDocuSignJSON({ documents: [{ documentBase64: 12 }] }), /Base64 must be string/);
+});